@@ -56,6 +56,15 @@ util.DataSourceBase = function(oLiveData, oConfigs) {
     // Initialize interval tracker
     this._aIntervals = [];
 
+    // Initialize in-flight request tracker
+    this._aPending = [];
+
+    // Initialize scheduled retry tracker
+    this._aRetries = [];
+
+    // Initialize cache statistics
+    this._oCacheStats = {hits:0, misses:0, evictions:0, expirations:0};
+
     /////////////////////////////////////////////////////////////////////////////
     //
     // Custom Events
@@ -146,6 +155,46 @@ util.DataSourceBase = function(oLiveData, oConfigs) {
      */
     this.createEvent("cacheFlushEvent");
 
+    /**
+     * Fired when a response is evicted from the local cache, either to make
+     * room for a newer response or because it has expired.
+     *
+     * @event cacheEvictEvent
+     * @param oArgs.request {Object} The request object.
+     * @param oArgs.response {Object} The evicted response object.
+     * @param oArgs.reason {String} "capacity" or "expired".
+     */
+    this.createEvent("cacheEvictEvent");
+
+    /**
+     * Fired when a failed request to the live data source is scheduled to be
+     * sent again, as allowed by the retryPolicy.
+     *
+     * @event requestRetryEvent
+     * @param oArgs.request {Object} The request object.
+     * @param oArgs.response {Object} The failed response object.
+     * @param oArgs.callback {Object} The callback object.
+     * @param oArgs.tId {Number} Transaction ID.
+     * @param oArgs.attempt {Number} Number of the retry, starting at 1.
+     * @param oArgs.delay {Number} Milliseconds until the request is sent again.
+     * @param oArgs.caller {Object} (deprecated) Use callback.scope.
+     */
+    this.createEvent("requestRetryEvent");
+
+    /**
+     * Fired when a response is served from the offline cache because the
+     * browser is offline or the connection to the live data source failed.
+     *
+     * @event offlineResponseEvent
+     * @param oArgs.request {Object} The request object.
+     * @param oArgs.response {Object} The parsed response object.
+     * @param oArgs.callback {Object} The callback object.
+     * @param oArgs.tId {Number} Transaction ID, or null if no connection was made.
+     * @param oArgs.reason {String} "offline" or "failure".
+     * @param oArgs.caller {Object} (deprecated) Use callback.scope.
+     */
+    this.createEvent("offlineResponseEvent");
+
     var DS = util.DataSourceBase;
     this._sName = "DataSource instance" + DS._nIndex;
     DS._nIndex++;
@@ -262,6 +311,16 @@ TYPE_SCRIPTNODE : 7,
  */
 TYPE_LOCAL : 8,
 
+/**
+ * Type is a fixture of recorded responses, replayed by ReplayDataSource.
+ *
+ * @property TYPE_REPLAY
+ * @type Number
+ * @final
+ * @default 9
+ */
+TYPE_REPLAY : 9,
+
 /**
  * Error message for invalid dataresponses.
  *
@@ -282,6 +341,55 @@ ERROR_DATAINVALID : "Invalid data",
  */
 ERROR_DATANULL : "Null data",
 
+/**
+ * Error message for responses with field values that failed to parse, when
+ * strictParsing is enabled.
+ *
+ * @property ERROR_DATAPARSE
+ * @type String
+ * @final
+ * @default "Invalid field data"
+ */
+ERROR_DATAPARSE : "Invalid field data",
+
+/**
+ * Message of parse errors for field values that could not be parsed.
+ *
+ * @property ERROR_FIELDINVALID
+ * @type String
+ * @final
+ * @default "Invalid value"
+ */
+ERROR_FIELDINVALID : "Invalid value",
+
+/**
+ * Message of parse errors for required field values that are missing.
+ *
+ * @property ERROR_FIELDREQUIRED
+ * @type String
+ * @final
+ * @default "Missing required value"
+ */
+ERROR_FIELDREQUIRED : "Missing required value",
+
+/**
+ * Default values of the retryPolicy properties. Changing these values affects
+ * all DataSource instances.
+ *
+ * @property RETRY_DEFAULTS
+ * @type Object
+ * @static
+ */
+RETRY_DEFAULTS : {
+    maxRetries : 3,
+    delay : 500,
+    multiplier : 2,
+    maxDelay : 30000,
+    jitter : 0.5,
+    statuses : [0, 408, 429, 500, 502, 503, 504],
+    timeouts : true
+},
+
 /////////////////////////////////////////////////////////////////////////////
 //
 // DataSourceBase private static properties
@@ -350,6 +458,87 @@ _getLocationValue: function(field, context) {
     }
 },
 
+/**
+ * Splits delimited text into an array of records, each an array of String
+ * values. Values that begin with the quote character may contain field and
+ * record delimiters, and a doubled quote character stands for a literal one,
+ * per RFC 4180.
+ *
+ * @method _parseDelimitedText
+ * @param sText {String} Delimited text.
+ * @param sRecordDelim {String} Record delimiter.
+ * @param sFieldDelim {String} Field delimiter.
+ * @param sQuote {String} Quote character, or "" to disable quote handling.
+ * @return {String[][]} Array of records.
+ * @static
+ * @private
+ */
+_parseDelimitedText : function(sText, sRecordDelim, sFieldDelim, sQuote) {
+    var aRecords = [],
+        aValues = [],
+        nLength = sText.length,
+        nRecordLength = sRecordDelim.length,
+        nFieldLength = sFieldDelim.length,
+        nQuoteLength = sQuote.length,
+        i = 0,
+        sValue, nQuoteEnd, nFieldEnd, nRecordEnd;
+
+    while(i < nLength) {
+        sValue = "";
+
+        // Quoted value runs to the next unescaped quote
+        if(nQuoteLength && (sText.substr(i, nQuoteLength) === sQuote)) {
+            i += nQuoteLength;
+            while(true) {
+                nQuoteEnd = sText.indexOf(sQuote, i);
+                // Unterminated quote takes the rest of the text
+                if(nQuoteEnd < 0) {
+                    sValue += sText.substring(i);
+                    i = nLength;
+                    break;
+                }
+                sValue += sText.substring(i, nQuoteEnd);
+                i = nQuoteEnd + nQuoteLength;
+                // Doubled quote is an escaped quote
+                if(sText.substr(i, nQuoteLength) === sQuote) {
+                    sValue += sQuote;
+                    i += nQuoteLength;
+                }
+                else {
+                    break;
+                }
+            }
+        }
+
+        // Anything else up to the next delimiter belongs to the value
+        nFieldEnd = sText.indexOf(sFieldDelim, i);
+        nRecordEnd = sText.indexOf(sRecordDelim, i);
+        if((nFieldEnd > -1) && ((nRecordEnd < 0) || (nFieldEnd < nRecordEnd))) {
+            aValues[aValues.length] = sValue + sText.substring(i, nFieldEnd);
+            i = nFieldEnd + nFieldLength;
+            // Trailing field delimiter leaves one empty value
+            if(i >= nLength) {
+                aValues[aValues.length] = "";
+            }
+        }
+        else {
+            if(nRecordEnd < 0) {
+                nRecordEnd = nLength;
+            }
+            aValues[aValues.length] = sValue + sText.substring(i, nRecordEnd);
+            aRecords[aRecords.length] = aValues;
+            aValues = [];
+            i = nRecordEnd + nRecordLength;
+        }
+    }
+
+    if(aValues.length > 0) {
+        aRecords[aRecords.length] = aValues;
+    }
+
+    return aRecords;
+},
+
 /////////////////////////////////////////////////////////////////////////////
 //
 // DataSourceBase public static methods
@@ -515,13 +704,23 @@ DS.prototype = {
 _sName : null,
 
 /**
- * Local cache of data result object literals indexed chronologically.
+ * Local cache of data result object literals, held as a list ordered from
+ * least to most recently used, and indexed by cache key.
  *
- * @property _aCache
- * @type Object[]
+ * @property _oCache
+ * @type Object
+ * @private
+ */
+_oCache : null,
+
+/**
+ * Cache hit, miss, eviction and expiration counts.
+ *
+ * @property _oCacheStats
+ * @type Object
  * @private
  */
-_aCache : null,
+_oCacheStats : null,
 
 /**
  * Local queue of request connections, enabled if queue needs to be managed.
@@ -541,6 +740,36 @@ _oQueue : null,
  */
 _aIntervals : null,
 
+/**
+ * Requests in progress that identical requests may attach to, each an object
+ * literal with the request, its cache key, callback and transaction ID, and
+ * the callbacks of the requests attached to it.
+ *
+ * @property _aPending
+ * @type Object[]
+ * @private
+ */
+_aPending : null,
+
+/**
+ * Failed requests waiting to be sent again, each an object literal with the
+ * timer ID and a function that gives up on the request.
+ *
+ * @property _aRetries
+ * @type Object[]
+ * @private
+ */
+_aRetries : null,
+
+/**
+ * Fixture that responses are recorded into while recording, or null.
+ *
+ * @property _oRecording
+ * @type Object
+ * @private
+ */
+_oRecording : null,
+
 /////////////////////////////////////////////////////////////////////////////
 //
 // DataSourceBase public properties
@@ -559,6 +788,16 @@ _aIntervals : null,
  */
 maxCacheEntries : 0,
 
+/**
+ * Default number of milliseconds a response stays in the local cache before
+ * it expires. Set to 0 for responses to never expire.
+ *
+ * @property maxCacheAge
+ * @type Number
+ * @default 0
+ */
+maxCacheAge : 0,
+
  /**
  * Pointer to live database.
  *
@@ -607,12 +846,23 @@ responseType : DS.TYPE_UNKNOWN,
  * Response schema object literal takes a combination of the following properties:
  *
  * <dl>
- * <dt>resultsList</dt> <dd>Pointer to array of tabular data</dd>
+ * <dt>resultsList</dt> <dd>Pointer to array of tabular data. For JSON data,
+ * may hold JSONPath-style wildcards, recursive descents and filters (see
+ * parseJSONData)</dd>
  * <dt>resultNode</dt> <dd>Pointer to node name of row data (XML data only)</dd>
  * <dt>recordDelim</dt> <dd>Record delimiter (text data only)</dd>
  * <dt>fieldDelim</dt> <dd>Field delimiter (text data only)</dd>
+ * <dt>quoteChar</dt> <dd>Character used to quote field values, which may then
+ * contain delimiters and doubled quote characters, per RFC 4180. Defaults to
+ * "\"". Set to "" to disable quote handling (text data only)</dd>
+ * <dt>headerRow</dt> <dd>True if the first record holds the field names. Fields
+ * are then matched to columns by key rather than by position, and when no
+ * fields are defined, results are keyed by the header names (text data only)</dd>
  * <dt>fields</dt> <dd>Array of field names (aka keys), or array of object literals
- * such as: {key:"fieldname",parser:YAHOO.util.DataSourceBase.parseDate}</dd>
+ * such as: {key:"fieldname",parser:YAHOO.util.DataSourceBase.parseDate}. Object
+ * literals may also set <code>required</code> to true to report a parse error
+ * when the value is missing, and <code>defaultValue</code> to use in place of
+ * a missing value. Values that are null, undefined or "" are missing.</dd>
  * <dt>metaFields</dt> <dd>Object literal of keys to include in the oParsedResponse.meta collection</dd>
  * <dt>metaNode</dt> <dd>Name of the node under which to search for meta information in XML response data</dd>
  * </dl>
@@ -643,6 +893,566 @@ responseSchema : null,
  */
 useXPath : false,
 
+/**
+ * True if a request identical to one still in progress should not make its
+ * own connection, but instead receive the response to the request in
+ * progress. Requests are identical when their cache keys match (see
+ * getCacheKey), or when they are the same object. Coalesced requests share
+ * the parsed response, including any changes made by doBeforeCallback() for
+ * the first request. A request opts out when its callback object has a
+ * <code>coalesce</code> property set to false.
+ *
+ * @property coalesceRequests
+ * @type Boolean
+ * @default false
+ */
+coalesceRequests : false,
+
+/**
+ * Enables automatic retries of requests to remote data that fail with a
+ * transient error. Set to an object literal taking a combination of the
+ * following properties, where missing values are taken from
+ * YAHOO.util.DataSourceBase.RETRY_DEFAULTS:
+ *
+ * <dl>
+ * <dt>maxRetries</dt> <dd>Number of times a request is sent again before the
+ * failure is passed on to the callback (default 3)</dd>
+ * <dt>delay</dt> <dd>Milliseconds to wait before the first retry (default 500)</dd>
+ * <dt>multiplier</dt> <dd>Factor the delay grows by with each retry (default 2)</dd>
+ * <dt>maxDelay</dt> <dd>Upper limit of the delay in milliseconds (default 30000)</dd>
+ * <dt>jitter</dt> <dd>Fraction between 0 and 1 of the delay that is randomized,
+ * so that many clients do not retry all at once (default 0.5)</dd>
+ * <dt>statuses</dt> <dd>Array of HTTP status codes that are retried, where 0
+ * stands for a communication failure (default [0, 408, 429, 500, 502, 503, 504])</dd>
+ * <dt>timeouts</dt> <dd>True if requests that time out are retried (default true)</dd>
+ * </dl>
+ *
+ * Requests canceled by the cancelStaleRequests connXhrMode, and failed
+ * requests whose responses would be ignored as stale, are never retried.
+ * Set to null to turn off retries.
+ *
+ * @property retryPolicy
+ * @type Object
+ * @default null
+ */
+retryPolicy : null,
+
+/**
+ * True if field values that fail to parse, or required field values that are
+ * missing, turn the response into an error: dataErrorEvent is fired and the
+ * failure callback is called. Either way, such values are reported in the
+ * <code>parseErrors</code> array of the parsed response's meta collection,
+ * each an object literal with the <code>index</code> of the record, the field
+ * <code>key</code>, the raw <code>value</code>, the name of the
+ * <code>parser</code> and a <code>message</code>.
+ *
+ * @property strictParsing
+ * @type Boolean
+ * @default false
+ */
+strictParsing : false,
+
+/**
+ * Enables a persistent cache of parsed responses that survives page reloads.
+ * Responses are served from it when the browser is offline (see isOffline) or
+ * when the connection to the live data source fails. Set to a YAHOO.util.Storage
+ * engine instance, or to true to use the default engine of
+ * YAHOO.util.StorageManager.get() in local storage. Served responses carry an
+ * <code>offlineCache</code> object literal in their meta collection, with the
+ * <code>timestamp</code> the response was stored at, its <code>age</code> in
+ * milliseconds and the <code>reason</code> it was served, "offline" or
+ * "failure". Only requests with a cache key (see getCacheKey) are stored, and
+ * Date values in the response are restored as Dates.
+ *
+ * @property offlineCache
+ * @type YAHOO.util.Storage | Boolean
+ * @default null
+ */
+offlineCache : null,
+
+/**
+ * Name under which responses are stored in the offline cache, so that
+ * DataSources sharing a storage engine do not collide. Defaults to the
+ * liveData, if it is a String.
+ *
+ * @property offlineCacheName
+ * @type String
+ * @default null
+ */
+offlineCacheName : null,
+
+/**
+ * Number of milliseconds a response in the offline cache may be served for
+ * after it was stored. Set to 0 for responses to never expire.
+ *
+ * @property maxOfflineAge
+ * @type Number
+ * @default 0
+ */
+maxOfflineAge : 0,
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// DataSourceBase private methods
+//
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Returns the cache element matching the given request, or null. Elements are
+ * looked up by cache key, unless the request has no key or isCacheHit() has
+ * been overridden, in which case every element is compared in turn.
+ *
+ * @method _findInCache
+ * @param oRequest {Object} Request object.
+ * @return {Object} Cache element or null.
+ * @private
+ */
+_findInCache : function(oRequest) {
+    var oCache = this._oCache,
+        sKey = this.getCacheKey(oRequest),
+        oCacheElem;
+
+    if(lang.isString(sKey) && (this.isCacheHit === DS.prototype.isCacheHit)) {
+        return lang.hasOwnProperty(oCache.entries, "@" + sKey) ?
+                oCache.entries["@" + sKey] : null;
+    }
+
+    // Loop through each cached element, newest first
+    for(oCacheElem = oCache.tail; oCacheElem; oCacheElem = oCacheElem.prev) {
+        // Defer cache hit logic to a public overridable method
+        if(this.isCacheHit(oRequest, oCacheElem.request)) {
+            return oCacheElem;
+        }
+    }
+    return null;
+},
+
+/**
+ * Returns the request in progress that is identical to the given request, or
+ * null.
+ *
+ * @method _findPending
+ * @param oRequest {Object} Request object.
+ * @return {Object} Pending request or null.
+ * @private
+ */
+_findPending : function(oRequest) {
+    var aPending = this._aPending,
+        sKey = this.getCacheKey(oRequest),
+        i;
+    for(i=aPending.length-1; i>-1; i--) {
+        if(lang.isString(sKey) ? (aPending[i].key === sKey) : (aPending[i].request === oRequest)) {
+            return aPending[i];
+        }
+    }
+    return null;
+},
+
+/**
+ * Stops tracking the given request as in progress, and returns the callbacks
+ * of the identical requests attached to it.
+ *
+ * @method _resolvePending
+ * @param oRequest {Object} Request object.
+ * @param oCallback {Object} Callback object of the request.
+ * @return {Object[]} Array of attached requests, each an object literal
+ * with request, callback and caller properties.
+ * @private
+ */
+_resolvePending : function(oRequest, oCallback) {
+    var aPending = this._aPending || [],
+        i;
+    for(i=aPending.length-1; i>-1; i--) {
+        if((aPending[i].request === oRequest) && (aPending[i].callback === oCallback)) {
+            return aPending.splice(i,1)[0].callbacks;
+        }
+    }
+    return [];
+},
+
+/**
+ * Sends the given response to the callbacks of attached requests.
+ *
+ * @method _issuePendingCallbacks
+ * @param aCallbacks {Object[]} Attached requests returned by _resolvePending().
+ * @param oResponse {Object} Response object.
+ * @param bError {Boolean} Whether an error occurred.
+ * @private
+ */
+_issuePendingCallbacks : function(aCallbacks, oResponse, bError) {
+    for(var i=0, len=aCallbacks.length; i<len; i++) {
+        DS.issueCallback(aCallbacks[i].callback, [aCallbacks[i].request, oResponse],
+                bError, aCallbacks[i].caller);
+    }
+},
+
+/**
+ * Schedules a failed request to be sent again, if allowed by the retryPolicy,
+ * and fires requestRetryEvent. The delay grows exponentially with each retry.
+ *
+ * @method _retryRequest
+ * @param oAttempt {Object} Object literal with the request, response, callback,
+ * caller and tId of the failed request; retries, the number of retries made so
+ * far; timeout, true if the request timed out; retry, the function that sends
+ * the request again; and fail, the function that gives up on the request.
+ * @return {Boolean} True if a retry was scheduled.
+ * @private
+ */
+_retryRequest : function(oAttempt) {
+    if(!this.retryPolicy) {
+        return false;
+    }
+
+    var oPolicy = lang.merge(DS.RETRY_DEFAULTS, this.retryPolicy),
+        oResponse = oAttempt.response || {},
+        bRetryable = false,
+        i;
+
+    if(oAttempt.timeout) {
+        bRetryable = oPolicy.timeouts;
+    }
+    else {
+        for(i=oPolicy.statuses.length-1; i>-1; i--) {
+            if(oPolicy.statuses[i] === oResponse.status) {
+                bRetryable = true;
+                break;
+            }
+        }
+    }
+    if(!bRetryable || (oAttempt.retries >= oPolicy.maxRetries)) {
+        return false;
+    }
+
+    var nDelay = Math.min(oPolicy.delay * Math.pow(oPolicy.multiplier, oAttempt.retries), oPolicy.maxDelay);
+    nDelay = Math.round(nDelay * (1 - oPolicy.jitter * Math.random()));
+
+    var oSelf = this,
+        oRetry = {fail: oAttempt.fail};
+    oRetry.timer = setTimeout(function() {
+        var aRetries = oSelf._aRetries;
+        for(var j=aRetries.length-1; j>-1; j--) {
+            if(aRetries[j] === oRetry) {
+                aRetries.splice(j,1);
+            }
+        }
+        oAttempt.retry();
+    }, nDelay);
+    this._aRetries.push(oRetry);
+
+    this.fireEvent("requestRetryEvent", {request:oAttempt.request, response:oAttempt.response,
+            callback:oAttempt.callback, caller:oAttempt.caller, tId:oAttempt.tId,
+            attempt:oAttempt.retries+1, delay:nDelay});
+    YAHOO.log("Retrying request \"" + oAttempt.request + "\" in " + nDelay + " ms", "info", this.toString());
+    return true;
+},
+
+/**
+ * Gives up on all failed requests waiting to be sent again, passing their
+ * failures on to their callbacks.
+ *
+ * @method _cancelRetries
+ * @private
+ */
+_cancelRetries : function() {
+    var aRetries = this._aRetries || [];
+    this._aRetries = [];
+    for(var i=0, len=aRetries.length; i<len; i++) {
+        clearTimeout(aRetries[i].timer);
+        aRetries[i].fail();
+    }
+},
+
+/**
+ * Parses the raw value of a field with the given parser, filling in the field's
+ * defaultValue for a missing value. A value the parser fails on, and a missing
+ * value of a required field, is reported in the given array of parse errors.
+ * A parser fails when it throws, or returns null, NaN or an invalid Date for a
+ * value that is not missing.
+ *
+ * @method _parseFieldValue
+ * @param oField {Object | String} Field definition.
+ * @param fnParser {Function} Parser function, or null.
+ * @param oData {Object} Raw value.
+ * @param nIndex {Number} Index of the record.
+ * @param aErrors {Object[]} Parse errors of the response.
+ * @return {Object} Parsed value.
+ * @private
+ */
+_parseFieldValue : function(oField, fnParser, oData, nIndex, aErrors) {
+    var sKey = lang.isValue(oField.key) ? oField.key : oField,
+        bMissing = !lang.isValue(oData) || (oData === ""),
+        oValue = oData,
+        sMessage = null;
+
+    if(bMissing) {
+        if(!lang.isUndefined(oField.defaultValue)) {
+            return oField.defaultValue;
+        }
+        if(oField.required) {
+            aErrors.push({index:nIndex, key:sKey, value:oData, parser:null,
+                    message:DS.ERROR_FIELDREQUIRED});
+        }
+    }
+
+    if(fnParser) {
+        try {
+            oValue = fnParser.call(this, oData);
+        }
+        catch(e) {
+            oValue = null;
+            sMessage = e.message || (e + "");
+        }
+        if(!bMissing && (sMessage || !lang.isValue(oValue) ||
+                ((oValue instanceof Date) && isNaN(oValue.getTime())))) {
+            aErrors.push({index:nIndex, key:sKey, value:oData,
+                    parser:this._getParserName(oField, fnParser),
+                    message:sMessage || DS.ERROR_FIELDINVALID});
+            YAHOO.log("Could not parse value " + lang.dump(oData) + " of field \"" +
+                    sKey + "\" in record " + nIndex, "warn", this.toString());
+        }
+    }
+
+    // Safety measure
+    return (oValue === undefined) ? null : oValue;
+},
+
+/**
+ * Returns the name of the given field parser, for parse errors: the name it
+ * was given by in the field definition or in DataSourceBase.Parser, else its
+ * function name or "custom".
+ *
+ * @method _getParserName
+ * @param oField {Object | String} Field definition.
+ * @param fnParser {Function} Parser function.
+ * @return {String} Parser name.
+ * @private
+ */
+_getParserName : function(oField, fnParser) {
+    if(lang.isString(oField.parser)) {
+        return oField.parser;
+    }
+    for(var sName in DS.Parser) {
+        if(lang.hasOwnProperty(DS.Parser, sName) && (DS.Parser[sName] === fnParser)) {
+            return sName;
+        }
+    }
+    return fnParser.name || "custom";
+},
+
+/**
+ * Adds the raw response to the given request to the recording, as a
+ * serializable fixture entry.
+ *
+ * @method _recordResponse
+ * @param oRequest {Object} Request object.
+ * @param oRawResponse {Object} The raw response from the live data source.
+ * @private
+ */
+_recordResponse : function(oRequest, oRawResponse) {
+    var oEntry = {request:oRequest, responseType:this.responseType},
+        oJSON = lang.JSON || window.JSON;
+
+    // XHR responses are recorded as received over the wire
+    if((this.dataType == DS.TYPE_XHR) && oRawResponse && lang.isString(oRawResponse.responseText)) {
+        oEntry.type = (this.responseType === DS.TYPE_XML) ? "xml" :
+                (this.responseType === DS.TYPE_HTMLTABLE) ? "html" : "text";
+        oEntry.response = oRawResponse.responseText;
+        oEntry.status = oRawResponse.status;
+        oEntry.statusText = oRawResponse.statusText;
+    }
+    else if(lang.isString(oRawResponse)) {
+        oEntry.type = "text";
+        oEntry.response = oRawResponse;
+    }
+    else if(oRawResponse && oRawResponse.nodeName && (oRawResponse.nodeName.toLowerCase() == "table")) {
+        oEntry.type = "html";
+        oEntry.response = oRawResponse.outerHTML;
+    }
+    else if(oRawResponse && oRawResponse.nodeType) {
+        oEntry.type = "xml";
+        oEntry.response = window.XMLSerializer ?
+                new XMLSerializer().serializeToString(oRawResponse) : oRawResponse.xml;
+    }
+    // Copy data so that later changes to it do not leak into the recording
+    else {
+        oEntry.type = "json";
+        oEntry.response = (oJSON && lang.isValue(oRawResponse)) ?
+                oJSON.parse(oJSON.stringify(oRawResponse)) : oRawResponse;
+    }
+
+    this._oRecording.entries.push(oEntry);
+},
+
+/**
+ * Adds a failed request to the recording, as a serializable fixture entry.
+ *
+ * @method _recordFailure
+ * @param oRequest {Object} Request object.
+ * @param oResponse {Object} Failure response object.
+ * @private
+ */
+_recordFailure : function(oRequest, oResponse) {
+    oResponse = oResponse || {};
+    this._oRecording.entries.push({request:oRequest, error:true,
+            status:oResponse.status, statusText:oResponse.statusText});
+},
+
+/**
+ * Returns the storage engine of the offline cache, or null if the offline cache
+ * is disabled or not ready.
+ *
+ * @method _getOfflineStorage
+ * @return {YAHOO.util.Storage} Storage engine or null.
+ * @private
+ */
+_getOfflineStorage : function() {
+    if(this.offlineCache === true) {
+        try {
+            this.offlineCache = util.StorageManager.get(null, util.StorageManager.LOCATION_LOCAL);
+        }
+        catch(e) {
+            YAHOO.log("Could not get a storage engine for the offline cache", "warn", this.toString());
+            this.offlineCache = null;
+        }
+    }
+
+    var oStorage = this.offlineCache;
+    return (oStorage && oStorage.isReady && (lang.JSON || window.JSON)) ? oStorage : null;
+},
+
+/**
+ * Returns the key the response to the given request is stored under in the
+ * offline cache, or null if the response cannot be stored.
+ *
+ * @method _getOfflineKey
+ * @param oRequest {Object} Request object.
+ * @return {String} Storage key or null.
+ * @private
+ */
+_getOfflineKey : function(oRequest) {
+    var sName = this.offlineCacheName || (lang.isString(this.liveData) ? this.liveData : null),
+        sKey = this.getCacheKey(oRequest);
+    return (lang.isString(sName) && lang.isString(sKey)) ?
+            this._getOfflinePrefix(sName) + sKey : null;
+},
+
+/**
+ * Returns the prefix of all keys stored in the offline cache under the given name.
+ *
+ * @method _getOfflinePrefix
+ * @param sName {String} Name of the offline cache.
+ * @return {String} Key prefix.
+ * @private
+ */
+_getOfflinePrefix : function(sName) {
+    return "YUIDataSource:" + sName.length + ":" + sName + ":";
+},
+
+/**
+ * Sends the response to the given request from the offline cache to the
+ * callback and to any identical requests attached to it.
+ *
+ * @method _serveOffline
+ * @param oRequest {Object} Request object.
+ * @param oCallback {Object} Callback object.
+ * @param oCaller {Object} (deprecated) Use oCallback.scope.
+ * @param tId {Number} Transaction ID, or null if no connection was made.
+ * @param sReason {String} "offline" or "failure".
+ * @return {Boolean} True if a response was served.
+ * @private
+ */
+_serveOffline : function(oRequest, oCallback, oCaller, tId, sReason) {
+    var oResponse = this.getOfflineResponse(oRequest);
+    if(!oResponse) {
+        return false;
+    }
+
+    oResponse.meta.offlineCache.reason = sReason;
+    oResponse.tId = tId;
+    this.fireEvent("offlineResponseEvent", {request:oRequest, response:oResponse,
+            callback:oCallback, caller:oCaller, tId:tId, reason:sReason});
+    YAHOO.log("Served the response for \"" + oRequest + "\" from the offline cache", "info", this.toString());
+
+    var aPendingCallbacks = this._resolvePending(oRequest, oCallback);
+    DS.issueCallback(oCallback,[oRequest,oResponse],false,oCaller);
+    this._issuePendingCallbacks(aPendingCallbacks, oResponse, false);
+    return true;
+},
+
+/**
+ * Adds the given element to the cache in the most recently used position.
+ *
+ * @method _linkToCache
+ * @param oCacheElem {Object} Cache element.
+ * @private
+ */
+_linkToCache : function(oCacheElem) {
+    var oCache = this._oCache;
+    oCacheElem.prev = oCache.tail;
+    oCacheElem.next = null;
+    if(oCache.tail) {
+        oCache.tail.next = oCacheElem;
+    }
+    else {
+        oCache.head = oCacheElem;
+    }
+    oCache.tail = oCacheElem;
+    if(lang.isString(oCacheElem.key)) {
+        oCache.entries["@" + oCacheElem.key] = oCacheElem;
+    }
+    oCache.length++;
+},
+
+/**
+ * Removes the given element from the cache.
+ *
+ * @method _unlinkFromCache
+ * @param oCacheElem {Object} Cache element.
+ * @private
+ */
+_unlinkFromCache : function(oCacheElem) {
+    var oCache = this._oCache;
+    if(oCacheElem.prev) {
+        oCacheElem.prev.next = oCacheElem.next;
+    }
+    else {
+        oCache.head = oCacheElem.next;
+    }
+    if(oCacheElem.next) {
+        oCacheElem.next.prev = oCacheElem.prev;
+    }
+    else {
+        oCache.tail = oCacheElem.prev;
+    }
+    oCacheElem.prev = oCacheElem.next = null;
+    if(lang.isString(oCacheElem.key)) {
+        delete oCache.entries["@" + oCacheElem.key];
+    }
+    oCache.length--;
+},
+
+/**
+ * Removes the given element from the cache and fires cacheEvictEvent.
+ *
+ * @method _evictFromCache
+ * @param oCacheElem {Object} Cache element.
+ * @param sReason {String} "capacity" or "expired".
+ * @private
+ */
+_evictFromCache : function(oCacheElem, sReason) {
+    this._unlinkFromCache(oCacheElem);
+    if(sReason === "expired") {
+        this._oCacheStats.expirations++;
+    }
+    else {
+        this._oCacheStats.evictions++;
+    }
+    this.fireEvent("cacheEvictEvent", {request:oCacheElem.request,
+            response:oCacheElem.response, reason:sReason});
+    YAHOO.log("Evicted the " + sReason + " response for \"" + oCacheElem.request +
+            "\" from the cache", "info", this.toString());
+},
+
 /////////////////////////////////////////////////////////////////////////////
 //
 // DataSourceBase public methods
@@ -661,8 +1471,8 @@ toString : function() {
 
 /**
  * Overridable method passes request to cache and returns cached response if any,
- * refreshing the hit in the cache as the newest item. Returns null if there is
- * no cache hit.
+ * refreshing the hit in the cache as the most recently used item. Returns null
+ * if there is no cache hit. Expired responses are evicted rather than returned.
  *
  * @method getCachedResponse
  * @param oRequest {Object} Request object.
@@ -671,55 +1481,54 @@ toString : function() {
  * @return {Object} Cached response object or null.
  */
 getCachedResponse : function(oRequest, oCallback, oCaller) {
-    var aCache = this._aCache;
+    var oCache = this._oCache;
 
     // If cache is enabled...
     if(this.maxCacheEntries > 0) {        
         // Initialize local cache
-        if(!aCache) {
-            this._aCache = [];
+        if(!oCache) {
+            this._oCache = {entries:{}, head:null, tail:null, length:0};
             YAHOO.log("Cache initialized", "info", this.toString());
         }
         // Look in local cache
-        else {
-            var nCacheLength = aCache.length;
-            if(nCacheLength > 0) {
-                var oResponse = null;
-                this.fireEvent("cacheRequestEvent", {request:oRequest,callback:oCallback,caller:oCaller});
-        
-                // Loop through each cached element
-                for(var i = nCacheLength-1; i >= 0; i--) {
-                    var oCacheElem = aCache[i];
-        
-                    // Defer cache hit logic to a public overridable method
-                    if(this.isCacheHit(oRequest,oCacheElem.request)) {
-                        // The cache returned a hit!
-                        // Grab the cached response
-                        oResponse = oCacheElem.response;
-                        this.fireEvent("cacheResponseEvent", {request:oRequest,response:oResponse,callback:oCallback,caller:oCaller});
-                        
-                        // Refresh the position of the cache hit
-                        if(i < nCacheLength-1) {
-                            // Remove element from its original location
-                            aCache.splice(i,1);
-                            // Add as newest
-                            this.addToCache(oRequest, oResponse);
-                            YAHOO.log("Refreshed cache position of the response for \"" +  oRequest + "\"", "info", this.toString());
-                        }
-                        
-                        // Add a cache flag
-                        oResponse.cached = true;
-                        break;
-                    }
+        else if(oCache.length > 0) {
+            var oResponse = null;
+            this.fireEvent("cacheRequestEvent", {request:oRequest,callback:oCallback,caller:oCaller});
+
+            var oCacheElem = this._findInCache(oRequest);
+            if(oCacheElem && oCacheElem.expires && (oCacheElem.expires <= new Date().getTime())) {
+                this._evictFromCache(oCacheElem, "expired");
+                oCacheElem = null;
+            }
+
+            if(oCacheElem) {
+                // The cache returned a hit!
+                // Grab the cached response
+                oResponse = oCacheElem.response;
+                this._oCacheStats.hits++;
+                this.fireEvent("cacheResponseEvent", {request:oRequest,response:oResponse,callback:oCallback,caller:oCaller});
+
+                // Refresh the position of the cache hit
+                if(oCacheElem !== oCache.tail) {
+                    this._unlinkFromCache(oCacheElem);
+                    this._linkToCache(oCacheElem);
+                    YAHOO.log("Refreshed cache position of the response for \"" +  oRequest + "\"", "info", this.toString());
                 }
-                YAHOO.log("The cached response for \"" + lang.dump(oRequest) +
-                        "\" is " + lang.dump(oResponse), "info", this.toString());
-                return oResponse;
+
+                // Add a cache flag
+                oResponse.cached = true;
             }
+            else {
+                this._oCacheStats.misses++;
+            }
+            YAHOO.log("The cached response for \"" + lang.dump(oRequest) +
+                    "\" is " + lang.dump(oResponse), "info", this.toString());
+            return oResponse;
         }
+        this._oCacheStats.misses++;
     }
-    else if(aCache) {
-        this._aCache = null;
+    else if(oCache) {
+        this._oCache = null;
         YAHOO.log("Cache destroyed", "info", this.toString());
     }
     return null;
@@ -728,7 +1537,10 @@ getCachedResponse : function(oRequest, oCallback, oCaller) {
 /**
  * Default overridable method matches given request to given cached request.
  * Returns true if is a hit, returns false otherwise.  Implementers should
- * override this method to customize the cache-matching algorithm.
+ * override this method to customize the cache-matching algorithm. Note that
+ * overriding this method means every cached request must be compared in turn,
+ * so overriding getCacheKey() is the preferred way to match equivalent
+ * requests.
  *
  * @method isCacheHit
  * @param oRequest {Object} Request object.
@@ -740,27 +1552,62 @@ isCacheHit : function(oRequest, oCachedRequest) {
 },
 
 /**
- * Adds a new item to the cache. If cache is full, evicts the stalest item
- * before adding the new item.
+ * Default overridable method returns the String key under which the response
+ * to the given request is cached. Requests with the same key share a cache
+ * entry. By default, String requests are their own keys, and other requests
+ * return null, which falls back to matching them one by one with isCacheHit().
+ * Implementers may override this method so that equivalent requests hit, for
+ * instance by sorting query parameters:
+ * <pre>
+ * myDataSource.getCacheKey = function(oRequest) {
+ *     return oRequest.split("&amp;").sort().join("&amp;");
+ * };
+ * </pre>
+ *
+ * @method getCacheKey
+ * @param oRequest {Object} Request object.
+ * @return {String} Cache key, or null.
+ */
+getCacheKey : function(oRequest) {
+    return lang.isString(oRequest) ? oRequest : null;
+},
+
+/**
+ * Adds a new item to the cache, replacing any item cached under the same key.
+ * If cache is full, evicts the least recently used item before adding the new
+ * item.
  *
  * @method addToCache
  * @param oRequest {Object} Request object.
  * @param oResponse {Object} Response object to cache.
+ * @param nMaxAge {Number} (optional) Milliseconds until the item expires, which
+ * overrides maxCacheAge for this item. Set to 0 to never expire.
  */
-addToCache : function(oRequest, oResponse) {
-    var aCache = this._aCache;
-    if(!aCache) {
+addToCache : function(oRequest, oResponse, nMaxAge) {
+    var oCache = this._oCache;
+    if(!oCache) {
         return;
     }
 
-    // If the cache is full, make room by removing stalest element (index=0)
-    while(aCache.length >= this.maxCacheEntries) {
-        aCache.shift();
+    var sKey = this.getCacheKey(oRequest),
+        oCacheElem = lang.isString(sKey) && lang.hasOwnProperty(oCache.entries, "@" + sKey) ?
+                oCache.entries["@" + sKey] : null;
+
+    // Replace the stale response for the same request
+    if(oCacheElem) {
+        this._unlinkFromCache(oCacheElem);
+    }
+
+    // If the cache is full, make room by evicting the least recently used element
+    while(oCache.head && (oCache.length >= this.maxCacheEntries)) {
+        this._evictFromCache(oCache.head, "capacity");
     }
 
-    // Add to cache in the newest position, at the end of the array
-    var oCacheElem = {request:oRequest,response:oResponse};
-    aCache[aCache.length] = oCacheElem;
+    // Add to cache in the most recently used position
+    nMaxAge = lang.isNumber(nMaxAge) ? nMaxAge : this.maxCacheAge;
+    oCacheElem = {key:sKey, request:oRequest, response:oResponse,
+            expires:(nMaxAge > 0) ? new Date().getTime() + nMaxAge : 0};
+    this._linkToCache(oCacheElem);
     this.fireEvent("responseCacheEvent", {request:oRequest,response:oResponse});
     YAHOO.log("Cached the response for \"" +  oRequest + "\"", "info", this.toString());
 },
@@ -771,13 +1618,196 @@ addToCache : function(oRequest, oResponse) {
  * @method flushCache
  */
 flushCache : function() {
-    if(this._aCache) {
-        this._aCache = [];
+    if(this._oCache) {
+        this._oCache = {entries:{}, head:null, tail:null, length:0};
         this.fireEvent("cacheFlushEvent");
         YAHOO.log("Flushed the cache", "info", this.toString());
     }
 },
 
+/**
+ * Returns cache statistics as an object literal with the following properties:
+ * <dl>
+ *     <dt>size {Number}</dt> <dd>Number of items in the cache</dd>
+ *     <dt>maxSize {Number}</dt> <dd>Value of maxCacheEntries</dd>
+ *     <dt>hits {Number}</dt> <dd>Number of requests served from the cache</dd>
+ *     <dt>misses {Number}</dt> <dd>Number of requests not found in the cache</dd>
+ *     <dt>evictions {Number}</dt> <dd>Number of items evicted to make room</dd>
+ *     <dt>expirations {Number}</dt> <dd>Number of items evicted for being expired</dd>
+ * </dl>
+ *
+ * @method getCacheStats
+ * @return {Object} Cache statistics.
+ */
+getCacheStats : function() {
+    var oStats = this._oCacheStats;
+    return {
+        size: this._oCache ? this._oCache.length : 0,
+        maxSize: this.maxCacheEntries,
+        hits: oStats.hits,
+        misses: oStats.misses,
+        evictions: oStats.evictions,
+        expirations: oStats.expirations
+    };
+},
+
+/**
+ * Overridable method returns true if the browser reports being offline, in
+ * which case requests are served from the offline cache when possible.
+ *
+ * @method isOffline
+ * @return {Boolean} True if offline.
+ */
+isOffline : function() {
+    return !!(window.navigator && (window.navigator.onLine === false));
+},
+
+/**
+ * Stores the parsed response to the given request in the offline cache.
+ *
+ * @method addToOfflineCache
+ * @param oRequest {Object} Request object.
+ * @param oResponse {Object} Parsed response object.
+ */
+addToOfflineCache : function(oRequest, oResponse) {
+    var oStorage = this._getOfflineStorage(),
+        sKey = oStorage ? this._getOfflineKey(oRequest) : null;
+    if(!sKey || !oResponse || oResponse.error) {
+        return;
+    }
+
+    // Leave out the transient properties of the response
+    var oJSON = lang.JSON || window.JSON,
+        oStored = lang.merge(oResponse),
+        sValue;
+    delete oStored.tId;
+    if(oStored.meta) {
+        oStored.meta = lang.merge(oStored.meta);
+        delete oStored.meta.offlineCache;
+    }
+    sValue = oJSON.stringify({timestamp:new Date().getTime(), response:oStored},
+        function(sProp, oValue) {
+            // Mark Dates to be restored
+            if(this[sProp] instanceof Date) {
+                return {"$date":this[sProp].getTime()};
+            }
+            return oValue;
+        });
+
+    try {
+        oStorage.setItem(sKey, sValue);
+        YAHOO.log("Stored the response for \"" + oRequest + "\" in the offline cache", "info", this.toString());
+    }
+    catch(e) {
+        YAHOO.log("Could not store the response for \"" + oRequest +
+                "\" in the offline cache: " + e, "warn", this.toString());
+    }
+},
+
+/**
+ * Returns the parsed response to the given request from the offline cache,
+ * or null if none has been stored or it is older than maxOfflineAge.
+ *
+ * @method getOfflineResponse
+ * @param oRequest {Object} Request object.
+ * @return {Object} Parsed response object or null.
+ */
+getOfflineResponse : function(oRequest) {
+    var oStorage = this._getOfflineStorage(),
+        sKey = oStorage ? this._getOfflineKey(oRequest) : null,
+        sValue = sKey ? oStorage.getItem(sKey) : null,
+        oEntry = null;
+    if(!lang.isString(sValue)) {
+        return null;
+    }
+
+    try {
+        oEntry = (lang.JSON || window.JSON).parse(sValue, function(sProp, oValue) {
+            return (oValue && lang.isNumber(oValue.$date)) ? new Date(oValue.$date) : oValue;
+        });
+    }
+    catch(e) {
+    }
+    if(!oEntry || !oEntry.response) {
+        return null;
+    }
+
+    var nAge = new Date().getTime() - oEntry.timestamp;
+    if((this.maxOfflineAge > 0) && (nAge > this.maxOfflineAge)) {
+        oStorage.removeItem(sKey);
+        return null;
+    }
+
+    var oResponse = oEntry.response;
+    oResponse.results = oResponse.results || [];
+    oResponse.meta = oResponse.meta || {};
+    oResponse.meta.offlineCache = {timestamp:oEntry.timestamp, age:nAge};
+    return oResponse;
+},
+
+/**
+ * Removes all responses of this DataSource from the offline cache.
+ *
+ * @method flushOfflineCache
+ */
+flushOfflineCache : function() {
+    var oStorage = this._getOfflineStorage(),
+        sName = this.offlineCacheName || (lang.isString(this.liveData) ? this.liveData : null);
+    if(oStorage && lang.isString(sName)) {
+        var sPrefix = this._getOfflinePrefix(sName),
+            sKey, i;
+        for(i=oStorage.length-1; i>-1; i--) {
+            sKey = oStorage.key(i);
+            if(lang.isString(sKey) && (sKey.indexOf(sPrefix) === 0)) {
+                oStorage.removeItem(sKey);
+            }
+        }
+        YAHOO.log("Flushed the offline cache", "info", this.toString());
+    }
+},
+
+/**
+ * Starts recording the raw responses from the live data source, along with
+ * their requests, into a fixture that ReplayDataSource can replay. Failed XHR
+ * and script node requests are recorded as well. Responses served from the
+ * cache are not.
+ *
+ * @method startRecording
+ */
+startRecording : function() {
+    this._oRecording = {entries:[]};
+    YAHOO.log("Started recording responses", "info", this.toString());
+},
+
+/**
+ * Stops recording responses.
+ *
+ * @method stopRecording
+ * @return {Object} The recorded fixture, or null if not recording.
+ */
+stopRecording : function() {
+    var oRecording = this._oRecording;
+    this._oRecording = null;
+    YAHOO.log("Stopped recording responses", "info", this.toString());
+    return oRecording;
+},
+
+/**
+ * Returns the fixture recorded so far. The fixture is an object literal with
+ * an <code>entries</code> array, and can be serialized with
+ * YAHOO.lang.JSON.stringify(). Each entry holds the <code>request</code>, the
+ * <code>response</code>, its <code>type</code> ("text", "json", "xml" or
+ * "html") and <code>responseType</code>, and for XHR the HTTP
+ * <code>status</code> and <code>statusText</code>. Entries of failed requests
+ * have <code>error</code> set to true instead of a response.
+ *
+ * @method getRecording
+ * @return {Object} The recorded fixture, or null if not recording.
+ */
+getRecording : function() {
+    return this._oRecording;
+},
+
 /**
  * Sets up a polling mechanism to send requests at set intervals and forward
  * responses to given callback.
@@ -882,9 +1912,31 @@ sendRequest : function(oRequest, oCallback, oCaller) {
         return null;
     }
 
+    // Then look in the offline cache if the browser is offline
+    if(this.offlineCache && this.isOffline() &&
+            this._serveOffline(oRequest, oCallback, oCaller, null, "offline")) {
+        return null;
+    }
+
+    // Then look for an identical request in progress
+    var bCoalesce = this.coalesceRequests && !(oCallback && (oCallback.coalesce === false)),
+        oPending = bCoalesce ? this._findPending(oRequest) : null;
+    if(oPending) {
+        oPending.callbacks.push({request:oRequest, callback:oCallback, caller:oCaller});
+        YAHOO.log("Attached request for \"" + oRequest + "\" to transaction " +
+                oPending.tId, "info", this.toString());
+        return oPending.tId;
+    }
 
     // Not in cache, so forward request to live data
     YAHOO.log("Making connection to live data for \"" + oRequest + "\"", "info", this.toString());
+    if(bCoalesce) {
+        oPending = {request:oRequest, key:this.getCacheKey(oRequest),
+                callback:oCallback, callbacks:[], tId:null};
+        this._aPending.push(oPending);
+        oPending.tId = this.makeConnection(oRequest, oCallback, oCaller);
+        return oPending.tId;
+    }
     return this.makeConnection(oRequest, oCallback, oCaller);
 },
 
@@ -983,6 +2035,10 @@ handleResponse : function(oRequest, oRawResponse, oCallback, oCaller, tId) {
         }
     }
 
+    if(this._oRecording) {
+        this._recordResponse(oRequest, oRawResponse);
+    }
+
     switch(this.responseType) {
         case DS.TYPE_JSARRAY:
             if(xhr && oRawResponse && oRawResponse.responseText) {
@@ -1119,6 +2175,13 @@ Math.max(oFullResponse.lastIndexOf("]"),oFullResponse.lastIndexOf("}"));
         oParsedResponse.meta = {};
     }
 
+    // Strict parsing fails responses with field values that did not parse
+    var sErrorMessage = DS.ERROR_DATANULL;
+    if(this.strictParsing && !oParsedResponse.error && oParsedResponse.meta.parseErrors) {
+        oParsedResponse.error = true;
+        sErrorMessage = DS.ERROR_DATAPARSE;
+    }
+
     // Success
     if(!oParsedResponse.error) {
         // Last chance to touch the raw response or the parsed response
@@ -1127,19 +2190,25 @@ Math.max(oFullResponse.lastIndexOf("]"),oFullResponse.lastIndexOf("}"));
                 response:oParsedResponse, callback:oCallback, caller:oCaller});
         // Cache the response
         this.addToCache(oRequest, oParsedResponse);
+        if(this.offlineCache) {
+            this.addToOfflineCache(oRequest, oParsedResponse);
+        }
     }
     // Error
     else {
         // Be sure the error flag is on
         oParsedResponse.error = true;
         this.fireEvent("dataErrorEvent", {request:oRequest, response: oRawResponse, callback:oCallback, 
-                caller:oCaller, message:DS.ERROR_DATANULL});
-        YAHOO.log(DS.ERROR_DATANULL, "error", this.toString());
+                caller:oCaller, message:sErrorMessage, parseErrors:oParsedResponse.meta.parseErrors});
+        YAHOO.log(sErrorMessage, "error", this.toString());
     }
 
-    // Send the response back to the caller
+    // Send the response back to the caller and to any identical requests
+    // made while this one was in progress
     oParsedResponse.tId = tId;
+    var aPendingCallbacks = this._resolvePending(oRequest, oCallback);
     DS.issueCallback(oCallback,[oRequest,oParsedResponse],oParsedResponse.error,oCaller);
+    this._issuePendingCallbacks(aPendingCallbacks, oParsedResponse, oParsedResponse.error);
 },
 
 /**
@@ -1213,6 +2282,7 @@ parseData : function(oRequest, oFullResponse) {
 parseArrayData : function(oRequest, oFullResponse) {
     if(lang.isArray(oFullResponse)) {
         var results = [],
+            aErrors = [],
             i, j,
             rec, field, data;
         
@@ -1243,34 +2313,13 @@ parseArrayData : function(oRequest, oFullResponse) {
                     for(j=fields.length-1; j>-1; j--) {
                         field = fields[j];
                         data = arrType ? rec[j] : rec[field.key];
-
-                        if (parsers[field.key]) {
-                            data = parsers[field.key].call(this,data);
-                        }
-
-                        // Safety measure
-                        if(data === undefined) {
-                            data = null;
-                        }
-
-                        oResult[field.key] = data;
+                        oResult[field.key] = this._parseFieldValue(field, parsers[field.key], data, i, aErrors);
                     }
                 }
                 else if (lang.isString(rec)) {
                     for(j=fields.length-1; j>-1; j--) {
                         field = fields[j];
-                        data = rec;
-
-                        if (parsers[field.key]) {
-                            data = parsers[field.key].call(this,data);
-                        }
-
-                        // Safety measure
-                        if(data === undefined) {
-                            data = null;
-                        }
-
-                        oResult[field.key] = data;
+                        oResult[field.key] = this._parseFieldValue(field, parsers[field.key], rec, i, aErrors);
                     }                
                 }
                 results[i] = oResult;
@@ -1281,6 +2330,10 @@ parseArrayData : function(oRequest, oFullResponse) {
             results = oFullResponse;
         }
         var oParsedResponse = {results:results};
+        // Report parse errors in record and field order
+        if(aErrors.length > 0) {
+            oParsedResponse.meta = {parseErrors:aErrors.reverse()};
+        }
         YAHOO.log("Parsed array data is " +
                 lang.dump(oParsedResponse), "info", this.toString());
         return oParsedResponse;
@@ -1292,7 +2345,9 @@ parseArrayData : function(oRequest, oFullResponse) {
 },
 
 /**
- * Overridable method parses plain text data into a response object.
+ * Overridable method parses plain text data into a response object. Quoted
+ * values are handled per RFC 4180, so CSV data may contain delimiters, escaped
+ * quotes and line breaks within a value.
  *
  * @method parseTextData
  * @param oRequest {Object} Request object.
@@ -1303,83 +2358,110 @@ parseArrayData : function(oRequest, oFullResponse) {
  */
 parseTextData : function(oRequest, oFullResponse) {
     if(lang.isString(oFullResponse)) {
-        if(lang.isString(this.responseSchema.recordDelim) &&
-                lang.isString(this.responseSchema.fieldDelim)) {
-            var oParsedResponse = {results:[]};
-            var recDelim = this.responseSchema.recordDelim;
-            var fieldDelim = this.responseSchema.fieldDelim;
-            if(oFullResponse.length > 0) {
-                // Delete the last line delimiter at the end of the data if it exists
-                var newLength = oFullResponse.length-recDelim.length;
-                if(oFullResponse.substr(newLength) == recDelim) {
-                    oFullResponse = oFullResponse.substr(0, newLength);
+        var schema = this.responseSchema;
+        if(lang.isString(schema.recordDelim) &&
+                lang.isString(schema.fieldDelim)) {
+            var oParsedResponse = {results:[]},
+                sQuote = lang.isString(schema.quoteChar) ? schema.quoteChar : "\"",
+                // Split along record and field delimiters to get an array of records
+                recordsarray = DS._parseDelimitedText(oFullResponse,
+                        schema.recordDelim, schema.fieldDelim, sQuote),
+                fields = lang.isArray(schema.fields) ? schema.fields : null,
+                aHeader = null,
+                aColumns = [],
+                aErrors = [],
+                i, j, len, recIdx;
+
+            // Pull the field names off the first record
+            if(schema.headerRow) {
+                while(recordsarray.length > 0) {
+                    aHeader = recordsarray.shift();
+                    if((aHeader.length > 1) || (aHeader[0].length > 0)) {
+                        break;
+                    }
+                    aHeader = null;
                 }
-                if(oFullResponse.length > 0) {
-                    // Split along record delimiter to get an array of strings
-                    var recordsarray = oFullResponse.split(recDelim);
-                    // Cycle through each record
-                    for(var i = 0, len = recordsarray.length, recIdx = 0; i < len; ++i) {
-                        var bError = false,
-                            sRecord = recordsarray[i];
-                        if (lang.isString(sRecord) && (sRecord.length > 0)) {
-                            // Split each record along field delimiter to get data
-                            var fielddataarray = recordsarray[i].split(fieldDelim);
-                            var oResult = {};
-                            
-                            // Filter for fields data
-                            if(lang.isArray(this.responseSchema.fields)) {
-                                var fields = this.responseSchema.fields;
-                                for(var j=fields.length-1; j>-1; j--) {
-                                    try {
-                                        // Remove quotation marks from edges, if applicable
-                                        var data = fielddataarray[j];
-                                        if (lang.isString(data)) {
-                                            if(data.charAt(0) == "\"") {
-                                                data = data.substr(1);
-                                            }
-                                            if(data.charAt(data.length-1) == "\"") {
-                                                data = data.substr(0,data.length-1);
-                                            }
-                                            var field = fields[j];
-                                            var key = (lang.isValue(field.key)) ? field.key : field;
-                                            // Backward compatibility
-                                            if(!field.parser && field.converter) {
-                                                field.parser = field.converter;
-                                                YAHOO.log("The field property converter has been deprecated" +
-                                                        " in favor of parser", "warn", this.toString());
-                                            }
-                                            var parser = (typeof field.parser === 'function') ?
-                                                field.parser :
-                                                DS.Parser[field.parser+''];
-                                            if(parser) {
-                                                data = parser.call(this, data);
-                                            }
-                                            // Safety measure
-                                            if(data === undefined) {
-                                                data = null;
-                                            }
-                                            oResult[key] = data;
-                                        }
-                                        else {
-                                            bError = true;
-                                        }
-                                    }
-                                    catch(e) {
-                                        bError = true;
+            }
+
+            // Map each field to its column, by name if there is a header
+            if(fields) {
+                for(j=fields.length-1; j>-1; j--) {
+                    var sKey = (lang.isValue(fields[j].key)) ? fields[j].key : fields[j];
+                    aColumns[j] = j;
+                    if(aHeader) {
+                        aColumns[j] = -1;
+                        for(i=aHeader.length-1; i>-1; i--) {
+                            if(aHeader[i] == sKey) {
+                                aColumns[j] = i;
+                                break;
+                            }
+                        }
+                    }
+                }
+            }
+
+            // Cycle through each record
+            for(i = 0, len = recordsarray.length, recIdx = 0; i < len; ++i) {
+                var bError = false,
+                    aRecordErrors = [],
+                    fielddataarray = recordsarray[i];
+                // Skip blank lines
+                if((fielddataarray.length > 1) || (fielddataarray[0].length > 0)) {
+                    var oResult = {};
+                    
+                    // Filter for fields data
+                    if(fields) {
+                        for(j=fields.length-1; j>-1; j--) {
+                            try {
+                                var field = fields[j];
+                                var key = (lang.isValue(field.key)) ? field.key : field;
+                                // Field is missing from the header
+                                if(aColumns[j] < 0) {
+                                    oResult[key] = this._parseFieldValue(field, null, null, recIdx, aRecordErrors);
+                                    continue;
+                                }
+                                var data = fielddataarray[aColumns[j]];
+                                if (lang.isString(data)) {
+                                    // Backward compatibility
+                                    if(!field.parser && field.converter) {
+                                        field.parser = field.converter;
+                                        YAHOO.log("The field property converter has been deprecated" +
+                                                " in favor of parser", "warn", this.toString());
                                     }
+                                    var parser = (typeof field.parser === 'function') ?
+                                        field.parser :
+                                        DS.Parser[field.parser+''];
+                                    oResult[key] = this._parseFieldValue(field, parser, data, recIdx, aRecordErrors);
+                                }
+                                else {
+                                    bError = true;
                                 }
-                            }            
-                            // No fields defined so pass along all data as an array
-                            else {
-                                oResult = fielddataarray;
                             }
-                            if(!bError) {
-                                oParsedResponse.results[recIdx++] = oResult;
+                            catch(e) {
+                                bError = true;
                             }
                         }
                     }
+                    // No fields defined so key the data by the header...
+                    else if(aHeader) {
+                        for(j=aHeader.length-1; j>-1; j--) {
+                            oResult[aHeader[j]] = lang.isString(fielddataarray[j]) ?
+                                    fielddataarray[j] : null;
+                        }
+                    }
+                    // ...or pass along all data as an array
+                    else {
+                        oResult = fielddataarray;
+                    }
+                    if(!bError) {
+                        oParsedResponse.results[recIdx++] = oResult;
+                        aErrors = aErrors.concat(aRecordErrors.reverse());
+                    }
                 }
             }
+            if(aErrors.length > 0) {
+                oParsedResponse.meta = {parseErrors:aErrors};
+            }
             YAHOO.log("Parsed text data is " +
                     lang.dump(oParsedResponse), "info", this.toString());
             return oParsedResponse;
@@ -1396,9 +2478,13 @@ parseTextData : function(oRequest, oFullResponse) {
  *
  * @method parseXMLResult
  * @param result {XML} XML for one result.
+ * @param nIndex {Number} (optional) Index of the result, for parse errors.
+ * @param aErrors {Object[]} (optional) Array to collect parse errors in.
  * @return {Object} Object literal of data for one result.
  */
-parseXMLResult : function(result) {
+parseXMLResult : function(result, nIndex, aErrors) {
+    aErrors = aErrors || [];
+
     var oResult = {},
         schema = this.responseSchema;
         
@@ -1455,14 +2541,7 @@ parseXMLResult : function(result) {
             var parser = (typeof field.parser === 'function') ?
                 field.parser :
                 DS.Parser[field.parser+''];
-            if(parser) {
-                data = parser.call(this, data);
-            }
-            // Safety measure
-            if(data === undefined) {
-                data = null;
-            }
-            oResult[key] = data;
+            oResult[key] = this._parseFieldValue(field, parser, data, nIndex, aErrors);
         }
     }
     catch(e) {
@@ -1543,12 +2622,17 @@ parseXMLData : function(oRequest, oFullResponse) {
     }
     // Loop through each result
     else {
+        var aErrors = [];
         oParsedResponse.results = [];
         for(i = xmlList.length-1; i >= 0 ; --i) {
-            var oResult = this.parseXMLResult(xmlList.item(i));
+            var oResult = this.parseXMLResult(xmlList.item(i), i, aErrors);
             // Capture each array of values into an array of results
             oParsedResponse.results[i] = oResult;
         }
+        // Report parse errors in record and field order
+        if(aErrors.length > 0) {
+            oParsedResponse.meta.parseErrors = aErrors.reverse();
+        }
     }
     if(bError) {
         YAHOO.log("XML data could not be parsed: " +
@@ -1563,7 +2647,24 @@ parseXMLData : function(oRequest, oFullResponse) {
 },
 
 /**
- * Overridable method parses JSON data into a response object.
+ * Overridable method parses JSON data into a response object. Locators in
+ * resultsList, field keys and metaFields accept dot and bracket notation, plus
+ * the following JSONPath-style expressions:
+ * <dl>
+ *     <dt><code>$</code></dt>
+ *     <dd>Optional leading root, as in "$.ResultSet.Result".</dd>
+ *     <dt><code>[*]</code> or <code>.*</code></dt>
+ *     <dd>Every item of an array or value of an object, as in "orders[*].lines".</dd>
+ *     <dt><code>..</code></dt>
+ *     <dd>Recursive descent, as in "$..sku".</dd>
+ *     <dt><code>[?(expression)]</code></dt>
+ *     <dd>Items for which the expression is true, as in "items[?(@.active)]"
+ *     or "items[?(@.price &lt; 10 &amp;&amp; @.type == 'book')]".</dd>
+ * </dl>
+ * A resultsList locator holding any of these expressions is flattened into a
+ * single array of results. Field keys and metaFields holding any of them
+ * return an array of every matching value, to which the field parser, if any,
+ * is applied value by value.
  *
  * @method parseJSONData
  * @param oRequest {Object} Request object.
@@ -1582,19 +2683,39 @@ parseJSONData : function(oRequest, oFullResponse) {
             results         = [],
             metaFields      = schema.metaFields || {},
             fieldParsers    = [],
+            parseErrors     = [],
             fieldPaths      = [],
             simpleFields    = [],
             bError          = false,
-            i,len,j,v,key,parser,path;
+            i,len,j,k,v,key,parser,path;
+
+        // Markers for the recursive descent and wildcard path segments
+        var DESCENT = {}, WILDCARD = {};
 
-        // Function to convert the schema's fields into walk paths
+        // Function to convert the schema's fields into walk paths. Paths
+        // holding recursive descents, wildcards or filters are flagged as
+        // multiple, since they may match any number of values
         var buildPath = function (needle) {
-            var path = null, keys = [], i = 0;
+            var path = null, keys = [], i = 0, multiple = false,
+                mark = function (key) {
+                    keys[i] = key;
+                    multiple = multiple || (typeof key !== 'string');
+                    return '.@'+(i++);
+                };
             if (needle) {
-                // Strip the ["string keys"] and [1] array indexes
+                // Strip the $ root, [?(filters)], ["string keys"],
+                // .. recursive descents, [*] and .* wildcards and [1] array
+                // indexes
                 needle = needle.
+                    replace(/^\$(?=[\.\[]|$)/,'').
+                    replace(/\[\?\((.*?)\)\]/g,
+                    function (x,$1) {return mark(buildFilter($1));}).
                     replace(/\[(['"])(.*?)\1\]/g,
-                    function (x,$1,$2) {keys[i]=$2;return '.@'+(i++);}).
+                    function (x,$1,$2) {return mark($2);}).
+                    replace(/\.\.(\[?)/g,
+                    function (x,$1) {return mark(DESCENT)+($1||'.');}).
+                    replace(/\[\*\]|(^|\.)\*(?=\.|$)/g,
+                    function (x) {return mark(WILDCARD);}).
                     replace(/\[(\d+)\]/g,
                     function (x,$1) {keys[i]=parseInt($1,10)|0;return '.@'+(i++);}).
                     replace(/^\./,''); // remove leading dot
@@ -1602,12 +2723,20 @@ parseJSONData : function(oRequest, oFullResponse) {
                 // If the cleaned needle contains invalid characters, the
                 // path is invalid
                 if (!/[^\w\.\$@]/.test(needle)) {
-                    path = needle.split('.');
+                    path = needle ? needle.split('.') : [];
                     for (i=path.length-1; i >= 0; --i) {
                         if (path[i].charAt(0) === '@') {
                             path[i] = keys[parseInt(path[i].substr(1),10)];
+                            // Invalid filter expression
+                            if (path[i] === null) {
+                                path = null;
+                                break;
+                            }
                         }
                     }
+                    if (path) {
+                        path.multiple = multiple;
+                    }
                 }
                 else {
                     YAHOO.log("Invalid locator: " + needle, "error", this.toString());
@@ -1616,14 +2745,131 @@ parseJSONData : function(oRequest, oFullResponse) {
             return path;
         };
 
+        // Function to convert a filter expression such as
+        // "@.price < 10 && @.active" into a predicate function. Supports
+        // &&, ||, ! and comparisons to numbers, quoted strings, true, false
+        // and null
+        var buildFilter = function (expr) {
+            var clauses = [], ors = expr.split('||'), ands, m, i, j, value;
+            for (i=ors.length-1; i >= 0; --i) {
+                ands = ors[i].split('&&');
+                clauses[i] = [];
+                for (j=ands.length-1; j >= 0; --j) {
+                    m = /^\s*(!?)\s*@(.*?)\s*(?:(===?|!==?|<=|>=|<|>)\s*(.*?))?\s*$/.exec(ands[j]);
+                    if (!m || !(m[2] = m[2] ? buildPath(m[2]) : [])) {
+                        YAHOO.log("Invalid filter: " + expr, "error", this.toString());
+                        return null;
+                    }
+                    value = m[4];
+                    if (m[3]) {
+                        value = /^(['"])(.*)\1$/.exec(value);
+                        value = value ? value[2] :
+                            (m[4] === 'true') ? true :
+                            (m[4] === 'false') ? false :
+                            (m[4] === 'null') ? null : m[4] * 1;
+                    }
+                    clauses[i][j] = {not:!!m[1],path:m[2],op:m[3],value:value};
+                }
+            }
+
+            return function (item) {
+                var i, j, c, v, pass;
+                for (i=clauses.length-1; i >= 0; --i) {
+                    for (j=clauses[i].length-1; j >= 0; --j) {
+                        c = clauses[i][j];
+                        v = walkPath(c.path, item);
+                        switch (c.op) {
+                            case '==':  pass = (v == c.value); break;
+                            case '===': pass = (v === c.value); break;
+                            case '!=':  pass = (v != c.value); break;
+                            case '!==': pass = (v !== c.value); break;
+                            case '<':   pass = (v < c.value); break;
+                            case '<=':  pass = (v <= c.value); break;
+                            case '>':   pass = (v > c.value); break;
+                            case '>=':  pass = (v >= c.value); break;
+                            default:    pass = (c.path.multiple) ? (v.length > 0) : !!v;
+                        }
+                        if (c.not ? pass : !pass) {
+                            break;
+                        }
+                    }
+                    // Every clause of this branch passed
+                    if (j < 0) {
+                        return true;
+                    }
+                }
+                return false;
+            };
+        };
 
         // Function to walk a path and return the pot of gold
         var walkPath = function (path, origin) {
             var v=origin,i=0,len=path.length;
+            if (path.multiple) {
+                return walkNodes(path, origin);
+            }
             for (;i<len && v;++i) {
                 v = v[path[i]];
             }
-            return v;
+            return v;
+        };
+
+        // Function to collect the values held by an object or array
+        var getChildren = function (o) {
+            var children = [], k;
+            if (lang.isArray(o)) {
+                return o;
+            }
+            for (k in o) {
+                if (lang.hasOwnProperty(o,k)) {
+                    children[children.length] = o[k];
+                }
+            }
+            return children;
+        };
+
+        // Function to collect a value and all values nested within it
+        var getDescendants = function (o, found) {
+            var children, i, len;
+            found[found.length] = o;
+            if (lang.isObject(o)) {
+                children = getChildren(o);
+                for (i=0, len=children.length; i<len; ++i) {
+                    getDescendants(children[i], found);
+                }
+            }
+            return found;
+        };
+
+        // Function to walk a multiple path and return an array of every
+        // matching value
+        var walkNodes = function (path, origin) {
+            var nodes = [origin], next, seg, children, v, i, j, k;
+            for (i=0; i<path.length; ++i) {
+                seg = path[i];
+                next = [];
+                for (j=0; j<nodes.length; ++j) {
+                    v = nodes[j];
+                    if (seg === DESCENT) {
+                        getDescendants(v, next);
+                    }
+                    else if (lang.isObject(v)) {
+                        if (seg === WILDCARD || lang.isFunction(seg)) {
+                            children = getChildren(v);
+                            for (k=0; k<children.length; ++k) {
+                                if (seg === WILDCARD || seg(children[k])) {
+                                    next[next.length] = children[k];
+                                }
+                            }
+                        }
+                        else if (v[seg] !== undefined) {
+                            next[next.length] = v[seg];
+                        }
+                    }
+                }
+                nodes = next;
+            }
+            return nodes;
         };
 
         // Parse the response
@@ -1635,6 +2881,14 @@ parseJSONData : function(oRequest, oFullResponse) {
             if (resultsList === undefined) {
                 bError = true;
             }
+            // Flatten the collections matched by a multiple path
+            else if (path.multiple) {
+                v = resultsList;
+                resultsList = [];
+                for (i=0, len=v.length; i<len; ++i) {
+                    resultsList = resultsList.concat(v[i]);
+                }
+            }
         } else {
             bError = true;
         }
@@ -1660,12 +2914,13 @@ parseJSONData : function(oRequest, oFullResponse) {
                         DS.Parser[field.parser+'']) || field.converter;
                     path   = buildPath(key);
     
-                    if (parser) {
-                        fieldParsers[fieldParsers.length] = {key:key,parser:parser};
+                    if (parser || field.required || !lang.isUndefined(field.defaultValue)) {
+                        fieldParsers[fieldParsers.length] = {key:key,field:field,parser:parser,
+                                multiple:!!(path && path.multiple)};
                     }
     
                     if (path) {
-                        if (path.length > 1) {
+                        if (path.length !== 1 || path.multiple) {
                             fieldPaths[fieldPaths.length] = {key:key,path:path};
                         } else {
                             simpleFields[simpleFields.length] = {key:key,path:path[0]};
@@ -1692,10 +2947,16 @@ parseJSONData : function(oRequest, oFullResponse) {
 
                         for (j = fieldParsers.length - 1; j >= 0; --j) {
                             var p = fieldParsers[j].key;
-                            rec[p] = fieldParsers[j].parser.call(this, rec[p]);
-                            if (rec[p] === undefined) {
-                                rec[p] = null;
+                            // Parse each value matched by a multiple path
+                            if (fieldParsers[j].multiple) {
+                                for (k = rec[p].length - 1; k >= 0; --k) {
+                                    rec[p][k] = this._parseFieldValue(fieldParsers[j].field,
+                                            fieldParsers[j].parser, rec[p][k], i, parseErrors);
+                                }
+                                continue;
                             }
+                            rec[p] = this._parseFieldValue(fieldParsers[j].field,
+                                    fieldParsers[j].parser, rec[p], i, parseErrors);
                         }
                     }
                     results[i] = rec;
@@ -1715,6 +2976,11 @@ parseJSONData : function(oRequest, oFullResponse) {
                 }
             }
 
+            // Report parse errors in record and field order
+            if (parseErrors.length > 0) {
+                oParsedResponse.meta.parseErrors = parseErrors.reverse();
+            }
+
         } else {
             YAHOO.log("JSON data could not be parsed due to invalid responseSchema.resultsList or invalid response: " +
                     lang.dump(oFullResponse), "error", this.toString());
@@ -1749,6 +3015,7 @@ parseHTMLTableData : function(oRequest, oFullResponse) {
     var elTable = oFullResponse;
     var fields = this.responseSchema.fields;
     var oParsedResponse = {results:[]};
+    var aErrors = [];
 
     if(lang.isArray(fields)) {
         // Iterate through each TBODY
@@ -1774,18 +3041,15 @@ parseHTMLTableData : function(oRequest, oFullResponse) {
                     var parser = (typeof field.parser === 'function') ?
                         field.parser :
                         DS.Parser[field.parser+''];
-                    if(parser) {
-                        data = parser.call(this, data);
-                    }
-                    // Safety measure
-                    if(data === undefined) {
-                        data = null;
-                    }
-                    oResult[key] = data;
+                    oResult[key] = this._parseFieldValue(field, parser, data, j, aErrors);
                 }
                 oParsedResponse.results[j] = oResult;
             }
         }
+        // Report parse errors in record and field order
+        if(aErrors.length > 0) {
+            oParsedResponse.meta = {parseErrors:aErrors.reverse()};
+        }
     }
     else {
         bError = true;
@@ -2052,6 +3316,15 @@ asyncMode : "allowAll",
  */
 scriptCallbackParam : "callback",
 
+/**
+ * Number of milliseconds to wait for the script node to load before the
+ * request fails with a timeout. Set to 0 to wait indefinitely.
+ *
+ * @property scriptTimeout
+ * @type Number
+ * @default 0
+ */
+scriptTimeout : 0,
 
 /////////////////////////////////////////////////////////////////////////////
 //
@@ -2097,62 +3370,138 @@ doBeforeGetScriptNode : function(sUri) {
 makeConnection : function(oRequest, oCallback, oCaller) {
     var tId = DS._nTransactionId++;
     this.fireEvent("requestEvent", {tId:tId,request:oRequest,callback:oCallback,caller:oCaller});
-    
-    // If there are no global pending requests, it is safe to purge global callback stack and global counter
-    if(util.ScriptNodeDataSource._nPending === 0) {
-        util.ScriptNodeDataSource.callbacks = [];
-        util.ScriptNodeDataSource._nId = 0;
-    }
-    
-    // ID for this request
-    var id = util.ScriptNodeDataSource._nId;
-    util.ScriptNodeDataSource._nId++;
-    
-    // Dynamically add handler function with a closure to the callback stack
-    var oSelf = this;
-    util.ScriptNodeDataSource.callbacks[id] = function(oRawResponse) {
-        if((oSelf.asyncMode !== "ignoreStaleResponses")||
-                (id === util.ScriptNodeDataSource.callbacks.length-1)) { // Must ignore stale responses
-                
-            // Try to sniff data type if it has not been defined
-            if(oSelf.responseType === DS.TYPE_UNKNOWN) {
-                if(YAHOO.lang.isArray(oRawResponse)) { // array
-                    oSelf.responseType = DS.TYPE_JSARRAY;
-                }
-                 // xml
-                else if(oRawResponse.nodeType && oRawResponse.nodeType == 9) {
-                    oSelf.responseType = DS.TYPE_XML;
-                }
-                else if(oRawResponse.nodeName && (oRawResponse.nodeName.toLowerCase() == "table")) { // table
-                    oSelf.responseType = DS.TYPE_HTMLTABLE;
-                }    
-                else if(YAHOO.lang.isObject(oRawResponse)) { // json
-                    oSelf.responseType = DS.TYPE_JSON;
-                }
-                else if(YAHOO.lang.isString(oRawResponse)) { // text
-                    oSelf.responseType = DS.TYPE_TEXT;
-                }
-            }
 
-            oSelf.handleResponse(oRequest, oRawResponse, oCallback, oCaller, tId);
+    var oSelf = this,
+        nRetries = 0;
+
+    /**
+     * Passes a failure on to the caller, unless the request can be sent again
+     *
+     * @method _scriptFailure
+     * @param oResponse {Object} Object literal with status and statusText
+     * @param bFinal {Boolean} True to pass the failure on without retrying
+     * @private
+     */
+    var _scriptFailure = function(oResponse, bFinal) {
+        if(!bFinal && oSelf._retryRequest({request:oRequest, response:oResponse,
+                callback:oCallback, caller:oCaller, tId:tId, retries:nRetries,
+                timeout:(oResponse.status === -1),
+                retry:_sendScript,
+                fail:function() {
+                    _scriptFailure(oResponse, true);
+                }})) {
+            nRetries++;
+            return;
         }
-        else {
-            YAHOO.log("DataSource ignored stale response for tId " + tId + "(" + oRequest + ")", "info", oSelf.toString());
+
+        oSelf.fireEvent("dataErrorEvent", {request:oRequest, response:oResponse,
+                callback:oCallback, caller:oCaller,
+                message:DS.ERROR_DATAINVALID});
+        YAHOO.log(DS.ERROR_DATAINVALID + ": " + oResponse.statusText, "error", oSelf.toString());
+
+        if(oSelf._oRecording) {
+            oSelf._recordFailure(oRequest, oResponse);
         }
-    
-        delete util.ScriptNodeDataSource.callbacks[id];
+
+        // Fall back to the offline cache
+        if(oSelf.offlineCache && oSelf._serveOffline(oRequest, oCallback, oCaller, tId, "failure")) {
+            return;
+        }
+
+        // Send failure response back to the caller with the error flag on
+        oResponse.error = true;
+        var aPendingCallbacks = oSelf._resolvePending(oRequest, oCallback);
+        DS.issueCallback(oCallback,[oRequest,oResponse],true,oCaller);
+        oSelf._issuePendingCallbacks(aPendingCallbacks, oResponse, true);
     };
-    
-    // We are now creating a request
-    util.ScriptNodeDataSource._nPending++;
-    var sUri = this.liveData + oRequest + this.generateRequestCallback(id);
-    sUri = this.doBeforeGetScriptNode(sUri);
-    YAHOO.log("DataSource is querying URL " + sUri, "info", this.toString());
-    this.getUtility.script(sUri,
-            {autopurge: true,
-            onsuccess: util.ScriptNodeDataSource._bumpPendingDown,
-            onfail: util.ScriptNodeDataSource._bumpPendingDown});
 
+    /**
+     * Inserts the script node for the request
+     *
+     * @method _sendScript
+     * @private
+     */
+    var _sendScript = function() {
+        // If there are no global pending requests, it is safe to purge global callback stack and global counter
+        if(util.ScriptNodeDataSource._nPending === 0) {
+            util.ScriptNodeDataSource.callbacks = [];
+            util.ScriptNodeDataSource._nId = 0;
+        }
+
+        // ID for this request
+        var id = util.ScriptNodeDataSource._nId;
+        util.ScriptNodeDataSource._nId++;
+
+        // Dynamically add handler function with a closure to the callback stack
+        util.ScriptNodeDataSource.callbacks[id] = function(oRawResponse) {
+            if((oSelf.asyncMode !== "ignoreStaleResponses")||
+                    (id === util.ScriptNodeDataSource.callbacks.length-1)) { // Must ignore stale responses
+
+                // Try to sniff data type if it has not been defined
+                if(oSelf.responseType === DS.TYPE_UNKNOWN) {
+                    if(YAHOO.lang.isArray(oRawResponse)) { // array
+                        oSelf.responseType = DS.TYPE_JSARRAY;
+                    }
+                     // xml
+                    else if(oRawResponse.nodeType && oRawResponse.nodeType == 9) {
+                        oSelf.responseType = DS.TYPE_XML;
+                    }
+                    else if(oRawResponse.nodeName && (oRawResponse.nodeName.toLowerCase() == "table")) { // table
+                        oSelf.responseType = DS.TYPE_HTMLTABLE;
+                    }
+                    else if(YAHOO.lang.isObject(oRawResponse)) { // json
+                        oSelf.responseType = DS.TYPE_JSON;
+                    }
+                    else if(YAHOO.lang.isString(oRawResponse)) { // text
+                        oSelf.responseType = DS.TYPE_TEXT;
+                    }
+                }
+
+                oSelf.handleResponse(oRequest, oRawResponse, oCallback, oCaller, tId);
+            }
+            else {
+                oSelf._resolvePending(oRequest, oCallback);
+                YAHOO.log("DataSource ignored stale response for tId " + tId + "(" + oRequest + ")", "info", oSelf.toString());
+            }
+
+            delete util.ScriptNodeDataSource.callbacks[id];
+        };
+
+        // Retries stand in for the failed request, so none is made when its
+        // response would have been ignored as stale
+        var isStale = function() {
+            return (oSelf.asyncMode === "ignoreStaleResponses") &&
+                    (id !== util.ScriptNodeDataSource.callbacks.length-1);
+        };
+
+        // We are now creating a request
+        util.ScriptNodeDataSource._nPending++;
+        var sUri = oSelf.liveData + oRequest + oSelf.generateRequestCallback(id);
+        sUri = oSelf.doBeforeGetScriptNode(sUri);
+        YAHOO.log("DataSource is querying URL " + sUri, "info", oSelf.toString());
+        oSelf.getUtility.script(sUri,
+                {autopurge: true,
+                timeout: (oSelf.scriptTimeout > 0) ? oSelf.scriptTimeout : null,
+                onSuccess: util.ScriptNodeDataSource._bumpPendingDown,
+                onFailure: function(o) {
+                    var bStale = isStale();
+                    delete util.ScriptNodeDataSource.callbacks[id];
+                    util.ScriptNodeDataSource._bumpPendingDown(o);
+                    _scriptFailure({status:0, statusText:"communication failure"}, bStale);
+                },
+                onTimeout: function(o) {
+                    // The script may still load, so its response is swallowed.
+                    // The request stays pending until then, which keeps the
+                    // callback stack from being purged in the meantime.
+                    var bStale = isStale();
+                    util.ScriptNodeDataSource.callbacks[id] = function() {
+                        delete util.ScriptNodeDataSource.callbacks[id];
+                    };
+                    _scriptFailure({status:-1, statusText:"timeout"}, bStale);
+                }});
+    };
+
+    _sendScript();
     return tId;
 }
 
@@ -2198,7 +3547,26 @@ _nPending : 0,
  * @type Function[]
  * @static
  */
-callbacks : []
+callbacks : [],
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// ScriptNodeDataSource private static methods
+//
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Counts down a pending request once its script node has loaded or failed.
+ *
+ * @method _bumpPendingDown
+ * @private
+ * @static
+ */
+_bumpPendingDown : function() {
+    if(util.ScriptNodeDataSource._nPending > 0) {
+        util.ScriptNodeDataSource._nPending--;
+    }
+}
 
 });
 
@@ -2241,6 +3609,22 @@ util.XHRDataSource = function(oLiveData, oConfigs) {
 // XHRDataSource extends DataSourceBase
 lang.extend(util.XHRDataSource, DS, {
 
+/////////////////////////////////////////////////////////////////////////////
+//
+// XHRDataSource private properties
+//
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * True while a stale request is being aborted, so that its failure is not
+ * retried.
+ *
+ * @property _bCancelingStale
+ * @type Boolean
+ * @private
+ */
+_bCancelingStale : false,
+
 /////////////////////////////////////////////////////////////////////////////
 //
 // XHRDataSource public properties
@@ -2330,6 +3714,7 @@ makeConnection : function(oRequest, oCallback, oCaller) {
     var oSelf = this;
     var oConnMgr = this.connMgr;
     var oQueue = this._oQueue;
+    var nRetries = 0;
 
     /**
      * Define Connection Manager success handler
@@ -2343,6 +3728,7 @@ makeConnection : function(oRequest, oCallback, oCaller) {
         // silently fail and wait for the next response
         if(oResponse && (this.connXhrMode == "ignoreStaleResponses") &&
                 (oResponse.tId != oQueue.conn.tId)) {
+            this._resolvePending(oRequest, oCallback);
             YAHOO.log("Ignored stale response", "warn", this.toString());
             return null;
         }
@@ -2354,7 +3740,9 @@ makeConnection : function(oRequest, oCallback, oCaller) {
             YAHOO.log(DS.ERROR_DATANULL, "error", this.toString());
 
             // Send error response back to the caller with the error flag on
+            var aPendingCallbacks = this._resolvePending(oRequest, oCallback);
             DS.issueCallback(oCallback,[oRequest, {error:true}], true, oCaller);
+            this._issuePendingCallbacks(aPendingCallbacks, {error:true}, true);
 
             return null;
         }
@@ -2385,9 +3773,28 @@ makeConnection : function(oRequest, oCallback, oCaller) {
      *
      * @method _xhrFailure
      * @param oResponse {Object} HTTPXMLRequest object
+     * @param bFinal {Boolean} True to pass the failure on without retrying
      * @private
      */
-    var _xhrFailure = function(oResponse) {
+    var _xhrFailure = function(oResponse, bFinal) {
+        // Send the request again after a transient failure, unless it has been
+        // canceled as stale or its response would be ignored as stale
+        if(!bFinal && oResponse && !this._bCancelingStale &&
+                !((this.connXhrMode == "ignoreStaleResponses") && oQueue.conn &&
+                (oResponse.tId != oQueue.conn.tId)) &&
+                this._retryRequest({request:oRequest, response:oResponse,
+                    callback:oCallback, caller:oCaller, tId:tId, retries:nRetries,
+                    timeout:(oResponse.status === -1),
+                    retry:function() {
+                        _xhrRetry(oResponse.tId);
+                    },
+                    fail:function() {
+                        _xhrFailure.call(oSelf, oResponse, true);
+                    }})) {
+            nRetries++;
+            return null;
+        }
+
         this.fireEvent("dataErrorEvent", {request:oRequest, response: oResponse,
                 callback:oCallback, caller:oCaller,
                 message:DS.ERROR_DATAINVALID});
@@ -2403,10 +3810,21 @@ makeConnection : function(oRequest, oCallback, oCaller) {
                 " -- please check that the request URL is correct", "warn", this.toString());
         }
 
+        if(this._oRecording) {
+            this._recordFailure(oRequest, oResponse);
+        }
+
+        // Fall back to the offline cache
+        if(this.offlineCache && this._serveOffline(oRequest, oCallback, oCaller, tId, "failure")) {
+            return null;
+        }
+
         // Send failure response back to the caller with the error flag on
         oResponse = oResponse || {};
         oResponse.error = true;
+        var aPendingCallbacks = this._resolvePending(oRequest, oCallback);
         DS.issueCallback(oCallback,[oRequest,oResponse],true, oCaller);
+        this._issuePendingCallbacks(aPendingCallbacks, oResponse, true);
 
         return null;
     };
@@ -2424,6 +3842,24 @@ makeConnection : function(oRequest, oCallback, oCaller) {
         scope: this
     };
 
+    /**
+     * Sends the failed request again
+     *
+     * @method _xhrRetry
+     * @param nFailedId {Number} Connection Manager transaction ID of the failed request
+     * @private
+     */
+    var _xhrRetry = function(nFailedId) {
+        var oConn = oConnMgr.asyncRequest(sMethod,
+                (isPost || !lang.isValue(oRequest)) ? sLiveData : sLiveData+oRequest,
+                _xhrCallback, (isPost) ? oRequest : null);
+
+        // The retry takes the place of the failed request, unless a newer request has been sent
+        if(!oQueue.conn || (oQueue.conn.tId === nFailedId)) {
+            oQueue.conn = oConn;
+        }
+    };
+
     // Apply Connection Manager timeout
     if(lang.isNumber(this.connTimeout)) {
         _xhrCallback.timeout = this.connTimeout;
@@ -2431,10 +3867,16 @@ makeConnection : function(oRequest, oCallback, oCaller) {
 
     // Cancel stale requests
     if(this.connXhrMode == "cancelStaleRequests") {
+            // Stale requests waiting to be retried fail right away
+            this._cancelRetries();
+
             // Look in queue for stale requests
             if(oQueue.conn) {
                 if(oConnMgr.abort) {
+                    // Aborted requests are not to be retried
+                    this._bCancelingStale = true;
                     oConnMgr.abort(oQueue.conn);
+                    this._bCancelingStale = false;
                     oQueue.conn = null;
                     YAHOO.log("Canceled stale request", "warn", this.toString());
                 }
@@ -2468,8 +3910,8 @@ makeConnection : function(oRequest, oCallback, oCaller) {
                 // Interval needs to be started
                 if(!oQueue.interval) {
                     oQueue.interval = setInterval(function() {
-                        // Connection is in progress
-                        if(oConnMgr.isCallInProgress(oQueue.conn)) {
+                        // Connection is in progress or waiting to be retried
+                        if(oConnMgr.isCallInProgress(oQueue.conn) || (oSelf._aRetries.length > 0)) {
                             return;
                         }
                         else {
@@ -2500,8 +3942,13 @@ makeConnection : function(oRequest, oCallback, oCaller) {
     }
     else {
         YAHOO.log("Could not find Connection Manager asyncRequest() function", "error", this.toString());
+        if(this.offlineCache && this._serveOffline(oRequest, oCallback, oCaller, tId, "failure")) {
+            return tId;
+        }
         // Send null response back to the caller with the error flag on
+        var aPendingCallbacks = this._resolvePending(oRequest, oCallback);
         DS.issueCallback(oCallback,[oRequest,{error:true}],true,oCaller);
+        this._issuePendingCallbacks(aPendingCallbacks, {error:true}, true);
     }
 
     return tId;
@@ -2524,6 +3971,280 @@ lang.augmentObject(util.XHRDataSource, DS);
 
 
 
+/****************************************************************************/
+/****************************************************************************/
+/****************************************************************************/
+
+/**
+ * ReplayDataSource class for serving the responses of a fixture recorded with
+ * DataSourceBase.startRecording(), so that pages and test suites can run
+ * without a server. Requests are matched against the requests of the fixture
+ * entries with isRequestMatch(). When several entries match, they are served
+ * in recorded order, and the last one is served for any further requests.
+ *
+ * @namespace YAHOO.util
+ * @class YAHOO.util.ReplayDataSource
+ * @extends YAHOO.util.DataSourceBase  
+ * @constructor
+ * @param oLiveData {Object | String} Recorded fixture, or its JSON string.
+ * @param oConfigs {object} (optional) Object literal of configuration values.
+ */
+util.ReplayDataSource = function(oLiveData, oConfigs) {
+    this.dataType = DS.TYPE_REPLAY;
+    if(lang.isString(oLiveData)) {
+        oLiveData = (lang.JSON || window.JSON).parse(oLiveData);
+    }
+    oLiveData = oLiveData || {entries:[]};
+
+    util.ReplayDataSource.superclass.constructor.call(this, oLiveData, oConfigs); 
+
+    // Initialize replay positions
+    this._oReplayCounts = {};
+};
+
+// ReplayDataSource extends DataSourceBase
+lang.extend(util.ReplayDataSource, DS, {
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// ReplayDataSource private properties
+//
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Number of times each group of matching entries has been served, keyed by
+ * the index of the first entry of the group.
+ *
+ * @property _oReplayCounts
+ * @type Object
+ * @private
+ */
+_oReplayCounts : null,
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// ReplayDataSource public properties
+//
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Number of milliseconds to wait before serving a response, to simulate a
+ * network. Set to 0 to serve responses synchronously.
+ *
+ * @property latency
+ * @type Number
+ * @default 0
+ */
+latency : 0,
+
+/**
+ * Fraction between 0 and 1 of requests that fail with the errorResponse
+ * instead of being served from the fixture (see isErrorInjected).
+ *
+ * @property errorRate
+ * @type Number
+ * @default 0
+ */
+errorRate : 0,
+
+/**
+ * Failure response of requests that fail by error injection.
+ *
+ * @property errorResponse
+ * @type Object
+ * @default {status:500, statusText:"Internal Server Error"}
+ */
+errorResponse : {status:500, statusText:"Internal Server Error"},
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// ReplayDataSource public methods
+//
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Overridable method returns true if the given request matches the request of
+ * a fixture entry. By default, requests match when they are equal, or when
+ * both are query strings with the same parameters in any order.
+ *
+ * @method isRequestMatch
+ * @param oRequest {Object} Request object.
+ * @param oRecordedRequest {Object} Request object of the fixture entry.
+ * @return {Boolean} True if the requests match.
+ */
+isRequestMatch : function(oRequest, oRecordedRequest) {
+    if(oRequest === oRecordedRequest) {
+        return true;
+    }
+    if(lang.isString(oRequest) && lang.isString(oRecordedRequest)) {
+        var fnParams = function(sQuery) {
+            var aParams = sQuery.replace(/^[?&]/, "").split("&");
+            return aParams.sort().join("&");
+        };
+        return fnParams(oRequest) === fnParams(oRecordedRequest);
+    }
+    var oJSON = lang.JSON || window.JSON;
+    return !!(oJSON && lang.isObject(oRequest) && lang.isObject(oRecordedRequest) &&
+            (oJSON.stringify(oRequest) === oJSON.stringify(oRecordedRequest)));
+},
+
+/**
+ * Overridable method returns true if the given request is to fail with the
+ * errorResponse. By default, requests fail at random at the errorRate.
+ *
+ * @method isErrorInjected
+ * @param oRequest {Object} Request object.
+ * @return {Boolean} True if the request is to fail.
+ */
+isErrorInjected : function(oRequest) {
+    return (this.errorRate > 0) && (Math.random() < this.errorRate);
+},
+
+/**
+ * Rewinds the fixture, so that matching entries are served again from the
+ * first one.
+ *
+ * @method reset
+ */
+reset : function() {
+    this._oReplayCounts = {};
+},
+
+/**
+ * Overriding method serves the response from the fixture entry matching the
+ * request, which is then forwarded to the handleResponse function. Requests
+ * matching no entry fail with status 404.
+ *
+ * @method makeConnection
+ * @param oRequest {Object} Request object.
+ * @param oCallback {Object} Callback object literal.
+ * @param oCaller {Object} (deprecated) Use oCallback.scope.
+ * @return {Number} Transaction ID.
+ */
+makeConnection : function(oRequest, oCallback, oCaller) {
+    var tId = DS._nTransactionId++;
+    this.fireEvent("requestEvent", {tId:tId,request:oRequest,callback:oCallback,caller:oCaller});
+
+    var oSelf = this,
+        aEntries = this.liveData.entries || [],
+        aMatches = [],
+        oEntry = null,
+        oFailure = null,
+        i, len;
+
+    // Injected errors leave the fixture where it is
+    if(this.isErrorInjected(oRequest)) {
+        oFailure = lang.merge(this.errorResponse);
+        YAHOO.log("Injected error for \"" + oRequest + "\"", "info", this.toString());
+    }
+    else {
+        // Find the matching entries and the one to serve next
+        for(i=0, len=aEntries.length; i<len; i++) {
+            if(this.isRequestMatch(oRequest, aEntries[i].request)) {
+                aMatches.push(i);
+            }
+        }
+        if(aMatches.length > 0) {
+            var nCount = this._oReplayCounts[aMatches[0]] || 0;
+            this._oReplayCounts[aMatches[0]] = nCount + 1;
+            oEntry = aEntries[aMatches[Math.min(nCount, aMatches.length-1)]];
+        }
+
+        if(!oEntry) {
+            oFailure = {status:404, statusText:"No matching fixture entry"};
+            YAHOO.log("Could not find a fixture entry for \"" + oRequest + "\"", "warn", this.toString());
+        }
+        else if(oEntry.error) {
+            oFailure = {status:oEntry.status, statusText:oEntry.statusText};
+        }
+    }
+
+    var fnServe = function() {
+        if(oFailure) {
+            oSelf.fireEvent("dataErrorEvent", {request:oRequest, response:oFailure,
+                    callback:oCallback, caller:oCaller,
+                    message:DS.ERROR_DATAINVALID});
+            YAHOO.log(DS.ERROR_DATAINVALID + ": " + oFailure.statusText, "error", oSelf.toString());
+
+            // Send failure response back to the caller with the error flag on
+            oFailure.error = true;
+            var aPendingCallbacks = oSelf._resolvePending(oRequest, oCallback);
+            DS.issueCallback(oCallback,[oRequest,oFailure],true,oCaller);
+            oSelf._issuePendingCallbacks(aPendingCallbacks, oFailure, true);
+            return;
+        }
+
+        if((oSelf.responseType === DS.TYPE_UNKNOWN) && lang.isNumber(oEntry.responseType)) {
+            oSelf.responseType = oEntry.responseType;
+        }
+        oSelf.handleResponse(oRequest, oSelf._getRawResponse(oEntry), oCallback, oCaller, tId);
+    };
+
+    if(this.latency > 0) {
+        setTimeout(fnServe, this.latency);
+    }
+    else {
+        fnServe();
+    }
+    return tId;
+},
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// ReplayDataSource private methods
+//
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Rebuilds the raw response of the given fixture entry.
+ *
+ * @method _getRawResponse
+ * @param oEntry {Object} Fixture entry.
+ * @return {Object} Raw response.
+ * @private
+ */
+_getRawResponse : function(oEntry) {
+    var oResponse = oEntry.response;
+    switch(oEntry.type) {
+        case "xml":
+            if(window.DOMParser) {
+                return new DOMParser().parseFromString(oResponse, "text/xml");
+            }
+            var xmlDoc = new ActiveXObject("Microsoft.XMLDOM");
+            xmlDoc.async = false;
+            xmlDoc.loadXML(oResponse);
+            return xmlDoc;
+        case "html":
+            var el = document.createElement("div");
+            el.innerHTML = oResponse;
+            return el.getElementsByTagName("table")[0];
+        case "json":
+            // Copy data so that changes to it do not leak into the fixture
+            var oJSON = lang.JSON || window.JSON;
+            return (oJSON && lang.isValue(oResponse)) ?
+                    oJSON.parse(oJSON.stringify(oResponse)) : oResponse;
+        default:
+            return oResponse;
+    }
+}
+
+});
+
+// Copy static members to ReplayDataSource class
+lang.augmentObject(util.ReplayDataSource, DS);
+
+
+
+
+
+
+
+
+
+
+
+
+
 /****************************************************************************/
 /****************************************************************************/
 /****************************************************************************/
@@ -2556,6 +4277,9 @@ util.DataSource = function(oLiveData, oConfigs) {
         else if(dataType == DS.TYPE_JSFUNCTION) {
             return new util.FunctionDataSource(oLiveData, oConfigs);            
         }
+        else if(dataType == DS.TYPE_REPLAY) {
+            return new util.ReplayDataSource(oLiveData, oConfigs);
+        }
     }
     
     if(YAHOO.lang.isString(oLiveData)) { // strings default to xhr
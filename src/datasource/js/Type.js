@@ -31,7 +31,29 @@
      *   <dt>negativeFormat</dt>
      *   <dd>Like format, but applied to negative numbers.  If set to null,
      *   defaults from the configured format, prefixed with -.  This is
-     *   separate from format to support formats like &quot;($12,345.67)&quot;.
+     *   separate from format to support formats like &quot;($12,345.67)&quot;,
+     *   for example &quot;({prefix}{number})&quot;.
+     *
+     *   <dt>style {String}</dt>
+     *   <dd>&quot;percent&quot; to multiply the number by 100 and append the
+     *   percentSymbol, &quot;compact&quot; to scale the number by thousands and
+     *   append the matching compactSuffixes entry, as in &quot;3.4M&quot;, or
+     *   &quot;scientific&quot; to scale the number to between 1 and 10 and
+     *   append the exponentSymbol and the power of ten, as in
+     *   &quot;1.2E5&quot;. Numbers are rounded after they are scaled.</dd>
+     *
+     *   <dt>significantDigits {Number}</dt>
+     *   <dd>Number of significant digits to round to, in place of
+     *   decimalPlaces.</dd>
+     *
+     *   <dt>locale {String}</dt>
+     *   <dd>Name of the YAHOO.util.NumberLocale preset to read default
+     *   separators and symbols from, such as &quot;de&quot;.</dd>
+     *
+     *   <dt>percentSymbol, compactSuffixes, exponentSymbol</dt>
+     *   <dd>Strings appended to the number by the percent, compact and
+     *   scientific styles.  compactSuffixes holds one string for each power
+     *   of a thousand, starting from 1.</dd>
      *
      *   <dt>prefix {String} (deprecated, use format/negativeFormat)</dt>
      *   <dd>String prepended before each number, like a currency designator "$"</dd>
@@ -56,10 +78,11 @@
         }
 
         n   = +n;
-        cfg = YAHOO.lang.merge(YAHOO.util.Number.format.defaults, (cfg || {}));
+        cfg = YAHOO.util.Number.format._getConfig(cfg);
 
-        var absN   = Math.abs(n),
-            places = cfg.decimalPlaces,
+        var styled = YAHOO.util.Number.format._applyStyle(Math.abs(n), cfg),
+            absN   = styled.n,
+            places = styled.places,
             sep    = cfg.thousandsSeparator,
             negFmt = cfg.negativeFormat || ('-' + cfg.format),
             s, bits, i;
@@ -102,8 +125,62 @@
 
         return YAHOO.util.Number.format._applyFormat(
             (n < 0 ? negFmt : cfg.format),
-            bits.join(cfg.decimalSeparator),
+            bits.join(cfg.decimalSeparator) + styled.suffix,
             cfg);
+    },
+
+    /**
+     * Takes a string formatted for display and converts it back to a native
+     * JavaScript Number. The inverse of format, it accepts the same
+     * configuration values: the format or negativeFormat template must match,
+     * thousandsSeparator is ignored within the number and decimalSeparator
+     * marks its fraction. Strings that do not match either template are
+     * parsed as a plain number with an optional leading minus sign. The
+     * percent, compact and scientific styles are read back to the unscaled
+     * number, so they do not round-trip any more precisely than they were
+     * rounded.
+     *
+     * @method parse
+     * @param sData {String} String to parse.
+     * @param oConfig {Object} (Optional) Configuration values as for format.
+     * @return {Number} Parsed number, or null if the string could not be
+     * parsed. Note, null, undefined and "" return as null.
+     */
+    parse : function(s, cfg) {
+        if (typeof s === 'number') {
+            return isFinite(s) ? s : null;
+        }
+        if (!YAHOO.lang.isString(s) || !YAHOO.lang.trim(s)) {
+            return null;
+        }
+
+        s   = YAHOO.lang.trim(s);
+        cfg = YAHOO.util.Number.format._getConfig(cfg);
+
+        var NP     = YAHOO.util.Number.parse,
+            negFmt = cfg.negativeFormat || ('-' + cfg.format),
+            match, n;
+
+        if (negFmt.indexOf('#') > -1) {
+            // for backward compatibility of negativeFormat supporting '-#'
+            negFmt = negFmt.replace(/#/, cfg.format);
+        }
+
+        match = NP._matchFormat(negFmt, s, cfg);
+        n     = match === null ? null : NP._parseNumber(match, cfg, -1);
+
+        if (n === null) {
+            match = NP._matchFormat(cfg.format, s, cfg);
+            n     = match === null ? null : NP._parseNumber(match, cfg, 1);
+        }
+
+        // Fall back to a plain number
+        if (n === null) {
+            match = /^(-?)\s*(.+)$/.exec(s);
+            n     = NP._parseNumber(match[2], cfg, match[1] ? -1 : 1);
+        }
+
+        return n;
     }
 };
 
@@ -119,6 +196,12 @@
  *   <li>decimalSeparator</li>
  *   <li>decimalPlaces</li>
  *   <li>thousandsSeparator</li>
+ *   <li>style</li>
+ *   <li>significantDigits</li>
+ *   <li>locale</li>
+ *   <li>percentSymbol</li>
+ *   <li>compactSuffixes</li>
+ *   <li>exponentSymbol</li>
  *   <li>prefix/suffix or any other token you want to use in the format templates</li>
  * </ul>
  *
@@ -131,7 +214,111 @@ YAHOO.util.Number.format.defaults = {
     negativeFormat : null, // defaults to -(format)
     decimalSeparator : '.',
     decimalPlaces    : null,
-    thousandsSeparator : ''
+    thousandsSeparator : '',
+    style : null, // "percent", "compact" or "scientific"
+    significantDigits : null,
+    locale : null,
+    percentSymbol : '%',
+    compactSuffixes : ['', 'K', 'M', 'B', 'T'],
+    exponentSymbol : 'E'
+};
+
+/**
+ * Merges the config object over the preset of its locale and over
+ * Number.format.defaults.
+ *
+ * @method Number.format._getConfig
+ * @static
+ * @param cfg {Object} the config object passed to format or parse
+ * @return {Object} the merged config object
+ */
+YAHOO.util.Number.format._getConfig = function (cfg) {
+    var defaults = YAHOO.util.Number.format.defaults,
+        sLocale, oLocale;
+
+    cfg     = cfg || {};
+    sLocale = cfg.locale || defaults.locale;
+    oLocale = sLocale && (YAHOO.util.NumberLocale[sLocale] ||
+              YAHOO.util.NumberLocale[sLocale.replace(/-[a-zA-Z]+$/, '')]);
+
+    return YAHOO.lang.merge(defaults, oLocale || {}, cfg);
+};
+
+/**
+ * Scales the absolute value of a number for the cfg.style and works out the
+ * decimal places to round it to, from cfg.significantDigits if it is set.
+ * When rounding carries the number into the next power of ten or thousand,
+ * it is scaled again.
+ *
+ * @method Number.format._applyStyle
+ * @static
+ * @param n {Number} the absolute value of the number
+ * @param cfg {Object} the config object
+ * @return {Object} n, the scaled number, places, the decimal places to round
+ * it to, and suffix, the string to append to it
+ */
+YAHOO.util.Number.format._applyStyle = function (n, cfg) {
+    var style    = cfg.style,
+        sig      = cfg.significantDigits,
+        suffixes = cfg.compactSuffixes || [''],
+        step     = style === 'compact' ? 3 : 1,
+        maxExp   = style === 'compact' ? (suffixes.length - 1) * 3 : Infinity,
+        exp      = 0,
+        scaled, places, rounded,
+
+        // Power of ten of the leading digit, immune to Math.log rounding
+        magnitude = function (x) {
+            var e = Math.floor(Math.log(x) / Math.LN10);
+            return Math.pow(10, e + 1) <= x ? e + 1 :
+                   Math.pow(10, e) > x ? e - 1 : e;
+        },
+
+        round = function (x, p) {
+            return p < 0 ?
+                Math.round(x / Math.pow(10, -p)) * Math.pow(10, -p) :
+                +x.toFixed(p || 0);
+        },
+
+        scale = function () {
+            var mag;
+
+            scaled = exp < 0 ? n * Math.pow(10, -exp) : n / Math.pow(10, exp);
+            places = cfg.decimalPlaces;
+            if (sig > 0) {
+                mag    = scaled > 0 ? magnitude(scaled) : 0;
+                places = sig - 1 - mag;
+                // 9.96 to 2 digits is 10, not 10.0
+                if (round(scaled, places) >= Math.pow(10, mag + 1)) {
+                    places--;
+                }
+            }
+            rounded = round(scaled, places);
+        };
+
+    if (style === 'percent') {
+        n *= 100;
+    } else if ((style === 'compact' || style === 'scientific') && n > 0) {
+        exp = Math.min(Math.floor(magnitude(n) / step) * step, maxExp);
+        if (style === 'compact') {
+            exp = Math.max(exp, 0);
+        }
+    }
+
+    scale();
+
+    if ((style === 'compact' || style === 'scientific') &&
+        rounded >= Math.pow(10, step) && exp + step <= maxExp) {
+        exp += step;
+        scale();
+    }
+
+    return {
+        n      : scaled,
+        places : places,
+        suffix : style === 'percent' ? cfg.percentSymbol :
+                 style === 'compact' ? suffixes[exp / 3] :
+                 style === 'scientific' ? cfg.exponentSymbol + exp : ''
+    };
 };
 
 /**
@@ -154,6 +341,189 @@ YAHOO.util.Number.format._applyFormat = function (tmpl, num, data) {
     });
 };
 
+/**
+ * Matches a string against the cfg.format or cfg.negativeFormat template, with
+ * {placeholders} standing for the so-named values of the config object.
+ *
+ * @method Number.parse._matchFormat
+ * @static
+ * @param tmpl {String} the cfg.format or cfg.negativeFormat template string
+ * @param s {String} the string to match
+ * @param data {Object} the config object, used here to populate {placeholder}s
+ * @return {String} the portion of the string in place of {number}, or null
+ * if the string does not match the template
+ */
+YAHOO.util.Number.parse._matchFormat = function (tmpl, s, data) {
+    var esc = function (str) {
+            return str.replace(/[\\\^\$\.\*\+\?\(\)\[\]\{\}\|\/]/g, '\\$&');
+        },
+        re = esc(tmpl).replace(/\\\{(\w+)\\\}/g, function (_, token) {
+            return token === 'number' ? '(.+?)' :
+                   token in data ? esc(YAHOO.lang.trim(data[token] + '')) : '';
+        }).replace(/\s+/g, '\\s*'),
+        match;
+
+    if (re.indexOf('(.+?)') < 0) {
+        return null;
+    }
+    match = new RegExp('^\\s*' + re + '\\s*$').exec(s);
+    return match ? match[1] : null;
+};
+
+/**
+ * Converts the "d,ddd.dd" portion of a string to a Number, removing the
+ * thousandsSeparator and reading the decimalSeparator.
+ *
+ * @method Number.parse._parseNumber
+ * @static
+ * @param num {String} the number with separators
+ * @param cfg {Object} the config object
+ * @param sign {Number} 1 or -1
+ * @return {Number} the number, or null if it is not valid
+ */
+YAHOO.util.Number.parse._parseNumber = function (num, cfg, sign) {
+    var sep   = cfg.thousandsSeparator,
+        dec   = cfg.decimalSeparator || '.',
+        exp   = 0,
+        style = YAHOO.util.Number.parse._readStyle(YAHOO.lang.trim(num), cfg);
+
+    if (!style) {
+        return null;
+    }
+    num = style.num;
+    exp = style.exp;
+
+    if (sep) {
+        num = num.split(sep).join('');
+    }
+    if (dec !== '.') {
+        if (num.indexOf('.') > -1) {
+            return null;
+        }
+        num = num.split(dec).join('.');
+    }
+
+    if (!(/^(\d+\.?\d*|\.\d+)$/).test(num)) {
+        return null;
+    }
+    // Scale by the exponent in the string rather than by multiplying, which
+    // would read "12.3%" as 0.12300000000000001
+    return sign * parseFloat(num + 'e' + exp);
+};
+
+/**
+ * Removes the string appended by the percent, compact or scientific
+ * cfg.style from a number, and returns the power of ten it stood for.
+ *
+ * @method Number.parse._readStyle
+ * @static
+ * @param num {String} the trimmed number with separators
+ * @param cfg {Object} the config object
+ * @return {Object} num, the number without the appended string, and exp, the
+ * power of ten, or null if a scientific number has no valid exponent
+ */
+YAHOO.util.Number.parse._readStyle = function (num, cfg) {
+    var trim = YAHOO.lang.trim,
+        endsWith = function (s, end) {
+            return end !== '' && s.length > end.length &&
+                s.slice(-end.length).toLowerCase() === end.toLowerCase();
+        },
+        suffixes, sym, i, match;
+
+    switch (cfg.style) {
+        case 'percent':
+            sym = trim(cfg.percentSymbol + '');
+            if (endsWith(num, sym)) {
+                num = num.slice(0, -sym.length);
+            }
+            return { num : trim(num), exp : -2 };
+
+        case 'compact':
+            suffixes = cfg.compactSuffixes || [''];
+            // Try the longest suffix first so that " Mrd." is not read as "M"
+            for (i = suffixes.length - 1, match = 0; i > 0; i--) {
+                sym = trim(suffixes[i] + '');
+                if (endsWith(num, sym) &&
+                    (!match || sym.length > trim(suffixes[match]).length)) {
+                    match = i;
+                }
+            }
+            if (match) {
+                num = num.slice(0, -trim(suffixes[match]).length);
+            }
+            return { num : trim(num), exp : match * 3 };
+
+        case 'scientific':
+            sym = cfg.exponentSymbol + '';
+            i   = num.toLowerCase().lastIndexOf(sym.toLowerCase());
+            if (!sym || i < 0) {
+                return { num : num, exp : 0 };
+            }
+            match = /^[+\-]?\d+$/.exec(trim(num.slice(i + sym.length)));
+            return match ?
+                { num : trim(num.slice(0, i)), exp : parseInt(match[0], 10) } :
+                null;
+    }
+
+    return { num : num, exp : 0 };
+};
+
+
+/**
+ * The NumberLocale class is a container for the locale presets read by
+ * YAHOO.util.Number.format and YAHOO.util.Number.parse when a locale is set
+ * in their config or in YAHOO.util.Number.format.defaults. A preset may hold
+ * any config values, and values in the config override it.
+ *
+ * To add a locale, extend an existing one using YAHOO.lang.merge:
+ * <pre>
+ *    YAHOO.util.NumberLocale['de-CH'] = YAHOO.lang.merge(YAHOO.util.NumberLocale['de'], {
+ *        decimalSeparator: '.',
+ *        thousandsSeparator: "'"
+ *    });
+ * </pre>
+ * A locale such as &quot;de-AT&quot; with no preset of its own uses the
+ * preset of its language, &quot;de&quot;.
+ *
+ * @namespace YAHOO.util
+ * @requires yahoo
+ * @class NumberLocale
+ */
+YAHOO.util.NumberLocale = {
+    decimalSeparator : '.',
+    thousandsSeparator : ',',
+    percentSymbol : '%',
+    compactSuffixes : ['', 'K', 'M', 'B', 'T'],
+    exponentSymbol : 'E'
+};
+
+YAHOO.util.NumberLocale['en'] = YAHOO.lang.merge(YAHOO.util.NumberLocale, {});
+
+YAHOO.util.NumberLocale['en-US'] = YAHOO.lang.merge(YAHOO.util.NumberLocale['en']);
+
+YAHOO.util.NumberLocale['en-GB'] = YAHOO.lang.merge(YAHOO.util.NumberLocale['en']);
+
+YAHOO.util.NumberLocale['de'] = YAHOO.lang.merge(YAHOO.util.NumberLocale, {
+    decimalSeparator : ',',
+    thousandsSeparator : '.',
+    percentSymbol : '\u00a0%',
+    compactSuffixes : ['', '\u00a0Tsd.', '\u00a0Mio.', '\u00a0Mrd.', '\u00a0Bio.']
+});
+
+YAHOO.util.NumberLocale['fr'] = YAHOO.lang.merge(YAHOO.util.NumberLocale, {
+    decimalSeparator : ',',
+    thousandsSeparator : '\u00a0',
+    percentSymbol : '\u00a0%',
+    compactSuffixes : ['', '\u00a0k', '\u00a0M', '\u00a0Md', '\u00a0Bn']
+});
+
+YAHOO.util.NumberLocale['es'] = YAHOO.lang.merge(YAHOO.util.NumberLocale, {
+    decimalSeparator : ',',
+    thousandsSeparator : '.',
+    percentSymbol : '\u00a0%',
+    compactSuffixes : ['', '\u00a0mil', '\u00a0M', '\u00a0mil\u00a0M', '\u00a0B']
+});
+
 
 /****************************************************************************/
 /****************************************************************************/
@@ -173,6 +543,87 @@ var xPad=function (x, pad, r)
     return x.toString();
 };
 
+// Supports strings that are exactly equal to YYYY/MM/DD, DD/MM/YYYY and
+// MM/DD/YYYY for backwards compatibility
+var getFormat=function (format)
+{
+    format = format || "%m/%d/%Y";
+    if(format === 'YYYY/MM/DD') {
+        format = '%Y/%m/%d';
+    } else if(format === 'DD/MM/YYYY') {
+        format = '%d/%m/%Y';
+    } else if(format === 'MM/DD/YYYY') {
+        format = '%m/%d/%Y';
+    }
+    return format;
+};
+
+// Returns the definition of the requested locale, or of en if there is none
+var getLocale=function (sLocale)
+{
+    sLocale = sLocale || "en";
+    if(!(sLocale in YAHOO.util.DateLocale)) {
+        if(sLocale.replace(/-[a-zA-Z]+$/, '') in YAHOO.util.DateLocale) {
+            sLocale = sLocale.replace(/-[a-zA-Z]+$/, '');
+        } else {
+            sLocale = "en";
+        }
+    }
+    return YAHOO.util.DateLocale[sLocale];
+};
+
+// Escapes a string for use in a regular expression
+var escapeRe=function (s)
+{
+    return s.replace(/[\\\^\$\.\*\+\?\(\)\[\]\{\}\|\/\-]/g, '\\$&');
+};
+
+// Returns a regular expression matching any of the given locale names,
+// longest first so that "June" is not read as "Jun"
+var namesRe=function (aNames)
+{
+    var a = [];
+    for(var i = 0; i < aNames.length; i++) {
+        a.push(escapeRe(aNames[i]));
+    }
+    return a.sort(function (x, y) { return y.length - x.length; }).join('|');
+};
+
+// Returns the index of the given locale name, ignoring case
+var nameIndex=function (aNames, s)
+{
+    for(var i = 0; i < aNames.length; i++) {
+        if(aNames[i].toLowerCase() === s.toLowerCase()) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+// Replaces aggregates (in a loop because an agg may be made up of other aggs)
+var expandAggregates=function (format, aLocale)
+{
+    var replace_aggs = function (m0, m1) {
+        var f = Dt.aggregates[m1];
+        return (f === 'locale' ? aLocale[m1] : f);
+    };
+    while(format.match(/%[cDFhnrRtTxX]/)) {
+        format = format.replace(/%([cDFhnrRtTxX])/g, replace_aggs);
+    }
+    return format;
+};
+
+// Returns the locale string for n of the given unit, picking the plural form
+// with the locale's plural function
+var unitString=function (aLocale, oUnits, sUnit, n)
+{
+    var forms = oUnits[sUnit];
+    if(YAHOO.lang.isArray(forms)) {
+        forms = forms[Math.min(aLocale.plural(n), forms.length-1)];
+    }
+    return YAHOO.lang.substitute(forms, {n: n});
+};
+
 
 /**
  * The static Date class provides helper functions to deal with data of type Date.
@@ -289,6 +740,55 @@ var xPad=function (x, pad, r)
         //'+': '%a %b %e %T %Z %Y'
     },
 
+    /**
+     * Regular expressions and setters used by parse to read each format
+     * specifier. A setter stores the value it reads in a property of the
+     * object literal the Date is built from.
+     *
+     * @property parsers
+     * @type Object
+     * @static
+     */
+    parsers: {
+        a: { re: function (l) { return namesRe(l.a); } },
+        A: { re: function (l) { return namesRe(l.A); } },
+        b: { re: function (l) { return namesRe(l.b); },
+             set: function (o, s, l) { o.month = nameIndex(l.b, s); } },
+        B: { re: function (l) { return namesRe(l.B); },
+             set: function (o, s, l) { o.month = nameIndex(l.B, s); } },
+        C: { re: '\\d{1,2}', set: function (o, s) { o.century = +s; } },
+        d: { re: '\\d{1,2}', set: function (o, s) { o.day = +s; } },
+        e: { re: '\\s?\\d{1,2}', set: function (o, s) { o.day = +YAHOO.lang.trim(s); } },
+        g: { re: '\\d{2}' },
+        G: { re: '-?\\d{1,4}' },
+        H: { re: '\\d{1,2}', set: function (o, s) { o.hour = +s; } },
+        I: { re: '\\d{1,2}', set: function (o, s) { o.hour12 = +s; } },
+        j: { re: '\\d{1,3}', set: function (o, s) { o.doy = +s; } },
+        k: { re: '\\s?\\d{1,2}', set: function (o, s) { o.hour = +YAHOO.lang.trim(s); } },
+        l: { re: '\\s?\\d{1,2}', set: function (o, s) { o.hour12 = +YAHOO.lang.trim(s); } },
+        m: { re: '\\d{1,2}', set: function (o, s) { o.month = s - 1; } },
+        M: { re: '\\d{1,2}', set: function (o, s) { o.minute = +s; } },
+        p: { re: function (l) { return namesRe(l.p); },
+             set: function (o, s, l) { o.pm = nameIndex(l.p, s) === 1; } },
+        P: { re: function (l) { return namesRe(l.P); },
+             set: function (o, s, l) { o.pm = nameIndex(l.P, s) === 1; } },
+        s: { re: '-?\\d+', set: function (o, s) { o.epoch = +s; } },
+        S: { re: '\\d{1,2}', set: function (o, s) { o.second = +s; } },
+        u: { re: '[1-7]' },
+        U: { re: '\\d{1,2}' },
+        V: { re: '\\d{1,2}' },
+        w: { re: '[0-6]' },
+        W: { re: '\\d{1,2}' },
+        y: { re: '\\d{2}', set: function (o, s) { o.yy = +s; } },
+        Y: { re: '-?\\d+', set: function (o, s) { o.year = +s; } },
+        z: { re: '[+-]\\d{2}:?\\d{2}|Z',
+             set: function (o, s) {
+                 var m = /([+-])(\d{2}):?(\d{2})/.exec(s);
+                 o.offset = m ? (m[1] === '-' ? -1 : 1) * (m[2] * 60 + (+m[3])) : 0;
+             } },
+        Z: { re: '[A-Za-z]+|[+-]\\d{4}' }
+    },
+
      /**
      * Takes a native JavaScript Date and formats to string for display to user.
      *
@@ -382,36 +882,10 @@ var xPad=function (x, pad, r)
             return YAHOO.lang.isValue(oDate) ? oDate : "";
         }
 
-        var format = oConfig.format || "%m/%d/%Y";
-
-        // Be backwards compatible, support strings that are
-        // exactly equal to YYYY/MM/DD, DD/MM/YYYY and MM/DD/YYYY
-        if(format === 'YYYY/MM/DD') {
-            format = '%Y/%m/%d';
-        } else if(format === 'DD/MM/YYYY') {
-            format = '%d/%m/%Y';
-        } else if(format === 'MM/DD/YYYY') {
-            format = '%m/%d/%Y';
-        }
-        // end backwards compatibility block
- 
-        sLocale = sLocale || "en";
+        var format = getFormat(oConfig.format);
 
         // Make sure we have a definition for the requested locale, or default to en.
-        if(!(sLocale in YAHOO.util.DateLocale)) {
-            if(sLocale.replace(/-[a-zA-Z]+$/, '') in YAHOO.util.DateLocale) {
-                sLocale = sLocale.replace(/-[a-zA-Z]+$/, '');
-            } else {
-                sLocale = "en";
-            }
-        }
-
-        var aLocale = YAHOO.util.DateLocale[sLocale];
-
-        var replace_aggs = function (m0, m1) {
-            var f = Dt.aggregates[m1];
-            return (f === 'locale' ? aLocale[m1] : f);
-        };
+        var aLocale = getLocale(sLocale);
 
         var replace_formats = function (m0, m1) {
             var f = Dt.formats[m1];
@@ -426,17 +900,266 @@ var xPad=function (x, pad, r)
             }
         };
 
-        // First replace aggregates (run in a loop because an agg may be made up of other aggs)
-        while(format.match(/%[cDFhnrRtTxX]/)) {
-            format = format.replace(/%([cDFhnrRtTxX])/g, replace_aggs);
-        }
+        // First replace aggregates
+        format = expandAggregates(format, aLocale);
 
         // Now replace formats (do not run in a loop otherwise %%a will be replace with the value of %a)
         var str = format.replace(/%([aAbBCdegGHIjklmMpPsSuUVwWyYzZ%])/g, replace_formats);
 
-        replace_aggs = replace_formats = undefined;
+        replace_formats = undefined;
 
         return str;
+    },
+
+     /**
+     * Takes a string formatted for display and converts it back to a native
+     * JavaScript Date. The inverse of format, it accepts the same strftime
+     * format specifiers and reads month and weekday names, and AM/PM
+     * strings, from the locale. Names are matched regardless of case, and
+     * any run of white space in the format matches any run of white space.
+     * <p>
+     * Day and month default to January 1, the year to 1970 and the time to
+     * midnight when the format holds no specifier for them. Weekdays, week
+     * numbers and time zone names are matched but not used. %y years 69-99
+     * are 1969-1999 and 00-68 are 2000-2068.
+     * </p>
+     *
+     * @method parse
+     * @param sDate {String} String to parse.
+     * @param oConfig {Object} (Optional) Object literal of configuration values:
+     *  <dl>
+     *   <dt>format &lt;String&gt;</dt>
+     *   <dd>strftime string as for format. Defaults to "%m/%d/%Y".</dd>
+     *  </dl>
+     * @param sLocale {String} (Optional) The locale to read day and month names and
+     *  other locale specific strings from, as for format.
+     * @return {Date} Parsed date, or null if the string does not match the
+     *  format or holds an invalid date such as February 30.
+     */
+    parse : function (sDate, oConfig, sLocale) {
+        oConfig = oConfig || {};
+
+        if(sDate instanceof Date) {
+            return sDate;
+        }
+        if(!YAHOO.lang.isString(sDate)) {
+            return null;
+        }
+
+        var aLocale = getLocale(sLocale),
+            format = expandAggregates(getFormat(oConfig.format), aLocale),
+            isNumber = YAHOO.lang.isNumber,
+            aFields = [],
+            o = {},
+            bDayOfYear = false,
+            bRolledOver, re, match, date, i;
+
+        // Build a regular expression with a capture group for each specifier
+        re = format.replace(/%([a-zA-Z%])|([^%]+)|%$/g, function (m0, m1, m2) {
+            var f = m1 && Dt.parsers[m1];
+            if(!f) {
+                return escapeRe(m1 === '%' ? '%' : m0).replace(/\s+/g, '\\s+');
+            }
+            aFields.push(f);
+            return '(' + (YAHOO.lang.isFunction(f.re) ? f.re(aLocale) : f.re) + ')';
+        });
+
+        match = new RegExp('^\\s*' + re + '\\s*$', 'i').exec(sDate);
+        if(!match) {
+            return null;
+        }
+
+        for(i = 0; i < aFields.length; i++) {
+            if(aFields[i].set) {
+                aFields[i].set(o, match[i+1], aLocale);
+            }
+        }
+
+        // Seconds since the Epoch hold the whole date
+        if(isNumber(o.epoch)) {
+            return new Date(o.epoch * 1000);
+        }
+
+        if(isNumber(o.yy)) {
+            o.year = isNumber(o.century) ? o.century * 100 + o.yy :
+                    (o.yy < 69 ? 2000 : 1900) + o.yy;
+        }
+        if(isNumber(o.hour12)) {
+            if(o.hour12 < 1 || o.hour12 > 12) {
+                return null;
+            }
+            o.hour = (o.hour12 % 12) + (o.pm ? 12 : 0);
+        }
+        // A day of the year stands in for the month and day
+        if(isNumber(o.doy) && !isNumber(o.month) && !isNumber(o.day)) {
+            bDayOfYear = true;
+            o.month = 0;
+            o.day = o.doy;
+        }
+
+        var year = isNumber(o.year) ? o.year : 1970,
+            month = isNumber(o.month) ? o.month : 0,
+            day = isNumber(o.day) ? o.day : 1,
+            hour = o.hour || 0,
+            minute = o.minute || 0,
+            second = o.second || 0;
+
+        if(hour > 23 || minute > 59 || second > 60) {
+            return null;
+        }
+
+        if(isNumber(o.offset)) {
+            date = new Date(0);
+            date.setUTCFullYear(year, month, day);
+            date.setUTCHours(hour, minute, second, 0);
+            bRolledOver = (date.getUTCMonth() !== month) || (date.getUTCDate() !== day);
+            date = new Date(date.getTime() - o.offset * 60000);
+        }
+        else {
+            date = new Date(1970, 0, 1);
+            date.setFullYear(year, month, day);
+            date.setHours(hour, minute, second, 0);
+            bRolledOver = (date.getMonth() !== month) || (date.getDate() !== day);
+        }
+
+        // Reject dates that rolled over, such as February 30
+        if(bRolledOver && !bDayOfYear) {
+            return null;
+        }
+
+        return date;
+    },
+
+    /**
+     * Takes a native JavaScript Date and formats it as a time relative to
+     * now, such as "3 minutes ago", "in 2 days" or "yesterday". The
+     * distance is rounded to the largest unit it spans (seconds, minutes,
+     * hours, days, weeks, months or years), and the strings, including their
+     * plural forms, are read from the locale. Less than 45 seconds either way
+     * reads as the locale's "now" string.
+     *
+     * @method formatRelative
+     * @param oDate {Date} Date.
+     * @param oConfig {Object} (Optional) Object literal of configuration values:
+     *  <dl>
+     *   <dt>now &lt;Date&gt;</dt>
+     *   <dd>The Date to measure from. Defaults to the current time.</dd>
+     *  </dl>
+     * @param sLocale {String} (Optional) The locale to read relative time strings
+     *  from, as for format.
+     * @return {String} Formatted relative time for display.
+     */
+    formatRelative : function (oDate, oConfig, sLocale) {
+        oConfig = oConfig || {};
+
+        if(!(oDate instanceof Date)) {
+            return YAHOO.lang.isValue(oDate) ? oDate : "";
+        }
+
+        var aLocale = getLocale(sLocale),
+            oStrings = aLocale.relative,
+            now = oConfig.now instanceof Date ? oConfig.now : new Date(),
+            nSeconds = Math.round((oDate.getTime() - now.getTime()) / 1000),
+            nAbs = Math.abs(nSeconds),
+            sUnit, n;
+
+        if(nAbs < 45) {
+            return oStrings.now;
+        }
+        else if(nAbs < 45*60) {
+            sUnit = 'm';
+            n = Math.round(nAbs/60);
+        }
+        else if(nAbs < 22*3600) {
+            sUnit = 'h';
+            n = Math.round(nAbs/3600);
+        }
+        else {
+            n = Math.round(nAbs/86400);
+            if(n <= 1) {
+                return nSeconds < 0 ? oStrings.yesterday : oStrings.tomorrow;
+            }
+            else if(n < 7) {
+                sUnit = 'd';
+            }
+            else if(n < 26) {
+                sUnit = 'w';
+                n = Math.round(n/7);
+            }
+            else if(n < 320) {
+                sUnit = 'M';
+                n = Math.max(Math.round(n/30.44), 1);
+            }
+            else {
+                sUnit = 'y';
+                n = Math.max(Math.round(n/365.25), 1);
+            }
+        }
+
+        return YAHOO.lang.substitute(nSeconds < 0 ? oStrings.past : oStrings.future,
+                {time: unitString(aLocale, aLocale.units, sUnit, n)});
+    },
+
+    /**
+     * Takes a length of time in milliseconds and formats it as a duration,
+     * such as "1h 24m" or "1 hour 24 minutes", from its days, hours, minutes
+     * and seconds. Leading units that are zero are skipped, and the strings,
+     * including their plural forms, are read from the locale.
+     *
+     * @method formatDuration
+     * @param nMilliseconds {Number} Length of time in milliseconds.
+     * @param oConfig {Object} (Optional) Object literal of configuration values:
+     *  <dl>
+     *   <dt>style &lt;String&gt;</dt>
+     *   <dd>"short" for the locale's abbreviated units, as in "1h 24m", or
+     *    "long" for its full units, as in "1 hour 24 minutes". Defaults to
+     *    "short".</dd>
+     *   <dt>units &lt;Number&gt;</dt>
+     *   <dd>The most units to show, starting from the largest one that is not
+     *    zero. The last unit shown is rounded. Defaults to 2.</dd>
+     *  </dl>
+     * @param sLocale {String} (Optional) The locale to read unit strings from,
+     *  as for format.
+     * @return {String} Formatted duration for display.
+     */
+    formatDuration : function (nMilliseconds, oConfig, sLocale) {
+        oConfig = oConfig || {};
+
+        if(!YAHOO.lang.isNumber(nMilliseconds)) {
+            return YAHOO.lang.isValue(nMilliseconds) ? nMilliseconds : "";
+        }
+
+        var aLocale = getLocale(sLocale),
+            oUnits = oConfig.style === 'long' ? aLocale.units : aLocale.shortUnits,
+            nMaxUnits = oConfig.units > 0 ? oConfig.units : 2,
+            aUnits = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]],
+            nAbs = Math.abs(nMilliseconds) / 1000,
+            aParts = [],
+            nLeft = nAbs,
+            i, nLast, n;
+
+        // Skip the leading units that are zero, but always show seconds
+        for(i = 0; i < aUnits.length-1 && nLeft < aUnits[i][1]; i++) {}
+
+        nLast = Math.min(i + nMaxUnits, aUnits.length) - 1;
+        nLeft = Math.round(nAbs / aUnits[nLast][1]) * aUnits[nLast][1];
+
+        // Rounding the last unit shown may carry over into a skipped unit
+        if(i > 0 && nLeft >= aUnits[i-1][1]) {
+            i--;
+            nLast = Math.min(i + nMaxUnits, aUnits.length) - 1;
+            nLeft = Math.round(nAbs / aUnits[nLast][1]) * aUnits[nLast][1];
+        }
+
+        for(; i <= nLast; i++) {
+            n = Math.floor(nLeft / aUnits[i][1]);
+            nLeft -= n * aUnits[i][1];
+            if(n > 0 || (aParts.length === 0 && i === nLast)) {
+                aParts.push(unitString(aLocale, oUnits, aUnits[i][0], n));
+            }
+        }
+
+        return (nMilliseconds < 0 ? '-' : '') + aParts.join(aLocale.durationSeparator);
     }
  };
  
@@ -474,7 +1197,14 @@ var xPad=function (x, pad, r)
  *          p: ['', ''],
  *          P: ['', ''],
  *          x: '%d.%m.%Y',
- *          X: '%T'
+ *          X: '%T',
+ *          relative: {now: "&agrave; l'instant", past: 'il y a {time}', future: 'dans {time}',
+ *              yesterday: 'hier', tomorrow: 'demain'},
+ *          units: {s: ['{n} seconde', '{n} secondes'], m: ['{n} minute', '{n} minutes'],
+ *              h: ['{n} heure', '{n} heures'], d: ['{n} jour', '{n} jours'],
+ *              w: ['{n} semaine', '{n} semaines'], M: ['{n} mois', '{n} mois'],
+ *              y: ['{n} an', '{n} ans']},
+ *          plural: function (n) { return n < 2 ? 0 : 1; }
  *      });
  *   </pre>
  *  </li>
@@ -487,6 +1217,10 @@ var xPad=function (x, pad, r)
  *  </li>
  * </ol>
  *
+ * The relative and units strings used by formatRelative and formatDuration
+ * list each form of a unit, and plural returns the index of the form to use
+ * for a number, so locales with more than two plural forms can supply them.
+ *
  * With that, you can use your new locales:
  * <pre>
  *    var d = new Date("2008/04/22");
@@ -518,7 +1252,26 @@ var xPad=function (x, pad, r)
         P: ['am', 'pm'],
         r: '%I:%M:%S %p',
         x: '%d/%m/%y',
-        X: '%T'
+        X: '%T',
+        relative: {
+            now: 'just now',
+            past: '{time} ago',
+            future: 'in {time}',
+            yesterday: 'yesterday',
+            tomorrow: 'tomorrow'
+        },
+        units: {
+            s: ['{n} second', '{n} seconds'],
+            m: ['{n} minute', '{n} minutes'],
+            h: ['{n} hour', '{n} hours'],
+            d: ['{n} day', '{n} days'],
+            w: ['{n} week', '{n} weeks'],
+            M: ['{n} month', '{n} months'],
+            y: ['{n} year', '{n} years']
+        },
+        shortUnits: {s: '{n}s', m: '{n}m', h: '{n}h', d: '{n}d'},
+        durationSeparator: ' ',
+        plural: function (n) { return n === 1 ? 0 : 1; }
  };
 
  YAHOO.util.DateLocale['en'] = YAHOO.lang.merge(YAHOO.util.DateLocale, {});
@@ -888,6 +888,295 @@ lang.augmentProto(BCE, util.EventProvider);
 
 
 
+/****************************************************************************/
+/****************************************************************************/
+/****************************************************************************/
+    
+/**
+ * The AutoCompleteCellEditor class provides functionality for inline editing
+ * DataTable cell data with a textbox backed by a YAHOO.widget.AutoComplete.
+ * The cell stores the value of the selected item (e.g., an id), while the
+ * textbox displays its label.
+ *
+ * @namespace YAHOO.widget
+ * @class AutoCompleteCellEditor
+ * @extends YAHOO.widget.BaseCellEditor 
+ * @constructor
+ * @param oConfigs {Object} (Optional) Object literal of configs.
+ */
+widget.AutoCompleteCellEditor = function(oConfigs) {
+    this._sId = "yui-autocompleteceditor" + YAHOO.widget.BaseCellEditor._nCount++;
+    widget.AutoCompleteCellEditor.superclass.constructor.call(this, "autocomplete", oConfigs); 
+};
+
+// AutoCompleteCellEditor extends BaseCellEditor
+lang.extend(widget.AutoCompleteCellEditor, BCE, {
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// AutoCompleteCellEditor public properties
+//
+/////////////////////////////////////////////////////////////////////////////
+/**
+ * DataSource instance that provides the AutoComplete results. The first field
+ * of its responseSchema is the label that gets matched and displayed.
+ *
+ * @property dataSource
+ * @type YAHOO.util.DataSourceBase
+ */
+dataSource : null,
+
+/**
+ * Configs for the AutoComplete instance. Results are always returned as
+ * objects (i.e., resultTypeList is false).
+ *
+ * @property autoCompleteOptions
+ * @type Object
+ */
+autoCompleteOptions : null,
+
+/**
+ * Reference to AutoComplete instance.
+ *
+ * @property autoComplete
+ * @type YAHOO.widget.AutoComplete
+ */
+autoComplete : null,
+
+/**
+ * Reference to the textbox element.
+ *
+ * @property textbox
+ * @type HTMLElement
+ */
+textbox : null,
+
+/**
+ * Key of the result field that is stored in the cell when an item is
+ * selected. Results without this field store their label instead.
+ *
+ * @property valueKey
+ * @type String
+ * @default "id"
+ */
+valueKey : "id",
+
+/**
+ * Key of a Record field that holds the label of the cell value. The textbox
+ * displays this label, and it is updated with the label of the selected item
+ * when the value is saved, so a formatter can display it. If null, the
+ * textbox displays the cell value.
+ *
+ * @property labelField
+ * @type String
+ * @default null
+ */
+labelField : null,
+
+/**
+ * True to keep the current value when the text entered does not match a
+ * selected item, false to save the text itself.
+ *
+ * @property forceSelection
+ * @type Boolean
+ * @default true
+ */
+forceSelection : true,
+
+/**
+ * Value and label of the current item.
+ *
+ * @property _oItem
+ * @type Object
+ * @private
+ */
+_oItem : null,
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// AutoCompleteCellEditor public methods
+//
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Render a form with an input type=text and an AutoComplete instance.
+ *
+ * @method renderForm
+ */
+renderForm : function() {
+    if(widget.AutoComplete) {
+        var elWrapper = this.getContainerEl().appendChild(document.createElement("div")),
+            elTextbox = elWrapper.appendChild(document.createElement("input")),
+            elResults = elWrapper.appendChild(document.createElement("div"));
+        Dom.addClass(elWrapper, "yui-ac");
+        elTextbox.type = "text";
+        this.textbox = elTextbox;
+
+        var oAutoComplete = new widget.AutoComplete(elTextbox, elResults, this.dataSource,
+                lang.merge(this.autoCompleteOptions || {}, {resultTypeList:false}));
+        oAutoComplete.itemSelectEvent.subscribe(this._onItemSelect, this, true);
+        this.autoComplete = oAutoComplete;
+
+        // Save on enter unless an item is being chosen from the results
+        Ev.addListener(elTextbox, "keypress", function(v){
+            if((v.keyCode === 13)) {
+                // Prevent form submit
+                YAHOO.util.Event.preventDefault(v);
+                if(!this.autoComplete.isContainerOpen()) {
+                    this.save();
+                }
+            }
+        }, this, true);
+
+        if(this.disableBtns) {
+            this.handleDisabledBtns();
+        }
+    }
+    else {
+        YAHOO.log("Could not find YUI AutoComplete", "error", this.toString());
+    }
+},
+
+/**
+ * After rendering form, if disabledBtns is set to true, then sets up a mechanism
+ * to save input without them. 
+ *
+ * @method handleDisabledBtns
+ */
+handleDisabledBtns : function() {
+    this.autoComplete.itemSelectEvent.subscribe(function(v){
+        // Save on select
+        this.save();
+    }, this, true);
+},
+
+/**
+ * Attaches CellEditor instance to DataTable instance and subscribes to its
+ * own saveEvent to update the label of the Record.
+ *
+ * @method attach
+ * @param oDataTable {YAHOO.widget.DataTable} DataTable instance.
+ * @param elCell {HTMLElement} Cell to edit.
+ * @return {Boolean} True if attached.
+ */
+attach : function(oDataTable, elCell) {
+    // Custom Events of the CellEditor are reset when the ColumnSet changes
+    this.unsubscribe("saveEvent", this._onSave);
+    this.subscribe("saveEvent", this._onSave);
+    return widget.AutoCompleteCellEditor.superclass.attach.call(this, oDataTable, elCell);
+},
+
+/**
+ * Moves AutoCompleteCellEditor UI to a cell.
+ *
+ * @method move
+ */
+move : function() {
+    this.textbox.parentNode.style.width = this.getTdEl().offsetWidth + "px";
+    widget.AutoCompleteCellEditor.superclass.move.call(this);
+},
+
+/**
+ * Resets AutoCompleteCellEditor UI to initial state.
+ *
+ * @method resetForm
+ */
+resetForm : function() {
+    var oLabel = (this.labelField) ? this.getRecord().getData(this.labelField) : this.value,
+        sLabel = lang.isValue(oLabel) ? oLabel.toString() : "";
+    this._oItem = {value:this.value, label:sLabel};
+    this.textbox.value = sLabel;
+},
+
+/**
+ * Sets focus in AutoCompleteCellEditor.
+ *
+ * @method focus
+ */
+focus : function() {
+    this.getDataTable()._focusEl(this.textbox);
+    this.textbox.select();
+},
+
+/**
+ * Returns the value of the selected item if the textbox still displays its
+ * label, otherwise the current value or the text, depending on forceSelection.
+ *
+ * @method getInputValue
+ */
+getInputValue : function() {
+    if(this.textbox.value === this._oItem.label) {
+        return this._oItem.value;
+    }
+    return (this.forceSelection) ? this.value : this.textbox.value;
+},
+
+/**
+ * Destroys AutoComplete instance along with the CellEditor.
+ *
+ * @method destroy
+ */
+destroy : function() {
+    if(this.autoComplete) {
+        this.autoComplete.destroy();
+        this.autoComplete = null;
+    }
+    widget.AutoCompleteCellEditor.superclass.destroy.call(this);
+},
+
+/**
+ * Handles itemSelectEvent of the AutoComplete instance.
+ *
+ * @method _onItemSelect
+ * @param sType {String} Custom Event type.
+ * @param aArgs {Array} AutoComplete instance, item element and result data.
+ * @private
+ */
+_onItemSelect : function(sType, aArgs) {
+    var oData = aArgs[2],
+        sLabel = this.textbox.value;
+    this._oItem = {
+        value: (lang.isObject(oData) && lang.isValue(oData[this.valueKey])) ?
+                oData[this.valueKey] : sLabel,
+        label: sLabel
+    };
+},
+
+/**
+ * Handles saveEvent to update the label of the Record and reformat the cell.
+ * The label is undone along with the value.
+ *
+ * @method _onSave
+ * @param oArgs {Object} Custom Event args.
+ * @private
+ */
+_onSave : function(oArgs) {
+    if(this.labelField) {
+        var oDataTable = this.getDataTable(),
+            oRecord = this.getRecord(),
+            oOldLabel = oRecord.getData(this.labelField),
+            oNewLabel = (oArgs.newData === this._oItem.value) ? this._oItem.label :
+                    (oArgs.newData === oArgs.oldData) ? oOldLabel : oArgs.newData;
+        if(oNewLabel !== oOldLabel) {
+            oDataTable.updateLinkedValue(oRecord, this.getColumn().getKey(), this.labelField, oNewLabel);
+            oDataTable.formatCell(this.getTdEl().firstChild, oRecord, this.getColumn());
+        }
+    }
+}
+
+});
+
+// Copy static members to AutoCompleteCellEditor class
+lang.augmentObject(widget.AutoCompleteCellEditor, BCE);
+
+
+
+
+
+
+
+
+
 /****************************************************************************/
 /****************************************************************************/
 /****************************************************************************/
@@ -1061,6 +1350,161 @@ lang.augmentObject(widget.CheckboxCellEditor, BCE);
 
 
 
+/****************************************************************************/
+/****************************************************************************/
+/****************************************************************************/
+    
+/**
+ * The ColorCellEditor class provides functionality for inline editing
+ * DataTable cell data with a YAHOO.widget.ColorPicker. Values are hex color
+ * strings (e.g., "#FF0000").
+ *
+ * @namespace YAHOO.widget
+ * @class ColorCellEditor
+ * @extends YAHOO.widget.BaseCellEditor 
+ * @constructor
+ * @param oConfigs {Object} (Optional) Object literal of configs.
+ */
+widget.ColorCellEditor = function(oConfigs) {
+    this._sId = "yui-colorceditor" + YAHOO.widget.BaseCellEditor._nCount++;
+    widget.ColorCellEditor.superclass.constructor.call(this, "color", oConfigs); 
+};
+
+// ColorCellEditor extends BaseCellEditor
+lang.extend(widget.ColorCellEditor, BCE, {
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// ColorCellEditor public properties
+//
+/////////////////////////////////////////////////////////////////////////////
+/**
+ * Reference to ColorPicker instance.
+ *
+ * @property colorPicker
+ * @type YAHOO.widget.ColorPicker
+ */
+colorPicker : null,
+
+/**
+ * Configs for the ColorPicker instance.
+ *
+ * @property colorPickerOptions
+ * @type Object
+ */
+colorPickerOptions : null,
+
+/**
+ * Color displayed when the cell value is not a valid hex color.
+ *
+ * @property defaultColor
+ * @type String
+ * @default "#FFFFFF"
+ */
+defaultColor : "#FFFFFF",
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// ColorCellEditor public methods
+//
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Render a ColorPicker.
+ *
+ * @method renderForm
+ */
+renderForm : function() {
+    // ColorPicker widget
+    if(widget.ColorPicker) {
+        var elPicker = this.getContainerEl().appendChild(document.createElement("div"));
+        elPicker.id = this.getId() + "-picker";
+        this.colorPicker = new widget.ColorPicker(elPicker, this.colorPickerOptions || {});
+
+        if(this.disableBtns) {
+            this.handleDisabledBtns();
+        }
+    }
+    else {
+        YAHOO.log("Could not find YUI ColorPicker", "error", this.toString());
+    }
+},
+
+/**
+ * After rendering form, if disabledBtns is set to true, then sets up a mechanism
+ * to save input without them. 
+ *
+ * @method handleDisabledBtns
+ */
+handleDisabledBtns : function() {
+    // Save on enter since every drag of the picker changes the color
+    Ev.addListener(this.getContainerEl(), "keypress", function(v){
+        if((v.keyCode === 13)) {
+            YAHOO.util.Event.preventDefault(v);
+            this.save();
+        }
+    }, this, true);
+},
+
+/**
+ * Resets ColorCellEditor UI to initial state.
+ *
+ * @method resetForm
+ */
+resetForm : function() {
+    var sHex = this._toHex(this.value) || this._toHex(this.defaultColor) || "FFFFFF";
+    this.colorPicker.setValue(util.Color.hex2rgb(sHex), true);
+},
+
+/**
+ * Sets focus in ColorCellEditor.
+ *
+ * @method focus
+ */
+focus : function() {
+    var oPicker = this.colorPicker;
+    this.getDataTable()._focusEl(oPicker.getElement(oPicker.ID.R));
+},
+
+/**
+ * Retrieves input value from ColorCellEditor.
+ *
+ * @method getInputValue
+ */
+getInputValue : function() {
+    return "#" + this.colorPicker.get("hex");
+},
+
+/**
+ * Converts a color string such as "#F00" or "ff0000" to six uppercase hex
+ * digits without the leading "#".
+ *
+ * @method _toHex
+ * @param oColor {String} Color string.
+ * @return {String} Hex digits, or null if the string is not a hex color.
+ * @private
+ */
+_toHex : function(oColor) {
+    var sHex = lang.isString(oColor) ? oColor.replace(/^#/, "").toUpperCase() : "";
+    if(/^[0-9A-F]{3}$/.test(sHex)) {
+        sHex = sHex.replace(/(.)/g, "$1$1");
+    }
+    return (/^[0-9A-F]{6}$/.test(sHex)) ? sHex : null;
+}
+
+});
+
+// Copy static members to ColorCellEditor class
+lang.augmentObject(widget.ColorCellEditor, BCE);
+
+
+
+
+
+
+
+
+
 /****************************************************************************/
 /****************************************************************************/
 /****************************************************************************/
@@ -1418,6 +1862,346 @@ lang.augmentObject(widget.DropdownCellEditor, BCE);
 
 
 
+/****************************************************************************/
+/****************************************************************************/
+/****************************************************************************/
+    
+/**
+ * The MultiSelectCellEditor class provides functionality for inline editing
+ * DataTable cell data with a multi-select list. Values are arrays, or
+ * delimited strings if a delimiter is set.
+ *
+ * @namespace YAHOO.widget
+ * @class MultiSelectCellEditor
+ * @extends YAHOO.widget.DropdownCellEditor 
+ * @constructor
+ * @param oConfigs {Object} (Optional) Object literal of configs.
+ */
+widget.MultiSelectCellEditor = function(oConfigs) {
+    this._sId = "yui-multiselectceditor" + YAHOO.widget.BaseCellEditor._nCount++;
+    BCE.call(this, "multiselect", oConfigs); 
+};
+
+// MultiSelectCellEditor extends DropdownCellEditor
+lang.extend(widget.MultiSelectCellEditor, widget.DropdownCellEditor, {
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// MultiSelectCellEditor public properties
+//
+/////////////////////////////////////////////////////////////////////////////
+/**
+ * Enables multi-select.
+ *
+ * @property multiple
+ * @type Boolean
+ * @default true
+ */
+multiple : true,
+
+/**
+ * Specifies number of visible options.
+ *
+ * @property size
+ * @type Number
+ * @default 5
+ */
+size : 5,
+
+/**
+ * Delimiter for cell values stored as strings (e.g., "AL,AK"). If null,
+ * values are stored as arrays.
+ *
+ * @property delimiter
+ * @type String
+ * @default null
+ */
+delimiter : null,
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// MultiSelectCellEditor public methods
+//
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Render a form with a multi-select element.
+ *
+ * @method renderForm
+ */
+renderForm : function() {
+    widget.MultiSelectCellEditor.superclass.renderForm.call(this);
+
+    // Save on enter by default
+    Ev.addListener(this.dropdown, "keypress", function(v){
+        if((v.keyCode === 13)) {
+            YAHOO.util.Event.preventDefault(v);
+            this.save();
+        }
+    }, this, true);
+},
+
+/**
+ * Resets MultiSelectCellEditor UI to initial state.
+ *
+ * @method resetForm
+ */
+resetForm : function() {
+    var allOptions = this.dropdown.options,
+        allValues = this.value,
+        hash = {},
+        i, j;
+
+    if(lang.isString(allValues) && lang.isString(this.delimiter)) {
+        allValues = (allValues) ? allValues.split(this.delimiter) : [];
+    }
+    else if(!lang.isArray(allValues)) {
+        allValues = lang.isValue(allValues) ? [allValues] : [];
+    }
+
+    for(i=0, j=allValues.length; i<j; i++) {
+        hash[allValues[i]] = true;
+    }
+    for(i=0, j=allOptions.length; i<j; i++) {
+        allOptions[i].selected = (hash[allOptions[i].value] === true);
+    }
+},
+
+/**
+ * Retrieves input value from MultiSelectCellEditor.
+ *
+ * @method getInputValue
+ */
+getInputValue : function() {
+    var values = widget.MultiSelectCellEditor.superclass.getInputValue.call(this);
+    return lang.isString(this.delimiter) ? values.join(this.delimiter) : values;
+}
+
+});
+
+// Copy static members to MultiSelectCellEditor class
+lang.augmentObject(widget.MultiSelectCellEditor, BCE);
+
+
+
+
+
+
+
+
+
+/****************************************************************************/
+/****************************************************************************/
+/****************************************************************************/
+    
+/**
+ * The NumberCellEditor class provides functionality for inline editing
+ * DataTable cell data with a numeric textbox. The up and down arrow keys step
+ * the value by one step, and the page up and page down keys by ten steps.
+ *
+ * @namespace YAHOO.widget
+ * @class NumberCellEditor
+ * @extends YAHOO.widget.BaseCellEditor 
+ * @constructor
+ * @param oConfigs {Object} (Optional) Object literal of configs.
+ */
+widget.NumberCellEditor = function(oConfigs) {
+    this._sId = "yui-numberceditor" + YAHOO.widget.BaseCellEditor._nCount++;
+    widget.NumberCellEditor.superclass.constructor.call(this, "number", oConfigs); 
+};
+
+// NumberCellEditor extends BaseCellEditor
+lang.extend(widget.NumberCellEditor, BCE, {
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// NumberCellEditor public properties
+//
+/////////////////////////////////////////////////////////////////////////////
+/**
+ * Reference to the textbox element.
+ *
+ * @property textbox
+ * @type HTMLElement
+ */
+textbox : null,
+
+/**
+ * Minimum value, or null for no minimum.
+ *
+ * @property min
+ * @type Number
+ * @default null
+ */
+min : null,
+
+/**
+ * Maximum value, or null for no maximum.
+ *
+ * @property max
+ * @type Number
+ * @default null
+ */
+max : null,
+
+/**
+ * Amount by which the spinner keys change the value. Stepped values are
+ * rounded to the number of decimals of the step.
+ *
+ * @property step
+ * @type Number
+ * @default 1
+ */
+step : 1,
+
+/**
+ * Validates input as a Number within the min and max. Can be overridden with
+ * a custom validator function.
+ *
+ * @property validator
+ * @type Function
+ */
+validator : function(oData, oValue, oEditor) {
+    var number = (lang.isValue(oData) && oData !== "") ? DT.validateNumber(oData) : undefined;
+    if((number !== undefined) &&
+            (!lang.isNumber(oEditor.min) || (number >= oEditor.min)) &&
+            (!lang.isNumber(oEditor.max) || (number <= oEditor.max))) {
+        return number;
+    }
+    return undefined;
+},
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// NumberCellEditor public methods
+//
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Render a form with input type=text and spinner keys.
+ *
+ * @method renderForm
+ */
+renderForm : function() {
+    var elTextbox;
+    // Bug 1802582: SF3/Mac needs a form element wrapping the input
+    if(ua.webkit>420) {
+        elTextbox = this.getContainerEl().appendChild(document.createElement("form")).appendChild(document.createElement("input"));
+    }
+    else {
+        elTextbox = this.getContainerEl().appendChild(document.createElement("input"));
+    }
+    elTextbox.type = "text";
+    this.textbox = elTextbox;
+
+    // Save on enter by default
+    Ev.addListener(elTextbox, "keypress", function(v){
+        if((v.keyCode === 13)) {
+            // Prevent form submit
+            YAHOO.util.Event.preventDefault(v);
+            this.save();
+        }
+    }, this, true);
+
+    // Spin on arrow and page keys
+    Ev.addListener(elTextbox, "keydown", function(v){
+        var nSteps = {33:10, 34:-10, 38:1, 40:-1}[v.keyCode];
+        if(nSteps) {
+            YAHOO.util.Event.preventDefault(v);
+            this.spin(nSteps);
+        }
+    }, this, true);
+
+    if(this.disableBtns) {
+        // By default this is no-op since enter saves by default
+        this.handleDisabledBtns();
+    }
+},
+
+/**
+ * Moves NumberCellEditor UI to a cell.
+ *
+ * @method move
+ */
+move : function() {
+    this.textbox.style.width = this.getTdEl().offsetWidth + "px";
+    widget.NumberCellEditor.superclass.move.call(this);
+},
+
+/**
+ * Resets NumberCellEditor UI to initial state.
+ *
+ * @method resetForm
+ */
+resetForm : function() {
+    this.textbox.value = lang.isValue(this.value) ? this.value.toString() : "";
+},
+
+/**
+ * Sets focus in NumberCellEditor.
+ *
+ * @method focus
+ */
+focus : function() {
+    this.getDataTable()._focusEl(this.textbox);
+    this.textbox.select();
+},
+
+/**
+ * Returns new value for NumberCellEditor.
+ *
+ * @method getInputValue
+ */
+getInputValue : function() {
+    return this.textbox.value;
+},
+
+/**
+ * Changes the value in the textbox by a number of steps, within the min and
+ * max. If the textbox does not hold a number, spinning starts from the min,
+ * or from 0.
+ *
+ * @method spin
+ * @param nSteps {Number} Number of steps, negative to decrease the value.
+ */
+spin : function(nSteps) {
+    var nValue = parseFloat(this.textbox.value),
+        nStep = lang.isNumber(this.step) ? this.step : 1,
+        fnDecimals = function(n) {
+            var aParts = n.toString().split(".");
+            return aParts[1] ? aParts[1].length : 0;
+        };
+
+    if(isNaN(nValue)) {
+        nValue = lang.isNumber(this.min) ? this.min : 0;
+    }
+    else {
+        // Round away floating point errors, to the precision of the value or the step
+        nValue = parseFloat((nValue + nSteps * nStep).toFixed(
+                Math.min(Math.max(fnDecimals(nValue), fnDecimals(nStep)), 20)));
+    }
+    if(lang.isNumber(this.min)) {
+        nValue = Math.max(nValue, this.min);
+    }
+    if(lang.isNumber(this.max)) {
+        nValue = Math.min(nValue, this.max);
+    }
+    this.textbox.value = nValue.toString();
+}
+
+});
+
+// Copy static members to NumberCellEditor class
+lang.augmentObject(widget.NumberCellEditor, BCE);
+
+
+
+
+
+
+
+
+
 /****************************************************************************/
 /****************************************************************************/
 /****************************************************************************/
@@ -1840,12 +2624,16 @@ lang.augmentObject(widget.TextboxCellEditor, BCE);
  * @static
  */
 DT.Editors = {
-    checkbox : widget.CheckboxCellEditor,
-    "date"   : widget.DateCellEditor,
-    dropdown : widget.DropdownCellEditor,
-    radio    : widget.RadioCellEditor,
-    textarea : widget.TextareaCellEditor,
-    textbox  : widget.TextboxCellEditor
+    autocomplete  : widget.AutoCompleteCellEditor,
+    checkbox      : widget.CheckboxCellEditor,
+    color         : widget.ColorCellEditor,
+    "date"        : widget.DateCellEditor,
+    dropdown      : widget.DropdownCellEditor,
+    multiselect   : widget.MultiSelectCellEditor,
+    number        : widget.NumberCellEditor,
+    radio         : widget.RadioCellEditor,
+    textarea      : widget.TextareaCellEditor,
+    textbox       : widget.TextboxCellEditor
 };
 
 /****************************************************************************/
@@ -494,6 +494,22 @@ YAHOO.widget.ColumnSet.prototype = {
         parse(oColumn);
 
         return allDescendants;
+    },
+
+    /**
+     * Returns true if any key Column defines an aggregate.
+     *
+     * @method hasAggregates
+     * @return {Boolean} True if any key Column defines an aggregate.
+     */
+    hasAggregates : function() {
+        var allKeys = this.keys;
+        for(var i=0; i<allKeys.length; i++) {
+            if(allKeys[i].aggregate) {
+                return true;
+            }
+        }
+        return false;
     }
 };
 
@@ -780,6 +796,19 @@ YAHOO.widget.Column.prototype = {
      */
     children : null,
 
+    /**
+     * Aggregate of the Column's field shown in the DataTable footer row and
+     * group header rows: "sum", "avg", "min", "max" or "count", or a function
+     * that receives an array of Records and the Column and returns the value.
+     * The value is displayed with the Column's formatter, called with a null
+     * Record, except for "count".
+     *
+     * @property aggregate
+     * @type String | Function
+     * @default null
+     */
+    aggregate : null,
+
     /**
      * Column width (in pixels).
      *
@@ -854,7 +883,9 @@ YAHOO.widget.Column.prototype = {
     currencyOptions : null,
 
     /**
-     * Config passed to YAHOO.util.Date.format() by the 'date' Column formatter.
+     * Config passed to YAHOO.util.Date.format() by the 'date' Column formatter,
+     * to YAHOO.util.Date.formatRelative() by the 'relativeDate' Column formatter
+     * and to YAHOO.util.Date.formatDuration() by the 'duration' Column formatter.
      *
      * @property dateOptions
      * @type Object
@@ -862,6 +893,30 @@ YAHOO.widget.Column.prototype = {
      */
     dateOptions : null,
 
+    /**
+     * Filter type of the Column's field in the DataTable filter row: "text",
+     * "number", "date" or "enum", or an object literal with the type and the
+     * default values of filters from the filter row, such as
+     * {type:"text", op:"startsWith"}. For "enum", an options array of values, or
+     * of {label, value} object literals, may replace the distinct values of the
+     * field. Number and date bounds are read with numberOptions and dateOptions.
+     *
+     * @property filter
+     * @type String | Object
+     * @default null
+     */
+    filter : null,
+
+    /**
+     * Config passed to YAHOO.util.Number.format() by the 'number' Column formatter,
+     * for example {style:"compact", decimalPlaces:1} or {locale:"de"}.
+     *
+     * @property numberOptions
+     * @type Object
+     * @default null
+     */
+    numberOptions : null,
+
     /**
      * Array of dropdown values for formatter:"dropdown" cases. Can either be a simple array (e.g.,
      * ["Alabama","Alaska","Arizona","Arkansas"]) or a an array of objects (e.g.,
@@ -979,10 +1034,12 @@ YAHOO.widget.Column.prototype = {
         
         // Update the definition
         oDefinition.abbr = this.abbr;
+        oDefinition.aggregate = this.aggregate;
         oDefinition.className = this.className;
         oDefinition.editor = this.editor;
         oDefinition.editorOptions = this.editorOptions; //TODO: deprecated
         oDefinition.field = this.field;
+        oDefinition.filter = this.filter;
         oDefinition.formatter = this.formatter;
         oDefinition.hidden = this.hidden;
         oDefinition.key = this.key;
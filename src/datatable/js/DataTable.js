@@ -64,8 +64,8 @@ YAHOO.widget.DataTable = function(elContainer,aColumnDefs,oDataSource,oConfigs)
         return;
     }
 
-    // Initialize ColumnSet
-    this._initColumnSet(aColumnDefs);
+    // Initialize ColumnSet, restoring any saved Column state
+    this._initColumnSet(this._restoreColumnState(aColumnDefs));
     if(!this._oColumnSet) {
         YAHOO.log("Could not instantiate DataTable due to an invalid ColumnSet", "error", this.toString());
         return;
@@ -265,6 +265,73 @@ lang.augmentObject(DT, {
      */
     CLASS_EDITOR_SHIM : "yui-dt-editor-shim",
 
+    /**
+     * Class name assigned to the filter row TR element.
+     *
+     * @property DataTable.CLASS_FILTER
+     * @type String
+     * @static
+     * @final
+     * @default "yui-dt-filter"
+     */
+    CLASS_FILTER : "yui-dt-filter",
+
+    /**
+     * Class name assigned to group header TR elements.
+     *
+     * @property DataTable.CLASS_GROUP
+     * @type String
+     * @static
+     * @final
+     * @default "yui-dt-group"
+     */
+    CLASS_GROUP : "yui-dt-group",
+
+    /**
+     * Class name assigned to collapsed group header TR elements.
+     *
+     * @property DataTable.CLASS_COLLAPSED
+     * @type String
+     * @static
+     * @final
+     * @default "yui-dt-collapsed"
+     */
+    CLASS_COLLAPSED : "yui-dt-collapsed",
+
+    /**
+     * Class name assigned to expand/collapse toggle elements.
+     *
+     * @property DataTable.CLASS_TOGGLE
+     * @type String
+     * @static
+     * @final
+     * @default "yui-dt-toggle"
+     */
+    CLASS_TOGGLE : "yui-dt-toggle",
+
+    /**
+     * Class name assigned to the indent elements of tree grid rows. Those of
+     * rows with children are toggle elements.
+     *
+     * @property DataTable.CLASS_TREE
+     * @type String
+     * @static
+     * @final
+     * @default "yui-dt-tree"
+     */
+    CLASS_TREE : "yui-dt-tree",
+
+    /**
+     * Class name assigned to the footer aggregate TR element.
+     *
+     * @property DataTable.CLASS_AGGREGATE
+     * @type String
+     * @static
+     * @final
+     * @default "yui-dt-aggregate"
+     */
+    CLASS_AGGREGATE : "yui-dt-aggregate",
+
     /**
      * Class name assigned to paginator container elements.
      *
@@ -518,6 +585,41 @@ lang.augmentObject(DT, {
      */
     CLASS_DESC : "yui-dt-desc",
 
+    /**
+     * Class name assigned to the sort order indicators of Columns sorted by
+     * more than one key.
+     *
+     * @property DataTable.CLASS_SORTORDER
+     * @type String
+     * @static
+     * @final
+     * @default "yui-dt-sortorder"
+     */
+    CLASS_SORTORDER : "yui-dt-sortorder",
+
+    /**
+     * Class name assigned to the column chooser container element.
+     *
+     * @property DataTable.CLASS_COLCHOOSER
+     * @type String
+     * @static
+     * @final
+     * @default "yui-dt-colchooser"
+     */
+    CLASS_COLCHOOSER : "yui-dt-colchooser",
+
+    /**
+     * Class name assigned to cells whose data was changed since the last
+     * commit of the RecordSet's changes.
+     *
+     * @property DataTable.CLASS_DIRTY
+     * @type String
+     * @static
+     * @final
+     * @default "yui-dt-dirty"
+     */
+    CLASS_DIRTY : "yui-dt-dirty",
+
     /**
      * Class name assigned to BUTTON elements and/or container elements.
      *
@@ -676,6 +778,224 @@ lang.augmentObject(DT, {
         return copy;
     },
 
+    /**
+     * Returns the average of the numeric values of the Column's field, or null
+     * if there are none.
+     *
+     * @method DataTable.aggregateAvg
+     * @param aRecords {YAHOO.widget.Record[]} Records to aggregate.
+     * @param oColumn {YAHOO.widget.Column} Column instance.
+     * @return {Number} Average, or null.
+     * @static
+     */
+    aggregateAvg : function(aRecords, oColumn) {
+        var aValues = DT._getAggregateNumbers(aRecords, oColumn);
+        return aValues.length ? DT.aggregateSum(aRecords, oColumn) / aValues.length : null;
+    },
+
+    /**
+     * Returns the number of Records.
+     *
+     * @method DataTable.aggregateCount
+     * @param aRecords {YAHOO.widget.Record[]} Records to aggregate.
+     * @param oColumn {YAHOO.widget.Column} Column instance.
+     * @return {Number} Count.
+     * @static
+     */
+    aggregateCount : function(aRecords, oColumn) {
+        return aRecords.length;
+    },
+
+    /**
+     * Returns the largest value of the Column's field, compared with
+     * YAHOO.util.Sort.compare(), or null if there are no values.
+     *
+     * @method DataTable.aggregateMax
+     * @param aRecords {YAHOO.widget.Record[]} Records to aggregate.
+     * @param oColumn {YAHOO.widget.Column} Column instance.
+     * @return {Object} Largest value, or null.
+     * @static
+     */
+    aggregateMax : function(aRecords, oColumn) {
+        var oMax = null, oData;
+        for(var i=0, len=aRecords.length; i<len; i++) {
+            oData = aRecords[i].getData(oColumn.field);
+            if(lang.isValue(oData) && (oData !== "") &&
+                    ((oMax === null) || (util.Sort.compare(oData, oMax) > 0))) {
+                oMax = oData;
+            }
+        }
+        return oMax;
+    },
+
+    /**
+     * Returns the smallest value of the Column's field, compared with
+     * YAHOO.util.Sort.compare(), or null if there are no values.
+     *
+     * @method DataTable.aggregateMin
+     * @param aRecords {YAHOO.widget.Record[]} Records to aggregate.
+     * @param oColumn {YAHOO.widget.Column} Column instance.
+     * @return {Object} Smallest value, or null.
+     * @static
+     */
+    aggregateMin : function(aRecords, oColumn) {
+        var oMin = null, oData;
+        for(var i=0, len=aRecords.length; i<len; i++) {
+            oData = aRecords[i].getData(oColumn.field);
+            if(lang.isValue(oData) && (oData !== "") &&
+                    ((oMin === null) || (util.Sort.compare(oData, oMin) < 0))) {
+                oMin = oData;
+            }
+        }
+        return oMin;
+    },
+
+    /**
+     * Returns the sum of the numeric values of the Column's field. Values that
+     * are not numeric are skipped.
+     *
+     * @method DataTable.aggregateSum
+     * @param aRecords {YAHOO.widget.Record[]} Records to aggregate.
+     * @param oColumn {YAHOO.widget.Column} Column instance.
+     * @return {Number} Sum.
+     * @static
+     */
+    aggregateSum : function(aRecords, oColumn) {
+        var aValues = DT._getAggregateNumbers(aRecords, oColumn),
+            nSum = 0;
+        for(var i=0, len=aValues.length; i<len; i++) {
+            nSum += aValues[i];
+        }
+        return nSum;
+    },
+
+    /**
+     * Returns the numeric values of the Column's field for the given Records.
+     *
+     * @method DataTable._getAggregateNumbers
+     * @param aRecords {YAHOO.widget.Record[]} Records.
+     * @param oColumn {YAHOO.widget.Column} Column instance.
+     * @return {Number[]} Numeric values.
+     * @private
+     * @static
+     */
+    _getAggregateNumbers : function(aRecords, oColumn) {
+        var aValues = [], oData;
+        for(var i=0, len=aRecords.length; i<len; i++) {
+            oData = aRecords[i].getData(oColumn.field);
+            if(lang.isValue(oData) && (oData !== "") && lang.isNumber(+oData)) {
+                aValues[aValues.length] = +oData;
+            }
+        }
+        return aValues;
+    },
+
+    /**
+     * Filters Dates to the range between oFilter.min and oFilter.max, inclusive.
+     * Either bound may be null. Values that are not Dates only pass when
+     * neither bound is set.
+     *
+     * @method DataTable.filterDate
+     * @param oData {Object} Data value for the cell.
+     * @param oFilter {Object} Filter object literal.
+     * @param oRecord {YAHOO.widget.Record} Record instance.
+     * @param oColumn {YAHOO.widget.Column} Column instance.
+     * @return {Boolean} True if the value passes the filter.
+     * @static
+     */
+    filterDate : function(oData, oFilter, oRecord, oColumn) {
+        var nTime = (oData instanceof Date) ? oData.getTime() : NaN;
+        if((oFilter.min instanceof Date) && !(nTime >= oFilter.min.getTime())) {
+            return false;
+        }
+        if((oFilter.max instanceof Date) && !(nTime <= oFilter.max.getTime())) {
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Filters values to those in the oFilter.values array. An empty or missing
+     * array passes all values. Values are compared as Strings, so that the
+     * value of an OPTION element matches a Number.
+     *
+     * @method DataTable.filterEnum
+     * @param oData {Object} Data value for the cell.
+     * @param oFilter {Object} Filter object literal.
+     * @param oRecord {YAHOO.widget.Record} Record instance.
+     * @param oColumn {YAHOO.widget.Column} Column instance.
+     * @return {Boolean} True if the value passes the filter.
+     * @static
+     */
+    filterEnum : function(oData, oFilter, oRecord, oColumn) {
+        var aValues = oFilter.values;
+        if(!lang.isArray(aValues) || (aValues.length === 0)) {
+            return true;
+        }
+        for(var i=0, len=aValues.length; i<len; i++) {
+            if(String(aValues[i]) === String(oData)) {
+                return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Filters Numbers to the range between oFilter.min and oFilter.max,
+     * inclusive. Either bound may be null. Values that are not numeric only
+     * pass when neither bound is set.
+     *
+     * @method DataTable.filterNumber
+     * @param oData {Object} Data value for the cell.
+     * @param oFilter {Object} Filter object literal.
+     * @param oRecord {YAHOO.widget.Record} Record instance.
+     * @param oColumn {YAHOO.widget.Column} Column instance.
+     * @return {Boolean} True if the value passes the filter.
+     * @static
+     */
+    filterNumber : function(oData, oFilter, oRecord, oColumn) {
+        var nData = (lang.isValue(oData) && (oData !== "")) ? +oData : NaN;
+        if(lang.isNumber(oFilter.min) && !(nData >= oFilter.min)) {
+            return false;
+        }
+        if(lang.isNumber(oFilter.max) && !(nData <= oFilter.max)) {
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Filters values by their text. oFilter.op is "contains" (the default),
+     * "startsWith" or "equals", and matching ignores case unless
+     * oFilter.caseSensitive is true. An empty oFilter.value passes all values.
+     *
+     * @method DataTable.filterText
+     * @param oData {Object} Data value for the cell.
+     * @param oFilter {Object} Filter object literal.
+     * @param oRecord {YAHOO.widget.Record} Record instance.
+     * @param oColumn {YAHOO.widget.Column} Column instance.
+     * @return {Boolean} True if the value passes the filter.
+     * @static
+     */
+    filterText : function(oData, oFilter, oRecord, oColumn) {
+        var sValue = lang.isValue(oFilter.value) ? String(oFilter.value) : "",
+            sData = lang.isValue(oData) ? String(oData) : "";
+
+        if(!oFilter.caseSensitive) {
+            sValue = sValue.toLowerCase();
+            sData = sData.toLowerCase();
+        }
+
+        switch(oFilter.op) {
+            case "equals":
+                return sData === sValue;
+            case "startsWith":
+                return sData.indexOf(sValue) === 0;
+            default:
+                return sData.indexOf(sValue) > -1;
+        }
+    },
+
     /**
      * Formats a BUTTON element.
      *
@@ -720,7 +1040,8 @@ lang.augmentObject(DT, {
     },
 
     /**
-     * Formats currency. Default unit is USD.
+     * Formats currency with the currencyOptions of the Column or DataTable.
+     * Default unit is USD. See YAHOO.util.Number.format().
      *
      * @method DataTable.formatCurrency
      * @param el {HTMLElement} The element to format with markup.
@@ -811,6 +1132,23 @@ lang.augmentObject(DT, {
         }
     },
 
+    /**
+     * Formats lengths of time in milliseconds as durations, such as "1h 24m".
+     * The style, units and locale values of the dateOptions are passed to
+     * YAHOO.util.Date.formatDuration().
+     *
+     * @method DataTable.formatDuration
+     * @param el {HTMLElement} The element to format with markup.
+     * @param oRecord {YAHOO.widget.Record} Record instance.
+     * @param oColumn {YAHOO.widget.Column} Column instance.
+     * @param oData {Number} Data value for the cell, or null.
+     * @static
+     */
+    formatDuration : function(el, oRecord, oColumn, oData) {
+        var oConfig = oColumn.dateOptions || this.get("dateOptions");
+        el.innerHTML = util.Date.formatDuration(oData, oConfig, oConfig.locale);
+    },
+
     /**
      * Formats emails.
      *
@@ -852,7 +1190,9 @@ lang.augmentObject(DT, {
     },
 
     /**
-     * Formats numbers.
+     * Formats numbers with the numberOptions of the Column or DataTable, which
+     * may set a style such as "compact" or "percent", significantDigits or a
+     * locale. See YAHOO.util.Number.format().
      *
      * @method DataTable.formatNumber
      * @param el {HTMLElement} The element to format with markup.
@@ -883,6 +1223,23 @@ lang.augmentObject(DT, {
                 " class=\"" + DT.CLASS_RADIO+ "\" />";
     },
 
+    /**
+     * Formats JavaScript Dates relative to now, such as "3 minutes ago". The
+     * now and locale values of the dateOptions are passed to
+     * YAHOO.util.Date.formatRelative().
+     *
+     * @method DataTable.formatRelativeDate
+     * @param el {HTMLElement} The element to format with markup.
+     * @param oRecord {YAHOO.widget.Record} Record instance.
+     * @param oColumn {YAHOO.widget.Column} Column instance.
+     * @param oData {Object} Data value for the cell, or null.
+     * @static
+     */
+    formatRelativeDate : function(el, oRecord, oColumn, oData) {
+        var oConfig = oColumn.dateOptions || this.get("dateOptions");
+        el.innerHTML = util.Date.formatRelative(oData, oConfig, oConfig.locale);
+    },
+
     /**
      * Formats text strings.
      *
@@ -986,10 +1343,12 @@ DT.Formatter = {
     currency : DT.formatCurrency,
     "date"   : DT.formatDate,
     dropdown : DT.formatDropdown,
+    duration : DT.formatDuration,
     email    : DT.formatEmail,
     link     : DT.formatLink,
     "number" : DT.formatNumber,
     radio    : DT.formatRadio,
+    relativeDate : DT.formatRelativeDate,
     text     : DT.formatText,
     textarea : DT.formatTextarea,
     textbox  : DT.formatTextbox,
@@ -997,6 +1356,36 @@ DT.Formatter = {
     defaultFormatter : DT.formatDefault
 };
 
+/**
+ * Column filter functions, by filter type. A function receives the value of
+ * the Column's field, the filter object literal, the Record and the Column, and
+ * returns true to show the row.
+ * @property DataTable.Filter
+ * @type Object
+ * @static
+ */
+DT.Filter = {
+    "date"   : DT.filterDate,
+    "enum"   : DT.filterEnum,
+    "number" : DT.filterNumber,
+    text     : DT.filterText
+};
+
+/**
+ * Column aggregate functions, by aggregate type. A function receives an array
+ * of Records and the Column, and returns the aggregate value.
+ * @property DataTable.Aggregate
+ * @type Object
+ * @static
+ */
+DT.Aggregate = {
+    avg   : DT.aggregateAvg,
+    count : DT.aggregateCount,
+    max   : DT.aggregateMax,
+    min   : DT.aggregateMin,
+    sum   : DT.aggregateSum
+};
+
 lang.extend(DT, util.Element, {
 
 /////////////////////////////////////////////////////////////////////////////
@@ -1076,13 +1465,22 @@ initAttributes : function(oConfigs) {
     *     <dt>sortedBy.dir</dt>
     *     <dd>{String} Initial sort direction, either YAHOO.widget.DataTable.CLASS_ASC or YAHOO.widget.DataTable.CLASS_DESC</dd>
     * </dl>
-    * @type Object | null
+    * When sorted by more than one Column, an array of such object literals,
+    * primary sort first.
+    * @type Object | Object[] | null
     */
     this.setAttributeConfig("sortedBy", {
         value: null,
-        // TODO: accepted array for nested sorts
         validator: function(oNewSortedBy) {
-            if(oNewSortedBy) {
+            if(lang.isArray(oNewSortedBy)) {
+                for(var i=0, len=oNewSortedBy.length; i<len; i++) {
+                    if(!lang.isObject(oNewSortedBy[i]) || !oNewSortedBy[i].key) {
+                        return false;
+                    }
+                }
+                return true;
+            }
+            else if(oNewSortedBy) {
                 return (lang.isObject(oNewSortedBy) && oNewSortedBy.key);
             }
             else {
@@ -1091,45 +1489,38 @@ initAttributes : function(oConfigs) {
         },
         method: function(oNewSortedBy) {
             // Stash the previous value
-            var oOldSortedBy = this.get("sortedBy");
+            var aOldSortedBy = this._getSortedByArray(this.get("sortedBy")),
+                aNewSortedBy = this._getSortedByArray(oNewSortedBy),
+                aOldClasses = [],
+                aNewClasses = [],
+                oColumn, sDir, i, len;
             
             // Workaround for bug 1827195
             this._configs.sortedBy.value = oNewSortedBy;
 
-            // Remove ASC/DESC from TH
-            var oOldColumn,
-                nOldColumnKeyIndex,
-                oNewColumn,
-                nNewColumnKeyIndex;
-                
             if(this._elThead) {
-                if(oOldSortedBy && oOldSortedBy.key && oOldSortedBy.dir) {
-                    oOldColumn = this._oColumnSet.getColumn(oOldSortedBy.key);
-                    nOldColumnKeyIndex = oOldColumn.getKeyIndex();
-                    
-                    // Remove previous UI from THEAD
-                    var elOldTh = oOldColumn.getThEl();
-                    Dom.removeClass(elOldTh, oOldSortedBy.dir);
-                    this.formatTheadCell(oOldColumn.getThLinerEl().firstChild, oOldColumn, oNewSortedBy);
-                }
-                if(oNewSortedBy) {
-                    oNewColumn = (oNewSortedBy.column) ? oNewSortedBy.column : this._oColumnSet.getColumn(oNewSortedBy.key);
-                    nNewColumnKeyIndex = oNewColumn.getKeyIndex();
-    
-                    // Update THEAD with new UI
-                    var elNewTh = oNewColumn.getThEl();
-                    // Backward compatibility
-                    if(oNewSortedBy.dir && ((oNewSortedBy.dir == "asc") ||  (oNewSortedBy.dir == "desc"))) {
-                        var newClass = (oNewSortedBy.dir == "desc") ?
-                                DT.CLASS_DESC :
-                                DT.CLASS_ASC;
-                        Dom.addClass(elNewTh, newClass);
+                // Remove previous UI from THEAD
+                for(i=0, len=aOldSortedBy.length; i<len; i++) {
+                    oColumn = this._oColumnSet.getColumn(aOldSortedBy[i].key);
+                    if(oColumn && aOldSortedBy[i].dir) {
+                        Dom.removeClass(oColumn.getThEl(), aOldSortedBy[i].dir);
+                        this.formatTheadCell(oColumn.getThLinerEl().firstChild, oColumn, oNewSortedBy);
+                        aOldClasses[aOldClasses.length] = {index:oColumn.getKeyIndex(), dir:aOldSortedBy[i].dir};
                     }
-                    else {
-                         var sortClass = oNewSortedBy.dir || DT.CLASS_ASC;
-                         Dom.addClass(elNewTh, sortClass);
+                }
+
+                // Update THEAD with new UI
+                for(i=0, len=aNewSortedBy.length; i<len; i++) {
+                    oColumn = aNewSortedBy[i].column || this._oColumnSet.getColumn(aNewSortedBy[i].key);
+                    if(oColumn) {
+                        // Backward compatibility
+                        sDir = aNewSortedBy[i].dir;
+                        sDir = (sDir == "desc") ? DT.CLASS_DESC :
+                                (sDir == "asc") ? DT.CLASS_ASC : (sDir || DT.CLASS_ASC);
+                        Dom.addClass(oColumn.getThEl(), sDir);
+                        this.formatTheadCell(oColumn.getThLinerEl().firstChild, oColumn, oNewSortedBy);
+                        aNewClasses[aNewClasses.length] = {index:oColumn.getKeyIndex(), dir:sDir};
                     }
-                    this.formatTheadCell(oNewColumn.getThLinerEl().firstChild, oNewColumn, oNewSortedBy);
                 }
             }
           
@@ -1137,14 +1528,18 @@ initAttributes : function(oConfigs) {
                 // Update TBODY UI
                 this._elTbody.style.display = "none";
                 var allRows = this._elTbody.rows,
-                    allCells;
-                for(var i=allRows.length-1; i>-1; i--) {
+                    allCells, j;
+                for(i=allRows.length-1; i>-1; i--) {
                     allCells = allRows[i].childNodes;
-                    if(allCells[nOldColumnKeyIndex]) {
-                        Dom.removeClass(allCells[nOldColumnKeyIndex], oOldSortedBy.dir);
+                    for(j=0; j<aOldClasses.length; j++) {
+                        if(allCells[aOldClasses[j].index]) {
+                            Dom.removeClass(allCells[aOldClasses[j].index], aOldClasses[j].dir);
+                        }
                     }
-                    if(allCells[nNewColumnKeyIndex]) {
-                        Dom.addClass(allCells[nNewColumnKeyIndex], oNewSortedBy.dir);
+                    for(j=0; j<aNewClasses.length; j++) {
+                        if(allCells[aNewClasses[j].index]) {
+                            Dom.addClass(allCells[aNewClasses[j].index], aNewClasses[j].dir);
+                        }
                     }
                 }
                 this._elTbody.style.display = "";
@@ -1255,12 +1650,16 @@ initAttributes : function(oConfigs) {
     *         <dt>dir</dt>
     *         <dd>{String} Sort direction, either YAHOO.widget.DataTable.CLASS_ASC or YAHOO.widget.DataTable.CLASS_DESC</dd>
     *   </dd>
+    *   <dd>or an array of these, primary sort first, when sorted by more
+    *   than one Column</dd>
     *   <dt>self</dt>
     *   <dd>The DataTable instance</dd>
     * </dl>
     * 
     * and by default returns a String of syntax:
     * "sort={sortColumn}&dir={sortDir}&startIndex={pageStartIndex}&results={rowsPerPage}"
+    * where sortColumn and sortDir are comma-separated lists when sorted by
+    * more than one Column.
     * @type function
     * @default HTMLFunction
     */
@@ -1268,8 +1667,15 @@ initAttributes : function(oConfigs) {
         value: function(oState, oSelf) {
             // Set defaults
             oState = oState || {pagination:null, sortedBy:null};
-            var sort = encodeURIComponent((oState.sortedBy) ? oState.sortedBy.key : oSelf.getColumnSet().keys[0].getKey());
-            var dir = (oState.sortedBy && oState.sortedBy.dir === YAHOO.widget.DataTable.CLASS_DESC) ? "desc" : "asc";
+            var aSortedBy = oSelf._getSortedByArray(oState.sortedBy),
+                aSort = [],
+                aDir = [];
+            for(var i=0; i<aSortedBy.length; i++) {
+                aSort[i] = encodeURIComponent(aSortedBy[i].key);
+                aDir[i] = (aSortedBy[i].dir === YAHOO.widget.DataTable.CLASS_DESC) ? "desc" : "asc";
+            }
+            var sort = (aSort.length > 0) ? aSort.join(",") : encodeURIComponent(oSelf.getColumnSet().keys[0].getKey());
+            var dir = (aDir.length > 0) ? aDir.join(",") : "asc";
             var startIndex = (oState.pagination) ? oState.pagination.recordOffset : 0;
             var results = (oState.pagination) ? oState.pagination.rowsPerPage : null;
             
@@ -1407,58 +1813,303 @@ initAttributes : function(oConfigs) {
      });
      
     /**
-     * @attribute currencySymbol
-     * @deprecated Use currencyOptions.
+     * @attribute MSG_FILTERALL
+     * @description Label of the filter row option that shows all values of an
+     * "enum" filter.
+     * @type String
+     * @default "All"
      */
-    this.setAttributeConfig("currencySymbol", {
-        value: "$",
+    this.setAttributeConfig("MSG_FILTERALL", {
+        value: "All",
         validator: lang.isString
     });
-    
+
     /**
-     * Default config passed to YAHOO.util.Number.format() by the 'currency' Column formatter.
-     * @attribute currencyOptions
-     * @type Object
-     * @default {prefix: $, decimalPlaces:2, decimalSeparator:".", thousandsSeparator:","}
+     * @attribute MSG_FILTERFROM
+     * @description Tooltip of the filter row field for the lower bound of a
+     * "number" or "date" filter.
+     * @type String
+     * @default "From"
      */
-    this.setAttributeConfig("currencyOptions", {
-        value: {
-            prefix: this.get("currencySymbol"), // TODO: deprecate currencySymbol
-            decimalPlaces:2,
-            decimalSeparator:".",
-            thousandsSeparator:","
-        }
+    this.setAttributeConfig("MSG_FILTERFROM", {
+        value: "From",
+        validator: lang.isString
     });
-    
+
     /**
-     * Default config passed to YAHOO.util.Date.format() by the 'date' Column formatter.
-     * @attribute dateOptions
-     * @type Object
-     * @default {format:"%m/%d/%Y", locale:"en"}
+     * @attribute MSG_FILTERTO
+     * @description Tooltip of the filter row field for the upper bound of a
+     * "number" or "date" filter.
+     * @type String
+     * @default "To"
      */
-    this.setAttributeConfig("dateOptions", {
-        value: {format:"%m/%d/%Y", locale:"en"}
+    this.setAttributeConfig("MSG_FILTERTO", {
+        value: "To",
+        validator: lang.isString
     });
-    
+
     /**
-     * Default config passed to YAHOO.util.Number.format() by the 'number' Column formatter.
-     * @attribute numberOptions
-     * @type Object
-     * @default {decimalPlaces:0, thousandsSeparator:","}
+     * @attribute MSG_GROUP
+     * @description Label of group header rows, where {label} is replaced by the
+     * label of the groupBy item, {value} by the value of the group and {count}
+     * by its number of Records.
+     * @type String
+     * @default "{label}: {value} ({count})"
      */
-    this.setAttributeConfig("numberOptions", {
-        value: {
-            decimalPlaces:0,
-            thousandsSeparator:","
-        }
+    this.setAttributeConfig("MSG_GROUP", {
+        value: "{label}: {value} ({count})",
+        validator: lang.isString
     });
 
-},
-
-/////////////////////////////////////////////////////////////////////////////
-//
-// Private member variables
-//
+    /**
+     * @attribute filterRow
+     * @description True to render a row of filter fields under the header
+     * for the Columns that define a filter type.
+     * @type Boolean
+     * @default false
+     */
+    this.setAttributeConfig("filterRow", {
+        value: false,
+        validator: lang.isBoolean,
+        method: function(oParam) {
+            if(this._elThead) {
+                if(oParam) {
+                    this._initFilterRowEl(this._elThead);
+                }
+                else {
+                    this._destroyFilterRowEl();
+                }
+            }
+        }
+    });
+
+    /**
+     * @attribute groupBy
+     * @description Field keys by which rows are grouped under collapsible
+     * header rows, outermost first, for example ["region","account"]. An item
+     * may be an object literal with the properties key, label (defaults to the
+     * label of the Column of the key), collapsed (true to collapse the groups of
+     * this level by default) and formatter (a function that receives the liner
+     * element of the group header and the group). Header rows show the
+     * aggregates of the Columns that define one. Set to null to ungroup.
+     * @type String | String[] | Object[]
+     * @default null
+     */
+    this.setAttributeConfig("groupBy", {
+        value: null,
+        validator: function(oParam) {
+            return (oParam === null) || lang.isString(oParam) || lang.isObject(oParam);
+        },
+        method: function(oParam) {
+            var aItems = lang.isArray(oParam) ? oParam : (oParam ? [oParam] : []),
+                aGroupBy = [],
+                oItem, oColumn;
+            for(var i=0, len=aItems.length; i<len; i++) {
+                oItem = lang.isString(aItems[i]) ? {key:aItems[i]} : lang.merge(aItems[i]);
+                if(lang.isString(oItem.key)) {
+                    if(!lang.isValue(oItem.label)) {
+                        oColumn = this._oColumnSet.getColumn(oItem.key);
+                        oItem.label = oColumn ? (oColumn.label || oColumn.key) : oItem.key;
+                    }
+                    aGroupBy[aGroupBy.length] = oItem;
+                }
+            }
+            this._aGroupBy = (aGroupBy.length > 0) ? aGroupBy : null;
+            this._aGroups = null;
+            this._oGroups = null;
+            this._oRecordGroups = null;
+            this._oCollapsedGroups = {};
+            if(this._elTbody) {
+                this.render();
+            }
+        }
+    });
+
+    /**
+     * @attribute treeGrid
+     * @description Shows Records as a tree of expandable rows, indented in the
+     * tree Column. An object literal with the properties idKey (key of the
+     * field that identifies a Record, default "id"), parentKey (key of the
+     * field that holds the idKey value of the parent Record, default
+     * "parentId"), hasChildrenKey (key of a field that is true for Records
+     * whose children are not loaded yet, default null), request (a function
+     * that receives a Record and returns the DataSource request for its
+     * children, default "{parentKey}={idKey value}"), key (key of the tree
+     * Column, default the first visible Column), collapsed (false to expand
+     * rows by default, default true) and indent (pixels per level, default
+     * 16). Children are sorted within each level. Cannot be combined with
+     * groupBy. Set to null to show a flat table.
+     * @type Object
+     * @default null
+     */
+    this.setAttributeConfig("treeGrid", {
+        value: null,
+        validator: function(oParam) {
+            return (oParam === null) || lang.isObject(oParam);
+        },
+        method: function(oParam) {
+            this._oTreeGrid = oParam ? lang.merge({
+                idKey: "id",
+                parentKey: "parentId",
+                hasChildrenKey: null,
+                request: null,
+                key: null,
+                collapsed: true,
+                indent: 16
+            }, oParam) : null;
+            this._oTreeNodes = null;
+            this._oTreeExpanded = {};
+            this._oTreeLoading = {};
+            this._oTreeLoaded = {};
+            if(this._elTbody) {
+                this.render();
+            }
+        }
+    });
+
+    /**
+     * @attribute stateKey
+     * @description Name under which the Column state (order, widths, hidden
+     * flags and sortedBy) is saved whenever it changes, and from which it is
+     * restored at construction. Set to null to not persist the Column state.
+     * @type String
+     * @default null
+     */
+    this.setAttributeConfig("stateKey", {
+        value: null,
+        validator: function(oParam) {
+            return (oParam === null) || lang.isString(oParam);
+        }
+    });
+
+    /**
+     * @attribute stateStorage
+     * @description Where the Column state is saved: "cookie" for a cookie
+     * set with the Cookie Utility, or a YAHOO.util.Storage engine (any object
+     * with getItem, setItem and removeItem methods). Either one requires
+     * YAHOO.lang.JSON or a native JSON object.
+     * @type String | Object
+     * @default "cookie"
+     */
+    this.setAttributeConfig("stateStorage", {
+        value: "cookie",
+        validator: function(oParam) {
+            return (oParam === "cookie") || (lang.isObject(oParam) && lang.isFunction(oParam.getItem));
+        }
+    });
+
+    /**
+     * @attribute columnChooser
+     * @description True to show the column chooser when the header is
+     * right-clicked.
+     * @type Boolean
+     * @default false
+     */
+    this.setAttributeConfig("columnChooser", {
+        value: false,
+        validator: lang.isBoolean
+    });
+
+    /**
+     * @attribute undoDepth
+     * @description Number of edits kept in the edit history for undo() and
+     * redo(), where cell edits, pastes and row additions and deletions are
+     * recorded. Ctrl+Z and Ctrl+Y in the body undo and redo. Set to 0 to not
+     * record edits.
+     * @type Number
+     * @default 0
+     */
+    this.setAttributeConfig("undoDepth", {
+        value: 0,
+        validator: function(oParam) {
+            return lang.isNumber(oParam) && (oParam >= 0);
+        },
+        method: function(nDepth) {
+            if(this._aUndoStack) {
+                this._aUndoStack.splice(0, Math.max(this._aUndoStack.length - nDepth, 0));
+                this._aRedoStack.splice(0, Math.max(this._aRedoStack.length - nDepth, 0));
+            }
+        }
+    });
+
+    /**
+     * @attribute gridNavigation
+     * @description True to follow the WAI-ARIA grid pattern: the table gets
+     * grid, row, columnheader and gridcell roles with aria-sort,
+     * aria-selected and aria-rowindex states, and a single cell at a time is
+     * in the tab order. Arrow keys, Home and End (with Ctrl for the first and
+     * last rows) move the focus across header and data cells, PageUp and
+     * PageDown change the Paginator page, Enter or F2 open the CellEditor,
+     * Escape cancels it, and Enter or Space sort on a header. The selection
+     * follows the focus unless Ctrl is held, and Space toggles the selection
+     * of the focused row or cell.
+     * @type Boolean
+     * @default false
+     */
+    this.setAttributeConfig("gridNavigation", {
+        value: false,
+        validator: lang.isBoolean,
+        method: function(bNavigation) {
+            this._bGridNavigation = bNavigation;
+            if(this._elTbody) {
+                this._setGridStates();
+            }
+        }
+    });
+
+    /**
+     * @attribute currencySymbol
+     * @deprecated Use currencyOptions.
+     */
+    this.setAttributeConfig("currencySymbol", {
+        value: "$",
+        validator: lang.isString
+    });
+    
+    /**
+     * Default config passed to YAHOO.util.Number.format() by the 'currency' Column formatter.
+     * @attribute currencyOptions
+     * @type Object
+     * @default {prefix: $, decimalPlaces:2, decimalSeparator:".", thousandsSeparator:","}
+     */
+    this.setAttributeConfig("currencyOptions", {
+        value: {
+            prefix: this.get("currencySymbol"), // TODO: deprecate currencySymbol
+            decimalPlaces:2,
+            decimalSeparator:".",
+            thousandsSeparator:","
+        }
+    });
+    
+    /**
+     * Default config passed to YAHOO.util.Date.format() by the 'date' Column formatter.
+     * @attribute dateOptions
+     * @type Object
+     * @default {format:"%m/%d/%Y", locale:"en"}
+     */
+    this.setAttributeConfig("dateOptions", {
+        value: {format:"%m/%d/%Y", locale:"en"}
+    });
+    
+    /**
+     * Default config passed to YAHOO.util.Number.format() by the 'number' Column formatter.
+     * @attribute numberOptions
+     * @type Object
+     * @default {decimalPlaces:0, thousandsSeparator:","}
+     */
+    this.setAttributeConfig("numberOptions", {
+        value: {
+            decimalPlaces:0,
+            thousandsSeparator:","
+        }
+    });
+
+},
+
+/////////////////////////////////////////////////////////////////////////////
+//
+// Private member variables
+//
 /////////////////////////////////////////////////////////////////////////////
 
 /**
@@ -1573,140 +2224,439 @@ _elColgroup : null,
 _elThead : null,
 
 /**
- * DOM reference to the primary TBODY element for the DataTable instance.
+ * DOM reference to the filter row TR element for the DataTable instance.
  *
- * @property _elTbody
+ * @property _elFilterTr
  * @type HTMLElement
  * @private
  */
-_elTbody : null,
+_elFilterTr : null,
 
 /**
- * DOM reference to the secondary TBODY element used to display DataTable messages.
+ * Detached liner DIV element into which cells are formatted for export.
  *
- * @property _elMsgTbody
+ * @property _elExportLiner
  * @type HTMLElement
  * @private
  */
-_elMsgTbody : null,
+_elExportLiner : null,
 
 /**
- * DOM reference to the secondary TBODY element's single TR element used to display DataTable messages.
+ * Cells changed by the last paste, for undoPaste().
  *
- * @property _elMsgTr
- * @type HTMLElement
+ * @property _aLastPaste
+ * @type Object[]
  * @private
  */
-_elMsgTr : null,
+_aLastPaste : null,
 
 /**
- * DOM reference to the secondary TBODY element's single TD element used to display DataTable messages.
+ * Edit recorded in the edit history for the last paste, if any.
  *
- * @property _elMsgTd
- * @type HTMLElement
+ * @property _aLastPasteHistory
+ * @type Object[]
  * @private
  */
-_elMsgTd : null,
+_aLastPasteHistory : null,
 
 /**
- * Element reference to shared Column drag target.
+ * Sort restored from the saved Column state, applied when the first data
+ * arrives.
  *
- * @property _elColumnDragTarget
- * @type HTMLElement
+ * @property _aRestoredSortedBy
+ * @type Object[]
  * @private
  */
-_elColumnDragTarget : null,
+_aRestoredSortedBy : null,
 
 /**
- * Element reference to shared Column resizer proxy.
+ * Timer for the delayed saving of the Column state.
  *
- * @property _elColumnResizerProxy
+ * @property _oStateTimer
+ * @type Object
+ * @private
+ */
+_oStateTimer : null,
+
+/**
+ * Column chooser container element.
+ *
+ * @property _elColumnChooser
  * @type HTMLElement
  * @private
  */
-_elColumnResizerProxy : null,
+_elColumnChooser : null,
 
 /**
- * DataSource instance for the DataTable instance.
+ * Element the column chooser was shown for.
  *
- * @property _oDataSource
- * @type YAHOO.util.DataSource
+ * @property _elColumnChooserContext
+ * @type HTMLElement
  * @private
  */
-_oDataSource : null,
+_elColumnChooserContext : null,
 
 /**
- * ColumnSet instance for the DataTable instance.
+ * Edits that can be undone, the last edit last. Each edit is an array of
+ * actions.
  *
- * @property _oColumnSet
- * @type YAHOO.widget.ColumnSet
+ * @property _aUndoStack
+ * @type Array[]
  * @private
  */
-_oColumnSet : null,
+_aUndoStack : null,
 
 /**
- * RecordSet instance for the DataTable instance.
+ * Undone edits that can be redone, the last undone edit last.
  *
- * @property _oRecordSet
- * @type YAHOO.widget.RecordSet
+ * @property _aRedoStack
+ * @type Array[]
  * @private
  */
-_oRecordSet : null,
+_aRedoStack : null,
 
 /**
- * The active CellEditor instance for the DataTable instance.
+ * Actions collected into a single edit, such as the cells of a paste.
  *
- * @property _oCellEditor
- * @type YAHOO.widget.CellEditor
+ * @property _aHistoryGroup
+ * @type Object[]
  * @private
  */
-_oCellEditor : null,
+_aHistoryGroup : null,
 
 /**
- * ID string of first TR element of the current DataTable page.
+ * True while an edit is undone or redone, so that its changes are not
+ * recorded.
  *
- * @property _sFirstTrId
- * @type String
+ * @property _bHistoryBusy
+ * @type Boolean
  * @private
  */
-_sFirstTrId : null,
+_bHistoryBusy : false,
 
 /**
- * ID string of the last TR element of the current DataTable page.
+ * Types of the row events ("add" or "delete") not to record, by the IDs of the
+ * Records that an undo or a redo added or deleted. With a renderLoopSize, the
+ * events may be fired after the edit is applied.
  *
- * @property _sLastTrId
- * @type String
+ * @property _oHistoryRecords
+ * @type Object
  * @private
  */
-_sLastTrId : null,
+_oHistoryRecords : null,
 
 /**
- * Template row to create all new rows from.
- * @property _elTrTemplate
- * @type {HTMLElement}
- * @private 
+ * Column filters by Column key.
+ *
+ * @property _oFilters
+ * @type Object
+ * @private
  */
-_elTrTemplate : null,
+_oFilters : null,
 
 /**
- * Sparse array of custom functions to set column widths for browsers that don't
- * support dynamic CSS rules.  Functions are added at the index representing
- * the number of rows they update.
+ * Timer for the delayed filtering while typing in the filter row.
  *
- * @property _aDynFunctions
- * @type Array
+ * @property _oFilterTimer
+ * @type Object
  * @private
  */
-_aDynFunctions : [],
+_oFilterTimer : null,
 
 /**
- * Disabled state.
+ * Normalized groupBy items, or null if the DataTable is not grouped.
  *
- * @property _disabled
- * @type Boolean
+ * @property _aGroupBy
+ * @type Object[]
  * @private
  */
-_disabled : false,
+_aGroupBy : null,
+
+/**
+ * Groups in display order, as built by the last render.
+ *
+ * @property _aGroups
+ * @type Object[]
+ * @private
+ */
+_aGroups : null,
+
+/**
+ * Groups by group ID.
+ *
+ * @property _oGroups
+ * @type Object
+ * @private
+ */
+_oGroups : null,
+
+/**
+ * Innermost groups by Record ID.
+ *
+ * @property _oRecordGroups
+ * @type Object
+ * @private
+ */
+_oRecordGroups : null,
+
+/**
+ * Groups by the ID of their header TR elements on the current page.
+ *
+ * @property _oGroupTrs
+ * @type Object
+ * @private
+ */
+_oGroupTrs : null,
+
+/**
+ * Collapsed states set by the user, by group ID.
+ *
+ * @property _oCollapsedGroups
+ * @type Object
+ * @private
+ */
+_oCollapsedGroups : null,
+
+/**
+ * Counter for the IDs of group header TR elements.
+ *
+ * @property _nGroupTrCount
+ * @type Number
+ * @private
+ */
+_nGroupTrCount : 0,
+
+/**
+ * Normalized treeGrid configuration, or null if the DataTable is not a tree
+ * grid.
+ *
+ * @property _oTreeGrid
+ * @type Object
+ * @private
+ */
+_oTreeGrid : null,
+
+/**
+ * Tree nodes by Record ID, as built by the last render.
+ *
+ * @property _oTreeNodes
+ * @type Object
+ * @private
+ */
+_oTreeNodes : null,
+
+/**
+ * Expanded states set by the user, by tree ID.
+ *
+ * @property _oTreeExpanded
+ * @type Object
+ * @private
+ */
+_oTreeExpanded : null,
+
+/**
+ * Tree IDs of the Records whose children are being loaded.
+ *
+ * @property _oTreeLoading
+ * @type Object
+ * @private
+ */
+_oTreeLoading : null,
+
+/**
+ * Tree IDs of the Records whose children were loaded.
+ *
+ * @property _oTreeLoaded
+ * @type Object
+ * @private
+ */
+_oTreeLoaded : null,
+
+/**
+ * True when the "gridNavigation" attribute is enabled.
+ *
+ * @property _bGridNavigation
+ * @type Boolean
+ * @default false
+ * @private
+ */
+_bGridNavigation : false,
+
+/**
+ * DOM reference to the header or data cell that is in the tab order when
+ * grid navigation is enabled.
+ *
+ * @property _elGridFocus
+ * @type HTMLElement
+ * @private
+ */
+_elGridFocus : null,
+
+/**
+ * True while the cell in the tab order is the default one, rather than one
+ * focused by the user.
+ *
+ * @property _bGridFocusDefault
+ * @type Boolean
+ * @default true
+ * @private
+ */
+_bGridFocusDefault : true,
+
+/**
+ * Position of the cell to focus once the page requested by PageUp or
+ * PageDown is rendered, as an object literal with trIndex and keyIndex.
+ *
+ * @property _oGridPageFocus
+ * @type Object
+ * @private
+ */
+_oGridPageFocus : null,
+
+/**
+ * DOM reference to the primary TBODY element for the DataTable instance.
+ *
+ * @property _elTbody
+ * @type HTMLElement
+ * @private
+ */
+_elTbody : null,
+
+/**
+ * DOM reference to the secondary TBODY element used to display DataTable messages.
+ *
+ * @property _elMsgTbody
+ * @type HTMLElement
+ * @private
+ */
+_elMsgTbody : null,
+
+/**
+ * DOM reference to the TFOOT element that displays Column aggregates.
+ *
+ * @property _elTfoot
+ * @type HTMLElement
+ * @private
+ */
+_elTfoot : null,
+
+/**
+ * DOM reference to the secondary TBODY element's single TR element used to display DataTable messages.
+ *
+ * @property _elMsgTr
+ * @type HTMLElement
+ * @private
+ */
+_elMsgTr : null,
+
+/**
+ * DOM reference to the secondary TBODY element's single TD element used to display DataTable messages.
+ *
+ * @property _elMsgTd
+ * @type HTMLElement
+ * @private
+ */
+_elMsgTd : null,
+
+/**
+ * Element reference to shared Column drag target.
+ *
+ * @property _elColumnDragTarget
+ * @type HTMLElement
+ * @private
+ */
+_elColumnDragTarget : null,
+
+/**
+ * Element reference to shared Column resizer proxy.
+ *
+ * @property _elColumnResizerProxy
+ * @type HTMLElement
+ * @private
+ */
+_elColumnResizerProxy : null,
+
+/**
+ * DataSource instance for the DataTable instance.
+ *
+ * @property _oDataSource
+ * @type YAHOO.util.DataSource
+ * @private
+ */
+_oDataSource : null,
+
+/**
+ * ColumnSet instance for the DataTable instance.
+ *
+ * @property _oColumnSet
+ * @type YAHOO.widget.ColumnSet
+ * @private
+ */
+_oColumnSet : null,
+
+/**
+ * RecordSet instance for the DataTable instance.
+ *
+ * @property _oRecordSet
+ * @type YAHOO.widget.RecordSet
+ * @private
+ */
+_oRecordSet : null,
+
+/**
+ * The active CellEditor instance for the DataTable instance.
+ *
+ * @property _oCellEditor
+ * @type YAHOO.widget.CellEditor
+ * @private
+ */
+_oCellEditor : null,
+
+/**
+ * ID string of first TR element of the current DataTable page.
+ *
+ * @property _sFirstTrId
+ * @type String
+ * @private
+ */
+_sFirstTrId : null,
+
+/**
+ * ID string of the last TR element of the current DataTable page.
+ *
+ * @property _sLastTrId
+ * @type String
+ * @private
+ */
+_sLastTrId : null,
+
+/**
+ * Template row to create all new rows from.
+ * @property _elTrTemplate
+ * @type {HTMLElement}
+ * @private 
+ */
+_elTrTemplate : null,
+
+/**
+ * Sparse array of custom functions to set column widths for browsers that don't
+ * support dynamic CSS rules.  Functions are added at the index representing
+ * the number of rows they update.
+ *
+ * @property _aDynFunctions
+ * @type Array
+ * @private
+ */
+_aDynFunctions : [],
+
+/**
+ * Disabled state.
+ *
+ * @property _disabled
+ * @type Boolean
+ * @private
+ */
+_disabled : false,
 
 
 
@@ -2009,6 +2959,9 @@ _initDomElements : function(elContainer) {
     // Primary TBODY
     this._initTbodyEl(this._elTable);
 
+    // TFOOT
+    this._initTfootEl(this._elTable);
+
     if(!this._elContainer || !this._elTable || !this._elColgroup ||  !this._elThead || !this._elTbody || !this._elMsgTbody) {
         return false;
     }
@@ -2033,6 +2986,7 @@ _destroyContainerEl : function(elContainer) {
     this._elColgroup = null;
     this._elThead = null;
     this._elTbody = null;
+    this._elTfoot = null;
 },
 
 /**
@@ -2077,6 +3031,7 @@ _destroyTableEl : function() {
         this._elColgroup = null;
         this._elThead = null;
         this._elTbody = null;
+        this._elTfoot = null;
     }
 },
 
@@ -2271,6 +3226,7 @@ _initTheadEl : function(elTable) {
         Ev.addListener(elThead, "mousedown", this._onTableMousedown, this);
         Ev.addListener(elThead, "mouseup", this._onTableMouseup, this);
         Ev.addListener(elThead, "click", this._onTheadClick, this);
+        Ev.addListener(elThead, "contextmenu", this._onTheadContextmenu, this);
 
         // Since we can't listen for click and dblclick on the same element...
         // Attach separately to THEAD and TBODY
@@ -2312,6 +3268,11 @@ _initTheadEl : function(elTable) {
             Dom.addClass(Dom.get(this.getId() +"-th-"+aLastHeaders[i]), DT.CLASS_LAST);
         }
         
+        // Add the filter row under the header rows
+        if(this.get("filterRow")) {
+            this._initFilterRowEl(elThead);
+        }
+
         YAHOO.log("TH cells for " + this._oColumnSet.keys.length + " keys created","info",this.toString());
 
         ///TODO: try _repaintGecko(this._elContainer) instead
@@ -2392,11 +3353,19 @@ _initThEl : function(elTh, oColumn) {
  * @param elCellLabel {HTMLElement} The label SPAN element within the TH liner,
  * not the liner DIV element.     
  * @param oColumn {YAHOO.widget.Column} Column instance.
- * @param oSortedBy {Object} Sort state object literal.
+ * @param oSortedBy {Object | Object[]} Sort state object literal, or array of
+ * object literals when sorted by more than one Column.
 */
 formatTheadCell : function(elCellLabel, oColumn, oSortedBy) {
     var sKey = oColumn.getKey();
     var sLabel = lang.isValue(oColumn.label) ? oColumn.label : sKey;
+    var aSortedBy = oSortedBy ? this._getSortedByArray(oSortedBy) : [];
+    var nSortIndex = this._getSortIndex(oColumn, aSortedBy);
+
+    // Show the sort order when sorted by more than one Column
+    if((aSortedBy.length > 1) && (nSortIndex > -1)) {
+        sLabel += "<span class=\"" + DT.CLASS_SORTORDER + "\">" + (nSortIndex+1) + "</span>";
+    }
 
     // Add accessibility link for sortable Columns
     if(oColumn.sortable) {
@@ -2404,9 +3373,9 @@ formatTheadCell : function(elCellLabel, oColumn, oSortedBy) {
         var sSortClass = this.getColumnSortDir(oColumn, oSortedBy);
         var bDesc = (sSortClass === DT.CLASS_DESC);
 
-        // This is the sorted Column
-        if(oSortedBy && (oColumn.key === oSortedBy.key)) {
-            bDesc = !(oSortedBy.dir === DT.CLASS_DESC);
+        // This is a sorted Column
+        if(nSortIndex > -1) {
+            bDesc = !(aSortedBy[nSortIndex].dir === DT.CLASS_DESC);
         }
 
         // Generate a unique HREF for visited status
@@ -2424,6 +3393,223 @@ formatTheadCell : function(elCellLabel, oColumn, oSortedBy) {
     }
 },
 
+/**
+ * Destroys the filter row TR element, if available.
+ *
+ * @method _destroyFilterRowEl
+ * @private
+ */
+_destroyFilterRowEl : function() {
+    var elTr = this._elFilterTr;
+    if(elTr) {
+        if(this._oFilterTimer) {
+            this._oFilterTimer.cancel();
+            this._oFilterTimer = null;
+        }
+        Ev.purgeElement(elTr, true);
+        elTr.parentNode.removeChild(elTr);
+        this._elFilterTr = null;
+    }
+},
+
+/**
+ * Initializes the filter row TR element, with a TH element for each key
+ * Column.
+ *
+ * @method _initFilterRowEl
+ * @param elThead {HTMLElement} THEAD element into which to create the TR.
+ * @private
+ */
+_initFilterRowEl : function(elThead) {
+    this._destroyFilterRowEl();
+
+    var elTr = elThead.appendChild(document.createElement("tr")),
+        allKeys = this._oColumnSet.keys,
+        oColumn, elTh, elLiner, i, len;
+
+    elTr.className = DT.CLASS_FILTER;
+    for(i=0, len=allKeys.length; i<len; i++) {
+        oColumn = allKeys[i];
+        elTh = elTr.appendChild(document.createElement("th"));
+        elTh.id = this.getId() + "-filter-" + oColumn.getSanitizedKey();
+        // Share the Column's width and visibility
+        elTh.className = this.getId() + "-col-" + oColumn.getSanitizedKey() +
+                " yui-dt-col-" + oColumn.getSanitizedKey() +
+                (oColumn.hidden ? " " + DT.CLASS_HIDDEN : "");
+        elLiner = elTh.appendChild(document.createElement("div"));
+        elLiner.className = DT.CLASS_LINER;
+
+        if(this._getColumnFilterType(oColumn)) {
+            this.formatFilterCell(elLiner, oColumn, this.getColumnFilter(oColumn));
+            Ev.addListener(elLiner.getElementsByTagName("input"), "keyup", this._onFilterKeyup, this);
+            Ev.addListener(elLiner.getElementsByTagName("input"), "change", this._onFilterChange, this);
+            Ev.addListener(elLiner.getElementsByTagName("select"), "change", this._onFilterChange, this);
+            Ev.addListener(elLiner.getElementsByTagName("select"), "focus", this._onFilterSelectFocus, this);
+        }
+    }
+    this._elFilterTr = elTr;
+},
+
+/**
+ * Outputs the fields of the filter row into the given TH liner based on the
+ * Column's filter type: a text field for "text", fields for the lower and
+ * upper bounds for "number" and "date", and a SELECT element for "enum".
+ * Overridable to customize the fields, along with getFilterCellValue().
+ *
+ * @method formatFilterCell
+ * @param elLiner {HTMLElement} The liner DIV element within the filter row TH.
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @param oFilter {Object} The Column's current filter, or null.
+ */
+formatFilterCell : function(elLiner, oColumn, oFilter) {
+    var sType = this._getColumnFilterType(oColumn),
+        oConfig = (sType === "date") ? (oColumn.dateOptions || this.get("dateOptions")) :
+                  (oColumn.numberOptions || this.get("numberOptions")),
+        fnFormat = (sType === "date") ?
+                function(oValue) {
+                    return util.Date.format(oValue, oConfig, oConfig.locale);
+                } :
+                function(oValue) {
+                    return util.Number.format(oValue, oConfig);
+                },
+        elInput, i;
+
+    oFilter = (oFilter && !lang.isFunction(oFilter)) ? oFilter : {};
+
+    switch(sType) {
+        case "number":
+        case "date":
+            for(i=0; i<2; i++) {
+                elInput = elLiner.appendChild(document.createElement("input"));
+                elInput.type = "text";
+                elInput.title = this.get(i ? "MSG_FILTERTO" : "MSG_FILTERFROM");
+                elInput.value = lang.isValue(oFilter[i ? "max" : "min"]) ?
+                        fnFormat(oFilter[i ? "max" : "min"]) : "";
+            }
+            break;
+        case "enum":
+            this._setFilterSelectOptions(
+                    elLiner.appendChild(document.createElement("select")), oColumn,
+                    lang.isArray(oFilter.values) ? oFilter.values[0] : null);
+            break;
+        default:
+            elInput = elLiner.appendChild(document.createElement("input"));
+            elInput.type = "text";
+            elInput.value = lang.isValue(oFilter.value) ? oFilter.value : "";
+    }
+},
+
+/**
+ * Reads the fields of a filter row TH liner back into a filter for its
+ * Column. Number and date bounds are parsed with the Column's numberOptions
+ * and dateOptions, and bounds that do not parse are left open.
+ *
+ * @method getFilterCellValue
+ * @param elLiner {HTMLElement} The liner DIV element within the filter row TH.
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @return {Object} Filter object literal, or null to clear the filter.
+ */
+getFilterCellValue : function(elLiner, oColumn) {
+    var sType = this._getColumnFilterType(oColumn),
+        oDefaults = lang.isObject(oColumn.filter) ? oColumn.filter : {},
+        aInputs = elLiner.getElementsByTagName("input"),
+        elSelect = elLiner.getElementsByTagName("select")[0],
+        oConfig, fnParse, oMin, oMax;
+
+    switch(sType) {
+        case "number":
+        case "date":
+            if(sType === "date") {
+                oConfig = oColumn.dateOptions || this.get("dateOptions");
+                fnParse = function(sValue) {
+                    return util.Date.parse(sValue, oConfig, oConfig.locale);
+                };
+            }
+            else {
+                oConfig = oColumn.numberOptions || this.get("numberOptions");
+                fnParse = function(sValue) {
+                    return util.Number.parse(sValue, oConfig);
+                };
+            }
+            oMin = aInputs[0] && lang.trim(aInputs[0].value) ? fnParse(aInputs[0].value) : null;
+            oMax = aInputs[1] && lang.trim(aInputs[1].value) ? fnParse(aInputs[1].value) : null;
+            return (oMin === null && oMax === null) ? null :
+                lang.merge(oDefaults, {type:sType, min:oMin, max:oMax});
+        case "enum":
+            return (!elSelect || elSelect.value === "") ? null :
+                lang.merge(oDefaults, {type:sType, values:[elSelect.value]});
+        default:
+            return (!aInputs[0] || aInputs[0].value === "") ? null :
+                lang.merge(oDefaults, {type:sType, value:aInputs[0].value});
+    }
+},
+
+/**
+ * Fills the SELECT element of an "enum" filter with an option to show all
+ * values, followed by the options of the Column's filter definition or, if it
+ * has none, by the distinct values of the Column's field.
+ *
+ * @method _setFilterSelectOptions
+ * @param elSelect {HTMLElement} SELECT element.
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @param oSelected {Object} The value to select, or null for all values.
+ * @private
+ */
+_setFilterSelectOptions : function(elSelect, oColumn, oSelected) {
+    var aOptions = lang.isObject(oColumn.filter) && lang.isArray(oColumn.filter.options) ?
+            oColumn.filter.options : null,
+        aRecords, oSeen, oValue, elOption, i, len;
+
+    // Use the distinct values of the field
+    if(!aOptions) {
+        aOptions = [];
+        oSeen = {};
+        aRecords = this._oRecordSet.getAllRecords();
+        for(i=0, len=aRecords.length; i<len; i++) {
+            oValue = aRecords[i].getData(oColumn.field);
+            if(lang.isValue(oValue) && !lang.hasOwnProperty(oSeen, String(oValue))) {
+                oSeen[String(oValue)] = true;
+                aOptions[aOptions.length] = oValue;
+            }
+        }
+        aOptions.sort(function(a, b) {return YAHOO.util.Sort.compare(a, b);});
+    }
+
+    elSelect.innerHTML = "";
+    elOption = elSelect.appendChild(document.createElement("option"));
+    elOption.value = "";
+    elOption.innerHTML = this.get("MSG_FILTERALL");
+    for(i=0, len=aOptions.length; i<len; i++) {
+        oValue = aOptions[i];
+        elOption = elSelect.appendChild(document.createElement("option"));
+        // Support value and label pairs as for dropdownOptions
+        elOption.value = lang.isValue(oValue.value) ? oValue.value : oValue;
+        elOption.innerHTML = lang.isValue(oValue.label) ? oValue.label : elOption.value;
+        if(lang.isValue(oSelected) && (String(elOption.value) === String(oSelected))) {
+            elOption.selected = true;
+        }
+    }
+},
+
+/**
+ * Returns the filter type of the given Column, from its filter definition.
+ *
+ * @method _getColumnFilterType
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @return {String} Filter type, or null if the Column does not define one.
+ * @private
+ */
+_getColumnFilterType : function(oColumn) {
+    var oFilter = oColumn.filter;
+    if(lang.isString(oFilter)) {
+        return oFilter;
+    }
+    else if(lang.isObject(oFilter)) {
+        return oFilter.type || "text";
+    }
+    return null;
+},
+
 /**
  * Disables DD from top-level Column TH elements.
  *
@@ -2674,6 +3860,8 @@ _initTbodyEl : function(elTable) {
         Ev.addListener(elTbody, "keydown", this._onTbodyKeydown, this);
         Ev.addListener(elTbody, "keypress", this._onTableKeypress, this);
         Ev.addListener(elTbody, "click", this._onTbodyClick, this);
+        Ev.addListener(elTbody, "copy", this._onTbodyCopy, this);
+        Ev.addListener(elTbody, "paste", this._onTbodyPaste, this);
         
         // Since we can't listen for click and dblclick on the same element...
         // Attach separately to THEAD and TBODY
@@ -2741,16 +3929,111 @@ _initMsgTbodyEl : function(elTable) {
 },
 
 /**
- * Initialize internal event listeners
+ * Destroy's the DataTable TFOOT element, if available.
  *
- * @method _initEvents
+ * @method _destroyTfootEl
  * @private
  */
-_initEvents : function () {
-    // Initialize Column sort
-    this._initColumnSort();
-        
-    // Add the document level click listener
+_destroyTfootEl : function() {
+    var elTfoot = this._elTfoot;
+    if(elTfoot) {
+        var elTable = elTfoot.parentNode;
+        Ev.purgeElement(elTfoot, true);
+        elTable.removeChild(elTfoot);
+        this._elTfoot = null;
+    }
+},
+
+/**
+ * Initializes TFOOT element with a row of Column aggregates, when any key
+ * Column defines an aggregate.
+ *
+ * @method _initTfootEl
+ * @param elTable {HTMLElement} (optional) TABLE element into which to create TFOOT.
+ * @private
+ */
+_initTfootEl : function(elTable) {
+    elTable = elTable || this._elTable;
+
+    // Destroy previous
+    this._destroyTfootEl();
+
+    if(elTable && this._oColumnSet.hasAggregates()) {
+        var elTfoot = document.createElement("tfoot"),
+            elTr = elTfoot.appendChild(document.createElement("tr")),
+            allKeys = this._oColumnSet.keys,
+            elTd, i, len;
+        elTr.className = DT.CLASS_AGGREGATE + " " + DT.CLASS_FIRST + " " + DT.CLASS_LAST;
+
+        for(i=0, len=allKeys.length; i<len; i++) {
+            elTd = elTr.appendChild(document.createElement("td"));
+            elTd.appendChild(document.createElement("div"));
+            this._formatTdEl(allKeys[i], elTd, i, (i===len-1));
+        }
+
+        this._elTfoot = elTable.appendChild(elTfoot);
+        this._setTfootAggregates();
+    }
+},
+
+/**
+ * Outputs the aggregates of all Records in the RecordSet into the TFOOT
+ * element. Records hidden by a filter are excluded.
+ *
+ * @method _setTfootAggregates
+ * @private
+ */
+_setTfootAggregates : function() {
+    if(this._elTfoot) {
+        var oAggregates = this._getAggregates(this._oRecordSet.getRecords()),
+            allKeys = this._oColumnSet.keys,
+            allCells = this._elTfoot.rows[0].cells,
+            sKey;
+        for(var i=0, len=allKeys.length; i<len; i++) {
+            sKey = allKeys[i].getKey();
+            if(sKey in oAggregates) {
+                this.formatAggregateCell(allCells[i].firstChild, allKeys[i], oAggregates[sKey]);
+            }
+            else {
+                allCells[i].firstChild.innerHTML = "";
+            }
+        }
+    }
+},
+
+/**
+ * Updates the TFOOT element when Records are added, updated, deleted or
+ * filtered, or when their changes are rejected.
+ *
+ * @method _onAggregateDataChange
+ * @private
+ */
+_onAggregateDataChange : function() {
+    this._setTfootAggregates();
+},
+
+/**
+ * Recreates the TFOOT element when Columns are inserted, removed, reordered,
+ * hidden or shown.
+ *
+ * @method _onAggregateColumnChange
+ * @private
+ */
+_onAggregateColumnChange : function() {
+    this._initTfootEl();
+},
+
+/**
+ * Initialize internal event listeners
+ *
+ * @method _initEvents
+ * @private
+ */
+_initEvents : function () {
+    // Initialize Column sort
+    this._initColumnSort();
+        
+    // Add the document level click listener
     YAHOO.util.Event.addListener(document, "click", this._onDocumentClick, this);
 
     // Paginator integration
@@ -2762,6 +4045,67 @@ _initEvents : function () {
         this.renderPaginator();
     });
 
+    // Grouping and tree grid integration
+    var aDataEvents = ["rowAddEvent","rowsAddEvent","rowUpdateEvent",
+            "rowDeleteEvent","rowsDeleteEvent","cellUpdateEvent"];
+    for(var i=0; i<aDataEvents.length; i++) {
+        this.subscribe(aDataEvents[i], this._onGroupedDataChange);
+        this.subscribe(aDataEvents[i], this._onTreeDataChange);
+    }
+
+    // Footer aggregates integration
+    var aRecordSetEvents = ["recordAddEvent","recordsAddEvent","recordSetEvent",
+            "recordsSetEvent","recordUpdateEvent","recordValueUpdateEvent",
+            "recordsFilterEvent","recordDeleteEvent","recordsDeleteEvent","resetEvent",
+            "changesRejectEvent"];
+    for(i=0; i<aRecordSetEvents.length; i++) {
+        this._oRecordSet.subscribe(aRecordSetEvents[i], this._onAggregateDataChange, this, true);
+    }
+    var aColumnEvents = ["columnInsertEvent","columnRemoveEvent","columnReorderEvent",
+            "columnHideEvent","columnShowEvent"];
+    for(i=0; i<aColumnEvents.length; i++) {
+        this.subscribe(aColumnEvents[i], this._onAggregateColumnChange);
+    }
+
+    // Column state persistence
+    var aStateEvents = ["columnInsertEvent","columnRemoveEvent","columnReorderEvent",
+            "columnHideEvent","columnShowEvent","columnSetWidthEvent",
+            "columnUnsetWidthEvent","sortedByChange"];
+    for(i=0; i<aStateEvents.length; i++) {
+        this.subscribe(aStateEvents[i], this._onColumnStateChange);
+    }
+
+    // Edit history integration
+    this._aUndoStack = [];
+    this._aRedoStack = [];
+    this._oHistoryRecords = {};
+    this.subscribe("editorSaveEvent", this._onHistoryCellSave);
+    this.subscribe("rowAddEvent", this._onHistoryRowsAdd);
+    this.subscribe("rowsAddEvent", this._onHistoryRowsAdd);
+    this.subscribe("rowDeleteEvent", this._onHistoryRowsDelete);
+    this.subscribe("rowsDeleteEvent", this._onHistoryRowsDelete);
+    this._oRecordSet.subscribe("resetEvent", this.clearHistory, this, true);
+
+    // Change tracking integration
+    this._oRecordSet.subscribe("changesCommitEvent", this._onChangesCommit, this, true);
+    this._oRecordSet.subscribe("changesRejectEvent", this.render, this, true);
+
+    // Grid navigation integration
+    var aGridEvents = ["sortedByChange","selectionModeChange","columnInsertEvent",
+            "columnRemoveEvent","columnReorderEvent","columnHideEvent","columnShowEvent"];
+    for(i=0; i<aGridEvents.length; i++) {
+        this.subscribe(aGridEvents[i], this._onGridChange);
+    }
+    var aSelectEvents = ["rowSelectEvent","rowUnselectEvent","cellSelectEvent",
+            "cellUnselectEvent","unselectAllRowsEvent","unselectAllCellsEvent"];
+    for(i=0; i<aSelectEvents.length; i++) {
+        this.subscribe(aSelectEvents[i], this._onGridSelectionChange);
+    }
+    this.subscribe("cellClickEvent", this._onGridCellClick);
+    this.subscribe("theadCellClickEvent", this._onGridCellClick);
+    this.subscribe("editorSaveEvent", this._onGridEditorHide);
+    this.subscribe("editorCancelEvent", this._onGridEditorHide);
+
     // Initialize CellEditor integration
     this._initCellEditing();
 },
@@ -2776,13 +4120,13 @@ _initColumnSort : function() {
     this.subscribe("theadCellClickEvent", this.onEventSortColumn); 	 
 
     // Backward compatibility
-    var oSortedBy = this.get("sortedBy");
-    if(oSortedBy) {
-        if(oSortedBy.dir == "desc") {
-            this._configs.sortedBy.value.dir = DT.CLASS_DESC;
+    var aSortedBy = this._getSortedByArray();
+    for(var i=0; i<aSortedBy.length; i++) {
+        if(aSortedBy[i].dir == "desc") {
+            aSortedBy[i].dir = DT.CLASS_DESC;
         }
-        else if(oSortedBy.dir == "asc") {
-            this._configs.sortedBy.value.dir = DT.CLASS_ASC;
+        else if(aSortedBy[i].dir == "asc") {
+            aSortedBy[i].dir = DT.CLASS_ASC;
         }
     }
 },
@@ -2872,10 +4216,11 @@ _getColumnClassNames : function (oColumn, aAddClasses) {
     // Column key - minus any chars other than "A-Z", "a-z", "0-9", "_", "-", ".", or ":"
     allClasses[allClasses.length] = "yui-dt-col-" +oColumn.getSanitizedKey();
 
-    var isSortedBy = this.get("sortedBy") || {};
+    var aSortedBy = this._getSortedByArray(),
+        nSortIndex = this._getSortIndex(oColumn, aSortedBy);
     // Sorted
-    if(oColumn.key === isSortedBy.key) {
-        allClasses[allClasses.length] = isSortedBy.dir || '';
+    if(nSortIndex > -1) {
+        allClasses[allClasses.length] = aSortedBy[nSortIndex].dir || '';
     }
     // Hidden
     if(oColumn.hidden) {
@@ -3092,6 +4437,53 @@ _deleteTrEl : function(row) {
     }
 },
 
+/**
+ * Returns the TR elements of the current page that display Records, without
+ * the group header rows.
+ *
+ * @method _getRecordTrEls
+ * @return {HTMLElement[]} TR elements, or the rows collection of the TBODY
+ * element if the DataTable is not grouped.
+ * @private
+ */
+_getRecordTrEls : function() {
+    var allRows = this._elTbody.rows;
+    if(!this._aGroupBy) {
+        return allRows;
+    }
+
+    var aTrEls = [];
+    for(var i=0, len=allRows.length; i<len; i++) {
+        if(!Dom.hasClass(allRows[i], DT.CLASS_GROUP)) {
+            aTrEls[aTrEls.length] = allRows[i];
+        }
+    }
+    return aTrEls;
+},
+
+/**
+ * Returns the page row index of the given TR element among the rows that
+ * display Records.
+ *
+ * @method _getRecordTrIndex
+ * @param elTr {HTMLElement} TR element.
+ * @return {Number} Page row index, or null for a group header row.
+ * @private
+ */
+_getRecordTrIndex : function(elTr) {
+    if(!this._aGroupBy) {
+        return elTr.sectionRowIndex;
+    }
+
+    var allRows = this._getRecordTrEls();
+    for(var i=0, len=allRows.length; i<len; i++) {
+        if(allRows[i] === elTr) {
+            return i;
+        }
+    }
+    return null;
+},
+
 
 
 
@@ -3199,7 +4591,7 @@ _setLastRow : function() {
  */
 _setRowStripes : function(row, range) {
     // Default values stripe all rows
-    var allRows = this._elTbody.rows,
+    var allRows = this._getRecordTrEls(),
         nStartIndex = 0,
         nEndIndex = allRows.length,
         aOdds = [], nOddIdx = 0,
@@ -3210,7 +4602,7 @@ _setRowStripes : function(row, range) {
         // Validate given start row
         var elStartRow = this.getTrEl(row);
         if(elStartRow) {
-            nStartIndex = elStartRow.sectionRowIndex;
+            nStartIndex = this._getRecordTrIndex(elStartRow);
 
             // Validate given range
             if(lang.isNumber(range) && (range > 1)) {
@@ -3331,6 +4723,11 @@ _onRenderChainEnd : function() {
         this.showTableMessage(this.get("MSG_EMPTY"), DT.CLASS_EMPTY);        
     }
 
+    // Roles and states of the new rows
+    if(this._bGridNavigation) {
+        this._setGridStates();
+    }
+
     // Execute in timeout thread to give implementers a chance
     // to subscribe after the constructor
     var oSelf = this;
@@ -3376,6 +4773,15 @@ _onDocumentClick : function(e, oSelf) {
     var elTarget = Ev.getTarget(e);
     var elTag = elTarget.nodeName.toLowerCase();
 
+    // Hides the column chooser when click is not within it
+    var elChooser = oSelf._elColumnChooser,
+        elContext = oSelf._elColumnChooserContext;
+    if(elChooser && (e.button !== 2) && (elChooser !== elTarget) &&
+            !Dom.isAncestor(elChooser, elTarget) &&
+            (!elContext || ((elContext !== elTarget) && !Dom.isAncestor(elContext, elTarget)))) {
+        oSelf.hideColumnChooser();
+    }
+
     if(!Dom.isAncestor(oSelf._elContainer, elTarget)) {
         oSelf.fireEvent("tableBlurEvent");
 
@@ -3690,6 +5096,13 @@ _onTableDblclick : function(e, oSelf) {
     var elTarget = Ev.getTarget(e);
     var elTag = elTarget.nodeName.toLowerCase();
     var bKeepBubbling = true;
+
+    // Group header rows and footer cells are not cells of Records
+    if((oSelf._oGroupTrs && oSelf.getGroup(elTarget)) ||
+            (oSelf._elTfoot && Dom.isAncestor(oSelf._elTfoot, elTarget))) {
+        return;
+    }
+
     while(elTarget && (elTag != "table")) {
         switch(elTag) {
             case "body":
@@ -3743,6 +5156,11 @@ _onTableDblclick : function(e, oSelf) {
  * @private
  */
 _onTheadKeydown : function(e, oSelf) {
+    // Arrow keys move the focus across header cells, Enter and Space sort
+    if(oSelf._bGridNavigation && oSelf._handleGridNavigationByKey(e)) {
+        return;
+    }
+
     var elTarget = Ev.getTarget(e);
     var elTag = elTarget.nodeName.toLowerCase();
     var bKeepBubbling = true;
@@ -3783,23 +5201,47 @@ _onTheadKeydown : function(e, oSelf) {
  * @private
  */
 _onTbodyKeydown : function(e, oSelf) {
-    var sMode = oSelf.get("selectionMode");
-
-    if(sMode == "standard") {
-        oSelf._handleStandardSelectionByKey(e);
-    }
-    else if(sMode == "single") {
-        oSelf._handleSingleSelectionByKey(e);
+    // Left and right arrow keys on a group header collapse and expand the group
+    var oGroup = oSelf._oGroupTrs ? oSelf.getGroup(Ev.getTarget(e)) : null;
+    if(oGroup) {
+        var nKey = Ev.getCharCode(e);
+        if((nKey == 37) || (nKey == 39)) {
+            Ev.stopEvent(e);
+            oSelf._collapseGroups([oGroup], (nKey == 37));
+            return;
+        }
     }
-    else if(sMode == "cellblock") {
-        oSelf._handleCellBlockSelectionByKey(e);
+
+    // Ctrl+Z undoes and Ctrl+Y or Ctrl+Shift+Z redoes the last edit
+    if((e.ctrlKey || e.metaKey) && (oSelf.get("undoDepth") > 0)) {
+        var nCharCode = Ev.getCharCode(e);
+        if((nCharCode == 90) || (nCharCode == 89)) {
+            Ev.stopEvent(e);
+            if((nCharCode == 89) || e.shiftKey) {
+                oSelf.redo();
+            }
+            else {
+                oSelf.undo();
+            }
+            return;
+        }
     }
-    else if(sMode == "cellrange") {
-        oSelf._handleCellRangeSelectionByKey(e);
+
+    // Arrow and paging keys move the focus across cells, Enter and F2 edit
+    if(oSelf._bGridNavigation && oSelf._handleGridNavigationByKey(e)) {
+        return;
     }
-    else if(sMode == "singlecell") {
-        oSelf._handleSingleCellSelectionByKey(e);
+
+    var sMode = oSelf.get("selectionMode");
+
+    // Left and right arrow keys on a tree row expand and collapse it, or move
+    // the selection between parent and child rows
+    if(oSelf._oTreeGrid && ((sMode == "standard") || (sMode == "single")) &&
+            oSelf._handleTreeSelectionByKey(e)) {
+        return;
     }
+
+    oSelf._handleSelectionByKey(e);
     
     if(oSelf._oCellEditor) {
         if(oSelf._oCellEditor.fireEvent) {
@@ -3858,6 +5300,181 @@ _onTableKeypress : function(e, oSelf) {
     }
 },
 
+/**
+ * Handles copy events on the TBODY element, putting the selected cells on the
+ * clipboard.
+ *
+ * @method _onTbodyCopy
+ * @param e {HTMLEvent} The copy event.
+ * @param oSelf {YAHOO.wiget.DataTable} DataTable instance.
+ * @private
+ */
+_onTbodyCopy : function(e, oSelf) {
+    if(oSelf._oCellEditor && oSelf._oCellEditor.isActive) {
+        return;
+    }
+    var oCopy = oSelf.copyCells();
+    if(oCopy) {
+        if(e.clipboardData) {
+            e.clipboardData.setData("text/plain", oCopy.text);
+            e.clipboardData.setData("text/html", oCopy.html);
+        }
+        // IE
+        else if(window.clipboardData) {
+            window.clipboardData.setData("Text", oCopy.text);
+        }
+        else {
+            return;
+        }
+        Ev.preventDefault(e);
+        oSelf.fireEvent("cellsCopyEvent", {text:oCopy.text, html:oCopy.html});
+    }
+},
+
+/**
+ * Handles paste events on the TBODY element, pasting tab-separated values
+ * from the clipboard into the selected cells.
+ *
+ * @method _onTbodyPaste
+ * @param e {HTMLEvent} The paste event.
+ * @param oSelf {YAHOO.wiget.DataTable} DataTable instance.
+ * @private
+ */
+_onTbodyPaste : function(e, oSelf) {
+    if(oSelf._oCellEditor && oSelf._oCellEditor.isActive) {
+        return;
+    }
+    var sText = e.clipboardData ? e.clipboardData.getData("text/plain") :
+            window.clipboardData ? window.clipboardData.getData("Text") : null;
+    if(lang.isString(sText) && (oSelf.getSelectedCells().length > 0)) {
+        Ev.preventDefault(e);
+        oSelf.pasteCells(sText);
+    }
+},
+
+/**
+ * Handles contextmenu events on the THEAD element, showing the column chooser
+ * if the columnChooser attribute is true.
+ *
+ * @method _onTheadContextmenu
+ * @param e {HTMLEvent} The contextmenu event.
+ * @param oSelf {YAHOO.wiget.DataTable} DataTable instance.
+ * @private
+ */
+_onTheadContextmenu : function(e, oSelf) {
+    if(oSelf.get("columnChooser")) {
+        var elTarget = Ev.getTarget(e);
+        Ev.preventDefault(e);
+        oSelf.showColumnChooser(oSelf.getThEl(elTarget) || oSelf._elThead);
+    }
+},
+
+/**
+ * Handles click events on the column chooser, showing or hiding the Column of
+ * the clicked checkbox.
+ *
+ * @method _onColumnChooserClick
+ * @param e {HTMLEvent} The click event.
+ * @param oSelf {YAHOO.wiget.DataTable} DataTable instance.
+ * @private
+ */
+_onColumnChooserClick : function(e, oSelf) {
+    var elTarget = Ev.getTarget(e),
+        oColumn = (elTarget.nodeName.toLowerCase() === "input") ?
+                oSelf.getColumnById(elTarget.value) : null;
+    if(oColumn) {
+        if(elTarget.checked) {
+            oSelf.showColumn(oColumn);
+        }
+        else {
+            oSelf.hideColumn(oColumn);
+        }
+        oSelf._syncColumnChooser();
+    }
+},
+
+/**
+ * Handles keydown events on the column chooser, hiding it on Esc.
+ *
+ * @method _onColumnChooserKeydown
+ * @param e {HTMLEvent} The key event.
+ * @param oSelf {YAHOO.wiget.DataTable} DataTable instance.
+ * @private
+ */
+_onColumnChooserKeydown : function(e, oSelf) {
+    if(Ev.getCharCode(e) === 27) {
+        Ev.stopEvent(e);
+        oSelf.hideColumnChooser();
+    }
+},
+
+/**
+ * Handles keyup events on the text fields of the filter row, filtering after
+ * a short delay so that typing does not filter for every key.
+ *
+ * @method _onFilterKeyup
+ * @param e {HTMLEvent} The key event.
+ * @param oSelf {YAHOO.wiget.DataTable} DataTable instance.
+ * @private
+ */
+_onFilterKeyup : function(e, oSelf) {
+    var elTarget = Ev.getTarget(e);
+    if(oSelf._oFilterTimer) {
+        oSelf._oFilterTimer.cancel();
+    }
+    oSelf._oFilterTimer = lang.later(250, oSelf, function() {
+        oSelf._oFilterTimer = null;
+        oSelf._onFilterChange({target:elTarget}, oSelf);
+    });
+},
+
+/**
+ * Handles change events on the fields of the filter row.
+ *
+ * @method _onFilterChange
+ * @param e {HTMLEvent} The change event.
+ * @param oSelf {YAHOO.wiget.DataTable} DataTable instance.
+ * @private
+ */
+_onFilterChange : function(e, oSelf) {
+    var elTh = Dom.getAncestorByTagName(e.target || Ev.getTarget(e), "th"),
+        elLiner = elTh && elTh.firstChild,
+        oColumn = elTh && oSelf.getColumn(elTh.cellIndex),
+        fnKey = function(o) {
+            return (!o || lang.isFunction(o)) ? "" : [o.type, o.value, o.values,
+                (o.min instanceof Date) ? o.min.getTime() : o.min,
+                (o.max instanceof Date) ? o.max.getTime() : o.max].join("|");
+        },
+        oFilter;
+
+    if(oColumn) {
+        oFilter = oSelf.getFilterCellValue(elLiner, oColumn);
+        // Skip keys that do not change the filter, such as arrows
+        if(fnKey(oFilter) !== fnKey(oSelf.getColumnFilter(oColumn))) {
+            oSelf.filterColumn(oColumn, oFilter);
+        }
+    }
+},
+
+/**
+ * Handles focus events on the SELECT elements of the filter row, refreshing
+ * the distinct values of the Column's field.
+ *
+ * @method _onFilterSelectFocus
+ * @param e {HTMLEvent} The focus event.
+ * @param oSelf {YAHOO.wiget.DataTable} DataTable instance.
+ * @private
+ */
+_onFilterSelectFocus : function(e, oSelf) {
+    var elSelect = Ev.getTarget(e),
+        elTh = Dom.getAncestorByTagName(elSelect, "th"),
+        oColumn = elTh && oSelf.getColumn(elTh.cellIndex);
+
+    if(oColumn && !(lang.isObject(oColumn.filter) && oColumn.filter.options)) {
+        oSelf._setFilterSelectOptions(elSelect, oColumn, elSelect.value || null);
+    }
+},
+
 /**
  * Handles click events on the THEAD element.
  *
@@ -3959,6 +5576,27 @@ _onTbodyClick : function(e, oSelf) {
     var elTarget = Ev.getTarget(e),
         elTag = elTarget.nodeName.toLowerCase(),
         bKeepBubbling = true;
+
+    // Group header rows toggle their group instead of firing row and cell events
+    var oGroup = oSelf._oGroupTrs ? oSelf.getGroup(elTarget) : null;
+    if(oGroup) {
+        if(Dom.hasClass(elTarget, DT.CLASS_TOGGLE) || Dom.getAncestorByClassName(elTarget, DT.CLASS_TOGGLE)) {
+            oSelf.toggleGroup(oGroup);
+        }
+        oSelf.fireEvent("groupClickEvent",{target:elTarget,event:e,group:oGroup});
+        return;
+    }
+
+    // Tree toggles expand and collapse their row instead of firing row and cell events
+    if(oSelf._oTreeGrid) {
+        var elToggle = Dom.hasClass(elTarget, DT.CLASS_TOGGLE) ? elTarget :
+                Dom.getAncestorByClassName(elTarget, DT.CLASS_TOGGLE);
+        if(elToggle && oSelf.getRecord(elToggle)) {
+            oSelf.toggleTreeRow(elToggle);
+            return;
+        }
+    }
+
     while(elTarget && (elTag != "table")) {
         switch(elTag) {
             case "body":
@@ -4135,8 +5773,13 @@ getRecordSet : function() {
  *         <dt>sortedBy.dir</dt>
  *         <dd>{String} Initial sort direction, either YAHOO.widget.DataTable.CLASS_ASC or YAHOO.widget.DataTable.CLASS_DESC</dd>
  *     </dl>
+ *     or an array of these, primary sort first, when sorted by more than one
+ *     Column
  * </dd>
  *
+ * <dt>filters</dt>
+ * <dd>Column filters by Column key, as set by filterColumn().</dd>
+ *
  * <dt>selectedRows</dt>
  * <dd>Array of selected rows by Record ID.</dd>
  *
@@ -4153,6 +5796,7 @@ getState : function() {
         totalRecords: this.get('paginator') ? this.get('paginator').get("totalRecords") : this._oRecordSet.getLength(),
         pagination: this.get("paginator") ? this.get("paginator").getState() : null,
         sortedBy: this.get("sortedBy"),
+        filters: this.getFilters(),
         selectedRows: this.getSelectedRows(),
         selectedCells: this.getSelectedCells()
     };
@@ -4253,6 +5897,17 @@ getMsgTbodyEl : function() {
     return this._elMsgTbody;
 },
 
+/**
+ * Returns DOM reference to the DataTable's TFOOT element that displays Column
+ * aggregates, if any Column defines an aggregate.
+ *
+ * @method getTfootEl
+ * @return {HTMLElement} Reference to TFOOT element.
+ */
+getTfootEl : function() {
+    return this._elTfoot;
+},
+
 /**
  * Returns DOM reference to the TD element within the secondary TBODY that is
  * used to display messages.
@@ -4282,7 +5937,7 @@ getTrEl : function(row) {
     }
     // By page row index
     else if(lang.isNumber(row)) {
-        var allRows = this._elTbody.rows;
+        var allRows = this._getRecordTrEls();
         return ((row > -1) && (row < allRows.length)) ? allRows[row] : null;
     }
     // By ID string or element reference
@@ -4311,7 +5966,7 @@ getTrEl : function(row) {
  * @return {HTMLElement} Reference to TR element.
  */
 getFirstTrEl : function() {
-    return this._elTbody.rows[0] || null;
+    return this._getRecordTrEls()[0] || null;
 },
 
 /**
@@ -4321,7 +5976,7 @@ getFirstTrEl : function() {
  * @return {HTMLElement} Reference to last TR element.
  */
 getLastTrEl : function() {
-    var allRows = this._elTbody.rows;
+    var allRows = this._getRecordTrEls();
         if(allRows.length > 0) {
             return allRows[allRows.length-1] || null;
         }
@@ -4329,6 +5984,7 @@ getLastTrEl : function() {
 
 /**
  * Returns DOM reference to the next TR element from the given TR element, or null.
+ * Rows hidden by a collapsed group or tree row are skipped.
  *
  * @method getNextTrEl
  * @param row {HTMLElement | String | Number | YAHOO.widget.Record} Element
@@ -4338,9 +5994,11 @@ getLastTrEl : function() {
 getNextTrEl : function(row) {
     var nThisTrIndex = this.getTrIndex(row);
     if(nThisTrIndex !== null) {
-        var allRows = this._elTbody.rows;
-        if(nThisTrIndex < allRows.length-1) {
-            return allRows[nThisTrIndex+1];
+        var allRows = this._getRecordTrEls();
+        for(var i=nThisTrIndex+1; i<allRows.length; i++) {
+            if(!Dom.hasClass(allRows[i], DT.CLASS_HIDDEN)) {
+                return allRows[i];
+            }
         }
     }
 
@@ -4350,6 +6008,7 @@ getNextTrEl : function(row) {
 
 /**
  * Returns DOM reference to the previous TR element from the given TR element, or null.
+ * Rows hidden by a collapsed group or tree row are skipped.
  *
  * @method getPreviousTrEl
  * @param row {HTMLElement | String | Number | YAHOO.widget.Record} Element
@@ -4359,9 +6018,11 @@ getNextTrEl : function(row) {
 getPreviousTrEl : function(row) {
     var nThisTrIndex = this.getTrIndex(row);
     if(nThisTrIndex !== null) {
-        var allRows = this._elTbody.rows;
-        if(nThisTrIndex > 0) {
-            return allRows[nThisTrIndex-1];
+        var allRows = this._getRecordTrEls();
+        for(var i=nThisTrIndex-1; i>-1; i--) {
+            if(!Dom.hasClass(allRows[i], DT.CLASS_HIDDEN)) {
+                return allRows[i];
+            }
         }
     }
 
@@ -4677,7 +6338,7 @@ getTrIndex : function(row) {
         var elRow = this.getTrEl(row);
         if(elRow && (elRow.ownerDocument == document) &&
                 (elRow.parentNode == this._elTbody)) {
-            return elRow.sectionRowIndex;
+            return this._getRecordTrIndex(elRow);
         }
     }
 
@@ -4842,6 +6503,13 @@ render : function() {
     this.fireEvent("beforeRenderEvent");
     YAHOO.log("DataTable rendering...", "info", this.toString());
 
+    if(this._aGroupBy) {
+        this._groupRecords();
+    }
+    else if(this._oTreeGrid) {
+        this._treeRecords();
+    }
+
     var i, j, k, len,
         allRecords = this._getViewRecords();
 
@@ -4898,6 +6566,8 @@ render : function() {
                     while(elTbody.rows.length > nRecordsLength) {
                         elTbody.removeChild(elTbody.lastChild);
                     }
+                    this._setGroupTrEls();
+                    this._setTreeStates();
                     this._setFirstRow();
                     this._setLastRow();
                     this._setRowStripes();
@@ -5012,6 +6682,13 @@ destroy : function() {
     // Destroy Paginator
     this._destroyPaginator();
 
+    // Save any pending Column state and destroy the column chooser
+    if(this._oStateTimer) {
+        this._oStateTimer.cancel();
+        this.saveColumnState();
+    }
+    this.hideColumnChooser();
+
     // Unhook custom events
     this._oRecordSet.unsubscribeAll();
     this.unsubscribeAll();
@@ -5088,21 +6765,26 @@ focus : function() {
 },
 
 /**
- * Brings focus to the THEAD element.
+ * Brings focus to the THEAD element, or to its focused header cell when
+ * grid navigation is enabled.
  *
  * @method focusTheadEl
  */
 focusTheadEl : function() {
-    this._focusEl(this._elThead);
+    var elCell = this._bGridNavigation ? this._getGridFocusEl() : null;
+    this._focusEl((elCell && (elCell.nodeName.toLowerCase() == "th")) ? elCell : this._elThead);
 },
 
 /**
- * Brings focus to the TBODY element.
+ * Brings focus to the TBODY element, or to its focused data cell when grid
+ * navigation is enabled.
  *
  * @method focusTbodyEl
  */
 focusTbodyEl : function() {
-    this._focusEl(this._elTbody);
+    var elCell = this._bGridNavigation ?
+            (this.getTdEl(this._getGridFocusEl()) || this._getGridCellEl(this._getGridRowEl(), 0, 1)) : null;
+    this._focusEl(elCell || this._elTbody);
 },
 
 /**
@@ -5212,7 +6894,7 @@ getRecordIndex : function(row) {
             // Find the TR element
             var el = this.getTrEl(row);
             if(el) {
-                nTrIndex = el.sectionRowIndex;
+                nTrIndex = this._getRecordTrIndex(el);
             }
         }
     }
@@ -5384,11 +7066,12 @@ getColumnSortDir : function(oColumn, oSortedBy) {
 
     // Is the Column currently sorted?
     var bSorted = false;
-    oSortedBy = oSortedBy || this.get("sortedBy");
-    if(oSortedBy && (oSortedBy.key === oColumn.key)) {
+    var aSortedBy = this._getSortedByArray(oSortedBy || this.get("sortedBy"));
+    var nSortIndex = this._getSortIndex(oColumn, aSortedBy);
+    if(nSortIndex > -1) {
         bSorted = true;
-        if(oSortedBy.dir) {
-            sortDir = (oSortedBy.dir === DT.CLASS_ASC) ? DT.CLASS_DESC : DT.CLASS_ASC;
+        if(aSortedBy[nSortIndex].dir) {
+            sortDir = (aSortedBy[nSortIndex].dir === DT.CLASS_ASC) ? DT.CLASS_DESC : DT.CLASS_ASC;
         }
         else {
             sortDir = (sortDir === DT.CLASS_ASC) ? DT.CLASS_DESC : DT.CLASS_ASC;
@@ -5398,47 +7081,143 @@ getColumnSortDir : function(oColumn, oSortedBy) {
 },
 
 /**
- * Overridable method gives implementers a hook to show loading message before
- * sorting Column.
+ * Returns the given sort state, or the current "sortedBy" value, as an array
+ * of object literals with key and dir, primary sort first.
  *
- * @method doBeforeSortColumn
- * @param oColumn {YAHOO.widget.Column} Column instance.
- * @param sSortDir {String} YAHOO.widget.DataTable.CLASS_ASC or
- * YAHOO.widget.DataTable.CLASS_DESC.
- * @return {Boolean} Return true to continue sorting Column.
+ * @method _getSortedByArray
+ * @param oSortedBy {Object | Object[]} (optional) Sort state.
+ * @return {Object[]} Array of sort object literals, empty if not sorted.
+ * @private
  */
-doBeforeSortColumn : function(oColumn, sSortDir) {
-    this.showTableMessage(this.get("MSG_LOADING"), DT.CLASS_LOADING);
-    return true;
+_getSortedByArray : function(oSortedBy) {
+    oSortedBy = (oSortedBy === undefined) ? this.get("sortedBy") : oSortedBy;
+    if(lang.isArray(oSortedBy)) {
+        return oSortedBy;
+    }
+    return oSortedBy ? [oSortedBy] : [];
 },
 
 /**
- * Sorts given Column. If "dynamicData" is true, current selections are purged before
- * a request is sent to the DataSource for data for the new state (using the
- * request returned by "generateRequest()").
+ * Returns the position of the given Column in the given array of sort object
+ * literals, or -1 if the Column is not sorted.
  *
- * @method sortColumn
+ * @method _getSortIndex
  * @param oColumn {YAHOO.widget.Column} Column instance.
- * @param sDir {String} (Optional) YAHOO.widget.DataTable.CLASS_ASC or
- * YAHOO.widget.DataTable.CLASS_DESC
+ * @param aSortedBy {Object[]} Array of sort object literals.
+ * @return {Number} Sort position, or -1.
+ * @private
  */
-sortColumn : function(oColumn, sDir) {
-    if(oColumn && (oColumn instanceof YAHOO.widget.Column)) {
-        if(!oColumn.sortable) {
-            Dom.addClass(this.getThEl(oColumn), DT.CLASS_SORTABLE);
+_getSortIndex : function(oColumn, aSortedBy) {
+    for(var i=0, len=aSortedBy.length; i<len; i++) {
+        if(aSortedBy[i].key === oColumn.key) {
+            return i;
         }
-        
-        // Validate given direction
-        if(sDir && (sDir !== DT.CLASS_ASC) && (sDir !== DT.CLASS_DESC)) {
+    }
+    return -1;
+},
+
+/**
+ * Returns a function that compares two Records by the sort Columns in the
+ * given array of sort object literals, in order, using each Column's
+ * sortOptions.
+ *
+ * @method _getMultiSortFunction
+ * @param aSortedBy {Object[]} Array of sort object literals.
+ * @return {Function} Sort function.
+ * @private
+ */
+_getMultiSortFunction : function(aSortedBy) {
+    var compare = YAHOO.util.Sort.compare,
+        aSorts = [],
+        oColumn, oSortOptions, i;
+
+    for(i=0; i<aSortedBy.length; i++) {
+        oColumn = this._oColumnSet.getColumn(aSortedBy[i].key);
+        if(oColumn) {
+            oSortOptions = oColumn.sortOptions || {};
+            aSorts[aSorts.length] = {
+                fn: lang.isFunction(oSortOptions.sortFunction) ? oSortOptions.sortFunction : null,
+                desc: (aSortedBy[i].dir === DT.CLASS_DESC),
+                field: oSortOptions.field || oColumn.field
+            };
+        }
+    }
+
+    return function(a, b) {
+        var oSort, nCompare;
+        for(var i=0; i<aSorts.length; i++) {
+            oSort = aSorts[i];
+            nCompare = oSort.fn ? oSort.fn(a, b, oSort.desc, oSort.field) :
+                    compare(a.getData(oSort.field), b.getData(oSort.field), oSort.desc);
+            if(nCompare) {
+                return nCompare;
+            }
+        }
+        return 0;
+    };
+},
+
+/**
+ * Overridable method gives implementers a hook to show loading message before
+ * sorting Column.
+ *
+ * @method doBeforeSortColumn
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @param sSortDir {String} YAHOO.widget.DataTable.CLASS_ASC or
+ * YAHOO.widget.DataTable.CLASS_DESC.
+ * @return {Boolean} Return true to continue sorting Column.
+ */
+doBeforeSortColumn : function(oColumn, sSortDir) {
+    this.showTableMessage(this.get("MSG_LOADING"), DT.CLASS_LOADING);
+    return true;
+},
+
+/**
+ * Sorts given Column. If "dynamicData" is true, current selections are purged before
+ * a request is sent to the DataSource for data for the new state (using the
+ * request returned by "generateRequest()").
+ *
+ * @method sortColumn
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @param sDir {String} (Optional) YAHOO.widget.DataTable.CLASS_ASC or
+ * YAHOO.widget.DataTable.CLASS_DESC
+ * @param bAppend {Boolean} (Optional) If true, the Column is added to the
+ * current sort as the last sort key, or its direction changes if it is already
+ * a sort key, so that the Records are sorted by more than one Column.
+ */
+sortColumn : function(oColumn, sDir, bAppend) {
+    if(oColumn && (oColumn instanceof YAHOO.widget.Column)) {
+        if(!oColumn.sortable) {
+            Dom.addClass(this.getThEl(oColumn), DT.CLASS_SORTABLE);
+        }
+        
+        // Validate given direction
+        if(sDir && (sDir !== DT.CLASS_ASC) && (sDir !== DT.CLASS_DESC)) {
             sDir = null;
         }
         
         // Get the sort dir
         var sSortDir = sDir || this.getColumnSortDir(oColumn);
 
-        // Is the Column currently sorted?
-        var oSortedBy = this.get("sortedBy") || {};
-        var bSorted = (oSortedBy.key === oColumn.key) ? true : false;
+        // Is the Column currently the only sorted Column?
+        var aSortedBy = this._getSortedByArray();
+        var nSortIndex = this._getSortIndex(oColumn, aSortedBy);
+        var bSorted = ((aSortedBy.length === 1) && (nSortIndex === 0)) ? true : false;
+
+        // Sort by more than one Column
+        var aMultiSortedBy = null;
+        if(bAppend && (aSortedBy.length > 0) && !bSorted) {
+            aMultiSortedBy = [];
+            for(var i=0; i<aSortedBy.length; i++) {
+                aMultiSortedBy[i] = {
+                    key: aSortedBy[i].key,
+                    dir: (i === nSortIndex) ? sSortDir : aSortedBy[i].dir
+                };
+            }
+            if(nSortIndex < 0) {
+                aMultiSortedBy[aMultiSortedBy.length] = {key:oColumn.key, dir:sSortDir};
+            }
+        }
 
         var ok = this.doBeforeSortColumn(oColumn, sSortDir);
         if(ok) {
@@ -5453,7 +7232,7 @@ sortColumn : function(oColumn, sDir) {
                 }
                 
                 // Update sortedBy to new values
-                oState.sortedBy = {
+                oState.sortedBy = aMultiSortedBy || {
                     key: oColumn.key,
                     dir: sSortDir
                 };
@@ -5481,8 +7260,12 @@ sortColumn : function(oColumn, sDir) {
                         // Custom sort function
                         oColumn.sortOptions.sortFunction : null;
                    
+                // Sort the Records by more than one Column
+                if(aMultiSortedBy) {
+                    this._oRecordSet.sortRecords(this._getMultiSortFunction(aMultiSortedBy));
+                }
                 // Sort the Records
-                if(!bSorted || sDir || sortFnc) {
+                else if(!bSorted || sDir || sortFnc) {
                     // Shortcut for the frequently-used compare method
                     var compare = YAHOO.util.Sort.compare;
 
@@ -5516,9 +7299,10 @@ sortColumn : function(oColumn, sDir) {
                     oPaginator.setPage(1,true);
                 }
         
-                // Update UI via sortedBy
+                // Update UI via sortedBy, before render so that groups follow
+                // the sort direction
+                this.set("sortedBy", aMultiSortedBy || {key:oColumn.key, dir:sSortDir, column:oColumn}); 
                 this.render();
-                this.set("sortedBy", {key:oColumn.key, dir:sSortDir, column:oColumn}); 
             }       
             
             this.fireEvent("columnSortEvent",{column:oColumn,dir:sSortDir});
@@ -5749,6 +7533,13 @@ _setColumnWidthDynFunction : function(oColumn, sWidth, sOverflow) {
     if (resizerFn) {
         resizerFn.call(this,oColumn,sWidth,sOverflow);
     }
+
+    // Footer cell
+    if(this._elTfoot) {
+        var elLiner = this._elTfoot.rows[0].cells[oColumn.getKeyIndex()].firstChild;
+        elLiner.style.overflow = sOverflow;
+        elLiner.style.width = sWidth;
+    }
 },
 
 /**
@@ -6964,7 +8755,7 @@ deleteRow : function(row) {
                     this._oChainRender.add({
                         method: function() {
                             if((this instanceof DT) && this._sId) {
-                                this.fireEvent("rowDeleteEvent", {recordIndex:nRecordIndex, oldData:oData, trElIndex:nTrIndex});
+                                this.fireEvent("rowDeleteEvent", {recordIndex:nRecordIndex, oldData:oData, trElIndex:nTrIndex, record:oRecord});
                                 YAHOO.log("Deleted row with data " + YAHOO.lang.dump(oData) + " at RecordSet index " + nRecordIndex + " and page row index " + nTrIndex, "info", this.toString());     
                             }
                         },
@@ -6997,7 +8788,7 @@ deleteRow : function(row) {
                                         }                                
                                     }
                     
-                                    this.fireEvent("rowDeleteEvent", {recordIndex:nRecordIndex,oldData:oData, trElIndex:nTrIndex});
+                                    this.fireEvent("rowDeleteEvent", {recordIndex:nRecordIndex,oldData:oData, trElIndex:nTrIndex, record:oRecord});
                                     YAHOO.log("Deleted row with data " + YAHOO.lang.dump(oData) + " at RecordSet index " + nRecordIndex + " and page row index " + nTrIndex, "info", this.toString());     
                                 }
                             },
@@ -7059,6 +8850,7 @@ deleteRows : function(row, count) {
                 count = 1;
             }
             
+            var aRecords = this._oRecordSet.getRecords(lowIndex, count);
             var aData = this._oRecordSet.deleteRecords(lowIndex, count);
     
             // Update the UI
@@ -7086,7 +8878,7 @@ deleteRows : function(row, count) {
                     this._oChainRender.add({
                         method: function(oArg) {
                             if((this instanceof DT) && this._sId) {
-                                this.fireEvent("rowsDeleteEvent", {recordIndex:lowIndex, oldData:aData, count:count});
+                                this.fireEvent("rowsDeleteEvent", {recordIndex:lowIndex, oldData:aData, count:count, records:aRecords});
                                 YAHOO.log("DataTable " + count + " rows deleted starting at index " + lowIndex, "info", this.toString());
                             }
                         },
@@ -7127,7 +8919,7 @@ deleteRows : function(row, count) {
                                     this._setRowStripes();
                                 }
                                 
-                                this.fireEvent("rowsDeleteEvent", {recordIndex:lowIndex, oldData:aData, count:count});
+                                this.fireEvent("rowsDeleteEvent", {recordIndex:lowIndex, oldData:aData, count:count, records:aRecords});
                                 YAHOO.log("DataTable " + count + " rows deleted starting at index " + lowIndex, "info", this.toString());
                             },
                             scope: this,
@@ -7224,6 +9016,16 @@ formatCell : function(elLiner, oRecord, oColumn) {
             elLiner.innerHTML = oData;
         }
 
+        // Indent the tree Column
+        if(this._oTreeGrid && (oColumn === this._getTreeColumn())) {
+            this._formatTreeCell(elLiner, oRecord);
+        }
+
+        // Mark changed data
+        if(elLiner.parentNode) {
+            Dom[this._oRecordSet.isDirty(oRecord, sField) ? "addClass" : "removeClass"](elLiner.parentNode, DT.CLASS_DIRTY);
+        }
+
         this.fireEvent("cellFormatEvent", {record:oRecord, column:oColumn, key:oColumn.key, el:elLiner});
     }
     else {
@@ -7389,151 +9191,3880 @@ _handlePaginatorChange : function (e) {
         }
     }
 
-    if (!this._bInit) {
-        this.render();
+    if (!this._bInit) {
+        this.render();
+
+    }
+
+    if (newPag) {
+        this.renderPaginator();
+    }
+
+},
+
+/**
+ * Returns the default containers used for Paginators.  If create param is
+ * passed, the containers will be created and added to the DataTable container.
+ *
+ * @method _defaultPaginatorContainers
+ * @param create {boolean} Create the default containers if not found
+ * @private
+ */
+_defaultPaginatorContainers : function (create) {
+    var above_id = this._sId + '-paginator0',
+        below_id = this._sId + '-paginator1',
+        above    = Dom.get(above_id),
+        below    = Dom.get(below_id);
+
+    if (create && (!above || !below)) {
+        // One above and one below the table
+        if (!above) {
+            above    = document.createElement('div');
+            above.id = above_id;
+            Dom.addClass(above, DT.CLASS_PAGINATOR);
+
+            this._elContainer.insertBefore(above,this._elContainer.firstChild);
+        }
+
+        if (!below) {
+            below    = document.createElement('div');
+            below.id = below_id;
+            Dom.addClass(below, DT.CLASS_PAGINATOR);
+
+            this._elContainer.appendChild(below);
+        }
+    }
+
+    return [above,below];
+},
+
+/**
+ * Calls Paginator's destroy() method
+ *
+ * @method _destroyPaginator
+ * @private
+ */
+_destroyPaginator : function () {
+    var oldPag = this.get('paginator');
+    if (oldPag) {
+        oldPag.destroy();
+    }
+},
+
+/**
+ * Renders the Paginator to the DataTable UI
+ *
+ * @method renderPaginator
+ */
+renderPaginator : function () {
+    var pag = this.get("paginator");
+    if (!pag) { return; }
+
+    // Add the containers if the Paginator is not configured with containers
+    if (!pag.getContainerNodes().length) {
+        pag.set('containers',this._defaultPaginatorContainers(true));
+    }
+
+    pag.render();
+},
+
+/**
+ * Overridable method gives implementers a hook to show loading message before
+ * changing Paginator value.
+ *
+ * @method doBeforePaginatorChange
+ * @param oPaginatorState {Object} An object literal describing the proposed pagination state.
+ * @return {Boolean} Return true to continue changing Paginator value.
+ */
+doBeforePaginatorChange : function(oPaginatorState) {
+    this.showTableMessage(this.get("MSG_LOADING"), DT.CLASS_LOADING);
+    return true;
+},
+
+/**
+ * Responds to new Pagination states. By default, updates the UI to reflect the
+ * new state. If "dynamicData" is true, current selections are purged before
+ * a request is sent to the DataSource for data for the new state (using the
+ * request returned by "generateRequest()").
+ *  
+ * @method onPaginatorChangeRequest
+ * @param oPaginatorState {Object} An object literal describing the proposed pagination state.
+ */
+onPaginatorChangeRequest : function (oPaginatorState) {
+    var ok = this.doBeforePaginatorChange(oPaginatorState);
+    if(ok) {
+        // Server-side pagination
+        if(this.get("dynamicData")) {
+            // Get the current state
+            var oState = this.getState();
+            
+            // Update pagination values
+            oState.pagination = oPaginatorState;
+    
+            // Get the request for the new state
+            var request = this.get("generateRequest")(oState, this);
+            
+            // Purge selections
+            this.unselectAllRows();
+            this.unselectAllCells();
+            
+            // Get the new data from the server
+            var callback = {
+                success : this.onDataReturnSetRows,
+                failure : this.onDataReturnSetRows,
+                argument : oState, // Pass along the new state to the callback
+                scope : this
+            };
+            this._oDataSource.sendRequest(request, callback);
+        }
+        // Client-side pagination
+        else {
+            // Set the core pagination values silently (the second param)
+            // to avoid looping back through the changeRequest mechanism
+            oPaginatorState.paginator.setStartIndex(oPaginatorState.recordOffset,true);
+            oPaginatorState.paginator.setRowsPerPage(oPaginatorState.rowsPerPage,true);
+    
+            // Update the UI
+            this.render();
+        }
+    }
+    else {
+        YAHOO.log("Could not change Paginator value \"" + oPaginatorState + "\"", "warn", this.toString());
+    }
+},
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+// FILTERING
+
+/**
+ * Returns the filter of the given Column.
+ *
+ * @method getColumnFilter
+ * @param oColumn {YAHOO.widget.Column | String} Column instance or key.
+ * @return {Object | Function} The filter set by filterColumn(), or undefined.
+ */
+getColumnFilter : function(oColumn) {
+    oColumn = (oColumn instanceof YAHOO.widget.Column) ? oColumn : this.getColumn(oColumn);
+    return (oColumn && this._oFilters) ? this._oFilters[oColumn.getKey()] : undefined;
+},
+
+/**
+ * Returns the filters of all Columns.
+ *
+ * @method getFilters
+ * @return {Object} Object literal of filters by Column key.
+ */
+getFilters : function() {
+    return lang.merge(this._oFilters || {});
+},
+
+/**
+ * Overridable method gives implementers a hook to show loading message before
+ * filtering Column.
+ *
+ * @method doBeforeFilterColumn
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @param oFilter {Object | Function} The new filter, or null to clear it.
+ * @return {Boolean} Return true to continue filtering Column.
+ */
+doBeforeFilterColumn : function(oColumn, oFilter) {
+    return true;
+},
+
+/**
+ * Filters the rows of the DataTable by the values of the given Column, in
+ * addition to the filters of other Columns. Rows that do not pass every
+ * filter are hidden, without being deleted from the RecordSet, and the sort
+ * order of the DataTable is kept. If paginated, the Paginator returns to the
+ * first page.
+ * <p>
+ * A filter is either a function, which receives the value of the Column's
+ * field, the Record and the Column and returns true to show the row, or an
+ * object literal for one of the functions of YAHOO.widget.DataTable.Filter,
+ * with the following properties:
+ * </p>
+ * <dl>
+ *  <dt>type</dt>
+ *  <dd>"text", "number", "date" or "enum". Defaults to the Column's filter type,
+ *  or "text".</dd>
+ *  <dt>value, op, caseSensitive</dt>
+ *  <dd>For "text", the text to match and how to match it: "contains" (the
+ *  default), "startsWith" or "equals".</dd>
+ *  <dt>min, max</dt>
+ *  <dd>For "number" and "date", the inclusive bounds, either of which may be
+ *  null.</dd>
+ *  <dt>values</dt>
+ *  <dd>For "enum", the array of values to show.</dd>
+ * </dl>
+ * <p>
+ * Rows added while filtered are shown until the filters are applied again. If
+ * "dynamicData" is true, the filters are passed to "generateRequest()" in the
+ * state as "filters" and a request is sent to the DataSource instead.
+ * </p>
+ *
+ * @method filterColumn
+ * @param oColumn {YAHOO.widget.Column | String} Column instance or key.
+ * @param oFilter {Object | Function} The filter, or null to clear it.
+ */
+filterColumn : function(oColumn, oFilter) {
+    oColumn = (oColumn instanceof YAHOO.widget.Column) ? oColumn : this.getColumn(oColumn);
+    if(oColumn && (oColumn instanceof YAHOO.widget.Column)) {
+        if(this.doBeforeFilterColumn(oColumn, oFilter)) {
+            this._oFilters = this._oFilters || {};
+            if(oFilter) {
+                this._oFilters[oColumn.getKey()] = oFilter;
+            }
+            else {
+                delete this._oFilters[oColumn.getKey()];
+            }
+
+            this._refreshFilters();
+
+            this.fireEvent("columnFilterEvent",{column:oColumn,filter:oFilter || null});
+            YAHOO.log("Column \"" + oColumn.key + "\" filtered", "info", this.toString());
+            return;
+        }
+    }
+    YAHOO.log("Could not filter Column \"" + oColumn + "\"", "warn", this.toString());
+},
+
+/**
+ * Clears the filters of all Columns and shows all rows.
+ *
+ * @method clearFilters
+ */
+clearFilters : function() {
+    this._oFilters = null;
+
+    // Clear the filter row fields
+    if(this._elFilterTr) {
+        this._initFilterRowEl(this._elThead);
+    }
+
+    this._refreshFilters();
+    this.fireEvent("columnFilterEvent",{column:null,filter:null});
+},
+
+/**
+ * Applies the current filters to the RecordSet and updates the view, or if
+ * "dynamicData" is true, sends a request for data in the new state.
+ *
+ * @method _refreshFilters
+ * @private
+ */
+_refreshFilters : function() {
+    var oPaginator = this.get('paginator');
+
+    // Server-side filter
+    if(this.get("dynamicData")) {
+        // Get current state
+        var oState = this.getState();
+
+        // Reset record offset, if paginated
+        if(oState.pagination) {
+            oState.pagination.recordOffset = 0;
+        }
+
+        // Get the request for the new state
+        var request = this.get("generateRequest")(oState, this);
+
+        // Purge selections
+        this.unselectAllRows();
+        this.unselectAllCells();
+
+        // Send request for new data
+        var callback = {
+            success : this.onDataReturnSetRows,
+            failure : this.onDataReturnSetRows,
+            argument : oState, // Pass along the new state to the callback
+            scope : this
+        };
+        this._oDataSource.sendRequest(request, callback);
+    }
+    // Client-side filter
+    else {
+        // Hidden rows cannot be edited
+        this.cancelCellEditor();
+
+        this._filterRecordSet();
+
+        // Reset to first page if paginated
+        if(oPaginator) {
+            // Set page silently, so as not to fire change event.
+            oPaginator.setPage(1,true);
+            oPaginator.set('totalRecords',this._oRecordSet.getLength());
+        }
+
+        this.render();
+    }
+},
+
+/**
+ * Hides the Records of the RecordSet that do not pass the filters of every
+ * Column, or shows all Records if there are no filters.
+ *
+ * @method _filterRecordSet
+ * @private
+ */
+_filterRecordSet : function() {
+    var oFilters = this._oFilters || {},
+        aColumns = [],
+        aFilters = [],
+        oSelf = this,
+        oColumn, sKey;
+
+    for(sKey in oFilters) {
+        if(lang.hasOwnProperty(oFilters, sKey)) {
+            oColumn = this._oColumnSet.getColumn(sKey);
+            if(oColumn instanceof YAHOO.widget.Column) {
+                aColumns[aColumns.length] = oColumn;
+                aFilters[aFilters.length] = oFilters[sKey];
+            }
+        }
+    }
+
+    if(aColumns.length) {
+        this._oRecordSet.filterRecords(function(oRecord) {
+            var i, len, oFilter, oData, fnFilter;
+            for(i=0, len=aColumns.length; i<len; i++) {
+                oFilter = aFilters[i];
+                oData = oRecord.getData(aColumns[i].field);
+                if(lang.isFunction(oFilter)) {
+                    if(!oFilter.call(oSelf, oData, oRecord, aColumns[i])) {
+                        return false;
+                    }
+                }
+                else {
+                    fnFilter = DT.Filter[oFilter.type || oSelf._getColumnFilterType(aColumns[i]) || "text"];
+                    if(fnFilter && !fnFilter.call(oSelf, oData, oFilter, oRecord, aColumns[i])) {
+                        return false;
+                    }
+                }
+            }
+            return true;
+        });
+    }
+    else {
+        this._oRecordSet.clearFilter();
+    }
+},
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+// GROUPING
+
+/**
+ * Returns the groups of the DataTable, outermost first and in display order,
+ * as built by the last render. A group is an object literal with the
+ * properties id, key, value, level, label, records (all Records of the group,
+ * across pages), aggregates (aggregate values by Column key), parent (the
+ * enclosing group, or null) and collapsed.
+ *
+ * @method getGroups
+ * @return {Object[]} Array of groups, empty if the DataTable is not grouped.
+ */
+getGroups : function() {
+    return this._aGroups ? this._aGroups.concat() : [];
+},
+
+/**
+ * Returns the group for the given group ID, group header TR element (or child
+ * element), or Record. For a Record, its innermost group is returned.
+ *
+ * @method getGroup
+ * @param group {String | HTMLElement | YAHOO.widget.Record | Object} Group ID,
+ * group header element, Record instance, or group.
+ * @return {Object} Group, or null.
+ */
+getGroup : function(group) {
+    if(!this._oGroups || !lang.isValue(group)) {
+        return null;
+    }
+    if(lang.isString(group.id) && (this._oGroups[group.id] === group)) {
+        return group;
+    }
+    if(group instanceof YAHOO.widget.Record) {
+        return this._oRecordGroups[group.getId()] || null;
+    }
+    if(lang.isString(group) && this._oGroups[group]) {
+        return this._oGroups[group];
+    }
+    var el = Dom.get(group);
+    if(el && el.nodeName) {
+        var elTr = (el.nodeName.toLowerCase() == "tr") ? el : Dom.getAncestorByTagName(el, "tr");
+        if(elTr && this._oGroupTrs[elTr.id]) {
+            return this._oGroupTrs[elTr.id];
+        }
+    }
+    return null;
+},
+
+/**
+ * Collapses the given group, hiding its rows.
+ *
+ * @method collapseGroup
+ * @param group {String | HTMLElement | Object} Group ID, group header element,
+ * or group.
+ */
+collapseGroup : function(group) {
+    this._collapseGroups([group], true);
+},
+
+/**
+ * Expands the given group, showing its rows.
+ *
+ * @method expandGroup
+ * @param group {String | HTMLElement | Object} Group ID, group header element,
+ * or group.
+ */
+expandGroup : function(group) {
+    this._collapseGroups([group], false);
+},
+
+/**
+ * Collapses the given group if it is expanded, else expands it.
+ *
+ * @method toggleGroup
+ * @param group {String | HTMLElement | Object} Group ID, group header element,
+ * or group.
+ */
+toggleGroup : function(group) {
+    var oGroup = this.getGroup(group);
+    if(oGroup) {
+        this._collapseGroups([oGroup], !oGroup.collapsed);
+    }
+},
+
+/**
+ * Collapses all groups.
+ *
+ * @method collapseAllGroups
+ */
+collapseAllGroups : function() {
+    this._collapseGroups(this.getGroups(), true);
+},
+
+/**
+ * Expands all groups.
+ *
+ * @method expandAllGroups
+ */
+expandAllGroups : function() {
+    this._collapseGroups(this.getGroups(), false);
+},
+
+/**
+ * Outputs markup into the first visible cell of a group header row. The
+ * default implementation calls the formatter of the groupBy item, if any, else
+ * writes a toggle button labeled with the MSG_GROUP message. Elements with the
+ * class DT.CLASS_TOGGLE expand and collapse the group on click.
+ *
+ * @method formatGroup
+ * @param elLiner {HTMLElement} The liner DIV element of the cell.
+ * @param oGroup {Object} The group.
+ */
+formatGroup : function(elLiner, oGroup) {
+    var oGroupBy = this._aGroupBy[oGroup.level];
+    if(lang.isFunction(oGroupBy.formatter)) {
+        oGroupBy.formatter.call(this, elLiner, oGroup);
+        return;
+    }
+
+    var oValue = oGroup.value,
+        oDateOptions = this.get("dateOptions"),
+        sValue = (oValue instanceof Date) ?
+                util.Date.format(oValue, oDateOptions, oDateOptions.locale) :
+                (lang.isValue(oValue) ? oValue.toString() : ""),
+        sLabel = lang.substitute(this.get("MSG_GROUP"), {
+            label: oGroup.label,
+            value: sValue,
+            count: oGroup.records.length
+        });
+    elLiner.innerHTML = "<button type=\"button\" class=\"" + DT.CLASS_TOGGLE + "\">" +
+            sLabel.replace(/&/g, "&#38;").replace(/</g, "&#60;").replace(/>/g, "&#62;") +
+            "</button>";
+},
+
+/**
+ * Outputs the aggregate value of a Column into a cell of a group header row.
+ * The value is formatted with the Column's formatter, called with a null
+ * Record, except for the "count" aggregate.
+ *
+ * @method formatAggregateCell
+ * @param elLiner {HTMLElement} The liner DIV element of the cell.
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @param oData {Object} Aggregate value.
+ */
+formatAggregateCell : function(elLiner, oColumn, oData) {
+    var fnFormatter = (oColumn.aggregate === "count") ? DT.formatDefault :
+            (typeof oColumn.formatter === 'function') ?
+            oColumn.formatter :
+            DT.Formatter[oColumn.formatter+''] ||
+            DT.Formatter.defaultFormatter;
+    fnFormatter.call(this, elLiner, null, oColumn, oData);
+},
+
+/**
+ * Sets the collapsed state of the given groups, updates the rows, and fires
+ * groupCollapseEvent or groupExpandEvent for each group that changed.
+ *
+ * @method _collapseGroups
+ * @param aGroups {Object[]} Groups, group IDs, or group header elements.
+ * @param bCollapsed {Boolean} True to collapse, false to expand.
+ * @private
+ */
+_collapseGroups : function(aGroups, bCollapsed) {
+    var aChanged = [],
+        oGroup, i, len;
+    for(i=0, len=aGroups.length; i<len; i++) {
+        oGroup = this.getGroup(aGroups[i]);
+        if(oGroup && (oGroup.collapsed !== bCollapsed)) {
+            oGroup.collapsed = bCollapsed;
+            this._oCollapsedGroups[oGroup.id] = bCollapsed;
+            aChanged[aChanged.length] = oGroup;
+        }
+    }
+
+    if(aChanged.length > 0) {
+        this._setGroupStates();
+        for(i=0, len=aChanged.length; i<len; i++) {
+            this.fireEvent(bCollapsed ? "groupCollapseEvent" : "groupExpandEvent", {group:aChanged[i]});
+            YAHOO.log((bCollapsed ? "Collapsed" : "Expanded") + " group " + aChanged[i].id, "info", this.toString());
+        }
+    }
+},
+
+/**
+ * Sorts the RecordSet by the groupBy keys, so that the Records of each group
+ * are contiguous. Records keep their order within a group, so that a sorted
+ * Column is sorted within each group. A groupBy key that is the field of the
+ * sorted Column is ordered in the sort direction. Not done for dynamicData,
+ * where the server returns Records in group order.
+ *
+ * @method _groupRecords
+ * @private
+ */
+_groupRecords : function() {
+    if(this.get("dynamicData")) {
+        return;
+    }
+
+    var aGroupBy = this._aGroupBy,
+        allRecords = this._oRecordSet.getAllRecords(),
+        aSortedBy = this._getSortedByArray(),
+        aDesc = [],
+        oIndexes = {},
+        oSortedColumn, i, j, len;
+
+    for(i=0, len=aGroupBy.length; i<len; i++) {
+        aDesc[i] = false;
+        for(j=0; j<aSortedBy.length; j++) {
+            oSortedColumn = this.getColumn(aSortedBy[j].key);
+            if(oSortedColumn && (oSortedColumn.field === aGroupBy[i].key)) {
+                aDesc[i] = (aSortedBy[j].dir === DT.CLASS_DESC);
+                break;
+            }
+        }
+    }
+    for(i=0, len=allRecords.length; i<len; i++) {
+        oIndexes[allRecords[i].getId()] = i;
+    }
+
+    this._oRecordSet.sortRecords(function(a, b) {
+        var nCompare;
+        for(var i=0, len=aGroupBy.length; i<len; i++) {
+            nCompare = util.Sort.compare(a.getData(aGroupBy[i].key), b.getData(aGroupBy[i].key), aDesc[i]);
+            if(nCompare !== 0) {
+                return nCompare;
+            }
+        }
+        return oIndexes[a.getId()] - oIndexes[b.getId()];
+    });
+},
+
+/**
+ * Builds the groups of the Records in the RecordSet, with their aggregates,
+ * keeping the collapsed state of groups that existed before.
+ *
+ * @method _buildGroups
+ * @private
+ */
+_buildGroups : function() {
+    var aGroupBy = this._aGroupBy,
+        allRecords = this._oRecordSet.getRecords(),
+        oRecord, oGroup, oParent, sId, oValue, i, j, len;
+
+    this._aGroups = [];
+    this._oGroups = {};
+    this._oRecordGroups = {};
+
+    for(i=0, len=allRecords.length; i<len; i++) {
+        oRecord = allRecords[i];
+        if(!oRecord) {
+            continue;
+        }
+        oParent = null;
+        for(j=0; j<aGroupBy.length; j++) {
+            oValue = oRecord.getData(aGroupBy[j].key);
+            sId = (oParent ? oParent.id + "/" : "") +
+                    encodeURIComponent(lang.isValue(oValue) ? oValue.toString() : "");
+            oGroup = this._oGroups[sId];
+            if(!oGroup) {
+                oGroup = {
+                    id: sId,
+                    key: aGroupBy[j].key,
+                    value: oValue,
+                    level: j,
+                    label: aGroupBy[j].label,
+                    records: [],
+                    aggregates: null,
+                    parent: oParent,
+                    collapsed: lang.isBoolean(this._oCollapsedGroups[sId]) ?
+                            this._oCollapsedGroups[sId] : !!aGroupBy[j].collapsed
+                };
+                this._oGroups[sId] = oGroup;
+                this._aGroups[this._aGroups.length] = oGroup;
+            }
+            oGroup.records[oGroup.records.length] = oRecord;
+            oParent = oGroup;
+        }
+        this._oRecordGroups[oRecord.getId()] = oParent;
+    }
+
+    for(i=0, len=this._aGroups.length; i<len; i++) {
+        this._aGroups[i].aggregates = this._getAggregates(this._aGroups[i].records);
+    }
+},
+
+/**
+ * Returns the aggregate values of the Columns that define an aggregate, for
+ * the given Records.
+ *
+ * @method _getAggregates
+ * @param aRecords {YAHOO.widget.Record[]} Records to aggregate.
+ * @return {Object} Aggregate values by Column key.
+ * @private
+ */
+_getAggregates : function(aRecords) {
+    var allKeys = this._oColumnSet.keys,
+        oAggregates = {},
+        oColumn, fnAggregate;
+    for(var i=0, len=allKeys.length; i<len; i++) {
+        oColumn = allKeys[i];
+        fnAggregate = lang.isFunction(oColumn.aggregate) ?
+                oColumn.aggregate : DT.Aggregate[oColumn.aggregate+''];
+        if(fnAggregate) {
+            oAggregates[oColumn.getKey()] = fnAggregate.call(this, aRecords, oColumn);
+        }
+    }
+    return oAggregates;
+},
+
+/**
+ * Inserts group header rows before the first row of each group on the current
+ * page. A group that continues from the previous page gets a header row too.
+ *
+ * @method _setGroupTrEls
+ * @private
+ */
+_setGroupTrEls : function() {
+    this._oGroupTrs = {};
+    if(!this._aGroupBy) {
+        return;
+    }
+
+    this._buildGroups();
+
+    var elTbody = this._elTbody,
+        allRows = this._getRecordTrEls(),
+        aPrevious = [],
+        aPath, oGroup, i, j, k;
+    for(i=0; i<allRows.length; i++) {
+        aPath = [];
+        for(oGroup = this._oRecordGroups[allRows[i].id]; oGroup; oGroup = oGroup.parent) {
+            aPath.unshift(oGroup);
+        }
+        for(j=0; j<aPath.length; j++) {
+            if(aPath[j] !== aPrevious[j]) {
+                for(k=j; k<aPath.length; k++) {
+                    elTbody.insertBefore(this._createGroupTrEl(aPath[k]), allRows[i]);
+                }
+                break;
+            }
+        }
+        aPrevious = aPath;
+    }
+
+    this._setGroupStates();
+},
+
+/**
+ * Creates a group header TR element with one cell per Column. The first
+ * visible cell shows the group and the other cells show the aggregates.
+ *
+ * @method _createGroupTrEl
+ * @param oGroup {Object} The group.
+ * @return {HTMLElement} The new TR element.
+ * @private
+ */
+_createGroupTrEl : function(oGroup) {
+    var elTr = this._getTrTemplateEl().cloneNode(true),
+        allKeys = this._oColumnSet.keys,
+        bLabeled = false,
+        oColumn, sKey;
+
+    elTr.id = this._sId + "-group" + (this._nGroupTrCount++);
+    elTr.className = DT.CLASS_GROUP + " " + DT.CLASS_GROUP + "-" + oGroup.level;
+    this._oGroupTrs[elTr.id] = oGroup;
+
+    for(var i=0, len=allKeys.length; i<len; i++) {
+        oColumn = allKeys[i];
+        sKey = oColumn.getKey();
+        if(!bLabeled && !oColumn.hidden) {
+            this.formatGroup(elTr.cells[i].firstChild, oGroup);
+            bLabeled = true;
+        }
+        else if(sKey in oGroup.aggregates) {
+            this.formatAggregateCell(elTr.cells[i].firstChild, oColumn, oGroup.aggregates[sKey]);
+        }
+    }
+    return elTr;
+},
+
+/**
+ * Updates the classes of the rows of the current page for the collapsed state
+ * of the groups, and the ARIA state of the toggle elements.
+ *
+ * @method _setGroupStates
+ * @private
+ */
+_setGroupStates : function() {
+    if(!this._oGroupTrs) {
+        return;
+    }
+
+    var allRows = this._elTbody.rows,
+        aCollapsed = [],
+        elTr, oGroup, bHidden, aToggles, i, j, len;
+    for(i=0, len=allRows.length; i<len; i++) {
+        elTr = allRows[i];
+        oGroup = this._oGroupTrs[elTr.id];
+        if(oGroup) {
+            aCollapsed.length = oGroup.level;
+        }
+
+        bHidden = false;
+        for(j=0; j<aCollapsed.length; j++) {
+            if(aCollapsed[j]) {
+                bHidden = true;
+                break;
+            }
+        }
+        if(bHidden) {
+            Dom.addClass(elTr, DT.CLASS_HIDDEN);
+        }
+        else {
+            Dom.removeClass(elTr, DT.CLASS_HIDDEN);
+        }
+
+        if(oGroup) {
+            aCollapsed[oGroup.level] = oGroup.collapsed;
+            if(oGroup.collapsed) {
+                Dom.addClass(elTr, DT.CLASS_COLLAPSED);
+            }
+            else {
+                Dom.removeClass(elTr, DT.CLASS_COLLAPSED);
+            }
+            aToggles = Dom.getElementsByClassName(DT.CLASS_TOGGLE, "*", elTr);
+            for(j=0; j<aToggles.length; j++) {
+                aToggles[j].setAttribute("aria-expanded", oGroup.collapsed ? "false" : "true");
+            }
+        }
+    }
+},
+
+/**
+ * Re-renders a grouped DataTable after rows are added, updated or deleted, so
+ * that Records move to their groups and the group header rows are updated.
+ *
+ * @method _onGroupedDataChange
+ * @private
+ */
+_onGroupedDataChange : function() {
+    if(this._aGroupBy) {
+        this.render();
+    }
+},
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+// TREE GRID
+
+/**
+ * Returns the parent Record of the given Record in the tree grid, as built by
+ * the last render.
+ *
+ * @method getTreeParent
+ * @param row {YAHOO.widget.Record | HTMLElement | String | Number} Record
+ * instance, TR element reference or ID string, or page row index.
+ * @return {YAHOO.widget.Record} Parent Record, or null for a top-level Record.
+ */
+getTreeParent : function(row) {
+    var oNode = this._getTreeNode(row);
+    return oNode ? oNode.parent : null;
+},
+
+/**
+ * Returns the loaded child Records of the given Record in the tree grid, in
+ * display order, as built by the last render.
+ *
+ * @method getTreeChildren
+ * @param row {YAHOO.widget.Record | HTMLElement | String | Number} Record
+ * instance, TR element reference or ID string, or page row index.
+ * @return {YAHOO.widget.Record[]} Child Records.
+ */
+getTreeChildren : function(row) {
+    var oNode = this._getTreeNode(row);
+    return oNode ? oNode.children.concat() : [];
+},
+
+/**
+ * Returns the depth of the given Record in the tree grid, 0 for top-level
+ * Records.
+ *
+ * @method getTreeLevel
+ * @param row {YAHOO.widget.Record | HTMLElement | String | Number} Record
+ * instance, TR element reference or ID string, or page row index.
+ * @return {Number} Depth of the Record, or null.
+ */
+getTreeLevel : function(row) {
+    var oNode = this._getTreeNode(row);
+    return oNode ? oNode.level : null;
+},
+
+/**
+ * Returns true if the given Record has child Records, loaded or not.
+ *
+ * @method hasTreeChildren
+ * @param row {YAHOO.widget.Record | HTMLElement | String | Number} Record
+ * instance, TR element reference or ID string, or page row index.
+ * @return {Boolean} True if the Record has children.
+ */
+hasTreeChildren : function(row) {
+    var oNode = this._getTreeNode(row);
+    if(!oNode) {
+        return false;
+    }
+    if(oNode.children.length > 0) {
+        return true;
+    }
+    var sHasChildrenKey = this._oTreeGrid.hasChildrenKey;
+    return !!(sHasChildrenKey && oNode.record.getData(sHasChildrenKey) &&
+            !this._oTreeLoaded[this._getTreeId(oNode.record)]);
+},
+
+/**
+ * Returns true if the child rows of the given Record are shown.
+ *
+ * @method isTreeRowExpanded
+ * @param row {YAHOO.widget.Record | HTMLElement | String | Number} Record
+ * instance, TR element reference or ID string, or page row index.
+ * @return {Boolean} True if the row is expanded.
+ */
+isTreeRowExpanded : function(row) {
+    var oNode = this._getTreeNode(row);
+    if(!oNode || (oNode.children.length === 0)) {
+        return false;
+    }
+    var bExpanded = this._oTreeExpanded[this._getTreeId(oNode.record)];
+    return lang.isBoolean(bExpanded) ? bExpanded : !this._oTreeGrid.collapsed;
+},
+
+/**
+ * Shows the child rows of the given Record. Children that are not loaded yet
+ * are requested from the DataSource.
+ *
+ * @method expandTreeRow
+ * @param row {YAHOO.widget.Record | HTMLElement | String | Number} Record
+ * instance, TR element reference or ID string, or page row index.
+ */
+expandTreeRow : function(row) {
+    this._expandTreeRows([row], true);
+},
+
+/**
+ * Hides the child rows of the given Record.
+ *
+ * @method collapseTreeRow
+ * @param row {YAHOO.widget.Record | HTMLElement | String | Number} Record
+ * instance, TR element reference or ID string, or page row index.
+ */
+collapseTreeRow : function(row) {
+    this._expandTreeRows([row], false);
+},
+
+/**
+ * Collapses the given row if it is expanded, else expands it.
+ *
+ * @method toggleTreeRow
+ * @param row {YAHOO.widget.Record | HTMLElement | String | Number} Record
+ * instance, TR element reference or ID string, or page row index.
+ */
+toggleTreeRow : function(row) {
+    this._expandTreeRows([row], !this.isTreeRowExpanded(row));
+},
+
+/**
+ * Expands all rows whose children are loaded.
+ *
+ * @method expandAllTreeRows
+ */
+expandAllTreeRows : function() {
+    this._expandTreeRows(this._getLoadedTreeParents(), true);
+},
+
+/**
+ * Collapses all rows.
+ *
+ * @method collapseAllTreeRows
+ */
+collapseAllTreeRows : function() {
+    this._expandTreeRows(this._getLoadedTreeParents(), false);
+},
+
+/**
+ * Callback function receives the child rows of a Record from the DataSource
+ * and inserts them after the Record. Results without a value for the
+ * parentKey of the treeGrid attribute are assigned to the Record.
+ *
+ * @method onDataReturnTreeRows
+ * @param sRequest {String} Original request.
+ * @param oResponse {Object} <a href="http://developer.yahoo.com/yui/datasource/#ds_oParsedResponse">Response object</a>.
+ * @param oPayload {MIXED} Argument payload, looks in oPayload.record.
+ */
+onDataReturnTreeRows : function(sRequest, oResponse, oPayload) {
+    if((this instanceof DT) && this._sId) {
+        this.fireEvent("dataReturnEvent", {request:sRequest,response:oResponse,payload:oPayload});
+
+        var oRecord = oPayload ? oPayload.record : null,
+            nIndex = this._oRecordSet.getRecordIndex(oRecord),
+            sId, aResults, i;
+        if(!this._oTreeGrid || (nIndex === null)) {
+            return;
+        }
+
+        sId = this._getTreeId(oRecord);
+        delete this._oTreeLoading[sId];
+
+        // Pass data through abstract method for any transformations
+        var ok = this.doBeforeLoadData(sRequest, oResponse, oPayload);
+
+        // Data ok to insert
+        if(ok && oResponse && !oResponse.error && lang.isArray(oResponse.results)) {
+            this._oTreeLoaded[sId] = true;
+            aResults = oResponse.results;
+            for(i=0; i<aResults.length; i++) {
+                if(lang.isObject(aResults[i]) && !lang.isValue(aResults[i][this._oTreeGrid.parentKey])) {
+                    aResults[i][this._oTreeGrid.parentKey] = oRecord.getData(this._oTreeGrid.idKey);
+                }
+            }
+
+            // Adding rows renders the tree again
+            if(aResults.length > 0) {
+                this._addDataReturnRows(aResults, nIndex+1);
+            }
+            else {
+                this.render();
+            }
+            this.fireEvent("treeChildrenLoadEvent", {record:oRecord, data:aResults});
+            if(this.isTreeRowExpanded(oRecord)) {
+                this.fireEvent("treeRowExpandEvent", {record:oRecord});
+            }
+        }
+        // Error
+        else {
+            this._setTreeStates();
+            YAHOO.log("Could not load the child rows of Record " + oRecord.getId(), "warn", this.toString());
+        }
+    }
+},
+
+/**
+ * Returns the tree node of the given row, an object literal with the
+ * properties record, parent (Record or null), children (Records) and level.
+ *
+ * @method _getTreeNode
+ * @param row {YAHOO.widget.Record | HTMLElement | String | Number} Record
+ * instance, TR element reference or ID string, or page row index.
+ * @return {Object} Tree node, or null.
+ * @private
+ */
+_getTreeNode : function(row) {
+    if(!this._oTreeNodes) {
+        return null;
+    }
+    var oRecord = (row instanceof YAHOO.widget.Record) ? row : this.getRecord(row);
+    return oRecord ? (this._oTreeNodes[oRecord.getId()] || null) : null;
+},
+
+/**
+ * Returns the tree ID of the given Record: the value of its idKey field, or
+ * its Record ID if it has none.
+ *
+ * @method _getTreeId
+ * @param oRecord {YAHOO.widget.Record} Record instance.
+ * @return {String} Tree ID.
+ * @private
+ */
+_getTreeId : function(oRecord) {
+    var oId = oRecord.getData(this._oTreeGrid.idKey);
+    return lang.isValue(oId) ? String(oId) : oRecord.getId();
+},
+
+/**
+ * Returns the Column that shows the tree: the Column of the key of the
+ * treeGrid attribute, or else the first visible Column.
+ *
+ * @method _getTreeColumn
+ * @return {YAHOO.widget.Column} Column instance, or null.
+ * @private
+ */
+_getTreeColumn : function() {
+    var oColumn = this._oTreeGrid.key ? this._oColumnSet.getColumn(this._oTreeGrid.key) : null,
+        allKeys = this._oColumnSet.keys;
+    for(var i=0; !oColumn && (i<allKeys.length); i++) {
+        if(!allKeys[i].hidden) {
+            oColumn = allKeys[i];
+        }
+    }
+    return oColumn;
+},
+
+/**
+ * Returns the Records that have loaded children.
+ *
+ * @method _getLoadedTreeParents
+ * @return {YAHOO.widget.Record[]} Records.
+ * @private
+ */
+_getLoadedTreeParents : function() {
+    var aRecords = [],
+        sId;
+    for(sId in this._oTreeNodes) {
+        if(lang.hasOwnProperty(this._oTreeNodes, sId) && (this._oTreeNodes[sId].children.length > 0)) {
+            aRecords[aRecords.length] = this._oTreeNodes[sId].record;
+        }
+    }
+    return aRecords;
+},
+
+/**
+ * Builds the tree nodes of all Records in the RecordSet. A Record whose
+ * parentKey value is not the idKey value of another Record is a top-level
+ * Record. Children keep their order in the RecordSet.
+ *
+ * @method _buildTree
+ * @return {YAHOO.widget.Record[]} Records in depth-first order.
+ * @private
+ */
+_buildTree : function() {
+    var oTreeGrid = this._oTreeGrid,
+        allRecords = this._oRecordSet.getAllRecords(),
+        oRecordsByTreeId = {},
+        oNodes = {},
+        aRoots = [],
+        aOrder = [],
+        oRecord, oParent, oParentId, oNode, aSiblings, i, j, len;
+
+    for(i=0, len=allRecords.length; i<len; i++) {
+        oRecord = allRecords[i];
+        if(oRecord) {
+            oRecordsByTreeId[this._getTreeId(oRecord)] = oRecord;
+            oNodes[oRecord.getId()] = {record:oRecord, parent:null, children:[], level:0};
+        }
+    }
+    for(i=0, len=allRecords.length; i<len; i++) {
+        oRecord = allRecords[i];
+        if(oRecord) {
+            oParentId = oRecord.getData(oTreeGrid.parentKey);
+            oParent = lang.isValue(oParentId) ? oRecordsByTreeId[String(oParentId)] : null;
+            if(oParent && (oParent !== oRecord)) {
+                oNodes[oRecord.getId()].parent = oParent;
+                oNodes[oParent.getId()].children.push(oRecord);
+            }
+            else {
+                aRoots[aRoots.length] = oRecord;
+            }
+        }
+    }
+
+    var fnVisit = function(oRecord, nLevel) {
+        var oNode = oNodes[oRecord.getId()];
+        oNode.visited = true;
+        oNode.level = nLevel;
+        aOrder[aOrder.length] = oRecord;
+        for(var i=0; i<oNode.children.length; i++) {
+            fnVisit(oNode.children[i], nLevel+1);
+        }
+    };
+    for(i=0; i<aRoots.length; i++) {
+        fnVisit(aRoots[i], 0);
+    }
+
+    // Records in a parent cycle become top-level Records
+    for(i=0, len=allRecords.length; i<len; i++) {
+        oNode = allRecords[i] ? oNodes[allRecords[i].getId()] : null;
+        if(oNode && !oNode.visited) {
+            aSiblings = oNodes[oNode.parent.getId()].children;
+            for(j=0; j<aSiblings.length; j++) {
+                if(aSiblings[j] === oNode.record) {
+                    aSiblings.splice(j,1);
+                    break;
+                }
+            }
+            oNode.parent = null;
+            fnVisit(oNode.record, 0);
+        }
+    }
+
+    for(i in oNodes) {
+        if(lang.hasOwnProperty(oNodes, i)) {
+            delete oNodes[i].visited;
+        }
+    }
+    this._oTreeNodes = oNodes;
+    return aOrder;
+},
+
+/**
+ * Builds the tree and sorts the RecordSet in depth-first order, so that
+ * children follow their parent. Siblings keep their order, so that a sorted
+ * Column is sorted within each level. The RecordSet is not sorted for
+ * dynamicData.
+ *
+ * @method _treeRecords
+ * @private
+ */
+_treeRecords : function() {
+    var aOrder = this._buildTree(),
+        oIndexes = {};
+    if(this.get("dynamicData")) {
+        return;
+    }
+
+    for(var i=0, len=aOrder.length; i<len; i++) {
+        oIndexes[aOrder[i].getId()] = i;
+    }
+    this._oRecordSet.sortRecords(function(a, b) {
+        return oIndexes[a.getId()] - oIndexes[b.getId()];
+    });
+},
+
+/**
+ * Indents the cell of the tree Column by the depth of the Record, and adds a
+ * toggle element for Records with children. Elements with the class
+ * DT.CLASS_TOGGLE expand and collapse the row on click.
+ *
+ * @method _formatTreeCell
+ * @param elLiner {HTMLElement} The liner DIV element of the cell.
+ * @param oRecord {YAHOO.widget.Record} Record instance.
+ * @private
+ */
+_formatTreeCell : function(elLiner, oRecord) {
+    var bParent = this.hasTreeChildren(oRecord),
+        elToggle = document.createElement(bParent ? "button" : "span");
+    elToggle.className = DT.CLASS_TREE;
+    if(bParent) {
+        elToggle.type = "button";
+        elToggle.className += " " + DT.CLASS_TOGGLE;
+        elToggle.setAttribute("aria-expanded", this.isTreeRowExpanded(oRecord) ? "true" : "false");
+    }
+    elToggle.style.marginLeft = ((this.getTreeLevel(oRecord) || 0) * this._oTreeGrid.indent) + "px";
+    elLiner.insertBefore(elToggle, elLiner.firstChild);
+},
+
+/**
+ * Updates the rows of the current page for the expanded state of the tree:
+ * hides the rows under collapsed rows, and sets the classes and ARIA states.
+ *
+ * @method _setTreeStates
+ * @private
+ */
+_setTreeStates : function() {
+    if(!this._oTreeGrid || !this._oTreeNodes) {
+        return;
+    }
+
+    var allRows = this._getRecordTrEls(),
+        elTr, oRecord, oParent, bHidden, bExpanded, aToggles, i, j, len;
+    for(i=0, len=allRows.length; i<len; i++) {
+        elTr = allRows[i];
+        oRecord = this.getRecord(elTr);
+        if(!oRecord) {
+            continue;
+        }
+
+        bHidden = false;
+        for(oParent = this.getTreeParent(oRecord); oParent; oParent = this.getTreeParent(oParent)) {
+            if(!this.isTreeRowExpanded(oParent)) {
+                bHidden = true;
+                break;
+            }
+        }
+        Dom[bHidden ? "addClass" : "removeClass"](elTr, DT.CLASS_HIDDEN);
+        Dom[this._oTreeLoading[this._getTreeId(oRecord)] ? "addClass" : "removeClass"](elTr, DT.CLASS_LOADING);
+        elTr.setAttribute("aria-level", (this.getTreeLevel(oRecord) || 0) + 1);
+
+        if(this.hasTreeChildren(oRecord)) {
+            bExpanded = this.isTreeRowExpanded(oRecord);
+            Dom[bExpanded ? "removeClass" : "addClass"](elTr, DT.CLASS_COLLAPSED);
+            elTr.setAttribute("aria-expanded", bExpanded ? "true" : "false");
+            aToggles = Dom.getElementsByClassName(DT.CLASS_TOGGLE, "*", elTr);
+            for(j=0; j<aToggles.length; j++) {
+                aToggles[j].setAttribute("aria-expanded", bExpanded ? "true" : "false");
+            }
+        }
+        else {
+            Dom.removeClass(elTr, DT.CLASS_COLLAPSED);
+            elTr.removeAttribute("aria-expanded");
+        }
+    }
+},
+
+/**
+ * Sets the expanded state of the given rows, updates the rows, and fires
+ * treeRowExpandEvent or treeRowCollapseEvent for each row that changed.
+ * Expanding a row whose children are not loaded requests them. Rows hidden
+ * by a collapse are unselected, and the collapsed row is selected instead.
+ *
+ * @method _expandTreeRows
+ * @param aRows {YAHOO.widget.Record[] | HTMLElement[]} Records or row
+ * elements.
+ * @param bExpand {Boolean} True to expand, false to collapse.
+ * @private
+ */
+_expandTreeRows : function(aRows, bExpand) {
+    var aChanged = [],
+        oRecord, i, len;
+    if(!this._oTreeGrid) {
+        return;
+    }
+
+    for(i=0, len=aRows.length; i<len; i++) {
+        oRecord = (aRows[i] instanceof YAHOO.widget.Record) ? aRows[i] : this.getRecord(aRows[i]);
+        if(oRecord && this.hasTreeChildren(oRecord) && (this.isTreeRowExpanded(oRecord) !== bExpand)) {
+            this._oTreeExpanded[this._getTreeId(oRecord)] = bExpand;
+            if(bExpand && (this.getTreeChildren(oRecord).length === 0)) {
+                this._loadTreeChildren(oRecord);
+            }
+            else {
+                aChanged[aChanged.length] = oRecord;
+            }
+        }
+    }
+
+    if(aChanged.length > 0) {
+        if(!bExpand) {
+            for(i=0, len=aChanged.length; i<len; i++) {
+                if(this._unselectTreeDescendants(aChanged[i]) && !this.isSelected(aChanged[i])) {
+                    this.selectRow(aChanged[i]);
+                    this._oAnchorRecord = aChanged[i];
+                }
+            }
+        }
+        this._setTreeStates();
+        for(i=0, len=aChanged.length; i<len; i++) {
+            this.fireEvent(bExpand ? "treeRowExpandEvent" : "treeRowCollapseEvent", {record:aChanged[i]});
+            YAHOO.log((bExpand ? "Expanded" : "Collapsed") + " tree row " + aChanged[i].getId(), "info", this.toString());
+        }
+    }
+},
+
+/**
+ * Unselects the descendant rows of the given Record.
+ *
+ * @method _unselectTreeDescendants
+ * @param oRecord {YAHOO.widget.Record} Record instance.
+ * @return {Boolean} True if a descendant row was selected.
+ * @private
+ */
+_unselectTreeDescendants : function(oRecord) {
+    var aChildren = this.getTreeChildren(oRecord),
+        bSelected = false;
+    for(var i=0; i<aChildren.length; i++) {
+        if(this.isSelected(aChildren[i])) {
+            this.unselectRow(aChildren[i]);
+            bSelected = true;
+        }
+        bSelected = this._unselectTreeDescendants(aChildren[i]) || bSelected;
+    }
+    return bSelected;
+},
+
+/**
+ * Requests the child rows of the given Record from the DataSource. The request
+ * is built by the request function of the treeGrid attribute, or else is
+ * "{parentKey}={tree ID}".
+ *
+ * @method _loadTreeChildren
+ * @param oRecord {YAHOO.widget.Record} Record instance.
+ * @private
+ */
+_loadTreeChildren : function(oRecord) {
+    var sId = this._getTreeId(oRecord),
+        oTreeGrid = this._oTreeGrid;
+    if(this._oTreeLoading[sId]) {
+        return;
+    }
+    if(!this._oDataSource) {
+        YAHOO.log("Could not load the child rows of Record " + oRecord.getId() +
+                " without a DataSource", "warn", this.toString());
+        return;
+    }
+
+    var oRequest = lang.isFunction(oTreeGrid.request) ?
+            oTreeGrid.request.call(this, oRecord) :
+            encodeURIComponent(oTreeGrid.parentKey) + "=" + encodeURIComponent(sId);
+
+    this._oTreeLoading[sId] = true;
+    this._setTreeStates();
+    this._oDataSource.sendRequest(oRequest, {
+        success: this.onDataReturnTreeRows,
+        failure: this.onDataReturnTreeRows,
+        scope: this,
+        argument: {record:oRecord}
+    });
+},
+
+/**
+ * Handles the left and right arrow keys in row selection modes: the right
+ * arrow expands a collapsed row or selects the first child of an expanded
+ * row, and the left arrow collapses an expanded row or selects the parent row.
+ *
+ * @method _handleTreeSelectionByKey
+ * @param e {HTMLEvent} Event object.
+ * @return {Boolean} True if the key was handled.
+ * @private
+ */
+_handleTreeSelectionByKey : function(e) {
+    var nKey = Ev.getCharCode(e);
+    if((nKey != 37) && (nKey != 39)) {
+        return false;
+    }
+
+    var oTrigger = this._getSelectionTrigger(),
+        oRecord = oTrigger ? this.getRecord(oTrigger.el) : null,
+        oNew = null;
+    if(!oRecord) {
+        return false;
+    }
+
+    Ev.stopEvent(e);
+    if(nKey == 39) {
+        if(this.isTreeRowExpanded(oRecord)) {
+            oNew = this.getTreeChildren(oRecord)[0];
+        }
+        else {
+            this.expandTreeRow(oRecord);
+        }
+    }
+    else {
+        if(this.isTreeRowExpanded(oRecord)) {
+            this.collapseTreeRow(oRecord);
+        }
+        else {
+            oNew = this.getTreeParent(oRecord);
+        }
+    }
+
+    if(oNew) {
+        this.unselectAllRows();
+        this.selectRow(oNew);
+        this._oAnchorRecord = oNew;
+    }
+    return true;
+},
+
+/**
+ * Renders a tree grid again after rows are added, updated or deleted, so that
+ * Records move under their parents.
+ *
+ * @method _onTreeDataChange
+ * @param oArgs {Object} Custom Event args.
+ * @private
+ */
+_onTreeDataChange : function(oArgs) {
+    var oTreeGrid = this._oTreeGrid;
+    if(oTreeGrid) {
+        // Only the tree fields of a cell matter
+        if(oArgs && oArgs.column && (oArgs.column.field !== oTreeGrid.idKey) &&
+                (oArgs.column.field !== oTreeGrid.parentKey) &&
+                (oArgs.column.field !== oTreeGrid.hasChildrenKey)) {
+            return;
+        }
+        this.render();
+    }
+},
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+// EXPORT
+
+/**
+ * Returns the contents of the DataTable as a CSV, TSV, JSON or HTML string.
+ * Columns are exported in their display order, and hidden Columns are left
+ * out unless "hidden" is true. Configuration options:
+ * <dl>
+ *   <dt>format</dt>
+ *   <dd>{String} "csv" (default), "tsv", "json" or "html"</dd>
+ *   <dt>records</dt>
+ *   <dd>{String} Which Records to export: "filtered" (default) for all
+ *   Records that are not filtered out, "all" to include Records hidden by
+ *   filters, "page" for the Records of the current page, or "selected" for
+ *   the Records of the selected rows and cells</dd>
+ *   <dt>columns</dt>
+ *   <dd>{String[]} Keys of the Columns to export, in order, instead of the
+ *   visible Columns</dd>
+ *   <dt>hidden</dt>
+ *   <dd>{Boolean} If true, hidden Columns are exported too</dd>
+ *   <dt>formatted</dt>
+ *   <dd>{Boolean} If true, values are run through the Column formatters and
+ *   exported as display text (as markup for "html"), otherwise data values
+ *   are exported</dd>
+ *   <dt>header</dt>
+ *   <dd>{Boolean} If false, the row of Column labels is left out of "csv",
+ *   "tsv" and "html" output. JSON output is keyed by Column key.</dd>
+ * </dl>
+ *
+ * @method exportData
+ * @param oConfig {Object} (optional) Object literal of configuration values.
+ * @return {String} The exported data.
+ */
+exportData : function(oConfig) {
+    oConfig = oConfig || {};
+    var sFormat = oConfig.format || "csv",
+        aColumns = this._getExportColumns(oConfig),
+        aRecords = this._getExportRecords(oConfig.records),
+        bHeader = (oConfig.header !== false),
+        aRows = [],
+        aValues, oRecord, oColumn, i, j;
+
+    // Data values by Column, as strings for everything but JSON data
+    for(i=0; i<aRecords.length; i++) {
+        oRecord = aRecords[i];
+        aValues = [];
+        for(j=0; j<aColumns.length; j++) {
+            oColumn = aColumns[j];
+            if(oConfig.formatted) {
+                aValues[j] = this._getExportCell(oRecord, oColumn, (sFormat === "html"));
+            }
+            else {
+                aValues[j] = oRecord.getData(oColumn.getField());
+                if(sFormat !== "json") {
+                    aValues[j] = lang.isValue(aValues[j]) ? String(aValues[j]) : "";
+                    if(sFormat === "html") {
+                        aValues[j] = this._encodeExportHTML(aValues[j]);
+                    }
+                }
+            }
+        }
+        aRows[i] = aValues;
+    }
+
+    switch(sFormat) {
+        case "json":
+            var aObjects = [],
+                oJSON = lang.JSON || window.JSON;
+            for(i=0; i<aRows.length; i++) {
+                aObjects[i] = {};
+                for(j=0; j<aColumns.length; j++) {
+                    aObjects[i][aColumns[j].getKey()] = aRows[i][j];
+                }
+            }
+            return oJSON.stringify(aObjects);
+        case "html":
+            var aHtml = ["<table>"];
+            if(bHeader) {
+                aHtml[aHtml.length] = "<thead><tr>";
+                for(j=0; j<aColumns.length; j++) {
+                    aHtml[aHtml.length] = "<th>" + this._encodeExportHTML(this._getExportLabel(aColumns[j])) + "</th>";
+                }
+                aHtml[aHtml.length] = "</tr></thead>";
+            }
+            aHtml[aHtml.length] = "<tbody>";
+            for(i=0; i<aRows.length; i++) {
+                aHtml[aHtml.length] = "<tr><td>" + aRows[i].join("</td><td>") + "</td></tr>";
+            }
+            aHtml[aHtml.length] = "</tbody></table>";
+            return aHtml.join("");
+        default:
+            var sSeparator = (sFormat === "tsv") ? "\t" : ",",
+                fnQuote = (sFormat === "tsv") ?
+                    // Tabs and line breaks cannot be quoted in TSV
+                    function(sValue) {
+                        return sValue.replace(/[\t\r\n]+/g, " ");
+                    } :
+                    // Quote values with separators, quotes or line breaks
+                    function(sValue) {
+                        return (/[",\r\n]/).test(sValue) ?
+                                "\"" + sValue.replace(/"/g, "\"\"") + "\"" : sValue;
+                    },
+                aLines = [],
+                aLabels = [];
+            if(bHeader) {
+                for(j=0; j<aColumns.length; j++) {
+                    aLabels[j] = fnQuote(this._getExportLabel(aColumns[j]));
+                }
+                aLines[aLines.length] = aLabels.join(sSeparator);
+            }
+            for(i=0; i<aRows.length; i++) {
+                for(j=0; j<aRows[i].length; j++) {
+                    aRows[i][j] = fnQuote(aRows[i][j]);
+                }
+                aLines[aLines.length] = aRows[i].join(sSeparator);
+            }
+            return aLines.join("\r\n");
+    }
+},
+
+/**
+ * Exports the contents of the DataTable with exportData() and has the browser
+ * download them as a file. Besides the configuration values of exportData(),
+ * "filename" sets the name of the file, by default "datatable.{format}".
+ *
+ * @method downloadData
+ * @param oConfig {Object} (optional) Object literal of configuration values.
+ * @return {Boolean} True if the download was started, false if the browser
+ * does not support it.
+ */
+downloadData : function(oConfig) {
+    oConfig = oConfig || {};
+    var sFormat = oConfig.format || "csv",
+        sFilename = oConfig.filename || ("datatable." + sFormat),
+        oTypes = {csv:"text/csv", tsv:"text/tab-separated-values", json:"application/json", html:"text/html"},
+        URL = window.URL || window.webkitURL,
+        oBlob, elLink;
+
+    if(window.Blob) {
+        oBlob = new Blob([this.exportData(oConfig)], {type:(oTypes[sFormat] || "text/plain") + ";charset=utf-8"});
+
+        // IE
+        if(window.navigator.msSaveOrOpenBlob) {
+            window.navigator.msSaveOrOpenBlob(oBlob, sFilename);
+            return true;
+        }
+
+        elLink = document.createElement("a");
+        if(URL && URL.createObjectURL && ("download" in elLink)) {
+            elLink.href = URL.createObjectURL(oBlob);
+            elLink.download = sFilename;
+            elLink.style.display = "none";
+            document.body.appendChild(elLink);
+            elLink.click();
+            document.body.removeChild(elLink);
+            setTimeout(function() {
+                URL.revokeObjectURL(elLink.href);
+            }, 0);
+            return true;
+        }
+    }
+    YAHOO.log("Could not download data as " + sFilename, "warn", this.toString());
+    return false;
+},
+
+/**
+ * Returns the Columns to export: the Columns with the given keys, or else the
+ * key Columns in display order, without hidden Columns unless requested.
+ *
+ * @method _getExportColumns
+ * @param oConfig {Object} Object literal of exportData() configuration values.
+ * @return {YAHOO.widget.Column[]} Array of Columns.
+ * @private
+ */
+_getExportColumns : function(oConfig) {
+    var aColumns = [],
+        allKeys, oColumn, i;
+    if(lang.isArray(oConfig.columns)) {
+        for(i=0; i<oConfig.columns.length; i++) {
+            oColumn = this.getColumn(oConfig.columns[i]);
+            if(oColumn) {
+                aColumns[aColumns.length] = oColumn;
+            }
+        }
+    }
+    else {
+        allKeys = this._oColumnSet.keys;
+        for(i=0; i<allKeys.length; i++) {
+            if(oConfig.hidden || !allKeys[i].hidden) {
+                aColumns[aColumns.length] = allKeys[i];
+            }
+        }
+    }
+    return aColumns;
+},
+
+/**
+ * Returns the Records to export, in RecordSet order.
+ *
+ * @method _getExportRecords
+ * @param sRecords {String} "filtered", "all", "page" or "selected".
+ * @return {YAHOO.widget.Record[]} Array of Records.
+ * @private
+ */
+_getExportRecords : function(sRecords) {
+    switch(sRecords) {
+        case "all":
+            return this._oRecordSet.getAllRecords();
+        case "page":
+            return this._getViewRecords();
+        case "selected":
+            var oSelected = {},
+                allSelected = this._aSelections || [],
+                allRecords = this._oRecordSet.getRecords(),
+                aRecords = [],
+                i;
+            for(i=0; i<allSelected.length; i++) {
+                oSelected[lang.isString(allSelected[i]) ? allSelected[i] : allSelected[i].recordId] = true;
+            }
+            for(i=0; i<allRecords.length; i++) {
+                if(oSelected[allRecords[i].getId()]) {
+                    aRecords[aRecords.length] = allRecords[i];
+                }
+            }
+            return aRecords;
+        default:
+            return this._oRecordSet.getRecords();
+    }
+},
+
+/**
+ * Returns the formatted value of a cell, as text or as markup, by running the
+ * Column formatter on a detached liner element.
+ *
+ * @method _getExportCell
+ * @param oRecord {YAHOO.widget.Record} Record instance.
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @param bHTML {Boolean} True to return markup instead of text.
+ * @return {String} Formatted value.
+ * @private
+ */
+_getExportCell : function(oRecord, oColumn, bHTML) {
+    var elLiner = this._elExportLiner || (this._elExportLiner = document.createElement("div")),
+        oData = oRecord.getData(oColumn.getField()),
+        fnFormatter = lang.isFunction(oColumn.formatter) ?
+                oColumn.formatter :
+                DT.Formatter[oColumn.formatter+''] ||
+                DT.Formatter.defaultFormatter;
+
+    elLiner.innerHTML = "";
+    fnFormatter.call(this, elLiner, oRecord, oColumn, oData);
+    return bHTML ? elLiner.innerHTML : this._getExportText(elLiner);
+},
+
+/**
+ * Returns the label of the given Column as text.
+ *
+ * @method _getExportLabel
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @return {String} Label text.
+ * @private
+ */
+_getExportLabel : function(oColumn) {
+    var elLiner = this._elExportLiner || (this._elExportLiner = document.createElement("div"));
+    elLiner.innerHTML = lang.isValue(oColumn.label) ? oColumn.label : oColumn.getKey();
+    return this._getExportText(elLiner);
+},
+
+/**
+ * Returns the text content of the given element.
+ *
+ * @method _getExportText
+ * @param el {HTMLElement} Element.
+ * @return {String} Text content.
+ * @private
+ */
+_getExportText : function(el) {
+    return lang.isString(el.textContent) ? el.textContent : el.innerText;
+},
+
+/**
+ * Escapes the given text for use in HTML markup.
+ *
+ * @method _encodeExportHTML
+ * @param sText {String} Text.
+ * @return {String} Escaped text.
+ * @private
+ */
+_encodeExportHTML : function(sText) {
+    return sText.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+},
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+// CLIPBOARD
+
+/**
+ * Returns the selected cells as a block of text and markup for the clipboard.
+ * The block spans the rows and visible Columns that have a selected cell, and
+ * cells of the block that are not selected are left empty. The text holds the
+ * data values as tab-separated values, and the markup holds the formatted
+ * values in a TABLE, so that the block can be pasted into spreadsheets.
+ *
+ * @method copyCells
+ * @return {Object} Object literal with the properties text and html, or null
+ * if no cells are selected.
+ */
+copyCells : function() {
+    var oRange = this._getSelectedCellRange();
+    if(!oRange) {
+        return null;
+    }
+
+    var aLines = [],
+        aHtml = ["<table><tbody>"],
+        aRecords = oRange.records,
+        aColumns = oRange.columns,
+        aValues, aCells, oData, bSelected, i, j;
+
+    for(i=0; i<aRecords.length; i++) {
+        aValues = [];
+        aCells = [];
+        for(j=0; j<aColumns.length; j++) {
+            bSelected = oRange.selected[aRecords[i].getId() + "|" + aColumns[j].getKey()];
+            oData = bSelected ? aRecords[i].getData(aColumns[j].getField()) : null;
+            aValues[j] = this._quoteClipboardValue(lang.isValue(oData) ? String(oData) : "");
+            aCells[j] = bSelected ? this._getExportCell(aRecords[i], aColumns[j], true) : "";
+        }
+        aLines[i] = aValues.join("\t");
+        aHtml[aHtml.length] = "<tr><td>" + aCells.join("</td><td>") + "</td></tr>";
+    }
+    aHtml[aHtml.length] = "</tbody></table>";
+
+    return {text:aLines.join("\r\n"), html:aHtml.join("")};
+},
+
+/**
+ * Pastes a block of tab-separated values into the editable cells starting at
+ * the given cell, or else at the top left selected cell, going right through
+ * the visible Columns and down through the Records. A single value is pasted
+ * into every selected cell. Values are checked and converted by the validator
+ * of the Column's CellEditor, like typed input, or else converted by the
+ * parser of the DataSource field, if any. For each cell, editorSaveEvent fires, or editorRevertEvent if
+ * the value is invalid, with the record and column of the cell. Cells of
+ * Columns without an editor are skipped.
+ *
+ * @method pasteCells
+ * @param sText {String} Tab-separated values, one row per line.
+ * @param cell {HTMLElement | Object} (optional) TD element or object literal
+ * with record and column of the cell at which to start.
+ * @return {Object[]} Array of the pasted cells as object literals with the
+ * properties record, column, oldData and newData.
+ */
+pasteCells : function(sText, cell) {
+    var aRows = this._parseClipboardText(sText),
+        aTargets = [],
+        aChanges = [],
+        oRange = this._getSelectedCellRange(),
+        oRecord, oColumn, i, j;
+
+    if(aRows.length === 0) {
+        return aChanges;
+    }
+
+    // A single value fills the selection
+    if(!cell && oRange && (aRows.length === 1) && (aRows[0].length === 1)) {
+        var allCells = this.getSelectedCells();
+        for(i=0; i<allCells.length; i++) {
+            oRecord = this.getRecord(allCells[i].recordId);
+            oColumn = this.getColumn(allCells[i].columnKey);
+            if(oRecord && oColumn) {
+                aTargets[aTargets.length] = {record:oRecord, column:oColumn, value:aRows[0][0]};
+            }
+        }
+    }
+    // Otherwise the block starts at a cell
+    else {
+        var oStart = cell ?
+                    {record:this.getRecord(cell.record || cell), column:this.getColumn(cell.column || cell)} :
+                    oRange ? {record:oRange.records[0], column:oRange.columns[0]} : null,
+            nRecordIndex = (oStart && oStart.record) ? this._oRecordSet.getRecordIndex(oStart.record) : null,
+            aColumns = [],
+            allKeys = this._oColumnSet.keys,
+            nColumnIndex = -1;
+        if(!lang.isNumber(nRecordIndex) || !oStart.column) {
+            YAHOO.log("Could not paste cells: no cell to start at", "warn", this.toString());
+            return aChanges;
+        }
+        for(i=0; i<allKeys.length; i++) {
+            if(allKeys[i] === oStart.column) {
+                nColumnIndex = aColumns.length;
+            }
+            if(!allKeys[i].hidden) {
+                aColumns[aColumns.length] = allKeys[i];
+            }
+        }
+        for(i=0; i<aRows.length; i++) {
+            oRecord = this._oRecordSet.getRecord(nRecordIndex + i);
+            if(!oRecord) {
+                break;
+            }
+            for(j=0; j<aRows[i].length; j++) {
+                if(aColumns[nColumnIndex + j]) {
+                    aTargets[aTargets.length] = {record:oRecord, column:aColumns[nColumnIndex + j], value:aRows[i][j]};
+                }
+            }
+        }
+    }
+
+    // The cells are undone as a single edit
+    this._beginHistoryGroup();
+    var aHistory = this._aHistoryGroup;
+    for(i=0; i<aTargets.length; i++) {
+        var oTarget = aTargets[i],
+            oEditor = oTarget.column.editor,
+            fnValidator = (oEditor instanceof widget.BaseCellEditor) ? oEditor.validator :
+                    (oTarget.column.editorOptions && oTarget.column.editorOptions.validator),
+            oOldData = oTarget.record.getData(oTarget.column.getField()),
+            oNewData;
+
+        if(!oEditor) {
+            continue;
+        }
+        if(lang.isFunction(fnValidator)) {
+            oNewData = fnValidator.call(this, oTarget.value, oOldData, oEditor);
+            if(oNewData === undefined) {
+                this.fireEvent("editorRevertEvent", {editor:oEditor, oldData:oOldData,
+                        newData:oTarget.value, record:oTarget.record, column:oTarget.column});
+                continue;
+            }
+        }
+        else {
+            oNewData = this._parseClipboardValue(oTarget.value, oTarget.column);
+        }
+
+        this.updateCell(oTarget.record, oTarget.column, oNewData);
+        aChanges[aChanges.length] = {record:oTarget.record, column:oTarget.column, oldData:oOldData, newData:oNewData};
+        this.fireEvent("editorSaveEvent", {editor:oEditor, oldData:oOldData,
+                newData:oNewData, record:oTarget.record, column:oTarget.column});
+    }
+    this._endHistoryGroup();
+
+    this._aLastPaste = aChanges;
+    this._aLastPasteHistory = (aHistory.length > 0) ? aHistory : null;
+    this.fireEvent("cellsPasteEvent", {cells:aChanges});
+    YAHOO.log("Pasted " + aChanges.length + " cells", "info", this.toString());
+    return aChanges;
+},
+
+/**
+ * Restores the values of the cells changed by the last pasteCells(). If the
+ * paste is in the edit history, it is undone with undo(), and only while it
+ * is the last edit.
+ *
+ * @method undoPaste
+ * @return {Boolean} True if a paste was undone.
+ */
+undoPaste : function() {
+    var aChanges = this._aLastPaste,
+        aHistory = this._aLastPasteHistory;
+    if(!aChanges || (aChanges.length === 0)) {
+        return false;
+    }
+    if(aHistory) {
+        // Keep the edit history in step, so that redo() reapplies the paste
+        if(!this._aUndoStack || (this._aUndoStack[this._aUndoStack.length-1] !== aHistory) ||
+                !this.undo()) {
+            return false;
+        }
+    }
+    else {
+        for(var i=aChanges.length-1; i>-1; i--) {
+            if(this._oRecordSet.getRecordIndex(aChanges[i].record) !== null) {
+                this.updateCell(aChanges[i].record, aChanges[i].column, aChanges[i].oldData);
+            }
+        }
+    }
+    this._aLastPaste = null;
+    this._aLastPasteHistory = null;
+    this.fireEvent("cellsPasteUndoEvent", {cells:aChanges});
+    YAHOO.log("Undid paste of " + aChanges.length + " cells", "info", this.toString());
+    return true;
+},
+
+/**
+ * Returns the block of selected cells: the Records and visible Columns that
+ * have a selected cell, in order, and a map of the selected cells by Record ID
+ * and Column key.
+ *
+ * @method _getSelectedCellRange
+ * @return {Object} Object literal with the properties records, columns and
+ * selected, or null if no cells are selected.
+ * @private
+ */
+_getSelectedCellRange : function() {
+    var allCells = this.getSelectedCells(),
+        oRecordSet = this._oRecordSet,
+        aRecords = [],
+        aColumns = [],
+        oSelected = {},
+        oRecords = {},
+        oColumns = {},
+        oRecord, oColumn, i;
+
+    for(i=0; i<allCells.length; i++) {
+        oRecord = oRecordSet.getRecord(allCells[i].recordId);
+        oColumn = this.getColumn(allCells[i].columnKey);
+        if(oRecord && oColumn && !oColumn.hidden) {
+            oSelected[oRecord.getId() + "|" + oColumn.getKey()] = true;
+            if(!oRecords[oRecord.getId()]) {
+                oRecords[oRecord.getId()] = true;
+                aRecords[aRecords.length] = oRecord;
+            }
+            if(!oColumns[oColumn.getKey()]) {
+                oColumns[oColumn.getKey()] = true;
+                aColumns[aColumns.length] = oColumn;
+            }
+        }
+    }
+    if(aRecords.length === 0) {
+        return null;
+    }
+
+    aRecords.sort(function(a, b) {
+        return oRecordSet.getRecordIndex(a) - oRecordSet.getRecordIndex(b);
+    });
+    aColumns.sort(function(a, b) {
+        return a.getKeyIndex() - b.getKeyIndex();
+    });
+    // Include the visible Columns in between
+    var allKeys = this._oColumnSet.keys,
+        aBlockColumns = [];
+    for(i=aColumns[0].getKeyIndex(); i<=aColumns[aColumns.length-1].getKeyIndex(); i++) {
+        if(!allKeys[i].hidden) {
+            aBlockColumns[aBlockColumns.length] = allKeys[i];
+        }
+    }
+    return {records:aRecords, columns:aBlockColumns, selected:oSelected};
+},
+
+/**
+ * Quotes a value for tab-separated clipboard text if it has tabs, line breaks
+ * or quotes, the way spreadsheets do.
+ *
+ * @method _quoteClipboardValue
+ * @param sValue {String} Value.
+ * @return {String} Quoted value.
+ * @private
+ */
+_quoteClipboardValue : function(sValue) {
+    return (/[\t\r\n"]/).test(sValue) ? "\"" + sValue.replace(/"/g, "\"\"") + "\"" : sValue;
+},
+
+/**
+ * Parses tab-separated clipboard text into an array of rows of values. Quoted
+ * values may hold tabs, line breaks and doubled quotes.
+ *
+ * @method _parseClipboardText
+ * @param sText {String} Tab-separated values.
+ * @return {String[][]} Array of rows, each an array of values.
+ * @private
+ */
+_parseClipboardText : function(sText) {
+    var aRows = [],
+        aRow = [],
+        sValue = "",
+        bQuoted = false,
+        bStart = true,
+        c, i, len;
+
+    sText = lang.isString(sText) ? sText.replace(/\r\n?/g, "\n").replace(/\n$/, "") : "";
+    if(sText === "") {
+        return aRows;
+    }
+    for(i=0, len=sText.length; i<len; i++) {
+        c = sText.charAt(i);
+        if(bQuoted) {
+            if(c === "\"") {
+                if(sText.charAt(i+1) === "\"") {
+                    sValue += c;
+                    i++;
+                }
+                else {
+                    bQuoted = false;
+                }
+            }
+            else {
+                sValue += c;
+            }
+        }
+        else if((c === "\"") && bStart) {
+            bQuoted = true;
+        }
+        else if(c === "\t") {
+            aRow[aRow.length] = sValue;
+            sValue = "";
+            bStart = true;
+            continue;
+        }
+        else if(c === "\n") {
+            aRow[aRow.length] = sValue;
+            aRows[aRows.length] = aRow;
+            aRow = [];
+            sValue = "";
+            bStart = true;
+            continue;
+        }
+        else {
+            sValue += c;
+        }
+        bStart = false;
+    }
+    aRow[aRow.length] = sValue;
+    aRows[aRows.length] = aRow;
+    return aRows;
+},
+
+/**
+ * Converts a pasted value with the parser of the Column's field in the
+ * DataSource responseSchema, if any.
+ *
+ * @method _parseClipboardValue
+ * @param sValue {String} Pasted value.
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @return {Object} Converted value.
+ * @private
+ */
+_parseClipboardValue : function(sValue, oColumn) {
+    var oSchema = this._oDataSource ? this._oDataSource.responseSchema : null,
+        aFields = (oSchema && lang.isArray(oSchema.fields)) ? oSchema.fields : [],
+        fnParser, i;
+    for(i=0; i<aFields.length; i++) {
+        if(lang.isObject(aFields[i]) && (aFields[i].key === oColumn.getField())) {
+            fnParser = lang.isFunction(aFields[i].parser) ? aFields[i].parser : DS.Parser[aFields[i].parser+''];
+            break;
+        }
+    }
+    return fnParser ? fnParser.call(this, sValue) : sValue;
+},
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+// COLUMN STATE
+
+/**
+ * Returns the state of the Columns as an object literal that can be saved
+ * and restored: the property columns holds an object literal with the
+ * properties key, width and hidden for each Column in display order, and
+ * the property sortedBy holds the sort state with the properties key and dir.
+ *
+ * @method getColumnState
+ * @return {Object} Column state.
+ */
+getColumnState : function() {
+    var allColumns = this._oColumnSet.flat,
+        aSortedBy = this._getSortedByArray(),
+        aColumns = [],
+        aSorts = [],
+        oColumn, i;
+
+    for(i=0; i<allColumns.length; i++) {
+        oColumn = allColumns[i];
+        aColumns[i] = {
+            key: oColumn.getKey(),
+            width: lang.isNumber(oColumn.width) ? oColumn.width : null,
+            hidden: !!oColumn.hidden
+        };
+    }
+    for(i=0; i<aSortedBy.length; i++) {
+        aSorts[i] = {key:aSortedBy[i].key, dir:aSortedBy[i].dir};
+    }
+
+    return {
+        columns: aColumns,
+        sortedBy: (aSorts.length > 1) ? aSorts : (aSorts[0] || null)
+    };
+},
+
+/**
+ * Saves the state of the Columns under the stateKey to the stateStorage. The
+ * state is saved automatically whenever it changes, so calling this method
+ * is only needed to save it without delay.
+ *
+ * @method saveColumnState
+ * @return {Boolean} True if the state was saved.
+ */
+saveColumnState : function() {
+    if(this._oStateTimer) {
+        this._oStateTimer.cancel();
+        this._oStateTimer = null;
+    }
+    var sKey = this.get("stateKey");
+    if(sKey && this._writeColumnState(sKey, this.get("stateStorage"), this.getColumnState())) {
+        YAHOO.log("Column state saved to \"" + sKey + "\"", "info", this.toString());
+        return true;
+    }
+    return false;
+},
+
+/**
+ * Returns the Column state saved under the stateKey in the stateStorage.
+ *
+ * @method loadColumnState
+ * @return {Object} Column state as returned by getColumnState(), or null if
+ * no state is saved.
+ */
+loadColumnState : function() {
+    return this._readColumnState(this.get("stateKey"), this.get("stateStorage"));
+},
+
+/**
+ * Removes the Column state saved under the stateKey from the stateStorage.
+ * Changes to the Columns save the state again.
+ *
+ * @method clearColumnState
+ */
+clearColumnState : function() {
+    if(this._oStateTimer) {
+        this._oStateTimer.cancel();
+        this._oStateTimer = null;
+    }
+    this._writeColumnState(this.get("stateKey"), this.get("stateStorage"), null);
+},
+
+/**
+ * Shows a list of checkboxes to show and hide the top-level Columns under the
+ * given element. The last visible Column cannot be hidden. The list is hidden
+ * when a click is outside of it or on Esc.
+ *
+ * @method showColumnChooser
+ * @param el {HTMLElement | String} (optional) Element or element ID to show
+ * the column chooser under. Defaults to the THEAD element.
+ * @return {HTMLElement} The column chooser container element.
+ */
+showColumnChooser : function(el) {
+    this.hideColumnChooser();
+
+    var elContext = Dom.get(el) || this._elThead,
+        elChooser = document.createElement("div"),
+        elList = elChooser.appendChild(document.createElement("ul")),
+        allColumns = this._oColumnSet.tree[0],
+        elLabel, elCheckbox, aXY, i;
+
+    elChooser.id = this.getId() + "-colchooser";
+    elChooser.className = DT.CLASS_COLCHOOSER;
+    for(i=0; i<allColumns.length; i++) {
+        elLabel = elList.appendChild(document.createElement("li")).appendChild(document.createElement("label"));
+        elCheckbox = elLabel.appendChild(document.createElement("input"));
+        elCheckbox.type = "checkbox";
+        elCheckbox.value = allColumns[i].getId();
+        elLabel.appendChild(document.createTextNode(" " + this._getExportLabel(allColumns[i])));
+    }
+
+    document.body.appendChild(elChooser);
+    Ev.addListener(elChooser, "click", this._onColumnChooserClick, this);
+    Ev.addListener(elChooser, "keydown", this._onColumnChooserKeydown, this);
+    this._elColumnChooser = elChooser;
+    this._elColumnChooserContext = elContext;
+
+    // Checked states are set after the checkboxes are in the document
+    this._syncColumnChooser();
+
+    // Align under the context element
+    aXY = elContext ? Dom.getXY(elContext) : null;
+    if(aXY) {
+        Dom.setXY(elChooser, [aXY[0], aXY[1] + elContext.offsetHeight]);
+    }
+
+    try {
+        elChooser.getElementsByTagName("input")[0].focus();
+    }
+    catch(e) {
+    }
+
+    this.fireEvent("columnChooserShowEvent", {element:elChooser});
+    return elChooser;
+},
+
+/**
+ * Hides the column chooser.
+ *
+ * @method hideColumnChooser
+ */
+hideColumnChooser : function() {
+    var elChooser = this._elColumnChooser;
+    if(elChooser) {
+        Ev.purgeElement(elChooser, true);
+        if(elChooser.parentNode) {
+            elChooser.parentNode.removeChild(elChooser);
+        }
+        this._elColumnChooser = null;
+        this._elColumnChooserContext = null;
+        this.fireEvent("columnChooserHideEvent");
+    }
+},
+
+/**
+ * Updates the checkboxes of the column chooser to the hidden states of the
+ * Columns, and disables the checkbox of the last visible Column.
+ *
+ * @method _syncColumnChooser
+ * @private
+ */
+_syncColumnChooser : function() {
+    if(this._elColumnChooser) {
+        var allInputs = this._elColumnChooser.getElementsByTagName("input"),
+            nVisible = 0,
+            oColumn, i;
+        for(i=0; i<allInputs.length; i++) {
+            oColumn = this.getColumnById(allInputs[i].value);
+            allInputs[i].checked = !!(oColumn && !oColumn.hidden);
+            nVisible += allInputs[i].checked ? 1 : 0;
+        }
+        for(i=0; i<allInputs.length; i++) {
+            allInputs[i].disabled = (nVisible === 1) && allInputs[i].checked;
+        }
+    }
+},
+
+/**
+ * Saves the Column state after a short delay when it changes, so that
+ * resizing a Column does not save it for every step.
+ *
+ * @method _onColumnStateChange
+ * @private
+ */
+_onColumnStateChange : function() {
+    this._syncColumnChooser();
+    if(this.get("stateKey") && !this._oStateTimer) {
+        this._oStateTimer = lang.later(100, this, function() {
+            this._oStateTimer = null;
+            this.saveColumnState();
+        });
+    }
+},
+
+/**
+ * Returns the Column definitions with the saved Column state applied, and
+ * restores the saved sort. Called at construction, before the ColumnSet is
+ * created, with the stateKey and stateStorage of the given configs.
+ *
+ * @method _restoreColumnState
+ * @param aColumnDefs {Object[]} Array of object literal Column definitions.
+ * @return {Object[]} Column definitions to create the ColumnSet with.
+ * @private
+ */
+_restoreColumnState : function(aColumnDefs) {
+    var oConfigs = this.configs,
+        oState = lang.isArray(aColumnDefs) && lang.isString(oConfigs.stateKey) ?
+                this._readColumnState(oConfigs.stateKey, oConfigs.stateStorage || "cookie") : null;
+    if(!oState || !lang.isArray(oState.columns)) {
+        return aColumnDefs;
+    }
+
+    var oIndex = {},
+        oKeys = {},
+        aSaved = lang.isArray(oState.sortedBy) ? oState.sortedBy :
+                (oState.sortedBy ? [oState.sortedBy] : []),
+        aSortedBy = [],
+        i;
+
+    for(i=0; i<oState.columns.length; i++) {
+        if(oState.columns[i]) {
+            oIndex[oState.columns[i].key] = i;
+        }
+    }
+    aColumnDefs = this._applyColumnState(aColumnDefs, oState.columns, oIndex, oKeys);
+
+    // Sort by the saved Columns that still exist
+    for(i=0; i<aSaved.length; i++) {
+        if(aSaved[i] && lang.hasOwnProperty(oKeys, aSaved[i].key)) {
+            aSortedBy[aSortedBy.length] = {
+                key: aSaved[i].key,
+                dir: (aSaved[i].dir === DT.CLASS_DESC) ? DT.CLASS_DESC : DT.CLASS_ASC
+            };
+        }
+    }
+    if(aSortedBy.length > 0) {
+        this.configs = lang.merge(oConfigs, {sortedBy:(aSortedBy.length > 1) ? aSortedBy : aSortedBy[0]});
+
+        // Server-side data is requested sorted
+        this._aRestoredSortedBy = oConfigs.dynamicData ? null : aSortedBy;
+    }
+
+    YAHOO.log("Column state restored from \"" + oConfigs.stateKey + "\"", "info", this.toString());
+    return aColumnDefs;
+},
+
+/**
+ * Returns copies of the given Column definitions with the saved widths and
+ * hidden flags applied, in the saved order. Definitions that are not in the
+ * saved state keep their positions.
+ *
+ * @method _applyColumnState
+ * @param aColumnDefs {Object[]} Array of object literal Column definitions.
+ * @param aColumns {Object[]} Saved Column states.
+ * @param oIndex {Object} Positions in the saved Column states by key.
+ * @param oKeys {Object} Collects the keys of the definitions.
+ * @return {Object[]} Column definitions.
+ * @private
+ */
+_applyColumnState : function(aColumnDefs, aColumns, oIndex, oKeys) {
+    var aDefs = [],
+        aSlots = [],
+        aRanked = [],
+        oDef, oSaved, nRank, bHidden, j, i;
+
+    for(i=0; i<aColumnDefs.length; i++) {
+        oDef = lang.merge(aColumnDefs[i]);
+        oSaved = null;
+        if(lang.isValue(oDef.key)) {
+            oKeys[oDef.key] = true;
+            if(lang.hasOwnProperty(oIndex, oDef.key)) {
+                oSaved = aColumns[oIndex[oDef.key]];
+            }
+        }
+
+        if(lang.isArray(oDef.children)) {
+            oDef.children = this._applyColumnState(oDef.children, aColumns, oIndex, oKeys);
+
+            // A parent without a saved state is hidden with all its children
+            if(!oSaved) {
+                bHidden = null;
+                for(j=0; j<oDef.children.length; j++) {
+                    if(lang.isBoolean(oDef.children[j].hidden)) {
+                        bHidden = (bHidden !== false) && oDef.children[j].hidden;
+                    }
+                }
+                if(bHidden !== null) {
+                    oDef.hidden = bHidden;
+                }
+            }
+        }
+        else if(oSaved) {
+            oDef.width = lang.isNumber(oSaved.width) ? oSaved.width : null;
+        }
+        if(oSaved) {
+            oDef.hidden = !!oSaved.hidden;
+        }
+
+        nRank = this._getColumnStateRank(oDef, oIndex);
+        if(nRank > -1) {
+            aSlots[aSlots.length] = i;
+            aRanked[aRanked.length] = {def:oDef, rank:nRank};
+        }
+        aDefs[i] = oDef;
+    }
+
+    // Put the saved definitions in the saved order, in their own positions
+    aRanked.sort(function(a, b) {
+        return a.rank - b.rank;
+    });
+    for(i=0; i<aSlots.length; i++) {
+        aDefs[aSlots[i]] = aRanked[i].def;
+    }
+    return aDefs;
+},
+
+/**
+ * Returns the position of the given Column definition in the saved Column
+ * state, which for a parent without a saved state is the position of its
+ * first saved child, or -1 if the definition is not saved.
+ *
+ * @method _getColumnStateRank
+ * @param oDef {Object} Column definition.
+ * @param oIndex {Object} Positions in the saved Column states by key.
+ * @return {Number} Position, or -1.
+ * @private
+ */
+_getColumnStateRank : function(oDef, oIndex) {
+    if(lang.isValue(oDef.key) && lang.hasOwnProperty(oIndex, oDef.key)) {
+        return oIndex[oDef.key];
+    }
+    var nRank = -1,
+        nChildRank, i;
+    if(lang.isArray(oDef.children)) {
+        for(i=0; i<oDef.children.length; i++) {
+            nChildRank = this._getColumnStateRank(oDef.children[i], oIndex);
+            if((nChildRank > -1) && ((nRank < 0) || (nChildRank < nRank))) {
+                nRank = nChildRank;
+            }
+        }
+    }
+    return nRank;
+},
+
+/**
+ * Returns the Column state saved under the given key in the given storage.
+ *
+ * @method _readColumnState
+ * @param sKey {String} Key.
+ * @param oStorage {String | Object} "cookie" or a Storage engine.
+ * @return {Object} Column state, or null.
+ * @private
+ */
+_readColumnState : function(sKey, oStorage) {
+    var oJSON = lang.JSON || window.JSON,
+        sState = null;
+    if(!sKey || !oJSON) {
+        return null;
+    }
+
+    try {
+        if(oStorage === "cookie") {
+            sState = util.Cookie ? util.Cookie.get(sKey) : null;
+        }
+        else if(oStorage) {
+            sState = oStorage.getItem(sKey);
+        }
+        return sState ? oJSON.parse(sState) : null;
+    }
+    catch(e) {
+        YAHOO.log("Could not read Column state \"" + sKey + "\": " + e.message, "warn", this.toString());
+        return null;
+    }
+},
+
+/**
+ * Saves the given Column state under the given key in the given storage, or
+ * removes the saved state if the given state is null.
+ *
+ * @method _writeColumnState
+ * @param sKey {String} Key.
+ * @param oStorage {String | Object} "cookie" or a Storage engine.
+ * @param oState {Object} Column state, or null.
+ * @return {Boolean} True if saved or removed.
+ * @private
+ */
+_writeColumnState : function(sKey, oStorage, oState) {
+    var oJSON = lang.JSON || window.JSON,
+        dExpires;
+    if(!sKey || !oJSON) {
+        return false;
+    }
+
+    try {
+        if(oStorage === "cookie") {
+            if(!util.Cookie) {
+                return false;
+            }
+            if(oState) {
+                dExpires = new Date();
+                dExpires.setFullYear(dExpires.getFullYear() + 1);
+                util.Cookie.set(sKey, oJSON.stringify(oState), {expires:dExpires});
+            }
+            else {
+                util.Cookie.remove(sKey);
+            }
+        }
+        else if(oStorage) {
+            if(oState) {
+                oStorage.setItem(sKey, oJSON.stringify(oState));
+            }
+            else {
+                oStorage.removeItem(sKey);
+            }
+        }
+        return true;
+    }
+    catch(e) {
+        YAHOO.log("Could not save Column state \"" + sKey + "\": " + e.message, "warn", this.toString());
+        return false;
+    }
+},
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+// EDIT HISTORY
+
+/**
+ * Undoes the last edit in the edit history. An edit is a cell edit, a paste,
+ * or an addition or deletion of rows. The edit history is kept if the
+ * undoDepth attribute is greater than 0.
+ *
+ * @method undo
+ * @return {Boolean} True if an edit was undone.
+ */
+undo : function() {
+    var aActions = this._aUndoStack ? this._aUndoStack[this._aUndoStack.length-1] : null;
+    if(!aActions || this._bHistoryBusy ||
+            (this.fireEvent("beforeUndoEvent", {actions:aActions}) === false)) {
+        return false;
+    }
+
+    this._aUndoStack.pop();
+    this._aRedoStack[this._aRedoStack.length] = aActions;
+    this._applyHistory(aActions, true);
+
+    this.fireEvent("undoEvent", {actions:aActions});
+    YAHOO.log("Undid edit of " + aActions.length + " actions", "info", this.toString());
+    return true;
+},
+
+/**
+ * Redoes the last undone edit.
+ *
+ * @method redo
+ * @return {Boolean} True if an edit was redone.
+ */
+redo : function() {
+    var aActions = this._aRedoStack ? this._aRedoStack[this._aRedoStack.length-1] : null;
+    if(!aActions || this._bHistoryBusy ||
+            (this.fireEvent("beforeRedoEvent", {actions:aActions}) === false)) {
+        return false;
+    }
+
+    this._aRedoStack.pop();
+    this._aUndoStack[this._aUndoStack.length] = aActions;
+    this._applyHistory(aActions, false);
+
+    this.fireEvent("redoEvent", {actions:aActions});
+    YAHOO.log("Redid edit of " + aActions.length + " actions", "info", this.toString());
+    return true;
+},
+
+/**
+ * Returns true if there is an edit to undo.
+ *
+ * @method canUndo
+ * @return {Boolean} True if there is an edit to undo.
+ */
+canUndo : function() {
+    return !!(this._aUndoStack && (this._aUndoStack.length > 0));
+},
+
+/**
+ * Returns true if there is an undone edit to redo.
+ *
+ * @method canRedo
+ * @return {Boolean} True if there is an edit to redo.
+ */
+canRedo : function() {
+    return !!(this._aRedoStack && (this._aRedoStack.length > 0));
+},
+
+/**
+ * Clears the edit history. Called when the RecordSet is reset.
+ *
+ * @method clearHistory
+ */
+clearHistory : function() {
+    if(this._aUndoStack) {
+        this._aUndoStack = [];
+        this._aRedoStack = [];
+        this._oHistoryRecords = {};
+    }
+    this._aHistoryGroup = null;
+},
+
+/**
+ * Updates a Record value that goes with a cell, such as the label of the cell
+ * value, when an edit of the cell is saved. The update is undone and redone
+ * along with the last recorded edit of the cell, so it can be called once the
+ * save is complete, e.g., from the saveEvent of a CellEditor.
+ *
+ * @method updateLinkedValue
+ * @param oRecord {YAHOO.widget.Record} Record instance.
+ * @param sColumnKey {String} Key of the edited Column.
+ * @param sKey {String} Column key or Record field key of the linked value.
+ * @param oData {Object} New data.
+ */
+updateLinkedValue : function(oRecord, sColumnKey, sKey, oData) {
+    var oAction = {type:"cell", record:oRecord, key:sKey, oldData:oRecord.getData(sKey), newData:oData},
+        aUndoStack = this._aUndoStack,
+        aActions = (aUndoStack && !this._aHistoryGroup) ? aUndoStack[aUndoStack.length-1] : null,
+        oLast = aActions ? aActions[aActions.length-1] : null;
+
+    this._updateRecordValue(oRecord, sKey, oData);
+    if(oLast && !this._bHistoryBusy && (oLast.type === "cell") &&
+            (oLast.record === oRecord) && (oLast.key === sColumnKey)) {
+        aActions[aActions.length] = oAction;
+    }
+    else {
+        this._addHistoryAction(oAction);
+    }
+},
+
+/**
+ * Starts collecting the recorded actions into a single edit.
+ *
+ * @method _beginHistoryGroup
+ * @private
+ */
+_beginHistoryGroup : function() {
+    this._aHistoryGroup = [];
+},
+
+/**
+ * Records the actions collected since _beginHistoryGroup() as a single edit.
+ *
+ * @method _endHistoryGroup
+ * @private
+ */
+_endHistoryGroup : function() {
+    var aActions = this._aHistoryGroup;
+    this._aHistoryGroup = null;
+    if(aActions && (aActions.length > 0)) {
+        this._addHistory(aActions);
+    }
+},
+
+/**
+ * Records an action, as an edit of its own or into the current group.
+ *
+ * @method _addHistoryAction
+ * @param oAction {Object} Object literal with the property type ("cell",
+ * "add" or "delete") and the properties of the action.
+ * @private
+ */
+_addHistoryAction : function(oAction) {
+    if(this._bHistoryBusy || !(this.get("undoDepth") > 0)) {
+        return;
+    }
+    if(this._aHistoryGroup) {
+        this._aHistoryGroup[this._aHistoryGroup.length] = oAction;
+    }
+    else {
+        this._addHistory([oAction]);
+    }
+},
+
+/**
+ * Adds an edit to the edit history, dropping the oldest edit beyond the
+ * undoDepth, and clears the edits to redo.
+ *
+ * @method _addHistory
+ * @param aActions {Object[]} Actions of the edit.
+ * @private
+ */
+_addHistory : function(aActions) {
+    var aUndoStack = this._aUndoStack,
+        nDepth = this.get("undoDepth");
+    if(aUndoStack && (nDepth > 0)) {
+        aUndoStack[aUndoStack.length] = aActions;
+        if(aUndoStack.length > nDepth) {
+            aUndoStack.splice(0, aUndoStack.length - nDepth);
+        }
+        this._aRedoStack = [];
+    }
+},
+
+/**
+ * Undoes or redoes the actions of an edit without recording them. Rows are
+ * removed and restored with their data, and the restored Records replace the
+ * removed ones in the edit history.
+ *
+ * @method _applyHistory
+ * @param aActions {Object[]} Actions of the edit.
+ * @param bUndo {Boolean} True to undo, false to redo.
+ * @private
+ */
+_applyHistory : function(aActions, bUndo) {
+    var oAction, i;
+
+    this._bHistoryBusy = true;
+    for(i=0; i<aActions.length; i++) {
+        oAction = aActions[bUndo ? aActions.length-1-i : i];
+        if(oAction.type === "cell") {
+            if(this._oRecordSet.getRecordIndex(oAction.record) !== null) {
+                this._updateRecordValue(oAction.record, oAction.key, bUndo ? oAction.oldData : oAction.newData);
+            }
+        }
+        else if((oAction.type === "add") === bUndo) {
+            this._removeHistoryRows(oAction);
+        }
+        else {
+            this._restoreHistoryRows(oAction);
+        }
+    }
+    this._bHistoryBusy = false;
+},
+
+/**
+ * Updates the value of the given key of a Record: through updateCell() if a
+ * Column has the key, otherwise in the RecordSet, reformatting the row since
+ * formatters may display values that have no Column of their own.
+ *
+ * @method _updateRecordValue
+ * @param oRecord {YAHOO.widget.Record} Record instance.
+ * @param sKey {String} Column key or Record field key.
+ * @param oData {Object} New data.
+ * @private
+ */
+_updateRecordValue : function(oRecord, sKey, oData) {
+    var oColumn = this._oColumnSet.getColumn(sKey);
+    if(oColumn) {
+        this.updateCell(oRecord, oColumn, oData);
+    }
+    else {
+        this._oRecordSet.updateRecordValue(oRecord, sKey, oData);
+        var elTr = this.getTrEl(oRecord);
+        if(elTr) {
+            this._updateTrEl(elTr, oRecord);
+        }
+    }
+},
+
+/**
+ * Deletes the rows of the Records of an add or delete action, keeping their
+ * data and position to restore them.
+ *
+ * @method _removeHistoryRows
+ * @param oAction {Object} Add or delete action.
+ * @private
+ */
+_removeHistoryRows : function(oAction) {
+    var aRecords = [],
+        aData = [],
+        nIndex = null,
+        nRecordIndex, i;
+
+    for(i=0; i<oAction.records.length; i++) {
+        nRecordIndex = this._oRecordSet.getRecordIndex(oAction.records[i]);
+        if(nRecordIndex !== null) {
+            aRecords[aRecords.length] = oAction.records[i];
+            aData[aData.length] = DT._cloneObject(oAction.records[i].getData());
+            nIndex = (nIndex === null) ? nRecordIndex : Math.min(nIndex, nRecordIndex);
+        }
+    }
+    this._markHistoryRecords(aRecords, "delete");
+    for(i=aRecords.length-1; i>-1; i--) {
+        this.deleteRow(aRecords[i]);
+    }
+
+    oAction.records = aRecords;
+    oAction.data = aData;
+    oAction.index = nIndex;
+},
+
+/**
+ * Adds back the rows removed by an add or delete action.
+ *
+ * @method _restoreHistoryRows
+ * @param oAction {Object} Add or delete action.
+ * @private
+ */
+_restoreHistoryRows : function(oAction) {
+    var oRecordSet = this._oRecordSet,
+        nIndex, aRecords;
+    if(oAction.data && (oAction.data.length > 0)) {
+        nIndex = Math.min(oAction.index, oRecordSet.getLength());
+        this.addRows(oAction.data, nIndex);
+        aRecords = oRecordSet.getRecords(nIndex, oAction.data.length);
+        this._markHistoryRecords(aRecords, "add");
+        this._replaceHistoryRecords(oAction.records, aRecords);
+    }
+},
+
+/**
+ * Marks the row events of Records added or deleted by an undo or a redo, so
+ * that they are not recorded when they are fired later.
+ *
+ * @method _markHistoryRecords
+ * @param aRecords {YAHOO.widget.Record[]} Records.
+ * @param sType {String} "add" or "delete".
+ * @private
+ */
+_markHistoryRecords : function(aRecords, sType) {
+    for(var i=0; i<aRecords.length; i++) {
+        this._oHistoryRecords[aRecords[i].getId()] = sType;
+    }
+},
+
+/**
+ * Returns the Records of a row event that are to be recorded, leaving out the
+ * Records added or deleted by an undo or a redo.
+ *
+ * @method _getHistoryRecords
+ * @param aRecords {YAHOO.widget.Record[]} Records of the event.
+ * @param sType {String} "add" or "delete".
+ * @return {YAHOO.widget.Record[]} Records to record.
+ * @private
+ */
+_getHistoryRecords : function(aRecords, sType) {
+    var aKept = [],
+        sId;
+    for(var i=0; i<aRecords.length; i++) {
+        sId = aRecords[i].getId();
+        if(this._oHistoryRecords[sId] === sType) {
+            delete this._oHistoryRecords[sId];
+        }
+        else if(!this._bHistoryBusy) {
+            aKept[aKept.length] = aRecords[i];
+        }
+    }
+    return aKept;
+},
+
+/**
+ * Replaces Records in the edit history with the Records that restored them.
+ *
+ * @method _replaceHistoryRecords
+ * @param aOldRecords {YAHOO.widget.Record[]} Removed Records.
+ * @param aNewRecords {YAHOO.widget.Record[]} Restored Records, in the same order.
+ * @private
+ */
+_replaceHistoryRecords : function(aOldRecords, aNewRecords) {
+    var aStacks = [this._aUndoStack, this._aRedoStack],
+        oMap = {},
+        aEdit, oAction, i, j, k, l;
+
+    for(i=0; i<aOldRecords.length; i++) {
+        oMap[aOldRecords[i].getId()] = aNewRecords[i];
+    }
+
+    for(i=0; i<aStacks.length; i++) {
+        for(j=0; j<aStacks[i].length; j++) {
+            aEdit = aStacks[i][j];
+            for(k=0; k<aEdit.length; k++) {
+                oAction = aEdit[k];
+                if(oAction.record && oMap[oAction.record.getId()]) {
+                    oAction.record = oMap[oAction.record.getId()];
+                }
+                else if(oAction.records) {
+                    for(l=0; l<oAction.records.length; l++) {
+                        oAction.records[l] = oMap[oAction.records[l].getId()] || oAction.records[l];
+                    }
+                }
+            }
+        }
+    }
+},
+
+/**
+ * Records a saved cell edit, including the cells of a paste.
+ *
+ * @method _onHistoryCellSave
+ * @param oArgs {Object} Custom Event args.
+ * @private
+ */
+_onHistoryCellSave : function(oArgs) {
+    var oEditor = oArgs.editor || {},
+        oRecord = oArgs.record || (oEditor.getRecord ? oEditor.getRecord() : oEditor.record),
+        oColumn = oArgs.column || (oEditor.getColumn ? oEditor.getColumn() : oEditor.column);
+    if(oRecord && oColumn && (oArgs.oldData !== oArgs.newData)) {
+        this._addHistoryAction({type:"cell", record:oRecord, key:oColumn.getKey(),
+                oldData:oArgs.oldData, newData:oArgs.newData});
+    }
+},
+
+/**
+ * Records added rows.
+ *
+ * @method _onHistoryRowsAdd
+ * @param oArgs {Object} Custom Event args.
+ * @private
+ */
+_onHistoryRowsAdd : function(oArgs) {
+    var aRecords = oArgs.records || (oArgs.record ? [oArgs.record] : []);
+    aRecords = this._getHistoryRecords(aRecords, "add");
+    if(aRecords.length > 0) {
+        this._addHistoryAction({type:"add", records:aRecords});
+    }
+},
+
+/**
+ * Records deleted rows.
+ *
+ * @method _onHistoryRowsDelete
+ * @param oArgs {Object} Custom Event args.
+ * @private
+ */
+_onHistoryRowsDelete : function(oArgs) {
+    var aRecords = this._getHistoryRecords(oArgs.records || (oArgs.record ? [oArgs.record] : []), "delete"),
+        aData = [];
+    if(aRecords.length > 0) {
+        // The deleted Records still hold their data
+        for(var i=0; i<aRecords.length; i++) {
+            aData[i] = DT._cloneObject(aRecords[i].getData());
+        }
+        this._addHistoryAction({type:"delete", records:aRecords, data:aData,
+                index:oArgs.recordIndex});
+    }
+},
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+// CHANGE TRACKING
+
+/**
+ * Posts the changes of the RecordSet to the given URL in one request through
+ * YAHOO.util.Connect, as a JSON encoded changeset (see RecordSet's
+ * getChangeset()) in a form field. When the request succeeds, the posted
+ * changes are committed.
+ *
+ * @method postChanges
+ * @param sUrl {String} URL to post the changes to.
+ * @param oCallback {Object} (optional) Connection callback object, with the
+ * optional properties success, failure, scope, argument and timeout.
+ * @param oConfig {Object} (optional) Object literal of options: keys {String[]}
+ * are the keys of the fields that identify a Record, param {String} is the
+ * name of the form field (default "changes"), and commit {Boolean} is false
+ * to not commit the changes when the request succeeds.
+ * @return {Object} The Connection transaction object, or null if there are
+ * no changes to post.
+ */
+postChanges : function(sUrl, oCallback, oConfig) {
+    var oRecordSet = this._oRecordSet,
+        oJSON = lang.JSON || window.JSON,
+        oChanges, oChangeset, aRecords, sPostData, oSelf, sType, i;
+
+    oCallback = oCallback || {};
+    oConfig = oConfig || {};
+
+    if(!util.Connect || !oJSON) {
+        YAHOO.log("Could not post changes without YAHOO.util.Connect and JSON", "warn", this.toString());
+        return null;
+    }
+    if(!oRecordSet.hasChanges()) {
+        YAHOO.log("No changes to post", "info", this.toString());
+        return null;
+    }
+
+    // Only the posted Records get committed
+    oChanges = oRecordSet.getChanges();
+    aRecords = [];
+    for(sType in oChanges) {
+        if(lang.hasOwnProperty(oChanges, sType)) {
+            for(i=0; i<oChanges[sType].length; i++) {
+                aRecords[aRecords.length] = oChanges[sType][i].record;
+            }
+        }
+    }
+
+    oChangeset = oRecordSet.getChangeset(oConfig.keys);
+    sPostData = encodeURIComponent(oConfig.param || "changes") + "=" +
+            encodeURIComponent(oJSON.stringify(oChangeset));
+    oSelf = this;
+
+    return util.Connect.asyncRequest("POST", sUrl, {
+        success: function(o) {
+            if((oSelf instanceof DT) && oSelf._sId) {
+                if(oConfig.commit !== false) {
+                    oRecordSet.commitChanges(aRecords);
+                }
+                oSelf.fireEvent("changesPostEvent", {changeset:oChangeset, response:o});
+            }
+            if(oCallback.success) {
+                oCallback.success.call(oCallback.scope || oSelf, o);
+            }
+        },
+        failure: function(o) {
+            if((oSelf instanceof DT) && oSelf._sId) {
+                oSelf.fireEvent("changesPostErrorEvent", {changeset:oChangeset, response:o});
+            }
+            if(oCallback.failure) {
+                oCallback.failure.call(oCallback.scope || oSelf, o);
+            }
+        },
+        argument: oCallback.argument,
+        timeout: oCallback.timeout
+    }, sPostData);
+},
+
+/**
+ * Adds rows of data returned by the DataSource. These are not changes, so
+ * their Records are committed right away.
+ *
+ * @method _addDataReturnRows
+ * @param aData {Object[]} Data returned by the DataSource.
+ * @param index {Number} (optional) Position index to insert the rows at.
+ * @private
+ */
+_addDataReturnRows : function(aData, index) {
+    var oRecordSet = this._oRecordSet,
+        fnCommit = function(oArgs) {
+            oRecordSet.commitChanges(oArgs.records);
+        };
+
+    oRecordSet.subscribe("recordsAddEvent", fnCommit);
+    this.addRows(aData, index);
+    oRecordSet.unsubscribe("recordsAddEvent", fnCommit);
+},
+
+/**
+ * Updates the dirty class of the rendered cells after changes are committed.
+ *
+ * @method _onChangesCommit
+ * @private
+ */
+_onChangesCommit : function() {
+    var oRecordSet = this._oRecordSet,
+        aKeyColumns = this._oColumnSet.keys,
+        allRows = this._getRecordTrEls(),
+        elRow, oRecord, i, j;
+
+    for(i=0; i<allRows.length; i++) {
+        elRow = allRows[i];
+        oRecord = this.getRecord(elRow);
+        for(j=0; oRecord && j<aKeyColumns.length; j++) {
+            if(elRow.cells[j]) {
+                Dom[oRecordSet.isDirty(oRecord, aKeyColumns[j].field) ? "addClass" : "removeClass"](elRow.cells[j], DT.CLASS_DIRTY);
+            }
+        }
+    }
+},
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+// KEYBOARD NAVIGATION
+
+/**
+ * Moves the focus to the given header or data cell and makes it the cell in
+ * the tab order. Has no effect unless the "gridNavigation" attribute is
+ * enabled.
+ *
+ * @method focusCell
+ * @param cell {HTMLElement | String | Object} TD or TH element, child of one,
+ * or object literal of syntax {record:oRecord, column:oColumn}.
+ */
+focusCell : function(cell) {
+    var elCell = this.getTdEl(cell) || this.getThEl(cell);
+    if(this._bGridNavigation && elCell && Dom.isAncestor(this._elContainer, elCell)) {
+        this._setGridFocusEl(elCell);
+        this._focusEl(elCell);
+        this.fireEvent("cellFocusEvent", {el:elCell});
+    }
+},
+
+/**
+ * Returns the header or data cell that is in the tab order when the
+ * "gridNavigation" attribute is enabled, otherwise null.
+ *
+ * @method getFocusCellEl
+ * @return {HTMLElement} Reference to TD or TH element.
+ */
+getFocusCellEl : function() {
+    return this._bGridNavigation ? this._getGridFocusEl() : null;
+},
+
+/**
+ * Sets the given attribute when grid navigation is enabled, otherwise
+ * removes it.
+ *
+ * @method _setGridAttribute
+ * @param el {HTMLElement} Element.
+ * @param sName {String} Attribute name.
+ * @param value {String | Number} Attribute value, or null to remove it.
+ * @private
+ */
+_setGridAttribute : function(el, sName, value) {
+    if(this._bGridNavigation && (value !== null)) {
+        el.setAttribute(sName, value);
+    }
+    else {
+        el.removeAttribute(sName);
+    }
+},
+
+/**
+ * Sets the grid roles and the aria-rowcount, aria-rowindex and aria-sort
+ * states, keeps a single cell in the tab order and focuses the cell of a
+ * newly rendered page. Removes them all when grid navigation is disabled.
+ * Row indexes follow the RecordSet indexes of the rendered Records and count
+ * the group header rows.
+ *
+ * @method _setGridStates
+ * @private
+ */
+_setGridStates : function() {
+    var sMode = this.get("selectionMode"),
+        oPaginator = this.get("paginator"),
+        aSortedBy = this._getSortedByArray(),
+        allColumns = this._oColumnSet.flat,
+        allHeaderRows = this._elThead ? this._elThead.rows : [],
+        allRows = this._elTbody.rows,
+        nHeaderRows = allHeaderRows.length,
+        nGroupRows = allRows.length - this._getRecordTrEls().length,
+        nTotal = oPaginator ? oPaginator.getTotalRecords() : this._oRecordSet.getLength(),
+        elFirstTr = this.getFirstTrEl(),
+        oRecord = elFirstTr ? this.getRecord(elFirstTr) : null,
+        nRecordIndex = oRecord ? this._oRecordSet.getRecordIndex(oRecord) : 0,
+        oColumn, elTh, sSort, allLinks, i, j;
+
+    this._setGridAttribute(this._elTable, "role", "grid");
+    this._setGridAttribute(this._elTable, "aria-multiselectable",
+            ((sMode == "standard") || (sMode == "cellblock") || (sMode == "cellrange")) ? "true" : "false");
+    this._setGridAttribute(this._elTable, "aria-rowcount", nHeaderRows + nGroupRows + nTotal);
+    this._elTbody.tabIndex = this._bGridNavigation ? -1 : 0;
+
+    // Header rows and cells
+    for(i=0; i<nHeaderRows; i++) {
+        this._setGridAttribute(allHeaderRows[i], "role", "row");
+        this._setGridAttribute(allHeaderRows[i], "aria-rowindex", i+1);
+        for(j=0; j<allHeaderRows[i].cells.length; j++) {
+            this._setGridAttribute(allHeaderRows[i].cells[j], "role", "columnheader");
+            this._setGridAttribute(allHeaderRows[i].cells[j], "tabindex", -1);
+        }
+    }
+
+    // Sort state of the primary sort Column, and sort links out of the tab order
+    for(i=0; i<allColumns.length; i++) {
+        oColumn = allColumns[i];
+        elTh = oColumn.getThEl();
+        if(elTh) {
+            sSort = null;
+            if(oColumn.sortable) {
+                sSort = "none";
+                if((aSortedBy.length > 0) && (aSortedBy[0].key == oColumn.getKey())) {
+                    sSort = ((aSortedBy[0].dir == DT.CLASS_DESC) || (aSortedBy[0].dir == "desc")) ?
+                            "descending" : "ascending";
+                }
+            }
+            this._setGridAttribute(elTh, "aria-sort", sSort);
+            allLinks = elTh.getElementsByTagName("a");
+            for(j=0; j<allLinks.length; j++) {
+                this._setGridAttribute(allLinks[j], "tabindex", -1);
+            }
+        }
+    }
+
+    // Data rows and cells, the rendered Records being consecutive in the RecordSet
+    nGroupRows = 0;
+    for(i=0; i<allRows.length; i++) {
+        this._setGridAttribute(allRows[i], "role", "row");
+        if(Dom.hasClass(allRows[i], DT.CLASS_GROUP)) {
+            nGroupRows++;
+            this._setGridAttribute(allRows[i], "aria-rowindex", nHeaderRows + nGroupRows + nRecordIndex);
+        }
+        else {
+            nRecordIndex++;
+            this._setGridAttribute(allRows[i], "aria-rowindex", nHeaderRows + nGroupRows + nRecordIndex);
+        }
+        for(j=0; j<allRows[i].cells.length; j++) {
+            this._setGridAttribute(allRows[i].cells[j], "role", "gridcell");
+            this._setGridAttribute(allRows[i].cells[j], "tabindex", -1);
+        }
+    }
+    this._setGridSelections();
+
+    if(this._bGridNavigation) {
+        // Focus the same position on the page requested by PageUp or PageDown
+        var oPageFocus = this._oGridPageFocus,
+            allTrEls = this._getRecordTrEls(),
+            elCell = null;
+        this._oGridPageFocus = null;
+        if(oPageFocus && (allTrEls.length > 0)) {
+            elCell = allTrEls[Math.min(oPageFocus.trIndex, allTrEls.length-1)].cells[oPageFocus.keyIndex];
+        }
+        if(elCell) {
+            this.focusCell(elCell);
+        }
+        // Restore the cell in the tab order
+        else {
+            elCell = this._getGridFocusEl();
+            if(elCell) {
+                elCell.tabIndex = 0;
+            }
+        }
+    }
+    else {
+        this._elGridFocus = null;
+        this._bGridFocusDefault = true;
+        this._oGridPageFocus = null;
+    }
+},
+
+/**
+ * Sets the aria-selected state of the rows in row selection modes, or of the
+ * cells in cell selection modes.
+ *
+ * @method _setGridSelections
+ * @private
+ */
+_setGridSelections : function() {
+    var sMode = this.get("selectionMode"),
+        bCellMode = (sMode == "singlecell") || (sMode == "cellblock") || (sMode == "cellrange"),
+        allRows = this._getRecordTrEls(),
+        elRow, i, j;
+
+    for(i=0; i<allRows.length; i++) {
+        elRow = allRows[i];
+        this._setGridAttribute(elRow, "aria-selected", bCellMode ? null :
+                (Dom.hasClass(elRow, DT.CLASS_SELECTED) ? "true" : "false"));
+        for(j=0; j<elRow.cells.length; j++) {
+            this._setGridAttribute(elRow.cells[j], "aria-selected", !bCellMode ? null :
+                    (Dom.hasClass(elRow.cells[j], DT.CLASS_SELECTED) ? "true" : "false"));
+        }
+    }
+},
+
+/**
+ * Puts the given cell in the tab order, in place of the previous one.
+ *
+ * @method _setGridFocusEl
+ * @param elCell {HTMLElement} TD or TH element, or null.
+ * @private
+ */
+_setGridFocusEl : function(elCell) {
+    var elOld = this._elGridFocus;
+    if(elOld && (elOld !== elCell)) {
+        elOld.tabIndex = -1;
+    }
+    this._elGridFocus = elCell;
+    this._bGridFocusDefault = false;
+    if(elCell) {
+        elCell.tabIndex = 0;
+    }
+},
+
+/**
+ * Returns the cell in the tab order. Falls back to the first visible data
+ * cell, or header cell when there are no rows, until the user focuses a cell
+ * or when that cell was removed or hidden.
+ *
+ * @method _getGridFocusEl
+ * @return {HTMLElement} Reference to TD or TH element, or null.
+ * @private
+ */
+_getGridFocusEl : function() {
+    var elCell = this._elGridFocus;
+    if(!elCell || this._bGridFocusDefault || !Dom.isAncestor(this._elContainer, elCell) ||
+            Dom.hasClass(elCell, DT.CLASS_HIDDEN) || Dom.hasClass(elCell.parentNode, DT.CLASS_HIDDEN)) {
+        elCell = this._getGridCellEl(this._getGridRowEl(), 0, 1) ||
+                ((this._elThead && this._elThead.rows[0]) ? this._getGridCellEl(this._elThead.rows[0], 0, 1) : null);
+        this._setGridFocusEl(elCell);
+        this._bGridFocusDefault = true;
+    }
+    return elCell;
+},
+
+/**
+ * Returns the first visible cell of the given row from the given cell index,
+ * going in the given direction.
+ *
+ * @method _getGridCellEl
+ * @param elRow {HTMLElement} TR element.
+ * @param nIndex {Number} Cell index to start from.
+ * @param nStep {Number} 1 to go right, -1 to go left.
+ * @return {HTMLElement} Reference to TD or TH element, or null.
+ * @private
+ */
+_getGridCellEl : function(elRow, nIndex, nStep) {
+    if(elRow) {
+        for(var i=nIndex; (i>-1) && (i<elRow.cells.length); i+=nStep) {
+            if(!Dom.hasClass(elRow.cells[i], DT.CLASS_HIDDEN)) {
+                return elRow.cells[i];
+            }
+        }
+    }
+    return null;
+},
+
+/**
+ * Returns the first or last visible TR element of the page.
+ *
+ * @method _getGridRowEl
+ * @param bLast {Boolean} True for the last row.
+ * @return {HTMLElement} Reference to TR element, or null.
+ * @private
+ */
+_getGridRowEl : function(bLast) {
+    var elRow = (bLast ? this.getLastTrEl() : this.getFirstTrEl()) || null;
+    if(elRow && Dom.hasClass(elRow, DT.CLASS_HIDDEN)) {
+        elRow = bLast ? this.getPreviousTrEl(elRow) : this.getNextTrEl(elRow);
+    }
+    return elRow;
+},
+
+/**
+ * Determines focus, selection, editing and sorting behavior resulting from a
+ * key event on a header or data cell when grid navigation is enabled.
+ *
+ * @method _handleGridNavigationByKey
+ * @param e {HTMLEvent} Event object.
+ * @return {Boolean} True if the key was handled.
+ * @private
+ */
+_handleGridNavigationByKey : function(e) {
+    var elTarget = Ev.getTarget(e),
+        sTag = elTarget.nodeName.toLowerCase();
+
+    // Keys within form elements are left to them
+    if((sTag == "input") || (sTag == "textarea") || (sTag == "select") || (sTag == "button")) {
+        return false;
+    }
+
+    var elCell = this.getTdEl(elTarget) || this.getThEl(elTarget) || this._getGridFocusEl();
+    if(!elCell) {
+        return false;
+    }
+    return (elCell.nodeName.toLowerCase() == "th") ?
+            this._handleGridHeaderKey(e, elCell) : this._handleGridBodyKey(e, elCell);
+},
+
+/**
+ * Handles a key event on a header cell: arrow keys, Home and End move the
+ * focus, Enter and Space sort the Column.
+ *
+ * @method _handleGridHeaderKey
+ * @param e {HTMLEvent} Event object.
+ * @param elTh {HTMLElement} The TH element.
+ * @return {Boolean} True if the key was handled.
+ * @private
+ */
+_handleGridHeaderKey : function(e, elTh) {
+    var nKey = Ev.getCharCode(e),
+        oColumn = this.getColumn(elTh),
+        elRow = elTh.parentNode,
+        allColumns = this._oColumnSet.flat,
+        elNew = null,
+        i;
+
+    switch(nKey) {
+        case 13: // enter
+        case 32: // space
+            if(oColumn && oColumn.sortable) {
+                this.onEventSortColumn({event:e, target:elTh});
+                return true;
+            }
+            return false;
+        case 35: // end
+            elNew = this._getGridCellEl(elRow, elRow.cells.length-1, -1);
+            break;
+        case 36: // home
+            elNew = this._getGridCellEl(elRow, 0, 1);
+            break;
+        case 37: // left
+            elNew = this._getGridCellEl(elRow, elTh.cellIndex-1, -1);
+            break;
+        case 39: // right
+            elNew = this._getGridCellEl(elRow, elTh.cellIndex+1, 1);
+            break;
+        case 38: // up
+            elNew = (oColumn && oColumn.getParent()) ? oColumn.getParent().getThEl() : null;
+            break;
+        case 40: // down
+            if(oColumn) {
+                // First visible child Column, or first row of a key Column
+                for(i=0; i<allColumns.length; i++) {
+                    if((allColumns[i].getParent() === oColumn) && !allColumns[i].hidden) {
+                        elNew = allColumns[i].getThEl();
+                        break;
+                    }
+                }
+                if(!elNew && (oColumn.getKeyIndex() !== null)) {
+                    elNew = this._getGridRowEl();
+                    elNew = elNew ? elNew.cells[oColumn.getKeyIndex()] : null;
+                }
+            }
+            break;
+        default:
+            return false;
+    }
+
+    Ev.stopEvent(e);
+    if(elNew) {
+        this.focusCell(elNew);
+    }
+    return true;
+},
+
+/**
+ * Handles a key event on a data cell: arrow keys, Home, End, PageUp and
+ * PageDown move the focus, Enter and F2 show the CellEditor, Escape cancels
+ * it and Space toggles the selection.
+ *
+ * @method _handleGridBodyKey
+ * @param e {HTMLEvent} Event object.
+ * @param elTd {HTMLElement} The TD element.
+ * @return {Boolean} True if the key was handled.
+ * @private
+ */
+_handleGridBodyKey : function(e, elTd) {
+    var nKey = Ev.getCharCode(e),
+        bCTRL = e.ctrlKey || e.metaKey,
+        sMode = this.get("selectionMode"),
+        bCellMode = (sMode == "singlecell") || (sMode == "cellblock") || (sMode == "cellrange"),
+        oColumn = this.getColumn(elTd),
+        elRow = elTd.parentNode,
+        nIndex = elTd.cellIndex,
+        elNew = null,
+        oRecord;
+
+    switch(nKey) {
+        case 13: // enter
+        case 113: // F2
+            if(oColumn && oColumn.editor) {
+                Ev.stopEvent(e);
+                this.showCellEditor(elTd);
+                return true;
+            }
+            return false;
+        case 27: // escape
+            if(this._oCellEditor && this._oCellEditor.isActive) {
+                this.cancelCellEditor();
+                return true;
+            }
+            return false;
+        case 32: // space
+            Ev.stopEvent(e);
+            this._toggleGridSelection(elTd);
+            return true;
+        case 33: // page up
+        case 34: // page down
+            if(this._changeGridPage(elTd, (nKey == 33) ? -1 : 1)) {
+                Ev.stopEvent(e);
+                return true;
+            }
+            elNew = this._getGridRowEl(nKey == 34);
+            elNew = elNew ? elNew.cells[nIndex] : null;
+            break;
+        case 35: // end
+            elNew = this._getGridCellEl((bCTRL && this._getGridRowEl(true)) || elRow, elRow.cells.length-1, -1);
+            break;
+        case 36: // home
+            elNew = this._getGridCellEl((bCTRL && this._getGridRowEl()) || elRow, 0, 1);
+            break;
+        case 37: // left
+        case 39: // right
+            // Expand and collapse tree rows, or go up to the parent row
+            if(this._oTreeGrid && (oColumn === this._getTreeColumn())) {
+                oRecord = this.getRecord(elRow);
+                if(this.hasTreeChildren(oRecord) && (this.isTreeRowExpanded(oRecord) === (nKey == 37))) {
+                    Ev.stopEvent(e);
+                    if(nKey == 37) {
+                        this.collapseTreeRow(oRecord);
+                    }
+                    else {
+                        this.expandTreeRow(oRecord);
+                    }
+                    return true;
+                }
+                if((nKey == 37) && this.getTreeParent(oRecord)) {
+                    elNew = this.getTdEl({record:this.getTreeParent(oRecord), column:oColumn});
+                    break;
+                }
+            }
+            elNew = (nKey == 37) ? this._getGridCellEl(elRow, nIndex-1, -1) : this._getGridCellEl(elRow, nIndex+1, 1);
+            break;
+        case 38: // up
+            elNew = this.getPreviousTrEl(elRow);
+            elNew = elNew ? elNew.cells[nIndex] : (oColumn ? oColumn.getThEl() : null);
+            break;
+        case 40: // down
+            elNew = this.getNextTrEl(elRow);
+            elNew = elNew ? elNew.cells[nIndex] : null;
+            break;
+        default:
+            return false;
+    }
+
+    Ev.stopEvent(e);
+    if(elNew) {
+        // SHIFT extends the selection the way of the selection mode
+        if(e.shiftKey && this.getTdEl(elNew) &&
+                (((sMode == "standard") && ((nKey == 38) || (nKey == 40))) ||
+                (((sMode == "cellblock") || (sMode == "cellrange")) && (nKey >= 37) && (nKey <= 40)))) {
+            if(!this._getSelectionTrigger()) {
+                this._selectGridCell(elTd);
+            }
+            this._handleSelectionByKey(e);
+            var oTrigger = this._getSelectionTrigger();
+            if(oTrigger) {
+                this.focusCell(bCellMode ? oTrigger.el : oTrigger.el.cells[nIndex]);
+            }
+        }
+        else {
+            this.focusCell(elNew);
+            // The selection follows the focus, unless CTRL moves the focus alone
+            if((!bCTRL || (nKey == 35) || (nKey == 36)) && this.getTdEl(elNew)) {
+                this._selectGridCell(elNew);
+            }
+        }
+    }
+    return true;
+},
+
+/**
+ * Selects only the row of the given cell in row selection modes, or only the
+ * cell in cell selection modes, and makes it the selection anchor.
+ *
+ * @method _selectGridCell
+ * @param elTd {HTMLElement} The TD element.
+ * @private
+ */
+_selectGridCell : function(elTd) {
+    var sMode = this.get("selectionMode"),
+        oRecord = this.getRecord(elTd);
 
+    if((sMode == "singlecell") || (sMode == "cellblock") || (sMode == "cellrange")) {
+        this._oAnchorCell = {record:oRecord, column:this.getColumn(elTd)};
+        if(!this.isSelected(elTd) || (this.getSelectedCells().length > 1)) {
+            this.unselectAllCells();
+            this.selectCell(elTd);
+        }
     }
-
-    if (newPag) {
-        this.renderPaginator();
+    else {
+        this._oAnchorRecord = oRecord;
+        if(!this.isSelected(oRecord) || (this.getSelectedRows().length > 1)) {
+            this.unselectAllRows();
+            this.selectRow(oRecord);
+        }
     }
-
 },
 
 /**
- * Returns the default containers used for Paginators.  If create param is
- * passed, the containers will be created and added to the DataTable container.
+ * Toggles the selection of the row of the given cell in row selection modes,
+ * or of the cell in cell selection modes.
  *
- * @method _defaultPaginatorContainers
- * @param create {boolean} Create the default containers if not found
+ * @method _toggleGridSelection
+ * @param elTd {HTMLElement} The TD element.
  * @private
  */
-_defaultPaginatorContainers : function (create) {
-    var above_id = this._sId + '-paginator0',
-        below_id = this._sId + '-paginator1',
-        above    = Dom.get(above_id),
-        below    = Dom.get(below_id);
-
-    if (create && (!above || !below)) {
-        // One above and one below the table
-        if (!above) {
-            above    = document.createElement('div');
-            above.id = above_id;
-            Dom.addClass(above, DT.CLASS_PAGINATOR);
+_toggleGridSelection : function(elTd) {
+    var sMode = this.get("selectionMode"),
+        oRecord = this.getRecord(elTd);
 
-            this._elContainer.insertBefore(above,this._elContainer.firstChild);
+    if((sMode == "singlecell") || (sMode == "cellblock") || (sMode == "cellrange")) {
+        if(this.isSelected(elTd)) {
+            this.unselectCell(elTd);
         }
-
-        if (!below) {
-            below    = document.createElement('div');
-            below.id = below_id;
-            Dom.addClass(below, DT.CLASS_PAGINATOR);
-
-            this._elContainer.appendChild(below);
+        else {
+            if(sMode == "singlecell") {
+                this.unselectAllCells();
+            }
+            this.selectCell(elTd);
+            this._oAnchorCell = {record:oRecord, column:this.getColumn(elTd)};
+        }
+    }
+    else {
+        if(this.isSelected(oRecord)) {
+            this.unselectRow(oRecord);
+        }
+        else {
+            if(sMode == "single") {
+                this.unselectAllRows();
+            }
+            this.selectRow(oRecord);
+            this._oAnchorRecord = oRecord;
         }
     }
-
-    return [above,below];
 },
 
 /**
- * Calls Paginator's destroy() method
+ * Shows the previous or next page of the Paginator, and focuses the cell at
+ * the same position once it is rendered.
  *
- * @method _destroyPaginator
+ * @method _changeGridPage
+ * @param elTd {HTMLElement} The focused TD element.
+ * @param nStep {Number} -1 for the previous page, 1 for the next page.
+ * @return {Boolean} True if the page changed.
  * @private
  */
-_destroyPaginator : function () {
-    var oldPag = this.get('paginator');
-    if (oldPag) {
-        oldPag.destroy();
+_changeGridPage : function(elTd, nStep) {
+    var oPaginator = this.get("paginator");
+    if(oPaginator && ((nStep < 0) ? oPaginator.hasPreviousPage() : oPaginator.hasNextPage())) {
+        this._oGridPageFocus = {trIndex:this.getTrIndex(elTd), keyIndex:elTd.cellIndex};
+        oPaginator.setPage(oPaginator.getCurrentPage() + nStep);
+        return true;
     }
+    return false;
 },
 
 /**
- * Renders the Paginator to the DataTable UI
+ * Updates the grid roles and states when the header, the sort or the
+ * selection mode change.
  *
- * @method renderPaginator
+ * @method _onGridChange
+ * @private
  */
-renderPaginator : function () {
-    var pag = this.get("paginator");
-    if (!pag) { return; }
-
-    // Add the containers if the Paginator is not configured with containers
-    if (!pag.getContainerNodes().length) {
-        pag.set('containers',this._defaultPaginatorContainers(true));
+_onGridChange : function() {
+    if(this._bGridNavigation && this._elTbody) {
+        this._setGridStates();
     }
-
-    pag.render();
 },
 
 /**
- * Overridable method gives implementers a hook to show loading message before
- * changing Paginator value.
+ * Updates the aria-selected state when rows or cells are selected or
+ * unselected.
  *
- * @method doBeforePaginatorChange
- * @param oPaginatorState {Object} An object literal describing the proposed pagination state.
- * @return {Boolean} Return true to continue changing Paginator value.
+ * @method _onGridSelectionChange
+ * @param oArgs {Object} Custom Event args.
+ * @private
  */
-doBeforePaginatorChange : function(oPaginatorState) {
-    this.showTableMessage(this.get("MSG_LOADING"), DT.CLASS_LOADING);
-    return true;
+_onGridSelectionChange : function(oArgs) {
+    if(this._bGridNavigation) {
+        if(oArgs && oArgs.el) {
+            this._setGridAttribute(oArgs.el, "aria-selected",
+                    Dom.hasClass(oArgs.el, DT.CLASS_SELECTED) ? "true" : "false");
+        }
+        else {
+            this._setGridSelections();
+        }
+    }
 },
 
 /**
- * Responds to new Pagination states. By default, updates the UI to reflect the
- * new state. If "dynamicData" is true, current selections are purged before
- * a request is sent to the DataSource for data for the new state (using the
- * request returned by "generateRequest()").
- *  
- * @method onPaginatorChangeRequest
- * @param oPaginatorState {Object} An object literal describing the proposed pagination state.
+ * Puts a clicked cell in the tab order.
+ *
+ * @method _onGridCellClick
+ * @param oArgs.event {HTMLEvent} Event object.
+ * @param oArgs.target {HTMLElement} Target element.
+ * @private
  */
-onPaginatorChangeRequest : function (oPaginatorState) {
-    var ok = this.doBeforePaginatorChange(oPaginatorState);
-    if(ok) {
-        // Server-side pagination
-        if(this.get("dynamicData")) {
-            // Get the current state
-            var oState = this.getState();
-            
-            // Update pagination values
-            oState.pagination = oPaginatorState;
-    
-            // Get the request for the new state
-            var request = this.get("generateRequest")(oState, this);
-            
-            // Purge selections
-            this.unselectAllRows();
-            this.unselectAllCells();
-            
-            // Get the new data from the server
-            var callback = {
-                success : this.onDataReturnSetRows,
-                failure : this.onDataReturnSetRows,
-                argument : oState, // Pass along the new state to the callback
-                scope : this
-            };
-            this._oDataSource.sendRequest(request, callback);
-        }
-        // Client-side pagination
-        else {
-            // Set the core pagination values silently (the second param)
-            // to avoid looping back through the changeRequest mechanism
-            oPaginatorState.paginator.setStartIndex(oPaginatorState.recordOffset,true);
-            oPaginatorState.paginator.setRowsPerPage(oPaginatorState.rowsPerPage,true);
-    
-            // Update the UI
-            this.render();
+_onGridCellClick : function(oArgs) {
+    if(this._bGridNavigation) {
+        var elCell = this.getTdEl(oArgs.target) || this.getThEl(oArgs.target);
+        if(elCell) {
+            this._setGridFocusEl(elCell);
         }
     }
-    else {
-        YAHOO.log("Could not change Paginator value \"" + oPaginatorState + "\"", "warn", this.toString());
-    }
 },
 
-
-
-
+/**
+ * Gives the focus back to the edited cell when the CellEditor is saved or
+ * canceled from within, rather than by moving the focus elsewhere.
+ *
+ * @method _onGridEditorHide
+ * @param oArgs.editor {YAHOO.widget.CellEditor} The CellEditor instance.
+ * @private
+ */
+_onGridEditorHide : function(oArgs) {
+    var oCellEditor = oArgs.editor,
+        elActive = document.activeElement;
+    if(this._bGridNavigation && oCellEditor && oCellEditor.getTdEl &&
+            (!elActive || (elActive == document.body) || Dom.isAncestor(oCellEditor.getContainerEl(), elActive))) {
+        this.focusCell(oCellEditor.getTdEl());
+    }
+},
 
 
 
@@ -7927,6 +13458,33 @@ _handleStandardSelectionByMouse : function(oArgs) {
     }
 },
 
+/**
+ * Determines selection behavior resulting from a key event for the current
+ * selection mode.
+ *
+ * @method _handleSelectionByKey
+ * @param e {HTMLEvent} Event object.
+ * @private
+ */
+_handleSelectionByKey : function(e) {
+    var sMode = this.get("selectionMode");
+    if(sMode == "standard") {
+        this._handleStandardSelectionByKey(e);
+    }
+    else if(sMode == "single") {
+        this._handleSingleSelectionByKey(e);
+    }
+    else if(sMode == "cellblock") {
+        this._handleCellBlockSelectionByKey(e);
+    }
+    else if(sMode == "cellrange") {
+        this._handleCellRangeSelectionByKey(e);
+    }
+    else if(sMode == "singlecell") {
+        this._handleSingleCellSelectionByKey(e);
+    }
+},
+
 /**
  * Determines selection behavior resulting from a key event when selection mode
  * is set to "standard".
@@ -8092,7 +13650,7 @@ _handleCellBlockSelectionByMouse : function(oArgs) {
 
         var oAnchor = this._getSelectionAnchor();
 
-        var allRows = this.getTbodyEl().rows;
+        var allRows = this._getRecordTrEls();
         var startIndex, endIndex, currentRow, i, j;
 
         // Both SHIFT and CTRL
@@ -8166,13 +13724,13 @@ _handleCellBlockSelectionByMouse : function(oArgs) {
                             currentRow = allRows[i];
                             for(j=0; j<currentRow.cells.length; j++) {
                                 // This is the anchor row, only unselect cells after the anchor cell
-                                if(currentRow.sectionRowIndex === oAnchor.trIndex) {
+                                if(i === oAnchor.trIndex) {
                                     if(j>oAnchor.colKeyIndex) {
                                         this.unselectCell(currentRow.cells[j]);
                                     }
                                 }
                                 // This is the target row, only unelect cells before the target cell
-                                else if(currentRow.sectionRowIndex === nTargetTrIndex) {
+                                else if(i === nTargetTrIndex) {
                                     if(j<nTargetColKeyIndex) {
                                         this.unselectCell(currentRow.cells[j]);
                                     }
@@ -8191,13 +13749,13 @@ _handleCellBlockSelectionByMouse : function(oArgs) {
                             currentRow = allRows[i];
                             for(j=0; j<currentRow.cells.length; j++) {
                                 // This is the target row, only unselect cells after the target cell
-                                if(currentRow.sectionRowIndex == nTargetTrIndex) {
+                                if(i == nTargetTrIndex) {
                                     if(j>nTargetColKeyIndex) {
                                         this.unselectCell(currentRow.cells[j]);
                                     }
                                 }
                                 // This is the anchor row, only unselect cells before the anchor cell
-                                else if(currentRow.sectionRowIndex == oAnchor.trIndex) {
+                                else if(i == oAnchor.trIndex) {
                                     if(j<oAnchor.colKeyIndex) {
                                         this.unselectCell(currentRow.cells[j]);
                                     }
@@ -8340,7 +13898,7 @@ _handleCellBlockSelectionByKey : function(e) {
         var oAnchor = this._getSelectionAnchor(oTrigger);
 
         var i, startIndex, endIndex, elNew, elNewRow;
-        var allRows = this.getTbodyEl().rows;
+        var allRows = this._getRecordTrEls();
         var elThisRow = oTrigger.el.parentNode;
 
         // Determine which direction we're going to
@@ -8520,7 +14078,7 @@ _handleCellRangeSelectionByMouse : function(oArgs) {
 
         var oAnchor = this._getSelectionAnchor();
 
-        var allRows = this.getTbodyEl().rows;
+        var allRows = this._getRecordTrEls();
         var currentRow, i, j;
 
         // Both SHIFT and CTRL
@@ -8608,13 +14166,13 @@ _handleCellRangeSelectionByMouse : function(oArgs) {
                             currentRow = allRows[i];
                             for(j=0; j<currentRow.cells.length; j++) {
                                 // This is the anchor row, only unselect cells after the anchor cell
-                                if(currentRow.sectionRowIndex === oAnchor.trIndex) {
+                                if(i === oAnchor.trIndex) {
                                     if(j>oAnchor.colKeyIndex) {
                                         this.unselectCell(currentRow.cells[j]);
                                     }
                                 }
                                 // This is the target row, only unelect cells before the target cell
-                                else if(currentRow.sectionRowIndex === nTargetTrIndex) {
+                                else if(i === nTargetTrIndex) {
                                     if(j<nTargetColKeyIndex) {
                                         this.unselectCell(currentRow.cells[j]);
                                     }
@@ -8633,13 +14191,13 @@ _handleCellRangeSelectionByMouse : function(oArgs) {
                             currentRow = allRows[i];
                             for(j=0; j<currentRow.cells.length; j++) {
                                 // This is the target row, only unselect cells after the target cell
-                                if(currentRow.sectionRowIndex == nTargetTrIndex) {
+                                if(i == nTargetTrIndex) {
                                     if(j>nTargetColKeyIndex) {
                                         this.unselectCell(currentRow.cells[j]);
                                     }
                                 }
                                 // This is the anchor row, only unselect cells before the anchor cell
-                                else if(currentRow.sectionRowIndex == oAnchor.trIndex) {
+                                else if(i == oAnchor.trIndex) {
                                     if(j<oAnchor.colKeyIndex) {
                                         this.unselectCell(currentRow.cells[j]);
                                     }
@@ -8702,13 +14260,13 @@ _handleCellRangeSelectionByMouse : function(oArgs) {
                         currentRow = allRows[i];
                         for(j=0; j<currentRow.cells.length; j++) {
                             // This is the anchor row, only select the anchor cell and after
-                            if(currentRow.sectionRowIndex == oAnchor.trIndex) {
+                            if(i == oAnchor.trIndex) {
                                 if(j>=oAnchor.colKeyIndex) {
                                     this.selectCell(currentRow.cells[j]);
                                 }
                             }
                             // This is the target row, only select the target cell and before
-                            else if(currentRow.sectionRowIndex == nTargetTrIndex) {
+                            else if(i == nTargetTrIndex) {
                                 if(j<=nTargetColKeyIndex) {
                                     this.selectCell(currentRow.cells[j]);
                                 }
@@ -8728,13 +14286,13 @@ _handleCellRangeSelectionByMouse : function(oArgs) {
                         currentRow = allRows[i];
                         for(j=0; j<currentRow.cells.length; j++) {
                             // This is the target row, only select the target cell and after
-                            if(currentRow.sectionRowIndex == nTargetTrIndex) {
+                            if(i == nTargetTrIndex) {
                                 if(j>=nTargetColKeyIndex) {
                                     this.selectCell(currentRow.cells[j]);
                                 }
                             }
                             // This is the anchor row, only select the anchor cell and before
-                            else if(currentRow.sectionRowIndex == oAnchor.trIndex) {
+                            else if(i == oAnchor.trIndex) {
                                 if(j<=oAnchor.colKeyIndex) {
                                     this.selectCell(currentRow.cells[j]);
                                 }
@@ -8810,7 +14368,7 @@ _handleCellRangeSelectionByKey : function(e) {
         var oAnchor = this._getSelectionAnchor(oTrigger);
 
         var i, elNewRow, elNew;
-        var allRows = this.getTbodyEl().rows;
+        var allRows = this._getRecordTrEls();
         var elThisRow = oTrigger.el.parentNode;
 
         // Arrow down
@@ -10225,7 +15783,8 @@ doBeforeLoadData : function(sRequest, oResponse, oPayload) {
 /////////////////////////////////////////////////////////////////////////////
 
 /**
- * Overridable custom event handler to sort Column.
+ * Overridable custom event handler to sort Column. Shift-click adds the Column
+ * to the current sort.
  *
  * @method onEventSortColumn
  * @param oArgs.event {HTMLEvent} Event object.
@@ -10239,9 +15798,10 @@ onEventSortColumn : function(oArgs) {
     var el = this.getThEl(target) || this.getTdEl(target);
     if(el) {
         var oColumn = this.getColumn(el);
-        if(oColumn.sortable) {
+        // Filter row cells have no Column
+        if(oColumn && oColumn.sortable) {
             Ev.stopEvent(evt);
-            this.sortColumn(oColumn);
+            this.sortColumn(oColumn, null, evt.shiftKey);
         }
     }
     else {
@@ -10505,6 +16065,11 @@ onDataReturnReplaceRows : function(oRequest, oResponse, oPayload) {
             }
     
             this._oRecordSet.setRecords(oResponse.results, index | 0);
+
+            // Apply client-side filters to the new Records
+            if(this._oFilters && !this.get('dynamicData')) {
+                this._filterRecordSet();
+            }
             
             // Update state
             this._handleDataReturnPayload(oRequest, oResponse, oPayload);
@@ -10539,7 +16104,7 @@ onDataReturnAppendRows : function(sRequest, oResponse, oPayload) {
         // Data ok to append
         if(ok && oResponse && !oResponse.error && lang.isArray(oResponse.results)) {        
             // Append rows
-            this.addRows(oResponse.results);
+            this._addDataReturnRows(oResponse.results);
     
             // Update state
             this._handleDataReturnPayload(sRequest, oResponse, oPayload);
@@ -10573,7 +16138,7 @@ onDataReturnInsertRows : function(sRequest, oResponse, oPayload) {
         // Data ok to append
         if(ok && oResponse && !oResponse.error && lang.isArray(oResponse.results)) {
             // Insert rows
-            this.addRows(oResponse.results, (oPayload ? oPayload.insertIndex : 0));
+            this._addDataReturnRows(oResponse.results, (oPayload ? oPayload.insertIndex : 0));
     
             // Update state
             this._handleDataReturnPayload(sRequest, oResponse, oPayload);
@@ -10652,6 +16217,17 @@ onDataReturnSetRows : function(oRequest, oResponse, oPayload) {
             }
     
             this._oRecordSet.setRecords(oResponse.results, index | 0);
+
+            // Apply client-side filters to the new Records
+            if(this._oFilters && !this.get('dynamicData')) {
+                this._filterRecordSet();
+            }
+
+            // Sort the first Records by the restored Column state
+            if(this._aRestoredSortedBy) {
+                this._oRecordSet.sortRecords(this._getMultiSortFunction(this._aRestoredSortedBy));
+                this._aRestoredSortedBy = null;
+            }
     
             // Update state
             this._handleDataReturnPayload(oRequest, oResponse, oPayload);
@@ -11096,6 +16672,16 @@ _handleDataReturnPayload : function (oRequest, oResponse, oPayload) {
      * or YAHOO.widget.DataTable.CLASS_DESC.
      */
 
+    /**
+     * Fired when a column is filtered, or when all filters are cleared.
+     *
+     * @event columnFilterEvent
+     * @param oArgs.column {YAHOO.widget.Column} The Column instance, or null if
+     * all filters were cleared.
+     * @param oArgs.filter {Object | Function} The new filter, or null if it was
+     * cleared.
+     */
+
     /**
      * Fired when a column width is set.
      *
@@ -11142,6 +16728,35 @@ _handleDataReturnPayload : function (oRequest, oResponse, oPayload) {
      * @param oArgs.column {YAHOO.widget.Column} The Column instance.
      */
 
+    /**
+     * Fired when the column chooser is shown.
+     *
+     * @event columnChooserShowEvent
+     * @param oArgs.element {HTMLElement} The column chooser container element.
+     */
+
+    /**
+     * Fired when the column chooser is hidden.
+     *
+     * @event columnChooserHideEvent
+     */
+
+    /**
+     * Fired when the changes posted by postChanges() were received.
+     *
+     * @event changesPostEvent
+     * @param oArgs.changeset {Object} The posted changeset.
+     * @param oArgs.response {Object} The Connection response object.
+     */
+
+    /**
+     * Fired when the changes posted by postChanges() could not be received.
+     *
+     * @event changesPostErrorEvent
+     * @param oArgs.changeset {Object} The posted changeset.
+     * @param oArgs.response {Object} The Connection response object.
+     */
+
     /**
      * Fired when a column is selected.
      *
@@ -11217,6 +16832,58 @@ _handleDataReturnPayload : function (oRequest, oResponse, oPayload) {
      * @param oArgs.target {HTMLElement} The TR element.
      */
 
+    /**
+     * Fired when a group header row has a click.
+     *
+     * @event groupClickEvent
+     * @param oArgs.event {HTMLEvent} The event object.
+     * @param oArgs.target {HTMLElement} The target element.
+     * @param oArgs.group {Object} The group.
+     */
+
+    /**
+     * Fired when a group is collapsed.
+     *
+     * @event groupCollapseEvent
+     * @param oArgs.group {Object} The group.
+     */
+
+    /**
+     * Fired when a group is expanded.
+     *
+     * @event groupExpandEvent
+     * @param oArgs.group {Object} The group.
+     */
+
+    /**
+     * Fired when a tree row is collapsed.
+     *
+     * @event treeRowCollapseEvent
+     * @param oArgs.record {YAHOO.widget.Record} The Record of the row.
+     */
+
+    /**
+     * Fired when a tree row is expanded.
+     *
+     * @event treeRowExpandEvent
+     * @param oArgs.record {YAHOO.widget.Record} The Record of the row.
+     */
+
+    /**
+     * Fired when the child rows of a tree row are loaded from the DataSource.
+     *
+     * @event treeChildrenLoadEvent
+     * @param oArgs.record {YAHOO.widget.Record} The Record of the parent row.
+     * @param oArgs.data {Object[]} The data of the child rows.
+     */
+
+    /**
+     * Fired when a cell is focused with grid navigation.
+     *
+     * @event cellFocusEvent
+     * @param oArgs.el {HTMLElement} The TD or TH element.
+     */
+
     /**
      * Fired when a row has a click.
      *
@@ -11262,6 +16929,7 @@ _handleDataReturnPayload : function (oRequest, oResponse, oPayload) {
      * @param oArgs.oldData {Object} Object literal of the deleted data.
      * @param oArgs.recordIndex {Number} Index of the deleted Record.
      * @param oArgs.trElIndex {Number} Index of the deleted TR element, if on current page.
+     * @param oArgs.record {YAHOO.widget.Record} The deleted Record.
      */
      
     /**
@@ -11271,6 +16939,7 @@ _handleDataReturnPayload : function (oRequest, oResponse, oPayload) {
      * @param oArgs.oldData {Object[]} Array of object literals of the deleted data.
      * @param oArgs.recordIndex {Number} Index of the first deleted Record.
      * @param oArgs.count {Number} Number of deleted Records.
+     * @param oArgs.records {YAHOO.widget.Record[]} The deleted Records.
      */
 
     /**
@@ -11320,6 +16989,62 @@ _handleDataReturnPayload : function (oRequest, oResponse, oPayload) {
      * @param oArgs.oldData {Object} Original data value of the updated cell.
      */
 
+    /**
+     * Fired when selected cells are copied to the clipboard.
+     *
+     * @event cellsCopyEvent
+     * @param oArgs.text {String} The cells as tab-separated values.
+     * @param oArgs.html {String} The cells as a TABLE.
+     */
+
+    /**
+     * Fired when cells are pasted.
+     *
+     * @event cellsPasteEvent
+     * @param oArgs.cells {Object[]} The pasted cells as object literals with
+     * the properties record, column, oldData and newData.
+     */
+
+    /**
+     * Fired when a paste is undone.
+     *
+     * @event cellsPasteUndoEvent
+     * @param oArgs.cells {Object[]} The cells of the paste as object literals
+     * with the properties record, column, oldData and newData.
+     */
+
+    /**
+     * Fired before an edit is undone. Return false to keep the edit.
+     *
+     * @event beforeUndoEvent
+     * @param oArgs.actions {Object[]} The actions of the edit as object
+     * literals with the property type: "cell" actions have the properties
+     * record, key, oldData and newData, and "add" and "delete" actions have the
+     * property records.
+     */
+
+    /**
+     * Fired when an edit is undone.
+     *
+     * @event undoEvent
+     * @param oArgs.actions {Object[]} The actions of the edit.
+     */
+
+    /**
+     * Fired before an undone edit is redone. Return false to not redo the
+     * edit.
+     *
+     * @event beforeRedoEvent
+     * @param oArgs.actions {Object[]} The actions of the edit.
+     */
+
+    /**
+     * Fired when an undone edit is redone.
+     *
+     * @event redoEvent
+     * @param oArgs.actions {Object[]} The actions of the edit.
+     */
+
     /**
      * Fired when a cell has a mouseover.
      *
@@ -11449,6 +17174,10 @@ _handleDataReturnPayload : function (oRequest, oResponse, oPayload) {
      * @param oArgs.editor {YAHOO.widget.CellEditor} The CellEditor instance.
      * @param oArgs.newData {Object} New data value from form input field.
      * @param oArgs.oldData {Object} Old data value.
+     * @param oArgs.record {YAHOO.widget.Record} The Record of the cell, when
+     * fired by pasteCells().
+     * @param oArgs.column {YAHOO.widget.Column} The Column of the cell, when
+     * fired by pasteCells().
      */
 
     /**
@@ -11458,6 +17187,10 @@ _handleDataReturnPayload : function (oRequest, oResponse, oPayload) {
      * @param oArgs.editor {YAHOO.widget.CellEditor} The CellEditor instance.
      * @param oArgs.newData {Object} New data value from form input field.
      * @param oArgs.oldData {Object} Old data value.
+     * @param oArgs.record {YAHOO.widget.Record} The Record of the cell, when
+     * fired by pasteCells().
+     * @param oArgs.column {YAHOO.widget.Column} The Column of the cell, when
+     * fired by pasteCells().
      */
 
     /**
@@ -25,8 +25,19 @@ YAHOO.widget.RecordSet = function(data) {
     this._sId = "yui-rs" + widget.RecordSet._nCount;
     widget.RecordSet._nCount++;
     this._records = [];
+    this._oChanges = {};
+    this._aDeleted = [];
     //this._length = 0;
 
+    // Create the events up front so implementers can subscribe to them
+    var aEvents = ["recordAddEvent","recordsAddEvent","recordSetEvent",
+            "recordsSetEvent","recordsSet","recordUpdateEvent","keyUpdateEvent",
+            "recordValueUpdateEvent","recordsFilterEvent","recordDeleteEvent",
+            "recordsDeleteEvent","resetEvent","changesCommitEvent","changesRejectEvent"];
+    for(var i=0; i<aEvents.length; i++) {
+        this.createEvent(aEvents[i]);
+    }
+
     if(data) {
         if(lang.isArray(data)) {
             this.addRecords(data);
@@ -34,6 +45,8 @@ YAHOO.widget.RecordSet = function(data) {
         else if(lang.isObject(data)) {
             this.addRecord(data);
         }
+        // Initial data is not a change
+        this._oChanges = {};
     }
 
     YAHOO.log("RecordSet initialized", "info", this.toString());
@@ -51,6 +64,20 @@ var RS = widget.RecordSet;
  */
 RS._nCount = 0;
 
+/**
+ * Returns true if the given values are the same, comparing Dates by time.
+ *
+ * @method RecordSet._isSameValue
+ * @param a {Object} First value.
+ * @param b {Object} Second value.
+ * @return {Boolean} True if the values are the same.
+ * @private
+ * @static
+ */
+RS._isSameValue = function(a, b) {
+    return (a === b) || ((a instanceof Date) && (b instanceof Date) && (a.getTime() === b.getTime()));
+};
+
 RS.prototype = {
 
     /////////////////////////////////////////////////////////////////////////////
@@ -67,6 +94,47 @@ RS.prototype = {
      */
     _sId : null,
 
+    /**
+     * All Records in order, including those hidden by filterRecords(), or null
+     * if the RecordSet is not filtered.
+     *
+     * @property _aUnfiltered
+     * @type YAHOO.widget.Record[]
+     * @private
+     */
+    _aUnfiltered : null,
+
+    /**
+     * IDs of the Records hidden by filterRecords().
+     *
+     * @property _oHidden
+     * @type Object
+     * @private
+     */
+    _oHidden : null,
+
+    /**
+     * Changes of the Records since the last commitChanges(), by Record ID, as
+     * object literals with the properties record, inserted (true for added
+     * Records) and oldData (the original values of the updated fields).
+     *
+     * @property _oChanges
+     * @type Object
+     * @private
+     */
+    _oChanges : null,
+
+    /**
+     * Records deleted since the last commitChanges(), in order of deletion, as
+     * object literals with the properties record, index and oldData (the
+     * original data).
+     *
+     * @property _aDeleted
+     * @type Object[]
+     * @private
+     */
+    _aDeleted : null,
+
     /**
      * Internal counter of how many Records are in the RecordSet.
      *
@@ -156,6 +224,160 @@ RS.prototype = {
         //this._length = this._length - range;
     },
 
+    /**
+     * Brings the Records hidden by filterRecords() back in step with changes
+     * to the visible Records. Deleted Records are removed by identity, so that
+     * hidden Records keep their positions. The remaining visible Records fill
+     * the positions of the previously visible ones in their current order, and
+     * added Records follow the visible Record before them.
+     *
+     * @method _syncUnfiltered
+     * @private
+     */
+    _syncUnfiltered : function() {
+        var aAll = this._aUnfiltered;
+        if(aAll) {
+            var aRecords = [],
+                aKept = [],
+                aSynced = [],
+                oVisible = {},
+                oKept = {},
+                oHidden = this._oHidden,
+                nNext = 0,
+                i, len, sId;
+
+            // setRecords() may leave gaps
+            for(i=0, len=this._records.length; i<len; i++) {
+                if(this._records[i]) {
+                    aRecords[aRecords.length] = this._records[i];
+                    oVisible[this._records[i]._sId] = true;
+                }
+            }
+
+            // Remove deleted Records
+            for(i=0, len=aAll.length; i<len; i++) {
+                sId = aAll[i]._sId;
+                if(oHidden[sId] || oVisible[sId]) {
+                    aKept[aKept.length] = aAll[i];
+                    oKept[sId] = !oHidden[sId];
+                }
+            }
+
+            for(i=0, len=aRecords.length; i<len; i++) {
+                if(oKept[aRecords[i]._sId]) {
+                    // Bring along the hidden Records before the next visible position
+                    while((nNext < aKept.length) && oHidden[aKept[nNext]._sId]) {
+                        aSynced[aSynced.length] = aKept[nNext++];
+                    }
+                    nNext++;
+                }
+                aSynced[aSynced.length] = aRecords[i];
+            }
+            this._aUnfiltered = aSynced.concat(aKept.slice(nNext));
+        }
+    },
+
+    /**
+     * Sets the visible Records to the Records that filterRecords() does not
+     * hide, in order.
+     *
+     * @method _showUnfiltered
+     * @return {YAHOO.widget.Record[]} Array of the Records that are not hidden.
+     * @private
+     */
+    _showUnfiltered : function() {
+        var aAll = this._aUnfiltered,
+            aRecords = [];
+
+        for(var i=0, len=aAll.length; i<len; i++) {
+            if(!this._oHidden[aAll[i]._sId]) {
+                aRecords[aRecords.length] = aAll[i];
+            }
+        }
+        return (this._records = aRecords);
+    },
+
+    /**
+     * Tracks the given Records as added.
+     *
+     * @method _trackInsert
+     * @param aRecords {YAHOO.widget.Record[]} Added Records.
+     * @private
+     */
+    _trackInsert : function(aRecords) {
+        for(var i=0, len=aRecords.length; i<len; i++) {
+            this._oChanges[aRecords[i]._sId] = {record:aRecords[i], inserted:true, oldData:{}};
+        }
+    },
+
+    /**
+     * Tracks a change of the given field of the given Record. A field that is
+     * changed back to its original value is no longer tracked.
+     *
+     * @method _trackUpdate
+     * @param oRecord {YAHOO.widget.Record} Updated Record.
+     * @param sKey {String} Key of the field.
+     * @param oOldData {Object} Value before the change.
+     * @param oNewData {Object} Value after the change.
+     * @private
+     */
+    _trackUpdate : function(oRecord, sKey, oOldData, oNewData) {
+        var oChange = this._oChanges[oRecord._sId];
+        if(oChange && oChange.inserted) {
+            return;
+        }
+        if(!oChange) {
+            if(RS._isSameValue(oOldData, oNewData)) {
+                return;
+            }
+            oChange = this._oChanges[oRecord._sId] = {record:oRecord, inserted:false, oldData:{}};
+        }
+
+        if(!lang.hasOwnProperty(oChange.oldData, sKey)) {
+            oChange.oldData[sKey] = oOldData;
+        }
+        else if(RS._isSameValue(oChange.oldData[sKey], oNewData)) {
+            delete oChange.oldData[sKey];
+            for(sKey in oChange.oldData) {
+                if(lang.hasOwnProperty(oChange.oldData, sKey)) {
+                    return;
+                }
+            }
+            delete this._oChanges[oRecord._sId];
+        }
+    },
+
+    /**
+     * Tracks the given Records as deleted, unless they were added since the
+     * last commitChanges().
+     *
+     * @method _trackDelete
+     * @param aRecords {YAHOO.widget.Record[]} Deleted Records.
+     * @param index {Number} Position index of the first deleted Record.
+     * @private
+     */
+    _trackDelete : function(aRecords, index) {
+        var oChange, oData, sKey;
+
+        // Last Record first, so that restoring them in reverse order puts
+        // each one back at its position
+        for(var i=aRecords.length-1; i>-1; i--) {
+            oChange = this._oChanges[aRecords[i]._sId];
+            delete this._oChanges[aRecords[i]._sId];
+            if(!oChange || !oChange.inserted) {
+                oData = lang.merge(aRecords[i].getData());
+                if(oChange) {
+                    for(sKey in oChange.oldData) {
+                        if(lang.hasOwnProperty(oChange.oldData, sKey)) {
+                            oData[sKey] = oChange.oldData[sKey];
+                        }
+                    }
+                }
+                this._aDeleted[this._aDeleted.length] = {record:aRecords[i], index:index+i, oldData:oData};
+            }
+        }
+    },
+
     /////////////////////////////////////////////////////////////////////////////
     //
     // Public methods
@@ -298,6 +520,8 @@ RS.prototype = {
     addRecord : function(oData, index) {
         if(lang.isObject(oData)) {
             var oRecord = this._addRecord(oData, index);
+            this._syncUnfiltered();
+            this._trackInsert([oRecord]);
             this.fireEvent("recordAddEvent",{record:oRecord,data:oData});
             YAHOO.log("Added Record at index " + index +
                     " with data " + lang.dump(oData), "info", this.toString());
@@ -335,6 +559,8 @@ RS.prototype = {
                     newRecords.push(record);
                 }
            }
+            this._syncUnfiltered();
+            this._trackInsert(newRecords);
             this.fireEvent("recordsAddEvent",{records:newRecords,data:aData});
             YAHOO.log("Added " + newRecords.length + " Record(s) at index " + index +
                     " with data " + lang.dump(aData), "info", this.toString());
@@ -342,6 +568,8 @@ RS.prototype = {
         }
         else if(lang.isObject(aData)) {
             var oRecord = this._addRecord(aData);
+            this._syncUnfiltered();
+            this._trackInsert([oRecord]);
             this.fireEvent("recordsAddEvent",{records:[oRecord],data:aData});
             YAHOO.log("Added 1 Record at index " + index +
                     " with data " + lang.dump(aData), "info", this.toString());
@@ -367,6 +595,7 @@ RS.prototype = {
     setRecord : function(oData, index) {
         if(lang.isObject(oData)) {
             var oRecord = this._setRecord(oData, index);
+            this._syncUnfiltered();
             this.fireEvent("recordSetEvent",{record:oRecord,data:oData});
             YAHOO.log("Set Record at index " + index +
                     " with data " + lang.dump(oData), "info", this.toString());
@@ -402,6 +631,7 @@ RS.prototype = {
                 added[j++] = this._records[index + i] = new Rec(a[i]);
             }
         }
+        this._syncUnfiltered();
 
         this.fireEvent("recordsSetEvent",{records:added,data:aData});
         // Backward compatibility for bug 1918245
@@ -437,6 +667,16 @@ RS.prototype = {
                 }
             }
             oRecord._oData = oData;
+            for(key in oldData) {
+                if(lang.hasOwnProperty(oldData, key)) {
+                    this._trackUpdate(oRecord, key, oldData[key], oData[key]);
+                }
+            }
+            for(key in oData) {
+                if(lang.hasOwnProperty(oData, key) && !lang.hasOwnProperty(oldData, key)) {
+                    this._trackUpdate(oRecord, key, undefined, oData[key]);
+                }
+            }
             this.fireEvent("recordUpdateEvent",{record:oRecord,newData:oData,oldData:oldData});
             YAHOO.log("Record at index " + this.getRecordIndex(oRecord) +
                     " updated with data " + lang.dump(oData), "info", this.toString());
@@ -484,6 +724,7 @@ RS.prototype = {
             }
 
             oRecord._oData[sKey] = oData;
+            this._trackUpdate(oRecord, sKey, keyValue, oData);
             this.fireEvent("keyUpdateEvent",{record:oRecord,key:sKey,newData:oData,oldData:oldData});
             this.fireEvent("recordValueUpdateEvent",{record:oRecord,key:sKey,newData:oData,oldData:oldData});
             YAHOO.log("Key \"" + sKey +
@@ -506,12 +747,18 @@ RS.prototype = {
      */
     replaceRecords : function(data) {
         this.reset();
-        return this.addRecords(data);
+        var records = this.addRecords(data);
+
+        // The new data is not a change
+        this._oChanges = {};
+        return records;
     },
 
     /**
      * Sorts all Records by given function. Records keep their unique IDs but will
-     * have new RecordSet position indexes.
+     * have new RecordSet position indexes. Records hidden by filterRecords() are
+     * sorted too, so they are in order when the filter is cleared. The sort is
+     * stable: Records that compare equal keep their order.
      *
      * @method sortRecords
      * @param fnSort {Function} Reference to a sort function.
@@ -521,7 +768,35 @@ RS.prototype = {
      * @return {YAHOO.widget.Record[]} Sorted array of Records.
      */
     sortRecords : function(fnSort, desc, field) {
-        return this._records.sort(function(a, b) {return fnSort(a, b, desc, field);});
+        var aRecords = this._aUnfiltered || this._records,
+            aSort = [],
+            i, len;
+
+        // Records that compare equal keep their order, so that sorting by one
+        // Column and then another respects both
+        for(i=0, len=aRecords.length; i<len; i++) {
+            if(aRecords[i]) {
+                aSort[aSort.length] = {record:aRecords[i], index:i};
+            }
+        }
+        aSort.sort(function(a, b) {
+            return fnSort(a.record, b.record, desc, field) || (a.index - b.index);
+        });
+
+        // setRecord() may leave gaps, which go last
+        for(i=0; i<len; i++) {
+            if(i < aSort.length) {
+                aRecords[i] = aSort[i].record;
+            }
+            else {
+                delete aRecords[i];
+            }
+        }
+
+        if(this._aUnfiltered) {
+            return this._showUnfiltered();
+        }
+        return aRecords;
     },
 
     /**
@@ -531,9 +806,98 @@ RS.prototype = {
      * @return {YAHOO.widget.Record[]} Reverse-sorted array of Records.
      */
     reverseRecords : function() {
+        if(this._aUnfiltered) {
+            this._aUnfiltered.reverse();
+            return this._showUnfiltered();
+        }
         return this._records.reverse();
     },
 
+    /**
+     * Hides the Records for which the given function returns false, without
+     * deleting them. Records hidden by a previous filter are tested again, and
+     * hidden Records keep their place, so they return to their position when
+     * the filter changes or is cleared. Until then, position indexes, lengths
+     * and all other methods of the RecordSet apply only to the Records that are
+     * not hidden. Adding, setting or deleting Records does not apply the
+     * filter again.
+     *
+     * @method filterRecords
+     * @param fnFilter {Function} Function that receives a Record and returns
+     * true to keep it or false to hide it, or null to clear the filter.
+     * @return {YAHOO.widget.Record[]} Array of the Records that are not hidden.
+     */
+    filterRecords : function(fnFilter) {
+        if(!lang.isFunction(fnFilter)) {
+            return this.clearFilter();
+        }
+
+        var aAll = this.getAllRecords(),
+            i, len;
+
+        this._aUnfiltered = aAll;
+        this._oHidden = {};
+        for(i=0, len=aAll.length; i<len; i++) {
+            if(!fnFilter(aAll[i])) {
+                this._oHidden[aAll[i]._sId] = true;
+            }
+        }
+        this._showUnfiltered();
+
+        this.fireEvent("recordsFilterEvent",{records:this._records,filter:fnFilter});
+        YAHOO.log("Filtered RecordSet to " + this._records.length + " of " +
+                aAll.length + " Record(s)", "info", this.toString());
+        return this._records;
+    },
+
+    /**
+     * Shows all the Records hidden by filterRecords().
+     *
+     * @method clearFilter
+     * @return {YAHOO.widget.Record[]} Array of all the Records.
+     */
+    clearFilter : function() {
+        if(this._aUnfiltered) {
+            this._records = this._aUnfiltered;
+            this._aUnfiltered = null;
+            this._oHidden = null;
+
+            this.fireEvent("recordsFilterEvent",{records:this._records,filter:null});
+            YAHOO.log("Cleared RecordSet filter", "info", this.toString());
+        }
+        return this._records;
+    },
+
+    /**
+     * Returns true if a filter hides Records of the RecordSet.
+     *
+     * @method isFiltered
+     * @return {Boolean} True if filterRecords() is in effect.
+     */
+    isFiltered : function() {
+        return !!this._aUnfiltered;
+    },
+
+    /**
+     * Returns all Records in order, including those hidden by filterRecords().
+     *
+     * @method getAllRecords
+     * @return {YAHOO.widget.Record[]} Array of all the Records.
+     */
+    getAllRecords : function() {
+        var aAll = this._aUnfiltered || this._records,
+            aRecords = [];
+
+        // setRecords() may leave gaps
+        for(var i=0, len=aAll.length; i<len; i++) {
+            if(aAll[i]) {
+                aRecords[aRecords.length] = aAll[i];
+            }
+        }
+        return aRecords;
+    },
+
+
     /**
      * Removes the Record at the given position index from the RecordSet. If a range
      * is also provided, removes that many Records, starting from the index. Length
@@ -547,9 +911,12 @@ RS.prototype = {
     deleteRecord : function(index) {
         if(lang.isNumber(index) && (index > -1) && (index < this.getLength())) {
             // Copy data from the Record for the event that gets fired later
-            var oData = widget.DataTable._cloneObject(this.getRecord(index).getData());
+            var oRecord = this.getRecord(index),
+                oData = widget.DataTable._cloneObject(oRecord.getData());
             
             this._deleteRecord(index);
+            this._syncUnfiltered();
+            this._trackDelete([oRecord], index);
             this.fireEvent("recordDeleteEvent",{data:oData,index:index});
             YAHOO.log("Record deleted at index " + index +
                     " and containing data " + lang.dump(oData), "info", this.toString());
@@ -584,6 +951,8 @@ RS.prototype = {
                 deletedData[deletedData.length] = widget.DataTable._cloneObject(recordsToDelete[i]);
             }
             this._deleteRecord(index, range);
+            this._syncUnfiltered();
+            this._trackDelete(recordsToDelete, index);
 
             this.fireEvent("recordsDeleteEvent",{data:deletedData,index:index});
             YAHOO.log(range + "Record(s) deleted at index " + index +
@@ -604,9 +973,222 @@ RS.prototype = {
      */
     reset : function() {
         this._records = [];
+        this._aUnfiltered = null;
+        this._oHidden = null;
+        this._oChanges = {};
+        this._aDeleted = [];
         //this._length = 0;
         this.fireEvent("resetEvent");
         YAHOO.log("All Records deleted from RecordSet", "info", this.toString());
+    },
+
+    /**
+     * Returns the Records added, updated and deleted since the RecordSet was
+     * created, reset, or since the last call to commitChanges(). Records that
+     * were added and then deleted are not included.
+     *
+     * @method getChanges
+     * @return {Object} Object literal with the properties inserted (an array
+     * of {record,newData}), updated (an array of {record,oldData,newData},
+     * holding the original and the current value of each changed field) and
+     * deleted (an array of {record,oldData}).
+     */
+    getChanges : function() {
+        var oChanges = {inserted:[], updated:[], deleted:[]},
+            aRecords = this.getAllRecords(),
+            oChange, oOldData, oNewData, sKey, i, len;
+
+        for(i=0, len=aRecords.length; i<len; i++) {
+            oChange = aRecords[i] && this._oChanges[aRecords[i]._sId];
+            if(oChange) {
+                if(oChange.inserted) {
+                    oChanges.inserted.push({record:oChange.record, newData:oChange.record.getData()});
+                }
+                else {
+                    oOldData = {};
+                    oNewData = {};
+                    for(sKey in oChange.oldData) {
+                        if(lang.hasOwnProperty(oChange.oldData, sKey)) {
+                            oOldData[sKey] = oChange.oldData[sKey];
+                            oNewData[sKey] = oChange.record.getData(sKey);
+                        }
+                    }
+                    oChanges.updated.push({record:oChange.record, oldData:oOldData, newData:oNewData});
+                }
+            }
+        }
+        for(i=0, len=this._aDeleted.length; i<len; i++) {
+            oChanges.deleted.push({record:this._aDeleted[i].record, oldData:this._aDeleted[i].oldData});
+        }
+        return oChanges;
+    },
+
+    /**
+     * Returns true if any Records were added, updated or deleted since the
+     * last call to commitChanges().
+     *
+     * @method hasChanges
+     * @return {Boolean} True if there are uncommitted changes.
+     */
+    hasChanges : function() {
+        var oChanges = this.getChanges();
+        return (oChanges.inserted.length + oChanges.updated.length + oChanges.deleted.length) > 0;
+    },
+
+    /**
+     * Returns true if the given Record was added since the last call to
+     * commitChanges(), or if the given field of the Record was changed.
+     *
+     * @method isDirty
+     * @param oRecord {YAHOO.widget.Record} Record instance.
+     * @param sKey {String} (optional) Key of the field. If not given, any
+     * changed field makes the Record dirty.
+     * @return {Boolean} True if the Record or field is dirty.
+     */
+    isDirty : function(oRecord, sKey) {
+        var oChange = oRecord && this._oChanges[oRecord._sId];
+        if(!oChange) {
+            return false;
+        }
+        return oChange.inserted || !lang.isValue(sKey) || lang.hasOwnProperty(oChange.oldData, sKey);
+    },
+
+    /**
+     * Accepts the changes so that the current data becomes the new original
+     * data.
+     *
+     * @method commitChanges
+     * @param aRecords {YAHOO.widget.Record[]} (optional) Only accept the
+     * changes of the given Records, for instance the ones that were
+     * successfully saved.
+     */
+    commitChanges : function(aRecords) {
+        var i, j;
+        if(lang.isArray(aRecords)) {
+            for(i=0; i<aRecords.length; i++) {
+                if(aRecords[i]) {
+                    delete this._oChanges[aRecords[i]._sId];
+                    for(j=this._aDeleted.length-1; j>-1; j--) {
+                        if(this._aDeleted[j].record === aRecords[i]) {
+                            this._aDeleted.splice(j,1);
+                        }
+                    }
+                }
+            }
+        }
+        else {
+            aRecords = null;
+            this._oChanges = {};
+            this._aDeleted = [];
+        }
+        this.fireEvent("changesCommitEvent", {records:aRecords});
+        YAHOO.log("Changes committed", "info", this.toString());
+    },
+
+    /**
+     * Undoes the changes: the original values of updated Records are
+     * restored, added Records are removed and deleted Records are put back
+     * at their positions.
+     *
+     * @method rejectChanges
+     */
+    rejectChanges : function() {
+        var oChanges = this._oChanges,
+            fnRemoveInserted = function(aRecords) {
+                var aKept = [], oRecord;
+                for(var i=0, len=aRecords.length; i<len; i++) {
+                    oRecord = aRecords[i];
+                    if(!(oRecord && oChanges[oRecord._sId] && oChanges[oRecord._sId].inserted)) {
+                        aKept[aKept.length] = oRecord;
+                    }
+                }
+                return aKept;
+            },
+            oChange, oDeleted, sId, sKey, i;
+
+        // Restore the original values
+        for(sId in oChanges) {
+            if(lang.hasOwnProperty(oChanges, sId)) {
+                oChange = oChanges[sId];
+                for(sKey in oChange.oldData) {
+                    if(lang.hasOwnProperty(oChange.oldData, sKey)) {
+                        oChange.record._oData[sKey] = oChange.oldData[sKey];
+                    }
+                }
+            }
+        }
+
+        // Remove the added Records
+        this._records = fnRemoveInserted(this._records);
+        if(this._aUnfiltered) {
+            this._aUnfiltered = fnRemoveInserted(this._aUnfiltered);
+        }
+
+        // Put back the deleted Records, last deleted first
+        for(i=this._aDeleted.length-1; i>-1; i--) {
+            oDeleted = this._aDeleted[i];
+            oDeleted.record._oData = oDeleted.oldData;
+            this._records.splice(Math.min(oDeleted.index, this._records.length), 0, oDeleted.record);
+        }
+        this._syncUnfiltered();
+
+        this._oChanges = {};
+        this._aDeleted = [];
+        this.fireEvent("changesRejectEvent");
+        YAHOO.log("Changes rejected", "info", this.toString());
+    },
+
+    /**
+     * Returns the changes as plain data that can be serialized, for instance
+     * with YAHOO.lang.JSON, and sent to a server in one request.
+     *
+     * @method getChangeset
+     * @param aKeys {String[]} (optional) Keys of the fields that identify a
+     * Record, which are not expected to change. If given, updated entries
+     * hold these fields and the changed fields only, and deleted entries hold
+     * these fields only. Otherwise
+     * updated entries hold all current values and deleted entries hold all
+     * original values.
+     * @return {Object} Object literal with the arrays inserted, updated and
+     * deleted.
+     */
+    getChangeset : function(aKeys) {
+        var oChanges = this.getChanges(),
+            oChangeset = {inserted:[], updated:[], deleted:[]},
+            fnPick = function(oData) {
+                var oPicked = {};
+                for(var i=0; i<aKeys.length; i++) {
+                    oPicked[aKeys[i]] = oData[aKeys[i]];
+                }
+                return oPicked;
+            },
+            oChange, oData, sKey, i;
+
+        aKeys = lang.isArray(aKeys) && aKeys.length ? aKeys : null;
+
+        for(i=0; i<oChanges.inserted.length; i++) {
+            oChangeset.inserted.push(lang.merge(oChanges.inserted[i].newData));
+        }
+        for(i=0; i<oChanges.updated.length; i++) {
+            oChange = oChanges.updated[i];
+            if(aKeys) {
+                oData = fnPick(oChange.record.getData());
+                for(sKey in oChange.newData) {
+                    if(lang.hasOwnProperty(oChange.newData, sKey)) {
+                        oData[sKey] = oChange.newData[sKey];
+                    }
+                }
+                oChangeset.updated.push(oData);
+            }
+            else {
+                oChangeset.updated.push(lang.merge(oChange.record.getData()));
+            }
+        }
+        for(i=0; i<oChanges.deleted.length; i++) {
+            oData = oChanges.deleted[i].oldData;
+            oChangeset.deleted.push(aKeys ? fnPick(oData) : lang.merge(oData));
+        }
+        return oChangeset;
     }
 };
 
@@ -684,6 +1266,30 @@ lang.augmentProto(RS, util.EventProvider);
  * @event resetEvent
  */
 
+/**
+ * Fired when Records are hidden by a filter, or shown when it is cleared.
+ *
+ * @event recordsFilterEvent
+ * @param oArgs.records {YAHOO.widget.Record[]} An array of the Records that
+ * are not hidden.
+ * @param oArgs.filter {Function} The filter function, or null if the filter
+ * was cleared.
+ */
+
+/**
+ * Fired when changes are committed.
+ *
+ * @event changesCommitEvent
+ * @param oArgs.records {YAHOO.widget.Record[]} The Records whose changes were
+ * committed, or null if all changes were committed.
+ */
+
+/**
+ * Fired when changes are rejected.
+ *
+ * @event changesRejectEvent
+ */
+
 /**
  * @event keyUpdateEvent    
  * @deprecated Use recordValueUpdateEvent     
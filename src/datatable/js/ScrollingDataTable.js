@@ -36,6 +36,11 @@ widget.ScrollingDataTable = function(elContainer,aColumnDefs,oDataSource,oConfig
 
     // Once per instance
     this.subscribe("columnShowEvent", this._onColumnChange);
+
+    var aFrozenEvents = ["columnInsertEvent","columnRemoveEvent","columnReorderEvent"];
+    for(var i=0; i<aFrozenEvents.length; i++) {
+        this.subscribe(aFrozenEvents[i], this._syncFrozenColumns);
+    }
 };
 
 var SDT = widget.ScrollingDataTable;
@@ -67,7 +72,29 @@ lang.augmentObject(SDT, {
      * @final
      * @default "yui-dt-bd"
      */
-    CLASS_BODY : "yui-dt-bd"
+    CLASS_BODY : "yui-dt-bd",
+
+    /**
+     * Class name assigned to inner DataTable footer container.
+     *
+     * @property DataTable.CLASS_FOOTER
+     * @type String
+     * @static
+     * @final
+     * @default "yui-dt-ft"
+     */
+    CLASS_FOOTER : "yui-dt-ft",
+
+    /**
+     * Class name assigned to the cells of frozen Columns.
+     *
+     * @property DataTable.CLASS_FROZEN
+     * @type String
+     * @static
+     * @final
+     * @default "yui-dt-frozen"
+     */
+    CLASS_FROZEN : "yui-dt-frozen"
 });
 
 lang.extend(SDT, DT, {
@@ -108,6 +135,24 @@ _elBdContainer : null,
  */
 _elBdThead : null,
 
+/**
+ * Container for fixed footer TABLE element.
+ *
+ * @property _elFtContainer
+ * @type HTMLElement
+ * @private
+ */
+_elFtContainer : null,
+
+/**
+ * Fixed footer TABLE element.
+ *
+ * @property _elFtTable
+ * @type HTMLElement
+ * @private
+ */
+_elFtTable : null,
+
 /**
  * Offscreen container to temporarily clone SDT for auto-width calculation.
  *
@@ -134,6 +179,72 @@ _elTmpTable : null,
  */
 _bScrollbarX : null,
 
+/**
+ * True if the "virtualScrolling" attribute is enabled.
+ *
+ * @property _bVirtualScrolling
+ * @type Boolean
+ * @private
+ */
+_bVirtualScrolling : false,
+
+/**
+ * RecordSet index of the first rendered row when rendering is virtual.
+ *
+ * @property _nVirtualStart
+ * @type Number
+ * @private
+ */
+_nVirtualStart : 0,
+
+/**
+ * Height of a row in pixels, measured from the first rendered row when
+ * rendering is virtual. The initial value is an estimate.
+ *
+ * @property _nRowHeight
+ * @type Number
+ * @private
+ */
+_nRowHeight : 20,
+
+/**
+ * Spacer DIV element above the body TABLE that stands in for the rows that are
+ * not rendered when rendering is virtual.
+ *
+ * @property _elTopSpacer
+ * @type HTMLElement
+ * @private
+ */
+_elTopSpacer : null,
+
+/**
+ * Spacer DIV element below the body TABLE that stands in for the rows that are
+ * not rendered when rendering is virtual.
+ *
+ * @property _elBottomSpacer
+ * @type HTMLElement
+ * @private
+ */
+_elBottomSpacer : null,
+
+/**
+ * Number of leading top-level Columns that are frozen.
+ *
+ * @property _nFrozenColumns
+ * @type Number
+ * @private
+ */
+_nFrozenColumns : 0,
+
+/**
+ * Dynamic style rules that offset the cells of frozen Columns, by selector.
+ *
+ * @property _oFrozenRules
+ * @type Object
+ * @private
+ */
+_oFrozenRules : null,
+
 
 
 
@@ -178,6 +289,7 @@ initAttributes : function(oConfigs) {
             if(this._elHdContainer && this._elBdContainer) {
                 this._elHdContainer.style.width = oParam;
                 this._elBdContainer.style.width = oParam;            
+                this._elFtContainer.style.width = oParam;
                 this._syncScrollX();      
                 this._syncScrollOverhang();
             }
@@ -217,6 +329,61 @@ initAttributes : function(oConfigs) {
             }
         }
     });
+
+    /**
+    * @attribute virtualScrolling
+    * @description If true, only the rows in view plus "virtualBuffer" rows above
+    * and below are rendered, and row elements are reused as the body scrolls.
+    * Rows are expected to be of equal height. Not applied when a paginator is
+    * set or the DataTable is grouped or a tree grid.
+    * @type Boolean
+    * @default false
+    */
+    this.setAttributeConfig("virtualScrolling", {
+        value: false,
+        validator: lang.isBoolean,
+        method: function(oParam) {
+            this._bVirtualScrolling = oParam;
+            if(this._elTbody) {
+                this.render();
+            }
+        }
+    });
+
+    /**
+    * @attribute virtualBuffer
+    * @description Number of rows rendered above and below the rows in view when
+    * "virtualScrolling" is true.
+    * @type Number
+    * @default 10
+    */
+    this.setAttributeConfig("virtualBuffer", {
+        value: 10,
+        validator: lang.isNumber
+    });
+
+    /**
+    * @attribute frozenColumns
+    * @description Number of leading top-level Columns that stay in place while
+    * the other Columns scroll horizontally. Frozen cells stay in the rows of the
+    * other cells, so that row heights, highlighting, selection, resizing and
+    * sorting apply to both.
+    * @type Number
+    * @default 0
+    */
+    this.setAttributeConfig("frozenColumns", {
+        value: 0,
+        validator: function(oParam) {
+            return lang.isNumber(oParam) && (oParam >= 0);
+        },
+        method: function(oParam) {
+            this._nFrozenColumns = oParam;
+            this._clearTrTemplateEl();
+            if(this._elTbody) {
+                this._syncFrozenColumns();
+            }
+        }
+    });
 },
 
 /**
@@ -247,6 +414,9 @@ _initDomElements : function(elContainer) {
             this._initTbodyEl(this._elTable);
             // Message TBODY
             this._initMsgTbodyEl(this._elTable);            
+
+            // Fixed foot TFOOT
+            this._initTfootEl(this._elFtTable);
         }
     }
     if(!this._elContainer || !this._elTable || !this._elColgroup ||  !this._elThead || !this._elTbody || !this._elMsgTbody ||
@@ -271,6 +441,10 @@ _destroyContainerEl : function(elContainer) {
     SDT.superclass._destroyContainerEl.call(this, elContainer);
     this._elHdContainer = null;
     this._elBdContainer = null;
+    this._elFtContainer = null;
+    this._elFtTable = null;
+    this._elTopSpacer = null;
+    this._elBottomSpacer = null;
 },
 
 /**
@@ -304,6 +478,14 @@ _initContainerEl : function(elContainer) {
         Ev.addListener(elBdContainer, "scroll", this._onScroll, this); // to sync horiz scroll headers
         this._elBdContainer = elBdContainer;
         elContainer.appendChild(elBdContainer);
+
+        // Container for footer TABLE
+        var elFtContainer = document.createElement("div");
+        elFtContainer.style.width = this.get("width") || "";
+        elFtContainer.style.display = "none";
+        Dom.addClass(elFtContainer, SDT.CLASS_FOOTER);
+        this._elFtContainer = elFtContainer;
+        elContainer.appendChild(elFtContainer);
     }
 },
 
@@ -361,6 +543,15 @@ _initTableEl : function() {
         // Create TABLE
         this._elHdTable = this._elHdContainer.appendChild(document.createElement("table"));   
     } 
+    // Foot TABLE
+    if(this._elFtContainer) {
+        if(this._elFtTable) {
+            Ev.purgeElement(this._elFtTable, true);
+            this._elFtTable.parentNode.removeChild(this._elFtTable);
+            this._elTfoot = null;
+        }
+        this._elFtTable = this._elFtContainer.appendChild(document.createElement("table"));
+    }
     // Body TABLE
     SDT.superclass._initTableEl.call(this, this._elBdContainer);
 },
@@ -396,6 +587,20 @@ _initThEl : function(elTh, oColumn) {
     elTh.id = this.getId() +"-fixedth-" + oColumn.getSanitizedKey(); // Needed for getColumn by TH and ColumnDD
 },
 
+/**
+ * Adds the frozen class to the classes of frozen Columns.
+ *
+ * @method _getColumnClassNames
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @param aAddClasses {String[]} Array of additional classes to add on.
+ * @return {String} String of classes.
+ * @private
+ */
+_getColumnClassNames : function(oColumn, aAddClasses) {
+    var sClassNames = SDT.superclass._getColumnClassNames.call(this, oColumn, aAddClasses);
+    return this._isFrozenColumn(oColumn) ? sClassNames + " " + SDT.CLASS_FROZEN : sClassNames;
+},
+
 /**
  * Destroy's the DataTable body THEAD element, if available.
  *
@@ -472,6 +677,23 @@ _initBdThEl : function(elTh, oColumn) {
     elTh.innerHTML = sLabel;
 },
 
+/**
+ * Initializes TFOOT element into the fixed footer container, which is shown
+ * only when any Column defines an aggregate.
+ *
+ * @method _initTfootEl
+ * @param elFtTable {HTMLElement} (optional) Fixed footer TABLE element reference.
+ * @private
+ */
+_initTfootEl : function(elFtTable) {
+    SDT.superclass._initTfootEl.call(this, elFtTable || this._elFtTable);
+
+    if(this._elFtContainer) {
+        this._elFtContainer.style.display = this._elTfoot ? "" : "none";
+        this._elFtContainer.scrollLeft = this._elBdContainer.scrollLeft;
+    }
+},
+
 /**
  * Initializes ScrollingDataTable TBODY element for data
  *
@@ -562,6 +784,204 @@ _focusEl : function(el) {
 
 
 
+/**
+ * Renders the view with existing Records from the RecordSet. When rendering is
+ * virtual, only the rows in view plus a buffer are rendered.
+ *
+ * @method render
+ */
+render : function() {
+    if(!this._isVirtual()) {
+        this._nVirtualStart = 0;
+        this._setVirtualSpacers(0, 0);
+        SDT.superclass.render.call(this);
+        return;
+    }
+
+    this._oChainRender.stop();
+
+    this.fireEvent("beforeRenderEvent");
+    YAHOO.log("DataTable rendering virtual rows...", "info", this.toString());
+
+    this._oChainRender.add({
+        method: function() {
+            if((this instanceof DT) && this._sId) {
+                this._renderVirtualRows();
+            }
+        },
+        scope: this,
+        timeout: (this.get("renderLoopSize") > 0) ? 0 : -1
+    });
+    this._runRenderChain();
+},
+
+/**
+ * Returns true if rendering is virtual, which is when "virtualScrolling" is
+ * enabled and the DataTable is neither paginated, grouped nor a tree grid.
+ *
+ * @method _isVirtual
+ * @return {Boolean} True if rendering is virtual.
+ * @private
+ */
+_isVirtual : function() {
+    return !!(this._bVirtualScrolling && !this.get("paginator") && !this._aGroupBy &&
+            !this._oTreeGrid);
+},
+
+/**
+ * Renders the rows of the Records in view plus "virtualBuffer" rows above and
+ * below. Rows of Records that stay in view are kept, rows of Records that
+ * leave the view are reused for the Records that come into view, and the
+ * spacers are sized for the rows that are not rendered.
+ *
+ * @method _renderVirtualRows
+ * @param nFirst {Number} (optional) RecordSet index of the first Record in
+ * view. Defaults to the index at the scroll position.
+ * @private
+ */
+_renderVirtualRows : function(nFirst) {
+    var oRecordSet = this._oRecordSet,
+        elTbody = this._elTbody,
+        allRows = elTbody.rows,
+        nRecords = oRecordSet.getLength(),
+        nBuffer = this.get("virtualBuffer"),
+        nVisible = Math.ceil(this._elBdContainer.clientHeight / this._nRowHeight) + 1,
+        oTrs = {},
+        aFree = [],
+        nStart, nEnd, aRecords, elTr, i, j, len;
+
+    if(!lang.isNumber(nFirst)) {
+        nFirst = Math.floor(this._elBdContainer.scrollTop / this._nRowHeight);
+    }
+    nFirst = Math.max(0, Math.min(nFirst, nRecords-1));
+    nStart = Math.max(0, nFirst - nBuffer);
+    // Start on an even index so row stripes do not flip as the view scrolls
+    nStart -= nStart % 2;
+    nEnd = Math.min(nRecords, nFirst + nVisible + nBuffer);
+    aRecords = oRecordSet.getRecords(nStart, nEnd - nStart);
+
+    // Keep the rows of Records that stay in view, free the others
+    for(i=0; i<aRecords.length; i++) {
+        oTrs[aRecords[i].getId()] = null;
+    }
+    for(i=0, len=allRows.length; i<len; i++) {
+        elTr = allRows[i];
+        if(elTr.id in oTrs) {
+            oTrs[elTr.id] = elTr;
+        }
+        else {
+            aFree[aFree.length] = elTr;
+        }
+    }
+
+    elTbody.style.display = "none";
+    for(i=0; i<aRecords.length; i++) {
+        elTr = oTrs[aRecords[i].getId()];
+        if(!elTr) {
+            elTr = aFree.pop();
+            if(elTr) {
+                // Clear the states of the previous Record
+                Dom.removeClass(elTr, DT.CLASS_SELECTED);
+                Dom.removeClass(elTr, DT.CLASS_HIGHLIGHTED);
+                for(j=0, len=elTr.cells.length; j<len; j++) {
+                    Dom.removeClass(elTr.cells[j], DT.CLASS_SELECTED);
+                    Dom.removeClass(elTr.cells[j], DT.CLASS_HIGHLIGHTED);
+                }
+                this._updateTrEl(elTr, aRecords[i]);
+            }
+            else {
+                elTr = this._addTrEl(aRecords[i]);
+            }
+        }
+        elTbody.appendChild(elTr);
+    }
+    for(i=0; i<aFree.length; i++) {
+        elTbody.removeChild(aFree[i]);
+    }
+    elTbody.style.display = "";
+
+    this._nVirtualStart = nStart;
+    if(allRows[0] && (allRows[0].offsetHeight > 0)) {
+        this._nRowHeight = allRows[0].offsetHeight;
+    }
+    this._setVirtualSpacers(nStart * this._nRowHeight, (nRecords - nEnd) * this._nRowHeight);
+
+    this._setFirstRow();
+    this._setLastRow();
+    this._setRowStripes();
+    this._setSelections();
+
+    // Roles and states of the reused rows, also when scrolled outside the render chain
+    if(this._bGridNavigation) {
+        this._setGridStates();
+    }
+    YAHOO.log("Rendered rows for Records " + nStart + " to " + (nEnd-1), "info", this.toString());
+},
+
+/**
+ * Re-renders the virtual rows when the rows in view are not all rendered.
+ *
+ * @method _syncVirtualRows
+ * @private
+ */
+_syncVirtualRows : function() {
+    var elBdContainer = this._elBdContainer,
+        nFirst = Math.floor(elBdContainer.scrollTop / this._nRowHeight),
+        nLast = Math.min(this._oRecordSet.getLength(),
+                Math.ceil((elBdContainer.scrollTop + elBdContainer.clientHeight) / this._nRowHeight));
+    if((nFirst < this._nVirtualStart) ||
+            (nLast > this._nVirtualStart + this._elTbody.rows.length)) {
+        this._renderVirtualRows();
+        this.validateColumnWidths();
+    }
+},
+
+/**
+ * Sets the heights of the spacers above and below the body TABLE, creating
+ * them as needed.
+ *
+ * @method _setVirtualSpacers
+ * @param nTop {Number} Height in pixels of the top spacer.
+ * @param nBottom {Number} Height in pixels of the bottom spacer.
+ * @private
+ */
+_setVirtualSpacers : function(nTop, nBottom) {
+    if(!this._elTopSpacer) {
+        if(!nTop && !nBottom) {
+            return;
+        }
+        this._elTopSpacer = this._elBdContainer.insertBefore(document.createElement("div"), this._elTable);
+        this._elBottomSpacer = this._elBdContainer.appendChild(document.createElement("div"));
+    }
+    this._elTopSpacer.style.height = nTop + "px";
+    this._elBottomSpacer.style.height = nBottom + "px";
+},
+
+/**
+ * Scrolls the given Record into view when rendering is virtual.
+ *
+ * @method _scrollIntoView
+ * @param oRecord {YAHOO.widget.Record} Record instance.
+ * @private
+ */
+_scrollIntoView : function(oRecord) {
+    var nIndex = oRecord ? this._oRecordSet.getRecordIndex(oRecord) : null;
+    if(lang.isNumber(nIndex)) {
+        var elBdContainer = this._elBdContainer,
+            nTop = nIndex * this._nRowHeight,
+            nBottom = nTop + this._nRowHeight;
+        if(nTop < elBdContainer.scrollTop) {
+            elBdContainer.scrollTop = nTop;
+        }
+        else if(nBottom > elBdContainer.scrollTop + elBdContainer.clientHeight) {
+            elBdContainer.scrollTop = nBottom - elBdContainer.clientHeight;
+        }
+        if(!this.getTrEl(oRecord) || !this.getNextTrEl(oRecord) || !this.getPreviousTrEl(oRecord)) {
+            this._renderVirtualRows(nIndex);
+        }
+    }
+},
+
 /**
  * Internal wrapper calls run() on render Chain instance.
  *
@@ -626,15 +1046,20 @@ _runRenderChain : function() {
 _validateColumnWidth : function(oColumn, elTd) {
     // Only Columns without widths that are not hidden
     if(!oColumn.width && !oColumn.hidden) {
-        var elTh = oColumn.getThEl();
+        var elTh = oColumn.getThEl(),
+            elFtTd = this._getTfootTdEl(oColumn);
         // Unset a calculated auto-width
         if(oColumn._calculatedWidth) {
             this._setColumnWidth(oColumn, "auto", "visible");
         }
         // Compare auto-widths
-        if(elTh.offsetWidth !== elTd.offsetWidth) {
+        if((elTh.offsetWidth !== elTd.offsetWidth) ||
+                (elFtTd && (elFtTd.offsetWidth !== elTd.offsetWidth))) {
             var elWider = (elTh.offsetWidth > elTd.offsetWidth) ?
                     oColumn.getThLinerEl() : elTd.firstChild;               
+            if(elFtTd && (elFtTd.offsetWidth > elWider.parentNode.offsetWidth)) {
+                elWider = elFtTd.firstChild;
+            }
 
             // Grab the wider liner width, unless the minWidth is wider
             var newWidth = Math.max(0,
@@ -683,6 +1108,7 @@ validateColumnWidths : function(oColumn) {
         if(sWidth) {
             this._elHdContainer.style.width = "";
             this._elBdContainer.style.width = "";
+            this._elFtContainer.style.width = "";
         }
         this._elContainer.style.width = "";
         
@@ -715,12 +1141,17 @@ validateColumnWidths : function(oColumn) {
                 elTd = elRow.childNodes[i];
                 // Only Columns without widths that are not hidden
                 if(!oColumn.width && !oColumn.hidden) {
-                    var elTh = oColumn.getThEl();
+                    var elTh = oColumn.getThEl(),
+                        elFtTd = this._getTfootTdEl(oColumn);
 
                     // Compare auto-widths
-                    if(elTh.offsetWidth !== elTd.offsetWidth) {
+                    if((elTh.offsetWidth !== elTd.offsetWidth) ||
+                            (elFtTd && (elFtTd.offsetWidth !== elTd.offsetWidth))) {
                         var elWider = (elTh.offsetWidth > elTd.offsetWidth) ?
                                 oColumn.getThLinerEl() : elTd.firstChild;               
+                        if(elFtTd && (elFtTd.offsetWidth > elWider.parentNode.offsetWidth)) {
+                            elWider = elFtTd.firstChild;
+                        }
                 
                         // Grab the wider liner width, unless the minWidth is wider
                         var newWidth = Math.max(0,
@@ -754,6 +1185,7 @@ validateColumnWidths : function(oColumn) {
         if(sWidth) {
             this._elHdContainer.style.width = sWidth;
             this._elBdContainer.style.width = sWidth;
+            this._elFtContainer.style.width = sWidth;
         } 
     }
     
@@ -761,6 +1193,18 @@ validateColumnWidths : function(oColumn) {
     this._restoreScrollPositions();
 },
 
+/**
+ * Returns the TFOOT cell of the given Column, if the footer is shown.
+ *
+ * @method _getTfootTdEl
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @return {HTMLElement} TD element, or null.
+ * @private
+ */
+_getTfootTdEl : function(oColumn) {
+    return this._elTfoot ? this._elTfoot.rows[0].cells[oColumn.getKeyIndex()] : null;
+},
+
 /**
  * Syncs padding around scrollable tables, including Column header right-padding
  * and container width and height.
@@ -775,6 +1219,7 @@ _syncScroll : function() {
     if(ua.opera) {
         // Bug 1925874
         this._elHdContainer.scrollLeft = this._elBdContainer.scrollLeft;
+        this._elFtContainer.scrollLeft = this._elBdContainer.scrollLeft;
         if(!this.get("width")) {
             // Bug 1926125
             document.body.style += '';
@@ -875,6 +1320,110 @@ _setOverhangValue : function(nBorderWidth) {
     this._elThead.style.display = "";
 },
 
+/**
+ * Returns true if the given Column is, or is a descendant of, one of the
+ * leading "frozenColumns" top-level Columns.
+ *
+ * @method _isFrozenColumn
+ * @param oColumn {YAHOO.widget.Column} Column instance.
+ * @return {Boolean} True if the Column is frozen.
+ * @private
+ */
+_isFrozenColumn : function(oColumn) {
+    while(oColumn.getParent()) {
+        oColumn = oColumn.getParent();
+    }
+    var nTreeIndex = oColumn.getTreeIndex();
+    return lang.isNumber(nTreeIndex) && (nTreeIndex < this._nFrozenColumns);
+},
+
+/**
+ * Classes the header, body and footer cells of the frozen Columns, after the
+ * Columns or the "frozenColumns" attribute change.
+ *
+ * @method _syncFrozenColumns
+ * @private
+ */
+_syncFrozenColumns : function() {
+    var oColumnSet = this._oColumnSet,
+        allRows = this._elTbody.rows,
+        elTfootTr = this._elTfoot ? this._elTfoot.rows[0] : null,
+        oColumn, fnClass, elTh, nKeyIndex, i, j, len;
+
+    for(i=0, len=oColumnSet.flat.length; i<len; i++) {
+        oColumn = oColumnSet.flat[i];
+        fnClass = this._isFrozenColumn(oColumn) ? Dom.addClass : Dom.removeClass;
+        elTh = oColumn.getThEl();
+        if(elTh) {
+            fnClass(elTh, SDT.CLASS_FROZEN);
+        }
+        nKeyIndex = oColumn.getKeyIndex();
+        if(nKeyIndex !== null) {
+            for(j=0; j<allRows.length; j++) {
+                if(allRows[j].cells[nKeyIndex]) {
+                    fnClass(allRows[j].cells[nKeyIndex], SDT.CLASS_FROZEN);
+                }
+            }
+            if(elTfootTr && elTfootTr.cells[nKeyIndex]) {
+                fnClass(elTfootTr.cells[nKeyIndex], SDT.CLASS_FROZEN);
+            }
+        }
+    }
+    this._setFrozenOffset();
+},
+
+/**
+ * Offsets the cells of the frozen Columns by the horizontal scroll position of
+ * the body, with one dynamic style rule per Column. Falls back to the style of
+ * each cell when dynamic style rules are not supported.
+ *
+ * @method _setFrozenOffset
+ * @private
+ */
+_setFrozenOffset : function() {
+    var sLeft = this._elBdContainer.scrollLeft + "px",
+        allColumns = this._oColumnSet.flat,
+        oRules = this._oFrozenRules || (this._oFrozenRules = {}),
+        s = DT._elDynStyleNode,
+        oColumn, sSelector, rule, allCells, bFrozen, i, len;
+
+    if(!s) {
+        s = document.createElement('style');
+        s.type = 'text/css';
+        s = document.getElementsByTagName('head').item(0).appendChild(s);
+        DT._elDynStyleNode = s;
+    }
+
+    for(i=0, len=allColumns.length; i<len; i++) {
+        oColumn = allColumns[i];
+        bFrozen = this._isFrozenColumn(oColumn);
+        sSelector = "." + this.getId() + "-col-" + oColumn.getSanitizedKey();
+        rule = oRules[sSelector];
+
+        if(!rule && bFrozen && s) {
+            if(s.styleSheet && s.styleSheet.addRule) {
+                s.styleSheet.addRule(sSelector, "left:" + sLeft);
+                rule = s.styleSheet.rules[s.styleSheet.rules.length-1];
+            }
+            else if(s.sheet && s.sheet.insertRule) {
+                s.sheet.insertRule(sSelector + " {left:" + sLeft + ";}", s.sheet.cssRules.length);
+                rule = s.sheet.cssRules[s.sheet.cssRules.length-1];
+            }
+            oRules[sSelector] = rule;
+        }
+
+        if(rule) {
+            rule.style.left = bFrozen ? sLeft : "";
+        }
+        else if(bFrozen || !s) {
+            allCells = Dom.getElementsByClassName(sSelector.substring(1), null, this._elContainer);
+            for(var j=0; j<allCells.length; j++) {
+                allCells[j].style.left = bFrozen ? sLeft : "";
+            }
+        }
+    }
+},
+
 
 
 
@@ -932,6 +1481,16 @@ getBdContainerEl : function() {
     return this._elBdContainer;
 },
 
+/**
+ * Returns DOM reference to the DataTable's fixed footer container element.
+ *
+ * @method getFtContainerEl
+ * @return {HTMLElement} Reference to DIV element.
+ */
+getFtContainerEl : function() {
+    return this._elFtContainer;
+},
+
 /**
  * Returns DOM reference to the DataTable's fixed header TABLE element.
  *
@@ -952,6 +1511,16 @@ getBdTableEl : function() {
     return this._elTable;
 },
 
+/**
+ * Returns DOM reference to the DataTable's fixed footer TABLE element.
+ *
+ * @method getFtTableEl
+ * @return {HTMLElement} Reference to TABLE element.
+ */
+getFtTableEl : function() {
+    return this._elFtTable;
+},
+
 /**
  * Disables ScrollingDataTable UI.
  *
@@ -960,7 +1529,8 @@ getBdTableEl : function() {
 disable : function() {
     var elMask = this._elMask;
     elMask.style.width = this._elBdContainer.offsetWidth + "px";
-    elMask.style.height = this._elHdContainer.offsetHeight + this._elBdContainer.offsetHeight + "px";
+    elMask.style.height = this._elHdContainer.offsetHeight + this._elBdContainer.offsetHeight +
+            this._elFtContainer.offsetHeight + "px";
     elMask.style.display = "";
     this.fireEvent("disableEvent");
 },
@@ -1087,12 +1657,29 @@ setColumnWidth : function(oColumn, nWidth) {
 },
 
 /**
- * Scrolls to given row or cell
+ * Scrolls to given row or cell. When rendering is virtual, the rows around the
+ * given Record are rendered first.
  *
  * @method scrollTo
  * @param to {YAHOO.widget.Record | HTMLElement } Itme to scroll to.
  */
 scrollTo : function(to) {
+        // Render the rows around an off-screen Record first
+        if(this._isVirtual()) {
+            var oRecord = this.getRecord((to && to.record) ? to.record : to),
+                nIndex = oRecord ? this._oRecordSet.getRecordIndex(oRecord) : null;
+            if(lang.isNumber(nIndex)) {
+                this.clearScrollPositions();
+                this.getBdContainerEl().scrollTop = nIndex * this._nRowHeight;
+                this._renderVirtualRows(nIndex);
+                var elTd = this.getTdEl(to);
+                if(elTd) {
+                    this.getBdContainerEl().scrollLeft = elTd.offsetLeft;
+                }
+            }
+            return;
+        }
+
         var td = this.getTdEl(to);
         if(td) {
             this.clearScrollPositions();
@@ -1136,6 +1723,309 @@ showTableMessage : function(sHTML, sClassName) {
     YAHOO.log("DataTable showing message: " + sHTML, "info", this.toString());
 },
 
+/**
+ * Returns the page row index of the given row, or null if the row is not
+ * rendered. When rendering is virtual, the index is relative to the first
+ * rendered row.
+ *
+ * @method getTrIndex
+ * @param row {HTMLElement | String | YAHOO.widget.Record | Number} DOM or ID
+ * string reference to an element within the DataTable page, a Record instance,
+ * or a Record's RecordSet index.
+ * @return {Number} Page row index, or null if row does not exist or is not rendered.
+ */
+getTrIndex : function(row) {
+    var nTrIndex = SDT.superclass.getTrIndex.call(this, row);
+    if(lang.isNumber(nTrIndex) && this._isVirtual() &&
+            ((row instanceof YAHOO.widget.Record) || lang.isNumber(row))) {
+        nTrIndex -= this._nVirtualStart;
+        return ((nTrIndex > -1) && (nTrIndex < this._elTbody.rows.length)) ? nTrIndex : null;
+    }
+    return nTrIndex;
+},
+
+/**
+ * Returns the RecordSet index of the given row. When rendering is virtual, a
+ * page row index is relative to the first rendered row.
+ *
+ * @method getRecordIndex
+ * @param row {YAHOO.widget.Record | HTMLElement | Number} Record instance, TR
+ * element reference or page row index.
+ * @return {Number} Record's RecordSet index, or null.
+ */
+getRecordIndex : function(row) {
+    var nRecordIndex = SDT.superclass.getRecordIndex.call(this, row);
+    if(lang.isNumber(nRecordIndex) && this._isVirtual() && !(row instanceof YAHOO.widget.Record)) {
+        nRecordIndex += this._nVirtualStart;
+    }
+    return nRecordIndex;
+},
+
+/**
+ * Adds one new Record of data into the RecordSet at the index if given,
+ * otherwise at the end. When rendering is virtual, the rows in view are
+ * re-rendered.
+ *
+ * @method addRow
+ * @param oData {Object} Object literal of data for the row.
+ * @param index {Number} (optional) RecordSet position index at which to add data.
+ */
+addRow : function(oData, index) {
+    if(!this._isVirtual()) {
+        SDT.superclass.addRow.call(this, oData, index);
+        return;
+    }
+
+    if(lang.isNumber(index) && (index < 0 || index > this._oRecordSet.getLength())) {
+        YAHOO.log("Could not add row at index " + index + " with " + lang.dump(oData), "warn", this.toString());
+        return;
+    }
+
+    if(oData && lang.isObject(oData)) {
+        var oRecord = this._oRecordSet.addRecord(oData, index);
+        if(oRecord) {
+            this.render();
+            this.hideTableMessage();
+            this.fireEvent("rowAddEvent", {record:oRecord});
+            YAHOO.log("Added a row for Record " + YAHOO.lang.dump(oRecord) + " at RecordSet index " + this.getRecordIndex(oRecord), "info", this.toString());
+            return;
+        }
+    }
+    YAHOO.log("Could not add row at index " + index + " with " + lang.dump(oData), "warn", this.toString());
+},
+
+/**
+ * Convenience method to add multiple rows. When rendering is virtual, the rows
+ * in view are re-rendered.
+ *
+ * @method addRows
+ * @param aData {Object[]} Array of object literal data for the rows.
+ * @param index {Number} (optional) RecordSet position index at which to add data.
+ */
+addRows : function(aData, index) {
+    if(!this._isVirtual()) {
+        SDT.superclass.addRows.call(this, aData, index);
+        return;
+    }
+
+    if(lang.isNumber(index) && (index < 0 || index > this._oRecordSet.getLength())) {
+        YAHOO.log("Could not add rows at index " + index + " with " + lang.dump(aData), "warn", this.toString());
+        return;
+    }
+
+    if(lang.isArray(aData)) {
+        var aRecords = this._oRecordSet.addRecords(aData, index);
+        if(aRecords) {
+            this.render();
+            this.hideTableMessage();
+            this.fireEvent("rowsAddEvent", {records:aRecords});
+            YAHOO.log("Added " + aRecords.length +
+                    " rows at index " + this._oRecordSet.getRecordIndex(aRecords[0]) +
+                    " with data " + lang.dump(aData), "info", this.toString());
+            return;
+        }
+    }
+    YAHOO.log("Could not add rows at index " + index + " with " + lang.dump(aData), "warn", this.toString());
+},
+
+/**
+ * For the given row, updates the associated Record with the given data. When
+ * rendering is virtual, the rows in view are re-rendered.
+ *
+ * @method updateRow
+ * @param row {YAHOO.widget.Record | Number | HTMLElement | String}
+ * Which row to update: By Record instance, by Record's RecordSet
+ * position index, by HTMLElement reference to the TR element, or by ID string
+ * of the TR element.
+ * @param oData {Object} Object literal of data for the row.
+ */
+updateRow : function(row, oData) {
+    if(!this._isVirtual()) {
+        SDT.superclass.updateRow.call(this, row, oData);
+        return;
+    }
+
+    var index = lang.isNumber(row) ? row : this.getRecordIndex(row),
+        oldRecord = lang.isNumber(index) ? this._oRecordSet.getRecord(index) : null;
+    if(oldRecord) {
+        // Copy data from the Record for the event
+        var oldData = oldRecord.getData(),
+            updatedRecord = this._oRecordSet.setRecord(oData, index);
+        if(updatedRecord) {
+            this._replaceSelectedIds([oldRecord], [updatedRecord]);
+            this.render();
+            this.fireEvent("rowUpdateEvent", {record:updatedRecord, oldData:oldData});
+            YAHOO.log("DataTable row updated: Record ID = " + updatedRecord.getId() +
+                    ", Record index = " + index, "info", this.toString());
+            return;
+        }
+    }
+    YAHOO.log("Could not update row " + row + " with the data : " + lang.dump(oData), "warn", this.toString());
+},
+
+/**
+ * Starting with the given row, updates associated Records with the given data.
+ * When rendering is virtual, the rows in view are re-rendered.
+ *
+ * @method updateRows
+ * @param startrow {YAHOO.widget.Record | Number | HTMLElement | String}
+ * Starting row to update: By Record instance, by Record's RecordSet
+ * position index, by HTMLElement reference to the TR element, or by ID string
+ * of the TR element.
+ * @param aData {Object[]} Array of object literal of data for the rows.
+ */
+updateRows : function(startrow, aData) {
+    if(!this._isVirtual()) {
+        SDT.superclass.updateRows.call(this, startrow, aData);
+        return;
+    }
+
+    if(lang.isArray(aData)) {
+        var oRecordSet = this._oRecordSet,
+            startIndex = lang.isNumber(startrow) ? startrow : this.getRecordIndex(startrow);
+        if(lang.isNumber(startIndex) && (startIndex >= 0) && (startIndex < oRecordSet.getLength())) {
+            var aOldRecords = oRecordSet.getRecords(startIndex, aData.length),
+                aNewRecords = oRecordSet.setRecords(aData, startIndex);
+            if(aNewRecords) {
+                this._replaceSelectedIds(aOldRecords, aNewRecords);
+                this.render();
+                this.fireEvent("rowsAddEvent", {newRecords:aNewRecords, oldRecords:aOldRecords});
+                YAHOO.log("Added " + aNewRecords.length +
+                        " rows starting at index " + startIndex +
+                        " with data " + lang.dump(aData), "info", this.toString());
+                return;
+            }
+        }
+    }
+    YAHOO.log("Could not update rows at " + startrow + " with " + lang.dump(aData), "warn", this.toString());
+},
+
+/**
+ * Deletes the given row's Record from the RecordSet. When rendering is
+ * virtual, the rows in view are re-rendered.
+ *
+ * @method deleteRow
+ * @param row {HTMLElement | String | Number} DOM element reference or ID string
+ * to DataTable page element or RecordSet index.
+ */
+deleteRow : function(row) {
+    if(!this._isVirtual()) {
+        return SDT.superclass.deleteRow.call(this, row);
+    }
+
+    var nRecordIndex = lang.isNumber(row) ? row : this.getRecordIndex(row),
+        oRecord = lang.isNumber(nRecordIndex) ? this.getRecord(nRecordIndex) : null;
+    if(oRecord) {
+        var nTrIndex = this.getTrIndex(nRecordIndex);
+        this._removeSelectedIds([oRecord]);
+
+        var oData = this._oRecordSet.deleteRecord(nRecordIndex);
+        if(oData) {
+            this.render();
+            this.fireEvent("rowDeleteEvent", {recordIndex:nRecordIndex, oldData:oData, trElIndex:nTrIndex, record:oRecord});
+            YAHOO.log("Deleted row with data " + YAHOO.lang.dump(oData) + " at RecordSet index " + nRecordIndex, "info", this.toString());
+            return;
+        }
+    }
+    YAHOO.log("Could not delete row: " + row, "warn", this.toString());
+    return null;
+},
+
+/**
+ * Convenience method to delete multiple rows. When rendering is virtual, the
+ * rows in view are re-rendered.
+ *
+ * @method deleteRows
+ * @param row {HTMLElement | String | Number} DOM element reference or ID string
+ * to DataTable page element or RecordSet index.
+ * @param count {Number} (optional) How many rows to delete. A negative value
+ * will delete towards the beginning.
+ */
+deleteRows : function(row, count) {
+    if(!this._isVirtual()) {
+        return SDT.superclass.deleteRows.call(this, row, count);
+    }
+
+    var nRecordIndex = lang.isNumber(row) ? row : this.getRecordIndex(row);
+    if(lang.isNumber(nRecordIndex) && this.getRecord(nRecordIndex)) {
+        var highIndex = nRecordIndex,
+            lowIndex = nRecordIndex;
+
+        // Validate count and account for negative value
+        if(count && lang.isNumber(count)) {
+            highIndex = (count > 0) ? nRecordIndex + count -1 : nRecordIndex;
+            lowIndex = (count > 0) ? nRecordIndex : nRecordIndex + count + 1;
+            count = (count > 0) ? count : count*-1;
+            if(lowIndex < 0) {
+                lowIndex = 0;
+                count = highIndex - lowIndex + 1;
+            }
+        }
+        else {
+            count = 1;
+        }
+
+        var aRecords = this._oRecordSet.getRecords(lowIndex, count);
+        this._removeSelectedIds(aRecords);
+        var aData = this._oRecordSet.deleteRecords(lowIndex, count);
+        if(aData) {
+            this.render();
+            this.fireEvent("rowsDeleteEvent", {recordIndex:lowIndex, oldData:aData, count:count, records:aRecords});
+            YAHOO.log("DataTable " + count + " rows deleted starting at index " + lowIndex, "info", this.toString());
+            return;
+        }
+    }
+    YAHOO.log("Could not delete rows at " + row, "warn", this.toString());
+    return null;
+},
+
+/**
+ * Points row and cell selections of the given old Records to the given new
+ * Records.
+ *
+ * @method _replaceSelectedIds
+ * @param aOldRecords {YAHOO.widget.Record[]} Replaced Records.
+ * @param aNewRecords {YAHOO.widget.Record[]} Replacing Records.
+ * @private
+ */
+_replaceSelectedIds : function(aOldRecords, aNewRecords) {
+    var tracker = this._aSelections || [],
+        i, j, oldId;
+    for(i=0; i<tracker.length; i++) {
+        for(j=0; j<aOldRecords.length; j++) {
+            oldId = aOldRecords[j].getId();
+            if(tracker[i] === oldId) {
+                tracker[i] = aNewRecords[j].getId();
+            }
+            else if(tracker[i].recordId === oldId) {
+                tracker[i].recordId = aNewRecords[j].getId();
+            }
+        }
+    }
+},
+
+/**
+ * Removes row and cell selections of the given Records.
+ *
+ * @method _removeSelectedIds
+ * @param aRecords {YAHOO.widget.Record[]} Records.
+ * @private
+ */
+_removeSelectedIds : function(aRecords) {
+    var tracker = this._aSelections || [],
+        oIds = {},
+        i;
+    for(i=0; i<aRecords.length; i++) {
+        oIds[aRecords[i].getId()] = true;
+    }
+    for(i=tracker.length-1; i>-1; i--) {
+        if((lang.isString(tracker[i]) && oIds[tracker[i]]) ||
+                (lang.isObject(tracker[i]) && oIds[tracker[i].recordId])) {
+            tracker.splice(i,1);
+        }
+    }
+},
+
 
 
 
@@ -1198,6 +2088,15 @@ _onColumnChange : function(oArg) {
  */
 _onScroll : function(e, oSelf) {
     oSelf._elHdContainer.scrollLeft = oSelf._elBdContainer.scrollLeft;
+    oSelf._elFtContainer.scrollLeft = oSelf._elBdContainer.scrollLeft;
+
+    if(oSelf._nFrozenColumns > 0) {
+        oSelf._setFrozenOffset();
+    }
+
+    if(oSelf._isVirtual()) {
+        oSelf._syncVirtualRows();
+    }
 
     if(oSelf._oCellEditor && oSelf._oCellEditor.isActive) {
         oSelf.fireEvent("editorBlurEvent", {editor:oSelf._oCellEditor});
@@ -1209,6 +2108,33 @@ _onScroll : function(e, oSelf) {
     oSelf.fireEvent("tableScrollEvent", {event:e, target:elTarget});
 },
 
+/**
+ * Handles keydown events on the TBODY element. When rendering is virtual, the
+ * rows around the last selection are rendered before arrow key navigation,
+ * and the new selection is scrolled into view after.
+ *
+ * @method _onTbodyKeydown
+ * @param e {HTMLEvent} The key event.
+ * @param oSelf {YAHOO.widget.ScrollingDataTable} ScrollingDataTable instance.
+ * @private
+ */
+_onTbodyKeydown : function(e, oSelf) {
+    var nKey = Ev.getCharCode(e),
+        bVirtual = oSelf._isVirtual() && (nKey >= 37) && (nKey <= 40),
+        getLastSelected = function() {
+            var oCell = oSelf.getLastSelectedCell();
+            return oSelf.getRecord(oCell ? oCell.recordId : oSelf.getLastSelectedRecord());
+        };
+
+    if(bVirtual) {
+        oSelf._scrollIntoView(getLastSelected());
+    }
+    SDT.superclass._onTbodyKeydown.call(this, e, oSelf);
+    if(bVirtual) {
+        oSelf._scrollIntoView(getLastSelected());
+    }
+},
+
 /**
  * Handles keydown events on the THEAD element.
  *
@@ -1338,7 +1338,1868 @@
         }
     });
     var dtSortingTest = new DataTableTestCase(dtSortingTemplate);
-    
+
+    /**
+     *
+     *
+     * Tests multi-column sorting APIs.
+     *
+     *
+     */
+    var dtMultiSortTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable Multi-Column Sorting Tests",
+
+        dsData: [
+            {name:"a",region:"west",amount:1},
+            {name:"b",region:"east",amount:2},
+            {name:"c",region:"west",amount:3},
+            {name:"d",region:"east",amount:4}
+        ],
+
+        dsConfig: {
+            responseType:YAHOO.util.DataSource.TYPE_JSARRAY,
+            responseSchema:{fields:["name","region",{key:"amount",parser:"number"}]}
+        },
+
+        columns: [
+            {key:"name",sortable:true},
+            {key:"region",sortable:true},
+            {key:"amount",sortable:true}
+        ],
+
+        getNames: function(dt) {
+            var aNames = [],
+                allRows = dt.getTbodyEl().rows;
+            for(var i=0; i<allRows.length; i++) {
+                aNames.push(dt.getRecord(allRows[i]).getData("name"));
+            }
+            return aNames.join("");
+        },
+
+        getSortOrder: function(dt, sKey) {
+            var elOrder = Dom.getElementsByClassName(YAHOO.widget.DataTable.CLASS_SORTORDER, "span", dt.getThEl(dt.getColumn(sKey)))[0];
+            return elOrder ? elOrder.innerHTML : null;
+        },
+
+        testSortColumns: function() {
+            var dt = this.createInstance();
+            dt.sortColumn(dt.getColumn("region"), YAHOO.widget.DataTable.CLASS_ASC);
+            dt.sortColumn(dt.getColumn("amount"), YAHOO.widget.DataTable.CLASS_DESC, true);
+
+            var aSortedBy = dt.get("sortedBy");
+            Assert.areSame(2, aSortedBy.length, "Expected two sort keys");
+            Assert.areSame("region", aSortedBy[0].key, "Unexpected primary key");
+            Assert.areSame(YAHOO.widget.DataTable.CLASS_DESC, aSortedBy[1].dir, "Unexpected secondary dir");
+            Assert.areSame("dbca", this.getNames(dt), "Unexpected order");
+            Assert.isTrue(Dom.hasClass(dt.getThEl(dt.getColumn("region")), YAHOO.widget.DataTable.CLASS_ASC), "Expected asc class");
+            Assert.isTrue(Dom.hasClass(dt.getThEl(dt.getColumn("amount")), YAHOO.widget.DataTable.CLASS_DESC), "Expected desc class");
+            Assert.isTrue(Dom.hasClass(dt.getFirstTrEl().cells[2], YAHOO.widget.DataTable.CLASS_DESC), "Expected desc class on cell");
+            Assert.areSame("1", this.getSortOrder(dt, "region"), "Unexpected primary indicator");
+            Assert.areSame("2", this.getSortOrder(dt, "amount"), "Unexpected secondary indicator");
+            Assert.isNull(this.getSortOrder(dt, "name"), "Expected no indicator");
+        },
+
+        testToggleSecondary: function() {
+            var dt = this.createInstance();
+            dt.sortColumn(dt.getColumn("region"));
+            dt.sortColumn(dt.getColumn("amount"), null, true);
+            Assert.areSame("bdac", this.getNames(dt), "Unexpected order");
+
+            dt.sortColumn(dt.getColumn("amount"), null, true);
+            Assert.areSame("dbca", this.getNames(dt), "Expected secondary reversed");
+            Assert.areSame(YAHOO.widget.DataTable.CLASS_ASC, dt.get("sortedBy")[0].dir, "Expected primary kept");
+        },
+
+        testShiftClick: function() {
+            var dt = this.createInstance();
+            UserAction.click(dt.getThEl(dt.getColumn("region")));
+            UserAction.click(dt.getThEl(dt.getColumn("amount")), {shiftKey:true});
+            Assert.areSame(2, dt.get("sortedBy").length, "Expected two sort keys");
+            Assert.areSame("bdac", this.getNames(dt), "Unexpected order");
+
+            UserAction.click(dt.getThEl(dt.getColumn("name")));
+            Assert.areSame("name", dt.get("sortedBy").key, "Expected single sort");
+            Assert.isNull(this.getSortOrder(dt, "region"), "Expected indicator removed");
+            Assert.isFalse(Dom.hasClass(dt.getThEl(dt.getColumn("amount")), YAHOO.widget.DataTable.CLASS_ASC), "Expected class removed");
+            Assert.isFalse(Dom.hasClass(dt.getFirstTrEl().cells[2], YAHOO.widget.DataTable.CLASS_ASC), "Expected cell class removed");
+        },
+
+        testSortedByArray: function() {
+            var dt = this.createInstance(null, {sortedBy:[{key:"region",dir:"desc"},{key:"amount",dir:"asc"}]});
+            Assert.isTrue(Dom.hasClass(dt.getThEl(dt.getColumn("region")), YAHOO.widget.DataTable.CLASS_DESC), "Expected desc class");
+            Assert.areSame("2", this.getSortOrder(dt, "amount"), "Unexpected secondary indicator");
+            Assert.areSame(YAHOO.widget.DataTable.CLASS_ASC, dt.getColumnSortDir(dt.getColumn("region")), "Unexpected next dir");
+        },
+
+        testGenerateRequest: function() {
+            var dt = this.createInstance();
+            var fnRequest = dt.get("generateRequest");
+            Assert.areSame("sort=region,amount&dir=asc,desc&startIndex=0", fnRequest({sortedBy:[
+                {key:"region",dir:YAHOO.widget.DataTable.CLASS_ASC},
+                {key:"amount",dir:YAHOO.widget.DataTable.CLASS_DESC}
+            ]}, dt), "Unexpected multi-column request");
+            Assert.areSame("sort=amount&dir=desc&startIndex=0", fnRequest({sortedBy:
+                {key:"amount",dir:YAHOO.widget.DataTable.CLASS_DESC}
+            }, dt), "Unexpected single Column request");
+        }
+    });
+    var dtMultiSortTest = new DataTableTestCase(dtMultiSortTemplate);
+
+    /**
+     *
+     *
+     * Tests filtering APIs.
+     *
+     *
+     */
+    var dtFilteringTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable Filtering Tests",
+
+        dsData: [
+            {a:0,b:"zero"},
+            {a:1,b:"one"},
+            {a:2,b:"two"},
+            {a:3,b:"three"}
+        ],
+
+        dsConfig: {
+            responseType:YAHOO.util.DataSource.TYPE_JSARRAY,
+            responseSchema:{fields:["a","b"]}
+        },
+
+        columns: [
+            {key:"a",label:"numbers",sortable:true,filter:"number"},
+            {key:"b",label:"strings",sortable:true,filter:"text"}
+        ],
+
+        testFilterText: function() {
+            var dt = this.createInstance();
+            dt.filterColumn("b", {value:"t"});
+
+            Assert.areSame(2, dt.getTbodyEl().rows.length, "Expected 2 rows");
+            Assert.areSame("two", dt.getRecord(dt.getFirstTrEl()).getData("b"), "Unexpected first row");
+            Assert.areSame("three", dt.getRecord(dt.getLastTrEl()).getData("b"), "Unexpected last row");
+            Assert.areSame(4, dt.getRecordSet().getAllRecords().length, "Expected all Records kept");
+            Assert.isTrue(dt.getRecordSet().isFiltered(), "Expected RecordSet to be filtered");
+        },
+
+        testFilterNumberRange: function() {
+            var dt = this.createInstance();
+            dt.filterColumn("a", {min:1,max:2});
+
+            Assert.areSame(2, dt.getTbodyEl().rows.length, "Expected 2 rows");
+            Assert.areSame(1, dt.getRecord(dt.getFirstTrEl()).getData("a"), "Unexpected first row");
+            Assert.areSame(2, dt.getRecord(dt.getLastTrEl()).getData("a"), "Unexpected last row");
+        },
+
+        testFilterCombined: function() {
+            var dt = this.createInstance();
+            dt.filterColumn("a", {min:1});
+            dt.filterColumn("b", {value:"o",op:"contains"});
+
+            Assert.areSame(2, dt.getTbodyEl().rows.length, "Expected 2 rows");
+            Assert.areSame("one", dt.getRecord(dt.getFirstTrEl()).getData("b"), "Unexpected first row");
+            Assert.areSame("two", dt.getRecord(dt.getLastTrEl()).getData("b"), "Unexpected last row");
+        },
+
+        testFilterFunction: function() {
+            var dt = this.createInstance();
+            dt.filterColumn("a", function(oData) {
+                return oData % 2 === 1;
+            });
+
+            Assert.areSame(2, dt.getTbodyEl().rows.length, "Expected 2 rows");
+            Assert.areSame(1, dt.getRecord(dt.getFirstTrEl()).getData("a"), "Unexpected first row");
+            Assert.areSame(3, dt.getRecord(dt.getLastTrEl()).getData("a"), "Unexpected last row");
+        },
+
+        testSortWhileFiltered: function() {
+            var dt = this.createInstance();
+            dt.filterColumn("a", {min:1});
+            dt.sortColumn(dt.getColumn("a"), YAHOO.widget.DataTable.CLASS_DESC);
+
+            Assert.areSame(3, dt.getTbodyEl().rows.length, "Expected 3 rows");
+            Assert.areSame(3, dt.getRecord(dt.getFirstTrEl()).getData("a"), "Unexpected first row");
+
+            dt.clearFilters();
+            Assert.areSame(4, dt.getTbodyEl().rows.length, "Expected 4 rows");
+            Assert.areSame(3, dt.getRecord(dt.getFirstTrEl()).getData("a"), "Expected sort kept");
+            Assert.areSame(0, dt.getRecord(dt.getLastTrEl()).getData("a"), "Expected hidden row sorted");
+        },
+
+        testClearFilters: function() {
+            var dt = this.createInstance();
+            dt.filterColumn("b", {value:"zero",op:"equals"});
+            Assert.areSame(1, dt.getTbodyEl().rows.length, "Expected 1 row");
+
+            dt.clearFilters();
+            Assert.areSame(4, dt.getTbodyEl().rows.length, "Expected 4 rows");
+            Assert.isFalse(dt.getRecordSet().isFiltered(), "Expected RecordSet not filtered");
+            Assert.isUndefined(dt.getColumnFilter("b"), "Expected no filter");
+        },
+
+        testFilterEvent: function() {
+            var dt = this.createInstance(),
+                oArgs = null;
+            dt.subscribe("columnFilterEvent", function(o) {
+                oArgs = o;
+            });
+            dt.filterColumn("b", {value:"one"});
+
+            Assert.areSame(dt.getColumn("b"), oArgs.column, "Unexpected column");
+            Assert.areSame("one", oArgs.filter.value, "Unexpected filter");
+        },
+
+        testFilterRow: function() {
+            var dt = this.createInstance(null, {filterRow:true});
+            var elTr = dt.getTheadEl().rows[dt.getTheadEl().rows.length-1];
+
+            Assert.isTrue(Dom.hasClass(elTr, YAHOO.widget.DataTable.CLASS_FILTER), "Expected filter row");
+            Assert.areSame(2, elTr.cells.length, "Expected one cell per Column");
+            Assert.areSame(3, elTr.getElementsByTagName("input").length, "Expected range and text inputs");
+
+            dt.set("filterRow", false);
+            elTr = dt.getTheadEl().rows[dt.getTheadEl().rows.length-1];
+            Assert.isFalse(Dom.hasClass(elTr, YAHOO.widget.DataTable.CLASS_FILTER), "Expected filter row removed");
+        }
+    });
+    var dtFilteringTest = new DataTableTestCase(dtFilteringTemplate);
+
+    /**
+     *
+     *
+     * Tests grouping APIs.
+     *
+     *
+     */
+    var dtGroupingTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable Grouping Tests",
+
+        dsData: [
+            {region:"west",account:"b",amount:1},
+            {region:"east",account:"a",amount:2},
+            {region:"west",account:"a",amount:4},
+            {region:"east",account:"a",amount:8},
+            {region:"west",account:"b",amount:16}
+        ],
+
+        dsConfig: {
+            responseType:YAHOO.util.DataSource.TYPE_JSARRAY,
+            responseSchema:{fields:["region","account","amount"]}
+        },
+
+        columns: [
+            {key:"region",sortable:true},
+            {key:"account",sortable:true},
+            {key:"amount",sortable:true,aggregate:"sum"}
+        ],
+
+        testGroupRows: function() {
+            var dt = this.createInstance(null, {groupBy:"region"});
+            var allRows = dt.getTbodyEl().rows;
+
+            Assert.areSame(7, allRows.length, "Expected 5 rows and 2 group rows");
+            Assert.isTrue(Dom.hasClass(allRows[0], YAHOO.widget.DataTable.CLASS_GROUP), "Expected group row first");
+            Assert.isTrue(Dom.hasClass(allRows[3], YAHOO.widget.DataTable.CLASS_GROUP), "Expected second group row");
+            Assert.areSame("east", dt.getRecord(allRows[1]).getData("region"), "Expected east group first");
+            Assert.areSame("west", dt.getRecord(allRows[6]).getData("region"), "Expected west group last");
+            Assert.areSame(2, dt.getRecord(allRows[1]).getData("amount"), "Expected original order within group");
+        },
+
+        testRowAccessors: function() {
+            var dt = this.createInstance(null, {groupBy:"region"});
+            var allRows = dt.getTbodyEl().rows;
+
+            Assert.areSame(allRows[1], dt.getFirstTrEl(), "Expected first Record row");
+            Assert.areSame(allRows[6], dt.getLastTrEl(), "Expected last Record row");
+            Assert.areSame(allRows[4], dt.getTrEl(2), "Expected third Record row");
+            Assert.areSame(2, dt.getTrIndex(allRows[4]), "Expected page row index 2");
+            Assert.areSame(allRows[4], dt.getNextTrEl(allRows[2]), "Expected to skip group row");
+            Assert.areSame(dt.getRecordSet().getRecord(2), dt.getRecord(allRows[4]), "Expected Record 2");
+            Assert.isNull(dt.getRecord(allRows[0]), "Expected no Record for group row");
+        },
+
+        testAggregates: function() {
+            var dt = this.createInstance(null, {groupBy:["region","account"]});
+            var aGroups = dt.getGroups();
+
+            Assert.areSame(5, aGroups.length, "Expected 2 regions and 3 accounts");
+            Assert.areSame("east", aGroups[0].value, "Unexpected first group");
+            Assert.areSame(10, aGroups[0].aggregates.amount, "Unexpected east sum");
+            Assert.areSame(1, aGroups[1].level, "Expected nested group");
+            Assert.areSame(aGroups[0], aGroups[1].parent, "Expected parent group");
+            Assert.areSame(21, dt.getGroup("west").aggregates.amount, "Unexpected west sum");
+            Assert.areSame(17, dt.getGroup("west/b").aggregates.amount, "Unexpected west/b sum");
+            Assert.areSame(2, dt.getGroup("west/b").records.length, "Unexpected west/b count");
+
+            var elTr = dt.getTbodyEl().rows[0];
+            Assert.areSame("10", elTr.cells[2].firstChild.innerHTML, "Expected aggregate in group row");
+            Assert.areSame(1, elTr.getElementsByTagName("button").length, "Expected toggle button");
+        },
+
+        testCollapseExpand: function() {
+            var dt = this.createInstance(null, {groupBy:"region"}),
+                aCollapsed = [];
+            dt.subscribe("groupCollapseEvent", function(oArgs) {
+                aCollapsed.push(oArgs.group.id);
+            });
+            var allRows = dt.getTbodyEl().rows;
+
+            dt.collapseGroup("east");
+            ArrayAssert.itemsAreEqual(["east"], aCollapsed, "Expected collapse event");
+            Assert.isTrue(Dom.hasClass(allRows[0], YAHOO.widget.DataTable.CLASS_COLLAPSED), "Expected collapsed group row");
+            Assert.isTrue(Dom.hasClass(allRows[1], YAHOO.widget.DataTable.CLASS_HIDDEN), "Expected hidden row");
+            Assert.isFalse(Dom.hasClass(allRows[4], YAHOO.widget.DataTable.CLASS_HIDDEN), "Expected visible row");
+            Assert.areSame("false", allRows[0].getElementsByTagName("button")[0].getAttribute("aria-expanded"), "Expected aria-expanded false");
+
+            UserAction.click(allRows[0].getElementsByTagName("button")[0]);
+            Assert.isFalse(dt.getGroup("east").collapsed, "Expected expanded by click");
+            Assert.isFalse(Dom.hasClass(allRows[1], YAHOO.widget.DataTable.CLASS_HIDDEN), "Expected row shown");
+
+            dt.collapseAllGroups();
+            dt.render();
+            allRows = dt.getTbodyEl().rows;
+            Assert.isTrue(Dom.hasClass(allRows[5], YAHOO.widget.DataTable.CLASS_HIDDEN), "Expected collapsed state kept by render");
+        },
+
+        testSortWithinGroups: function() {
+            var dt = this.createInstance(null, {groupBy:"region"});
+            dt.sortColumn(dt.getColumn("amount"), YAHOO.widget.DataTable.CLASS_DESC);
+            var allRows = dt.getTbodyEl().rows;
+
+            Assert.areSame("east", dt.getRecord(allRows[1]).getData("region"), "Expected groups kept");
+            Assert.areSame(8, dt.getRecord(allRows[1]).getData("amount"), "Expected descending within east");
+            Assert.areSame(16, dt.getRecord(allRows[4]).getData("amount"), "Expected descending within west");
+
+            dt.sortColumn(dt.getColumn("region"), YAHOO.widget.DataTable.CLASS_DESC);
+            Assert.areSame("west", dt.getRecord(dt.getFirstTrEl()).getData("region"), "Expected groups in sort direction");
+        },
+
+        testAddRow: function() {
+            var dt = this.createInstance(null, {groupBy:"region"});
+            dt.addRow({region:"east",account:"c",amount:32});
+
+            Assert.areSame(8, dt.getTbodyEl().rows.length, "Expected new row");
+            Assert.areSame(32, dt.getRecord(dt.getTrEl(2)).getData("amount"), "Expected new row in its group");
+            Assert.areSame(42, dt.getGroup("east").aggregates.amount, "Expected aggregate updated");
+        },
+
+        testRowSelection: function() {
+            var dt = this.createInstance(null, {groupBy:"region"});
+            dt.subscribe("rowClickEvent", dt.onEventSelectRow);
+            var allRows = dt.getTbodyEl().rows;
+
+            UserAction.click(allRows[0]);
+            Assert.areSame(0, dt.getSelectedRows().length, "Expected group row not selectable");
+
+            UserAction.click(allRows[4].cells[0]);
+            ArrayAssert.itemsAreSame([dt.getRecord(allRows[4]).getId()], dt.getSelectedRows(), "Expected Record row selected");
+        },
+
+        testScrollingDataTable: function() {
+            var dt = this.createInstance(YAHOO.widget.ScrollingDataTable, {groupBy:"region",height:"100px"});
+            var allRows = dt.getTbodyEl().rows;
+
+            Assert.areSame(7, allRows.length, "Expected 5 rows and 2 group rows");
+            Assert.areSame(allRows[1], dt.getFirstTrEl(), "Expected first Record row");
+        },
+
+        testUngroup: function() {
+            var dt = this.createInstance(null, {groupBy:"region"});
+            dt.set("groupBy", null);
+
+            Assert.areSame(5, dt.getTbodyEl().rows.length, "Expected no group rows");
+            Assert.areSame(0, dt.getGroups().length, "Expected no groups");
+        }
+    });
+    var dtGroupingTest = new DataTableTestCase(dtGroupingTemplate);
+
+    /**
+     *
+     *
+     * Tests footer aggregate APIs.
+     *
+     *
+     */
+    var dtFooterTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable Footer Tests",
+
+        dsData: [
+            {name:"a",amount:1},
+            {name:"b",amount:2},
+            {name:"c",amount:4}
+        ],
+
+        dsConfig: {
+            responseType:YAHOO.util.DataSource.TYPE_JSARRAY,
+            responseSchema:{fields:["name",{key:"amount",parser:"number"}]}
+        },
+
+        columns: [
+            {key:"name",sortable:true,filter:"text",aggregate:"count"},
+            {key:"amount",sortable:true,aggregate:"sum"},
+            {key:"max",field:"amount",aggregate:"max"}
+        ],
+
+        getFooterText: function(dt, index) {
+            return dt.getTfootEl().rows[0].cells[index].firstChild.innerHTML;
+        },
+
+        testFooter: function() {
+            var dt = this.createInstance();
+            var elTfoot = dt.getTfootEl();
+
+            Assert.areSame("tfoot", elTfoot.nodeName.toLowerCase(), "Expected a TFOOT");
+            Assert.areSame(dt.getTableEl(), elTfoot.parentNode, "Expected TFOOT in the TABLE");
+            Assert.areSame(3, elTfoot.rows[0].cells.length, "Expected a cell per Column");
+            Assert.isTrue(Dom.hasClass(elTfoot.rows[0], YAHOO.widget.DataTable.CLASS_AGGREGATE), "Expected aggregate class");
+            Assert.areSame("3", this.getFooterText(dt, 0), "Unexpected count");
+            Assert.areSame("7", this.getFooterText(dt, 1), "Unexpected sum");
+            Assert.areSame("4", this.getFooterText(dt, 2), "Unexpected max");
+            Assert.areSame(3, dt.getTbodyEl().rows.length, "Expected footer not to be a row");
+        },
+
+        testNoFooter: function() {
+            this.columns = [{key:"name"},{key:"amount"}];
+            var dt = this.createInstance();
+            this.columns = dtFooterTemplate.columns;
+
+            Assert.isNull(dt.getTfootEl(), "Expected no TFOOT");
+        },
+
+        testUpdate: function() {
+            var dt = this.createInstance();
+            dt.updateCell(dt.getRecord(0), "amount", 10);
+
+            Assert.areSame("16", this.getFooterText(dt, 1), "Expected sum after updateCell");
+            Assert.areSame("10", this.getFooterText(dt, 2), "Expected max after updateCell");
+
+            dt.getRecordSet().updateKey(0, "amount", 20);
+            Assert.areSame("26", this.getFooterText(dt, 1), "Expected sum after updateKey");
+        },
+
+        testAddDeleteRows: function() {
+            var dt = this.createInstance();
+            dt.addRow({name:"d",amount:8});
+
+            Assert.areSame("4", this.getFooterText(dt, 0), "Expected count after addRow");
+            Assert.areSame("15", this.getFooterText(dt, 1), "Expected sum after addRow");
+
+            dt.deleteRow(0);
+            Assert.areSame("3", this.getFooterText(dt, 0), "Expected count after deleteRow");
+            Assert.areSame("14", this.getFooterText(dt, 1), "Expected sum after deleteRow");
+        },
+
+        testRejectChanges: function() {
+            var dt = this.createInstance();
+            dt.updateCell(dt.getRecord(0), "amount", 100);
+            dt.deleteRow(1);
+            Assert.areSame("104", this.getFooterText(dt, 1), "Expected sum of changes");
+
+            dt.getRecordSet().rejectChanges();
+            Assert.areSame("3", this.getFooterText(dt, 0), "Expected count after rejectChanges");
+            Assert.areSame("7", this.getFooterText(dt, 1), "Expected sum after rejectChanges");
+            Assert.areSame("4", this.getFooterText(dt, 2), "Expected max after rejectChanges");
+        },
+
+        testFilter: function() {
+            var dt = this.createInstance();
+            dt.filterColumn("name", {value:"b"});
+
+            Assert.areSame("1", this.getFooterText(dt, 0), "Expected count of filtered Records");
+            Assert.areSame("2", this.getFooterText(dt, 1), "Expected sum of filtered Records");
+
+            dt.clearFilters();
+            Assert.areSame("7", this.getFooterText(dt, 1), "Expected sum after clearing filter");
+        },
+
+        testColumnChanges: function() {
+            var dt = this.createInstance();
+            dt.hideColumn("name");
+
+            Assert.isTrue(Dom.hasClass(dt.getTfootEl().rows[0].cells[0], YAHOO.widget.DataTable.CLASS_HIDDEN), "Expected hidden footer cell");
+
+            dt.removeColumn(dt.getColumn("max"));
+            Assert.areSame(2, dt.getTfootEl().rows[0].cells.length, "Expected footer cell removed");
+
+            dt.insertColumn({key:"min",field:"amount",aggregate:"min"}, 0);
+            Assert.areSame(3, dt.getTfootEl().rows[0].cells.length, "Expected footer cell inserted");
+            Assert.areSame("1", this.getFooterText(dt, 0), "Expected min in inserted cell");
+
+            dt.removeColumn(dt.getColumn("min"));
+            dt.removeColumn(dt.getColumn("amount"));
+            dt.removeColumn(dt.getColumn("name"));
+            Assert.isNull(dt.getTfootEl(), "Expected no TFOOT without aggregates");
+        },
+
+        testScrollingDataTable: function() {
+            var dt = this.createInstance(YAHOO.widget.ScrollingDataTable, {height:"50px",width:"100px"});
+            var elTfoot = dt.getTfootEl();
+
+            Assert.areSame(dt.getFtTableEl(), elTfoot.parentNode, "Expected TFOOT in the footer TABLE");
+            Assert.areSame("", dt.getFtContainerEl().style.display, "Expected footer container shown");
+            Assert.areSame("100px", dt.getFtContainerEl().style.width, "Expected footer container width");
+            Assert.areSame("7", this.getFooterText(dt, 1), "Unexpected sum");
+            Assert.areSame(3, dt.getTbodyEl().rows.length, "Expected footer not to be a row");
+        }
+    });
+    var dtFooterTest = new DataTableTestCase(dtFooterTemplate);
+
+    /**
+     *
+     *
+     * Tests virtual rendering of ScrollingDataTable.
+     *
+     *
+     */
+    var dtVirtualTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable Virtual Scrolling Tests",
+
+        dsData: (function() {
+            var aData = [];
+            for(var i=0; i<200; i++) {
+                aData.push({a:i+"a",b:i+"b",c:i+"c"});
+            }
+            return aData;
+        })(),
+
+        createVirtualInstance: function(oConfig) {
+            return this.createInstance(YAHOO.widget.ScrollingDataTable, YAHOO.lang.merge(
+                    {virtualScrolling:true,virtualBuffer:5,height:"100px"}, oConfig || {}));
+        },
+
+        testRender: function() {
+            var dt = this.createVirtualInstance();
+            var nRows = dt.getTbodyEl().rows.length;
+
+            Assert.isTrue(nRows > 0, "Expected rows rendered");
+            Assert.isTrue(nRows < 200, "Expected fewer rows than Records");
+            Assert.areSame("0a", dt.getRecord(dt.getFirstTrEl()).getData("a"), "Unexpected first row");
+            Assert.isTrue(Dom.hasClass(dt.getFirstTrEl(), YAHOO.widget.DataTable.CLASS_FIRST), "Expected first class");
+        },
+
+        testScrollTo: function() {
+            var dt = this.createVirtualInstance();
+            var rs = dt.getRecordSet();
+            var oRecord = rs.getRecord(150);
+            dt.scrollTo(oRecord);
+
+            var elTr = dt.getTrEl(oRecord);
+            Assert.isNotNull(elTr, "Expected row of Record 150 rendered");
+            Assert.areSame(oRecord, dt.getRecord(elTr), "Expected Record by row");
+            Assert.areSame(150, dt.getRecordIndex(elTr), "Unexpected Record index");
+            Assert.areSame(elTr, dt.getTrEl(dt.getTrIndex(150)), "Expected page row index round trip");
+            Assert.areSame(150, dt.getRecordIndex(dt.getTrIndex(oRecord)), "Expected Record index round trip");
+            Assert.isNull(dt.getTrEl(rs.getRecord(0)), "Expected row of Record 0 not rendered");
+            Assert.isNull(dt.getTrIndex(0), "Expected no page row index for Record 0");
+            Assert.isTrue(dt.getTbodyEl().rows.length < 200, "Expected fewer rows than Records");
+        },
+
+        testGridStates: function() {
+            var dt = this.createVirtualInstance({gridNavigation:true});
+            var oRecord = dt.getRecordSet().getRecord(150);
+            dt.scrollTo(oRecord);
+
+            var elTr = dt.getTrEl(oRecord);
+            Assert.areSame("201", dt.getTableEl().getAttribute("aria-rowcount"), "Unexpected row count");
+            Assert.areSame("152", elTr.getAttribute("aria-rowindex"), "Expected row index of the Record");
+            Assert.areSame("row", elTr.getAttribute("role"), "Expected row role on reused row");
+            Assert.areSame(String(dt.getRecordIndex(dt.getFirstTrEl()) + 2), dt.getFirstTrEl().getAttribute("aria-rowindex"), "Unexpected first row index");
+        },
+
+        testSelection: function() {
+            var dt = this.createVirtualInstance();
+            var rs = dt.getRecordSet();
+            dt.selectRow(0);
+            dt.scrollTo(rs.getRecord(150));
+
+            Assert.areSame(rs.getRecord(0).getId(), dt.getSelectedRows()[0], "Expected selection kept");
+            Assert.isFalse(Dom.hasClass(dt.getTrEl(rs.getRecord(150)), YAHOO.widget.DataTable.CLASS_SELECTED), "Expected reused row not selected");
+
+            dt.scrollTo(rs.getRecord(0));
+            Assert.isTrue(Dom.hasClass(dt.getTrEl(rs.getRecord(0)), YAHOO.widget.DataTable.CLASS_SELECTED), "Expected selected row restored");
+        },
+
+        testAddDeleteRows: function() {
+            var dt = this.createVirtualInstance();
+            var rs = dt.getRecordSet();
+            var aFired = [];
+            dt.subscribe("rowAddEvent", function(oArgs) {
+                aFired.push("add:" + oArgs.record.getData("a"));
+            });
+            dt.subscribe("rowDeleteEvent", function(oArgs) {
+                aFired.push("delete:" + oArgs.recordIndex);
+            });
+
+            dt.addRow({a:"new",b:"new",c:"new"}, 100);
+            dt.deleteRow(180);
+            ArrayAssert.itemsAreSame(["add:new","delete:180"], aFired, "Expected row events");
+            Assert.areSame(200, rs.getLength(), "Unexpected Record count");
+            Assert.areSame("new", rs.getRecord(100).getData("a"), "Expected Record added");
+
+            dt.deleteRows(0, 3);
+            Assert.areSame(197, rs.getLength(), "Expected Records deleted");
+            Assert.areSame("3a", dt.getRecord(dt.getFirstTrEl()).getData("a"), "Expected rows re-rendered");
+            Assert.isTrue(dt.getTbodyEl().rows.length < 197, "Expected fewer rows than Records");
+        },
+
+        testKeyNavigation: function() {
+            var dt = this.createVirtualInstance();
+            var rs = dt.getRecordSet();
+            dt.set("selectionMode", "single");
+            dt.selectRow(rs.getRecord(150));
+
+            UserAction.keydown(dt.getTbodyEl(), {keyCode:40});
+            Assert.areSame(rs.getRecord(151).getId(), dt.getLastSelectedRecord(), "Expected next Record selected");
+            Assert.isNotNull(dt.getTrEl(rs.getRecord(151)), "Expected row of selected Record rendered");
+        },
+
+        testSort: function() {
+            var dt = this.createVirtualInstance();
+            dt.sortColumn(dt.getColumn("a"), YAHOO.widget.DataTable.CLASS_DESC);
+
+            Assert.areSame("9a", dt.getRecord(dt.getFirstTrEl()).getData("a"), "Expected rows sorted");
+            Assert.isTrue(dt.getTbodyEl().rows.length < 200, "Expected fewer rows than Records");
+        },
+
+        testDisabled: function() {
+            var dt = this.createInstance(YAHOO.widget.ScrollingDataTable, {height:"100px"});
+            Assert.areSame(200, dt.getTbodyEl().rows.length, "Expected all rows rendered");
+
+            dt.set("virtualScrolling", true);
+            Assert.isTrue(dt.getTbodyEl().rows.length < 200, "Expected fewer rows than Records");
+        }
+    });
+    var dtVirtualTest = new DataTableTestCase(dtVirtualTemplate);
+
+    /**
+     *
+     *
+     * Tests export APIs.
+     *
+     *
+     */
+    var dtExportTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable Export Tests",
+
+        dsData: [
+            {name:"Smith, \"Jo\"",amount:1.5,note:"x"},
+            {name:"a & b",amount:2,note:"y"},
+            {name:"c",amount:null,note:"z"}
+        ],
+
+        dsConfig: {
+            responseType:YAHOO.util.DataSource.TYPE_JSARRAY,
+            responseSchema:{fields:["name","amount","note"]}
+        },
+
+        columns: [
+            {key:"name",label:"<em>Name</em>"},
+            {key:"amount",formatter:"currency"},
+            {key:"note",hidden:true}
+        ],
+
+        testCSV: function() {
+            var dt = this.createInstance();
+            Assert.areSame("Name,amount\r\n\"Smith, \"\"Jo\"\"\",1.5\r\na & b,2\r\nc,", dt.exportData(), "Unexpected CSV");
+            Assert.areSame("c,", dt.exportData({header:false}).split("\r\n")[2], "Expected no header row");
+        },
+
+        testTSV: function() {
+            var dt = this.createInstance();
+            Assert.areSame("Name\tamount\tnote\r\nSmith, \"Jo\"\t1.5\tx", dt.exportData({format:"tsv",hidden:true}).split("\r\n").slice(0,2).join("\r\n"), "Unexpected TSV");
+        },
+
+        testJSON: function() {
+            var dt = this.createInstance();
+            var aData = (YAHOO.lang.JSON || window.JSON).parse(dt.exportData({format:"json",columns:["amount","name"]}));
+            Assert.areSame(3, aData.length, "Unexpected row count");
+            Assert.areSame(1.5, aData[0].amount, "Expected data values");
+            Assert.isNull(aData[2].amount, "Expected null value");
+            Assert.areSame("a & b", aData[1].name, "Unexpected name");
+        },
+
+        testHTML: function() {
+            var dt = this.createInstance();
+            Assert.areSame("<table><thead><tr><th>Name</th><th>amount</th></tr></thead><tbody>" +
+                    "<tr><td>Smith, &quot;Jo&quot;</td><td>1.5</td></tr>" +
+                    "<tr><td>a &amp; b</td><td>2</td></tr>" +
+                    "<tr><td>c</td><td></td></tr></tbody></table>", dt.exportData({format:"html"}), "Unexpected HTML");
+        },
+
+        testFormatted: function() {
+            var dt = this.createInstance();
+            var aLines = dt.exportData({formatted:true}).split("\r\n");
+            Assert.areSame("\"Smith, \"\"Jo\"\"\",$1.50", aLines[1], "Expected display text");
+            Assert.areSame("a & b,$2.00", aLines[2], "Expected display text");
+        },
+
+        testRecords: function() {
+            var dt = this.createInstance();
+            dt.filterColumn("note", {value:"x"});
+            Assert.areSame(2, dt.exportData().split("\r\n").length, "Expected filtered Records");
+            Assert.areSame(4, dt.exportData({records:"all"}).split("\r\n").length, "Expected all Records");
+            dt.clearFilters();
+
+            dt.selectRow(2);
+            dt.selectRow(0);
+            ArrayAssert.itemsAreSame(["Name", "\"Smith, \"\"Jo\"\"\"", "c"], dt.exportData({records:"selected",columns:["name"]}).split("\r\n"), "Expected selected Records in order");
+        },
+
+        testPage: function() {
+            var dt = this.createInstance(null, {paginator:new YAHOO.widget.Paginator({rowsPerPage:2})});
+            dt.get("paginator").setPage(2);
+            Assert.areSame("Name\r\nc", dt.exportData({records:"page",columns:["name"]}), "Expected Records of the page");
+        }
+    });
+    var dtExportTest = new DataTableTestCase(dtExportTemplate);
+
+    /**
+     *
+     *
+     * Tests clipboard APIs.
+     *
+     *
+     */
+    var dtClipboardTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable Clipboard Tests",
+
+        dsData: [
+            {name:"a",amount:1,note:"x"},
+            {name:"b",amount:2,note:"y"},
+            {name:"c",amount:3,note:"z"}
+        ],
+
+        dsConfig: {
+            responseType:YAHOO.util.DataSource.TYPE_JSARRAY,
+            responseSchema:{fields:["name",{key:"amount",parser:"number"},"note"]}
+        },
+
+        createClipboardInstance: function() {
+            // CellEditors are destroyed with the DataTable
+            this.columns = [
+                {key:"name",editor:new YAHOO.widget.TextboxCellEditor()},
+                {key:"amount",editor:new YAHOO.widget.TextboxCellEditor({validator:YAHOO.widget.DataTable.validateNumber})},
+                {key:"note"}
+            ];
+            return this.createInstance(null, {selectionMode:"cellrange"});
+        },
+
+        getValues: function(dt, sKey) {
+            var aValues = [],
+                aRecords = dt.getRecordSet().getRecords();
+            for(var i=0; i<aRecords.length; i++) {
+                aValues.push(aRecords[i].getData(sKey));
+            }
+            return aValues;
+        },
+
+        testCopy: function() {
+            var dt = this.createClipboardInstance();
+            var rs = dt.getRecordSet();
+            Assert.isNull(dt.copyCells(), "Expected nothing to copy");
+
+            dt.selectCell({record:rs.getRecord(0), column:dt.getColumn("name")});
+            dt.selectCell({record:rs.getRecord(1), column:dt.getColumn("amount")});
+            var oCopy = dt.copyCells();
+            Assert.areSame("a\t\r\n\t2", oCopy.text, "Unexpected text");
+            Assert.areSame("<table><tbody><tr><td>a</td><td></td></tr><tr><td></td><td>2</td></tr></tbody></table>", oCopy.html, "Unexpected markup");
+        },
+
+        testCopyQuoted: function() {
+            var dt = this.createClipboardInstance();
+            var rs = dt.getRecordSet();
+            rs.updateKey(0, "name", "say \"hi\"\tthere");
+            dt.selectCell({record:rs.getRecord(0), column:dt.getColumn("name")});
+            Assert.areSame("\"say \"\"hi\"\"\tthere\"", dt.copyCells().text, "Expected quoted value");
+
+            dt.pasteCells(dt.copyCells().text, {record:rs.getRecord(1), column:dt.getColumn("name")});
+            Assert.areSame("say \"hi\"\tthere", rs.getRecord(1).getData("name"), "Expected value round trip");
+        },
+
+        testPaste: function() {
+            var dt = this.createClipboardInstance();
+            var rs = dt.getRecordSet();
+            var nSaves = 0;
+            dt.subscribe("editorSaveEvent", function(oArgs) {
+                nSaves++;
+            });
+            dt.selectCell({record:rs.getRecord(1), column:dt.getColumn("name")});
+            var aChanges = dt.pasteCells("p\t5\tnew\r\nq\t6\r\nr\t7\r\n");
+
+            ArrayAssert.itemsAreSame(["a","p","q"], this.getValues(dt, "name"), "Unexpected names");
+            ArrayAssert.itemsAreSame([1,5,6], this.getValues(dt, "amount"), "Expected parsed numbers");
+            ArrayAssert.itemsAreSame(["x","y","z"], this.getValues(dt, "note"), "Expected Column without editor skipped");
+            Assert.areSame(4, aChanges.length, "Unexpected change count");
+            Assert.areSame(4, nSaves, "Expected editorSaveEvent per cell");
+            Assert.areSame("5", dt.getTdEl({record:rs.getRecord(1), column:dt.getColumn("amount")}).firstChild.innerHTML, "Expected cell updated");
+        },
+
+        testPasteInvalid: function() {
+            var dt = this.createClipboardInstance();
+            var rs = dt.getRecordSet();
+            var aReverts = [];
+            dt.subscribe("editorRevertEvent", function(oArgs) {
+                aReverts.push(oArgs.newData);
+            });
+            dt.pasteCells("p\tabc", {record:rs.getRecord(0), column:dt.getColumn("name")});
+
+            Assert.areSame("p", rs.getRecord(0).getData("name"), "Expected valid value pasted");
+            Assert.areSame(1, rs.getRecord(0).getData("amount"), "Expected invalid value skipped");
+            ArrayAssert.itemsAreSame(["abc"], aReverts, "Expected editorRevertEvent");
+        },
+
+        testPasteParser: function() {
+            var dt = this.createClipboardInstance();
+            var rs = dt.getRecordSet();
+            dt.getColumn("amount").editor.validator = null;
+            dt.pasteCells("8", {record:rs.getRecord(0), column:dt.getColumn("amount")});
+
+            Assert.areSame(8, rs.getRecord(0).getData("amount"), "Expected value converted by the field parser");
+        },
+
+        testPasteFill: function() {
+            var dt = this.createClipboardInstance();
+            var rs = dt.getRecordSet();
+            dt.selectCell({record:rs.getRecord(0), column:dt.getColumn("name")});
+            dt.selectCell({record:rs.getRecord(2), column:dt.getColumn("name")});
+            dt.pasteCells("z");
+
+            ArrayAssert.itemsAreSame(["z","b","z"], this.getValues(dt, "name"), "Expected value in every selected cell");
+        },
+
+        testUndoPaste: function() {
+            var dt = this.createClipboardInstance();
+            var rs = dt.getRecordSet();
+            dt.pasteCells("p\t5\nq\t6", {record:rs.getRecord(0), column:dt.getColumn("name")});
+            Assert.isTrue(dt.undoPaste(), "Expected paste undone");
+
+            ArrayAssert.itemsAreSame(["a","b","c"], this.getValues(dt, "name"), "Expected names restored");
+            ArrayAssert.itemsAreSame([1,2,3], this.getValues(dt, "amount"), "Expected amounts restored");
+            Assert.isFalse(dt.undoPaste(), "Expected nothing to undo");
+        },
+
+        testUndoPasteHistory: function() {
+            var dt = this.createClipboardInstance();
+            var rs = dt.getRecordSet();
+            dt.set("undoDepth", 10);
+            dt.pasteCells("p\t5", {record:rs.getRecord(0), column:dt.getColumn("name")});
+            dt.showCellEditor(dt.getTdEl({record:rs.getRecord(2), column:dt.getColumn("name")}));
+            dt.getCellEditor().textbox.value = "x";
+            dt.saveCellEditor();
+            Assert.isFalse(dt.undoPaste(), "Expected paste not undone behind a later edit");
+
+            Assert.isTrue(dt.undo(), "Expected later edit undone");
+            Assert.isTrue(dt.undoPaste(), "Expected paste undone through the edit history");
+            ArrayAssert.itemsAreSame(["a","b","c"], this.getValues(dt, "name"), "Expected names restored");
+            Assert.isFalse(dt.canUndo(), "Expected nothing left to undo");
+
+            Assert.isTrue(dt.redo(), "Expected paste redone");
+            ArrayAssert.itemsAreSame(["p","b","c"], this.getValues(dt, "name"), "Expected names pasted again");
+            ArrayAssert.itemsAreSame([5,2,3], this.getValues(dt, "amount"), "Expected amounts pasted again");
+            Assert.isTrue(dt.redo(), "Expected later edit redone");
+            ArrayAssert.itemsAreSame(["p","b","x"], this.getValues(dt, "name"), "Expected later edit reapplied");
+        },
+
+        testCopyPasteEvents: function() {
+            var dt = this.createClipboardInstance();
+            var rs = dt.getRecordSet();
+            var oData = {};
+            var oEvent = {
+                clipboardData: {
+                    setData: function(sType, sValue) {
+                        oData[sType] = sValue;
+                    },
+                    getData: function(sType) {
+                        return oData[sType];
+                    }
+                },
+                preventDefault: function() {}
+            };
+            dt.selectCell({record:rs.getRecord(0), column:dt.getColumn("amount")});
+            dt._onTbodyCopy(oEvent, dt);
+            Assert.areSame("1", oData["text/plain"], "Expected text on the clipboard");
+
+            dt.unselectAllCells();
+            dt.selectCell({record:rs.getRecord(2), column:dt.getColumn("amount")});
+            dt._onTbodyPaste(oEvent, dt);
+            Assert.areSame(1, rs.getRecord(2).getData("amount"), "Expected clipboard pasted");
+        }
+    });
+    var dtClipboardTest = new DataTableTestCase(dtClipboardTemplate);
+
+    /**
+     *
+     *
+     * Tests Column state APIs.
+     *
+     *
+     */
+    var dtColumnStateTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable Column State Tests",
+
+        dsData: [
+            {a:"1a",b:"0b",c:"0c"},
+            {a:"0a",b:"1b",c:"1c"},
+            {a:"2a",b:"2b",c:"2c"}
+        ],
+
+        createStorage: function() {
+            return {
+                items: {},
+                getItem: function(sKey) {
+                    return this.items.hasOwnProperty(sKey) ? this.items[sKey] : null;
+                },
+                setItem: function(sKey, sValue) {
+                    this.items[sKey] = sValue;
+                },
+                removeItem: function(sKey) {
+                    delete this.items[sKey];
+                }
+            };
+        },
+
+        getKeys: function(dt) {
+            var aKeys = [],
+                allKeys = dt.getColumnSet().keys;
+            for(var i=0; i<allKeys.length; i++) {
+                aKeys.push(allKeys[i].getKey());
+            }
+            return aKeys;
+        },
+
+        testGetColumnState: function() {
+            var dt = this.createInstance();
+            dt.setColumnWidth(dt.getColumn("b"), 80);
+            dt.hideColumn("c");
+            dt.sortColumn(dt.getColumn("a"), YAHOO.widget.DataTable.CLASS_DESC);
+
+            var oState = dt.getColumnState();
+            Assert.areSame(3, oState.columns.length, "Unexpected Column count");
+            Assert.areSame("b", oState.columns[1].key, "Unexpected key");
+            Assert.areSame(80, oState.columns[1].width, "Expected width");
+            Assert.isNull(oState.columns[0].width, "Expected no width");
+            Assert.isTrue(oState.columns[2].hidden, "Expected hidden flag");
+            Assert.areSame("a", oState.sortedBy.key, "Unexpected sort key");
+            Assert.areSame(YAHOO.widget.DataTable.CLASS_DESC, oState.sortedBy.dir, "Unexpected sort dir");
+        },
+
+        testSaveClear: function() {
+            var oStorage = this.createStorage();
+            var dt = this.createInstance(null, {stateKey:"dtstate", stateStorage:oStorage});
+            Assert.isTrue(dt.saveColumnState(), "Expected state saved");
+            Assert.areSame(3, dt.loadColumnState().columns.length, "Expected state loaded");
+
+            dt.clearColumnState();
+            Assert.isNull(oStorage.getItem("dtstate"), "Expected state removed");
+            Assert.isNull(dt.loadColumnState(), "Expected no state");
+        },
+
+        testAutoSave: function() {
+            var oStorage = this.createStorage();
+            var dt = this.createInstance(null, {stateKey:"dtstate", stateStorage:oStorage});
+            dt.hideColumn("b");
+
+            this.wait(function() {
+                Assert.isTrue(dt.loadColumnState().columns[1].hidden, "Expected state saved after change");
+            }, 300);
+        },
+
+        testRestore: function() {
+            var oStorage = this.createStorage();
+            oStorage.setItem("dtstate", (YAHOO.lang.JSON || window.JSON).stringify({
+                columns: [
+                    {key:"c",width:50,hidden:false},
+                    {key:"x",width:null,hidden:false},
+                    {key:"a",width:null,hidden:true}
+                ],
+                sortedBy: {key:"a",dir:YAHOO.widget.DataTable.CLASS_ASC}
+            }));
+            var aColumns = this.columns;
+            var dt = this.createInstance(null, {stateKey:"dtstate", stateStorage:oStorage});
+
+            ArrayAssert.itemsAreSame(["c","b","a"], this.getKeys(dt), "Expected saved order, unsaved Column in place");
+            Assert.areSame(50, dt.getColumn("c").width, "Expected saved width");
+            Assert.isTrue(dt.getColumn("a").hidden, "Expected saved hidden flag");
+            Assert.isTrue(Dom.hasClass(dt.getColumn("a").getThEl(), "yui-dt-hidden"), "Expected hidden TH");
+            Assert.areSame("a", dt.get("sortedBy").key, "Expected saved sort");
+            Assert.areSame("0a", dt.getRecord(0).getData("a"), "Expected Records sorted");
+            Assert.isUndefined(aColumns[2].width, "Expected definitions not changed");
+        },
+
+        testInvalidState: function() {
+            var oStorage = this.createStorage();
+            oStorage.setItem("dtstate", "{columns:");
+            var dt = this.createInstance(null, {stateKey:"dtstate", stateStorage:oStorage});
+            ArrayAssert.itemsAreSame(["a","b","c"], this.getKeys(dt), "Expected definitions used");
+        },
+
+        testColumnChooser: function() {
+            var dt = this.createInstance();
+            var elChooser = dt.showColumnChooser();
+            Assert.isTrue(Dom.hasClass(elChooser, "yui-dt-colchooser"), "Expected column chooser");
+
+            var allInputs = elChooser.getElementsByTagName("input");
+            Assert.areSame(3, allInputs.length, "Expected checkbox per Column");
+            Assert.isTrue(allInputs[0].checked, "Expected visible Column checked");
+
+            UserAction.click(allInputs[0]);
+            Assert.isTrue(dt.getColumn("a").hidden, "Expected Column hidden");
+            UserAction.click(allInputs[1]);
+            Assert.isTrue(allInputs[2].disabled, "Expected last visible Column disabled");
+            UserAction.click(allInputs[0]);
+            Assert.isFalse(dt.getColumn("a").hidden, "Expected Column shown");
+            Assert.isFalse(allInputs[2].disabled, "Expected Column enabled");
+
+            UserAction.click(document.body);
+            Assert.isNull(Dom.get(dt.getId() + "-colchooser"), "Expected column chooser hidden");
+        },
+
+        testColumnChooserContextmenu: function() {
+            var dt = this.createInstance(null, {columnChooser:true});
+            var bShown = false;
+            dt.subscribe("columnChooserShowEvent", function() {
+                bShown = true;
+            });
+            dt._onTheadContextmenu({target:dt.getThLinerEl(dt.getColumn("b")), preventDefault:function() {}}, dt);
+            Assert.isTrue(bShown, "Expected column chooser shown");
+
+            UserAction.keydown(Dom.get(dt.getId() + "-colchooser"), {keyCode:27});
+            Assert.isNull(Dom.get(dt.getId() + "-colchooser"), "Expected column chooser hidden on Esc");
+        }
+    });
+    var dtColumnStateTest = new DataTableTestCase(dtColumnStateTemplate);
+
+    /**
+     *
+     *
+     * Tests edit history APIs.
+     *
+     *
+     */
+    var dtHistoryTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable Edit History Tests",
+
+        createHistoryInstance: function(oConfig) {
+            // CellEditors are destroyed with the DataTable
+            this.columns = [
+                {key:"a",editor:new YAHOO.widget.TextboxCellEditor()},
+                {key:"b",editor:new YAHOO.widget.TextboxCellEditor()},
+                {key:"c"}
+            ];
+            return this.createInstance(null, YAHOO.lang.merge({undoDepth:10}, oConfig || {}));
+        },
+
+        getValues: function(dt, sKey) {
+            var aValues = [],
+                aRecords = dt.getRecordSet().getRecords();
+            for(var i=0; i<aRecords.length; i++) {
+                aValues.push(aRecords[i].getData(sKey));
+            }
+            return aValues;
+        },
+
+        editCell: function(dt, nIndex, sKey, sValue) {
+            dt.showCellEditor(dt.getTdEl({record:dt.getRecord(nIndex), column:dt.getColumn(sKey)}));
+            dt.getCellEditor().textbox.value = sValue;
+            dt.saveCellEditor();
+        },
+
+        testUndoRedoCellEdit: function() {
+            var dt = this.createHistoryInstance();
+            Assert.isFalse(dt.canUndo(), "Expected nothing to undo");
+
+            this.editCell(dt, 1, "a", "new");
+            Assert.areSame("new", dt.getRecord(1).getData("a"), "Expected cell edited");
+            Assert.isTrue(dt.canUndo(), "Expected edit to undo");
+
+            Assert.isTrue(dt.undo(), "Expected edit undone");
+            Assert.areSame("1a", dt.getRecord(1).getData("a"), "Expected value restored");
+            Assert.areSame("1a", dt.getTdLinerEl({record:dt.getRecord(1), column:dt.getColumn("a")}).innerHTML, "Expected cell restored");
+            Assert.isFalse(dt.canUndo(), "Expected nothing more to undo");
+            Assert.isTrue(dt.canRedo(), "Expected edit to redo");
+
+            Assert.isTrue(dt.redo(), "Expected edit redone");
+            Assert.areSame("new", dt.getRecord(1).getData("a"), "Expected value edited again");
+            Assert.isFalse(dt.redo(), "Expected nothing more to redo");
+        },
+
+        testUndoRowAddDelete: function() {
+            var dt = this.createHistoryInstance();
+            dt.addRow({a:"4a",b:"4b",c:"4c"});
+            dt.deleteRows(0, 2);
+            ArrayAssert.itemsAreSame(["2a","3a","4a"], this.getValues(dt, "a"), "Unexpected Records");
+
+            dt.undo();
+            ArrayAssert.itemsAreSame(["0a","1a","2a","3a","4a"], this.getValues(dt, "a"), "Expected deleted rows restored");
+            Assert.areSame(5, dt.getTbodyEl().rows.length, "Expected rows rendered");
+            dt.undo();
+            ArrayAssert.itemsAreSame(["0a","1a","2a","3a"], this.getValues(dt, "a"), "Expected added row removed");
+
+            dt.redo();
+            dt.redo();
+            ArrayAssert.itemsAreSame(["2a","3a","4a"], this.getValues(dt, "a"), "Expected edits redone");
+        },
+
+        testUndoRenderLoopSize: function() {
+            var dt = this.createHistoryInstance({renderLoopSize:2});
+
+            // Rows are rendered, deleted and restored in the render chain
+            this.wait(function() {
+                dt.deleteRow(0);
+
+                this.wait(function() {
+                    Assert.isTrue(dt.undo(), "Expected delete undone");
+
+                    this.wait(function() {
+                        ArrayAssert.itemsAreSame(["0a","1a","2a","3a"], this.getValues(dt, "a"), "Expected deleted row restored");
+                        Assert.isFalse(dt.canUndo(), "Expected restored row not to be recorded");
+                        Assert.isTrue(dt.redo(), "Expected delete redone");
+                        Assert.isTrue(dt.undo(), "Expected delete undone again");
+
+                        // Render before the restored row is rendered
+                        dt.sortColumn(dt.getColumn("a"), "yui-dt-desc");
+
+                        this.wait(function() {
+                            this.editCell(dt, 0, "b", "new");
+                            Assert.isTrue(dt.canUndo(), "Expected edit after a render to be recorded");
+                            Assert.isTrue(dt.undo(), "Expected edit undone");
+                            Assert.areSame("3b", dt.getRecord(0).getData("b"), "Expected edit undone");
+                        }, 200);
+                    }, 200);
+                }, 200);
+            }, 200);
+        },
+
+        testUndoEditOfDeletedRow: function() {
+            var dt = this.createHistoryInstance();
+            this.editCell(dt, 1, "b", "edited");
+            dt.deleteRow(1);
+
+            dt.undo();
+            Assert.areSame("edited", dt.getRecord(1).getData("b"), "Expected row restored with edit");
+            dt.undo();
+            Assert.areSame("1b", dt.getRecord(1).getData("b"), "Expected edit of restored row undone");
+            dt.redo();
+            dt.redo();
+            ArrayAssert.itemsAreSame(["0a","2a","3a"], this.getValues(dt, "a"), "Expected restored row deleted again");
+        },
+
+        testUndoPaste: function() {
+            var dt = this.createHistoryInstance();
+            dt.pasteCells("p\tq\r\nr\ts", {record:dt.getRecord(0), column:dt.getColumn("a")});
+            ArrayAssert.itemsAreSame(["p","r","2a","3a"], this.getValues(dt, "a"), "Expected paste");
+
+            dt.undo();
+            ArrayAssert.itemsAreSame(["0a","1a","2a","3a"], this.getValues(dt, "a"), "Expected paste undone as one edit");
+            ArrayAssert.itemsAreSame(["0b","1b","2b","3b"], this.getValues(dt, "b"), "Expected paste undone as one edit");
+            Assert.isFalse(dt.canUndo(), "Expected nothing more to undo");
+        },
+
+        testDepth: function() {
+            var dt = this.createHistoryInstance({undoDepth:2});
+            this.editCell(dt, 0, "a", "x");
+            this.editCell(dt, 1, "a", "y");
+            this.editCell(dt, 2, "a", "z");
+
+            Assert.isTrue(dt.undo(), "Expected first undo");
+            Assert.isTrue(dt.undo(), "Expected second undo");
+            Assert.isFalse(dt.undo(), "Expected oldest edit dropped");
+            ArrayAssert.itemsAreSame(["x","1a","2a","3a"], this.getValues(dt, "a"), "Unexpected values");
+
+            this.editCell(dt, 3, "a", "w");
+            Assert.isFalse(dt.canRedo(), "Expected new edit to clear redo");
+        },
+
+        testEvents: function() {
+            var dt = this.createHistoryInstance();
+            var aFired = [];
+            var bBlock = true;
+            dt.subscribe("beforeUndoEvent", function(oArgs) {
+                aFired.push("before:" + oArgs.actions[0].type);
+                return !bBlock;
+            });
+            dt.subscribe("undoEvent", function(oArgs) {
+                aFired.push("undo:" + oArgs.actions[0].key);
+            });
+            this.editCell(dt, 0, "b", "x");
+
+            Assert.isFalse(dt.undo(), "Expected undo blocked");
+            Assert.areSame("x", dt.getRecord(0).getData("b"), "Expected edit kept");
+            bBlock = false;
+            Assert.isTrue(dt.undo(), "Expected undo");
+            ArrayAssert.itemsAreSame(["before:cell","before:cell","undo:b"], aFired, "Unexpected events");
+        },
+
+        testKeys: function() {
+            var dt = this.createHistoryInstance();
+            this.editCell(dt, 0, "a", "x");
+            UserAction.keydown(dt.getTbodyEl(), {ctrlKey:true, keyCode:90});
+            Assert.areSame("0a", dt.getRecord(0).getData("a"), "Expected Ctrl+Z to undo");
+            UserAction.keydown(dt.getTbodyEl(), {ctrlKey:true, keyCode:89});
+            Assert.areSame("x", dt.getRecord(0).getData("a"), "Expected Ctrl+Y to redo");
+        },
+
+        testDisabled: function() {
+            var dt = this.createHistoryInstance({undoDepth:0});
+            this.editCell(dt, 0, "a", "x");
+            dt.deleteRow(0);
+            Assert.isFalse(dt.canUndo(), "Expected no edit history");
+            Assert.isFalse(dt.undo(), "Expected nothing to undo");
+        }
+    });
+    var dtHistoryTest = new DataTableTestCase(dtHistoryTemplate);
+
+    /**
+     *
+     *
+     * Tests change tracking APIs.
+     *
+     *
+     */
+    var dtChangesTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable Change Tracking Tests",
+
+        testDirtyCells: function() {
+            var dt = this.createInstance();
+            var oRecord = dt.getRecord(0);
+            dt.updateCell(oRecord, dt.getColumn("b"), "x");
+            Assert.isTrue(Dom.hasClass(dt.getTdEl({record:oRecord, column:dt.getColumn("b")}), DataTable.CLASS_DIRTY), "Expected changed cell dirty");
+            Assert.isFalse(Dom.hasClass(dt.getTdEl({record:oRecord, column:dt.getColumn("a")}), DataTable.CLASS_DIRTY), "Expected unchanged cell clean");
+
+            dt.getRecordSet().commitChanges();
+            Assert.isFalse(Dom.hasClass(dt.getTdEl({record:oRecord, column:dt.getColumn("b")}), DataTable.CLASS_DIRTY), "Expected committed cell clean");
+        },
+
+        testDataReturnRows: function() {
+            var dt = this.createInstance();
+            dt.onDataReturnAppendRows(null, {results:[{a:"4a",b:"4b",c:"4c"}]});
+            dt.onDataReturnInsertRows(null, {results:[{a:"5a",b:"5b",c:"5c"}]}, {insertIndex:0});
+            Assert.areSame(6, dt.getRecordSet().getLength(), "Expected 6 Records");
+            Assert.isFalse(dt.getRecordSet().hasChanges(), "Expected loaded rows not to be changes");
+
+            dt.addRow({a:"6a",b:"6b",c:"6c"});
+            Assert.areSame(1, dt.getRecordSet().getChanges().inserted.length, "Expected added row to be a change");
+        },
+
+        testPostChanges: function() {
+            var dt = this.createInstance(),
+                oConnect = YAHOO.util.Connect,
+                oJSON = YAHOO.lang.JSON || window.JSON,
+                aRequests = [],
+                aFired = [];
+            YAHOO.util.Connect = {
+                asyncRequest: function(sMethod, sUri, oCallback, sPostData) {
+                    aRequests.push({method:sMethod, uri:sUri, callback:oCallback, data:sPostData});
+                    return {tId:aRequests.length};
+                }
+            };
+            try {
+                Assert.isNull(dt.postChanges("save.php"), "Expected nothing to post");
+
+                dt.updateCell(dt.getRecord(0), dt.getColumn("b"), "x");
+                dt.subscribe("changesPostEvent", function(oArgs) {
+                    aFired.push(oArgs.changeset.updated.length);
+                });
+                dt.postChanges("save.php", {success:function(o) {
+                    aFired.push(o.responseText);
+                }}, {keys:["a"], param:"rows"});
+
+                Assert.areSame(1, aRequests.length, "Expected one request");
+                Assert.areSame("POST", aRequests[0].method, "Expected POST");
+                Assert.areSame("save.php", aRequests[0].uri, "Unexpected URI");
+                Assert.areSame(0, aRequests[0].data.indexOf("rows="), "Expected form field");
+                var oChangeset = oJSON.parse(decodeURIComponent(aRequests[0].data.substring(5)));
+                Assert.areSame("0a", oChangeset.updated[0].a, "Expected key field");
+                Assert.areSame("x", oChangeset.updated[0].b, "Expected changed field");
+
+                // Changes made while the request is pending are kept
+                dt.updateCell(dt.getRecord(1), dt.getColumn("b"), "y");
+                aRequests[0].callback.success({responseText:"ok"});
+                ArrayAssert.itemsAreSame([1,"ok"], aFired, "Expected changesPostEvent and callback");
+                Assert.isFalse(dt.getRecordSet().isDirty(dt.getRecord(0)), "Expected posted change committed");
+                Assert.isTrue(dt.getRecordSet().isDirty(dt.getRecord(1)), "Expected pending change kept");
+            }
+            finally {
+                YAHOO.util.Connect = oConnect;
+            }
+        }
+    });
+    var dtChangesTest = new DataTableTestCase(dtChangesTemplate);
+
+    /**
+     *
+     *
+     * Tests tree grid APIs.
+     *
+     *
+     */
+    var dtTreeGridTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable Tree Grid Tests",
+
+        dsData: function(sRequest) {
+            if(sRequest === "parentId=4") {
+                return [{id:6,name:"f"},{id:5,name:"e"}];
+            }
+            return [
+                {id:3,parentId:1,name:"c"},
+                {id:1,name:"a"},
+                {id:2,parentId:1,name:"b"},
+                {id:4,name:"d",hasChildren:true}
+            ];
+        },
+
+        dsConfig: {
+            responseType:YAHOO.util.DataSource.TYPE_JSARRAY,
+            responseSchema:{fields:["id","parentId","name","hasChildren"]}
+        },
+
+        columns: [{key:"name",sortable:true},{key:"id"}],
+
+        getNames: function(dt) {
+            var aNames = [],
+                allRecords = dt.getRecordSet().getRecords();
+            for(var i=0; i<allRecords.length; i++) {
+                aNames.push(allRecords[i].getData("name"));
+            }
+            return aNames;
+        },
+
+        isHidden: function(dt, oRecord) {
+            return Dom.hasClass(dt.getTrEl(oRecord), DataTable.CLASS_HIDDEN);
+        },
+
+        testTree: function() {
+            var dt = this.createInstance(null, {treeGrid:{hasChildrenKey:"hasChildren", collapsed:false}});
+            ArrayAssert.itemsAreSame(["a","c","b","d"], this.getNames(dt), "Expected children under their parent");
+
+            var oParent = dt.getRecord(0),
+                oChild = dt.getRecord(1);
+            Assert.areSame(oParent, dt.getTreeParent(oChild), "Unexpected parent");
+            Assert.isNull(dt.getTreeParent(oParent), "Expected top-level Record");
+            Assert.areSame(2, dt.getTreeChildren(oParent).length, "Expected 2 children");
+            Assert.areSame(1, dt.getTreeLevel(oChild), "Unexpected level");
+            Assert.areSame("2", dt.getTrEl(oChild).getAttribute("aria-level"), "Unexpected aria-level");
+            Assert.isTrue(dt.hasTreeChildren(dt.getRecord(3)), "Expected children to load");
+            Assert.isFalse(dt.hasTreeChildren(oChild), "Expected no children");
+            Assert.areSame(1, Dom.getElementsByClassName(DataTable.CLASS_TOGGLE, "button", dt.getTrEl(oParent)).length, "Expected toggle");
+            Assert.areSame(0, Dom.getElementsByClassName(DataTable.CLASS_TOGGLE, "button", dt.getTrEl(oChild)).length, "Expected no toggle");
+
+            dt.sortColumn(dt.getColumn("name"), DataTable.CLASS_DESC);
+            ArrayAssert.itemsAreSame(["d","a","c","b"], this.getNames(dt), "Expected sorting within each level");
+        },
+
+        testVirtualScrolling: function() {
+            var dt = this.createInstance(YAHOO.widget.ScrollingDataTable, {treeGrid:{}, virtualScrolling:true, height:"100px"});
+            var allRows = dt.getTbodyEl().rows;
+
+            Assert.areSame(4, allRows.length, "Expected a row per Record");
+            Assert.areSame(dt.getRecord(0), dt.getRecord(allRows[0]), "Expected parent first");
+            Assert.areSame(dt.getRecord(3), dt.getRecord(allRows[3]), "Expected top-level Record last");
+            Assert.isTrue(this.isHidden(dt, dt.getRecord(1)), "Expected first child hidden");
+            Assert.isTrue(this.isHidden(dt, dt.getRecord(2)), "Expected second child hidden");
+            Assert.isFalse(this.isHidden(dt, dt.getRecord(3)), "Expected top-level Record shown");
+        },
+
+        testCollapse: function() {
+            var dt = this.createInstance(null, {treeGrid:{}});
+            var oParent = dt.getRecord(0),
+                aFired = [];
+            dt.subscribe("treeRowExpandEvent", function(oArgs) {
+                aFired.push("expand:" + oArgs.record.getData("name"));
+            });
+            dt.subscribe("treeRowCollapseEvent", function(oArgs) {
+                aFired.push("collapse:" + oArgs.record.getData("name"));
+            });
+
+            Assert.isFalse(dt.isTreeRowExpanded(oParent), "Expected collapsed by default");
+            Assert.isTrue(this.isHidden(dt, dt.getRecord(1)), "Expected child hidden");
+            Assert.isTrue(Dom.hasClass(dt.getTrEl(oParent), DataTable.CLASS_COLLAPSED), "Expected collapsed class");
+
+            dt.expandTreeRow(oParent);
+            Assert.isTrue(dt.isTreeRowExpanded(oParent), "Expected expanded");
+            Assert.isFalse(this.isHidden(dt, dt.getRecord(1)), "Expected child shown");
+            Assert.areSame("true", dt.getTrEl(oParent).getAttribute("aria-expanded"), "Unexpected aria-expanded");
+
+            UserAction.click(Dom.getElementsByClassName(DataTable.CLASS_TOGGLE, "button", dt.getTrEl(oParent))[0]);
+            Assert.isTrue(this.isHidden(dt, dt.getRecord(2)), "Expected toggle to collapse");
+            ArrayAssert.itemsAreSame(["expand:a","collapse:a"], aFired, "Unexpected events");
+
+            dt.expandAllTreeRows();
+            Assert.isTrue(dt.isTreeRowExpanded(oParent), "Expected all expanded");
+            dt.collapseAllTreeRows();
+            Assert.isFalse(dt.isTreeRowExpanded(oParent), "Expected all collapsed");
+        },
+
+        testLazyLoad: function() {
+            var dt = this.createInstance(null, {treeGrid:{hasChildrenKey:"hasChildren"}});
+            var oParent = dt.getRecord(3),
+                aFired = [];
+            dt.subscribe("treeChildrenLoadEvent", function(oArgs) {
+                aFired.push("load:" + oArgs.data.length);
+            });
+            dt.subscribe("treeRowExpandEvent", function(oArgs) {
+                aFired.push("expand:" + oArgs.record.getData("name"));
+            });
+
+            dt.expandTreeRow(oParent);
+            ArrayAssert.itemsAreSame(["a","c","b","d","f","e"], this.getNames(dt), "Expected children loaded");
+            Assert.areSame(oParent, dt.getTreeParent(dt.getRecord(4)), "Expected loaded child under parent");
+            Assert.isFalse(this.isHidden(dt, dt.getRecord(5)), "Expected loaded children shown");
+            Assert.isFalse(dt.getRecordSet().hasChanges(), "Expected loaded children not to be changes");
+            ArrayAssert.itemsAreSame(["load:2","expand:d"], aFired, "Unexpected events");
+        },
+
+        testSelectionByKey: function() {
+            var dt = this.createInstance(null, {treeGrid:{}, selectionMode:"single"});
+            var oParent = dt.getRecord(0),
+                elTbody = dt.getTbodyEl();
+
+            dt.selectRow(oParent);
+            UserAction.keydown(elTbody, {keyCode:40});
+            Assert.areSame("d", dt.getSelectedRows().length && dt.getRecord(dt.getSelectedRows()[0]).getData("name"), "Expected hidden rows skipped");
+
+            dt.unselectAllRows();
+            dt.selectRow(oParent);
+            UserAction.keydown(elTbody, {keyCode:39});
+            Assert.isTrue(dt.isTreeRowExpanded(oParent), "Expected right arrow to expand");
+            UserAction.keydown(elTbody, {keyCode:39});
+            Assert.isTrue(dt.isSelected(dt.getRecord(1)), "Expected right arrow to select the first child");
+            UserAction.keydown(elTbody, {keyCode:37});
+            Assert.isTrue(dt.isSelected(oParent), "Expected left arrow to select the parent");
+            UserAction.keydown(elTbody, {keyCode:37});
+            Assert.isFalse(dt.isTreeRowExpanded(oParent), "Expected left arrow to collapse");
+
+            dt.expandTreeRow(oParent);
+            dt.unselectAllRows();
+            dt.selectRow(dt.getRecord(2));
+            dt.collapseTreeRow(oParent);
+            Assert.isFalse(dt.isSelected(dt.getRecord(2)), "Expected hidden row unselected");
+            Assert.isTrue(dt.isSelected(oParent), "Expected collapsed row selected");
+        }
+    });
+    var dtTreeGridTest = new DataTableTestCase(dtTreeGridTemplate);
+
+    /**
+     *
+     *
+     * Tests frozen Columns of ScrollingDataTable.
+     *
+     *
+     */
+    var dtFrozenColumnsTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable Frozen Columns Tests",
+
+        testFrozenClasses: function() {
+            var dt = this.createInstance(YAHOO.widget.ScrollingDataTable, {height:"100px",width:"100px",frozenColumns:1}),
+                sClass = YAHOO.widget.ScrollingDataTable.CLASS_FROZEN,
+                elTr = dt.getFirstTrEl();
+
+            Assert.isTrue(Dom.hasClass(dt.getColumn("a").getThEl(), sClass), "Expected first TH frozen");
+            Assert.isFalse(Dom.hasClass(dt.getColumn("b").getThEl(), sClass), "Expected second TH not frozen");
+            Assert.isTrue(Dom.hasClass(elTr.cells[0], sClass), "Expected first TD frozen");
+            Assert.isFalse(Dom.hasClass(elTr.cells[1], sClass), "Expected second TD not frozen");
+
+            dt.addRow({a:"x",b:"y",c:"z"});
+            Assert.isTrue(Dom.hasClass(dt.getLastTrEl().cells[0], sClass), "Expected added row frozen");
+
+            dt.set("frozenColumns", 2);
+            Assert.isTrue(Dom.hasClass(dt.getFirstTrEl().cells[1], sClass), "Expected second TD frozen");
+
+            dt.set("frozenColumns", 0);
+            Assert.areSame(0, Dom.getElementsByClassName(sClass, null, dt.getContainerEl()).length, "Expected no frozen cells");
+        },
+
+        testColumnChanges: function() {
+            var dt = this.createInstance(YAHOO.widget.ScrollingDataTable, {height:"100px",width:"100px",frozenColumns:1}),
+                sClass = YAHOO.widget.ScrollingDataTable.CLASS_FROZEN;
+
+            dt.reorderColumn(dt.getColumn("c"), 0);
+            Assert.isTrue(Dom.hasClass(dt.getColumn("c").getThEl(), sClass), "Expected moved TH frozen");
+            Assert.isFalse(Dom.hasClass(dt.getColumn("a").getThEl(), sClass), "Expected displaced TH not frozen");
+            Assert.isTrue(Dom.hasClass(dt.getFirstTrEl().cells[0], sClass), "Expected first TD frozen");
+            Assert.isFalse(Dom.hasClass(dt.getFirstTrEl().cells[1], sClass), "Expected second TD not frozen");
+
+            dt.removeColumn(dt.getColumn("c"));
+            Assert.isTrue(Dom.hasClass(dt.getColumn("a").getThEl(), sClass), "Expected new first TH frozen");
+        },
+
+        testScrollOffset: function() {
+            var dt = this.createInstance(YAHOO.widget.ScrollingDataTable, {height:"100px",width:"100px",frozenColumns:1}),
+                sSelector = "." + dt.getId() + "-col-a",
+                rule;
+
+            dt._elBdContainer.scrollLeft = 20;
+            dt._setFrozenOffset();
+            rule = dt._oFrozenRules[sSelector];
+            if(rule) {
+                Assert.areSame(dt._elBdContainer.scrollLeft + "px", rule.style.left, "Unexpected frozen offset");
+            }
+            else {
+                Assert.areSame(dt._elBdContainer.scrollLeft + "px", dt.getFirstTrEl().cells[0].style.left, "Unexpected frozen cell offset");
+            }
+            Assert.isUndefined(dt._oFrozenRules["." + dt.getId() + "-col-b"], "Expected no rule for unfrozen Column");
+        }
+    });
+    var dtFrozenColumnsTest = new DataTableTestCase(dtFrozenColumnsTemplate);
+
+    /**
+     *
+     *
+     * Tests grid keyboard navigation.
+     *
+     *
+     */
+    var dtGridNavigationTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable Grid Navigation Tests",
+
+        createGridInstance: function(oConfig) {
+            // CellEditors are destroyed with the DataTable
+            this.columns = [
+                {key:"a",sortable:true},
+                {key:"b",editor:new YAHOO.widget.TextboxCellEditor()},
+                {key:"c"}
+            ];
+            return this.createInstance(null, YAHOO.lang.merge({gridNavigation:true}, oConfig || {}));
+        },
+
+        testStates: function() {
+            var dt = this.createGridInstance({sortedBy:{key:"a",dir:"yui-dt-desc"}}),
+                elTable = dt.getTableEl(),
+                elTd = dt.getFirstTdEl();
+
+            Assert.areSame("grid", elTable.getAttribute("role"), "Expected grid role");
+            Assert.areSame("5", elTable.getAttribute("aria-rowcount"), "Unexpected row count");
+            Assert.areSame("columnheader", dt.getColumn("a").getThEl().getAttribute("role"), "Expected columnheader role");
+            Assert.areSame("descending", dt.getColumn("a").getThEl().getAttribute("aria-sort"), "Unexpected sort state");
+            Assert.isNull(dt.getColumn("b").getThEl().getAttribute("aria-sort"), "Expected no sort state on unsortable Column");
+            Assert.areSame("2", dt.getFirstTrEl().getAttribute("aria-rowindex"), "Unexpected row index");
+            Assert.areSame("gridcell", elTd.getAttribute("role"), "Expected gridcell role");
+            Assert.areSame(elTd, dt.getFocusCellEl(), "Expected first cell in the tab order");
+            Assert.areSame(0, elTd.tabIndex, "Expected focus cell tabbable");
+            Assert.areSame(-1, dt.getLastTdEl().tabIndex, "Expected other cells not tabbable");
+
+            dt.sortColumn(dt.getColumn("a"), "yui-dt-asc");
+            Assert.areSame("ascending", dt.getColumn("a").getThEl().getAttribute("aria-sort"), "Expected sort state updated");
+
+            dt.selectRow(0);
+            Assert.areSame("true", dt.getFirstTrEl().getAttribute("aria-selected"), "Expected selected row");
+            Assert.areSame("false", dt.getLastTrEl().getAttribute("aria-selected"), "Expected unselected row");
+
+            dt.set("gridNavigation", false);
+            Assert.isNull(elTable.getAttribute("role"), "Expected grid role removed");
+            Assert.isNull(dt.getFirstTrEl().getAttribute("aria-selected"), "Expected selected state removed");
+            Assert.isFalse(dt.getFirstTdEl().hasAttribute("tabindex"), "Expected cell out of the tab order");
+            Assert.areSame(0, dt.getTbodyEl().tabIndex, "Expected TBODY tabbable");
+        },
+
+        testArrowKeys: function() {
+            var dt = this.createGridInstance({selectionMode:"single"});
+
+            UserAction.keydown(dt.getFirstTdEl(), {keyCode:39});
+            Assert.areSame(dt.getTrEl(0).cells[1], dt.getFocusCellEl(), "Expected right arrow to move to the next cell");
+            Assert.isTrue(dt.isSelected(dt.getRecord(0)), "Expected selection to follow the focus");
+
+            UserAction.keydown(dt.getFocusCellEl(), {keyCode:40});
+            Assert.areSame(dt.getTrEl(1).cells[1], dt.getFocusCellEl(), "Expected down arrow to move to the next row");
+            Assert.areSame(1, dt.getSelectedRows().length, "Expected single selection");
+            Assert.isTrue(dt.isSelected(dt.getRecord(1)), "Expected selection to follow the focus down");
+
+            UserAction.keydown(dt.getFocusCellEl(), {keyCode:40, ctrlKey:true});
+            Assert.areSame(dt.getTrEl(2).cells[1], dt.getFocusCellEl(), "Expected CTRL+down to move the focus");
+            Assert.isTrue(dt.isSelected(dt.getRecord(1)), "Expected CTRL to keep the selection");
+
+            UserAction.keydown(dt.getFocusCellEl(), {keyCode:32});
+            Assert.isTrue(dt.isSelected(dt.getRecord(2)), "Expected space to select the focused row");
+            Assert.isFalse(dt.isSelected(dt.getRecord(1)), "Expected space to replace the single selection");
+
+            UserAction.keydown(dt.getFocusCellEl(), {keyCode:35, ctrlKey:true});
+            Assert.areSame(dt.getLastTdEl(), dt.getFocusCellEl(), "Expected CTRL+End to move to the last cell");
+            UserAction.keydown(dt.getFocusCellEl(), {keyCode:36});
+            Assert.areSame(dt.getLastTrEl().cells[0], dt.getFocusCellEl(), "Expected Home to move to the first cell of the row");
+            UserAction.keydown(dt.getFocusCellEl(), {keyCode:36, ctrlKey:true});
+            Assert.areSame(dt.getFirstTdEl(), dt.getFocusCellEl(), "Expected CTRL+Home to move to the first cell");
+
+            UserAction.keydown(dt.getFocusCellEl(), {keyCode:38});
+            Assert.areSame(dt.getColumn("a").getThEl(), dt.getFocusCellEl(), "Expected up arrow to move to the header");
+            UserAction.keydown(dt.getFocusCellEl(), {keyCode:39});
+            Assert.areSame(dt.getColumn("b").getThEl(), dt.getFocusCellEl(), "Expected right arrow to move across the header");
+            UserAction.keydown(dt.getFocusCellEl(), {keyCode:40});
+            Assert.areSame(dt.getTrEl(0).cells[1], dt.getFocusCellEl(), "Expected down arrow to move to the first row");
+        },
+
+        testCellSelection: function() {
+            var dt = this.createGridInstance({selectionMode:"cellblock"});
+
+            UserAction.keydown(dt.getFirstTdEl(), {keyCode:39});
+            Assert.isTrue(dt.isSelected(dt.getTrEl(0).cells[1]), "Expected cell selection to follow the focus");
+            Assert.areSame("true", dt.getTrEl(0).cells[1].getAttribute("aria-selected"), "Expected selected cell");
+            Assert.areSame("false", dt.getFirstTdEl().getAttribute("aria-selected"), "Expected unselected cell");
+
+            UserAction.keydown(dt.getFocusCellEl(), {keyCode:40, shiftKey:true});
+            Assert.areSame(2, dt.getSelectedCells().length, "Expected SHIFT to extend the selection");
+            Assert.areSame(dt.getTrEl(1).cells[1], dt.getFocusCellEl(), "Expected focus on the extended cell");
+        },
+
+        testHeaderSort: function() {
+            var dt = this.createGridInstance();
+
+            UserAction.keydown(dt.getColumn("a").getThEl(), {keyCode:13});
+            Assert.areSame("a", dt.get("sortedBy").key, "Expected Enter to sort");
+            Assert.areSame("ascending", dt.getColumn("a").getThEl().getAttribute("aria-sort"), "Unexpected sort state");
+
+            UserAction.keydown(dt.getColumn("b").getThEl(), {keyCode:32});
+            Assert.areSame("a", dt.get("sortedBy").key, "Expected unsortable Column not sorted");
+        },
+
+        testEditor: function() {
+            var dt = this.createGridInstance(),
+                oCellEditor = dt.getColumn("b").editor,
+                elTd = dt.getTrEl(0).cells[1];
+
+            dt.focusCell(elTd);
+            Assert.areSame(elTd, dt.getFocusCellEl(), "Expected focused cell");
+            UserAction.keydown(elTd, {keyCode:113});
+            Assert.isTrue(oCellEditor.isActive, "Expected F2 to show the CellEditor");
+            UserAction.keydown(oCellEditor.getContainerEl(), {keyCode:27});
+            Assert.isFalse(oCellEditor.isActive, "Expected Escape to cancel the CellEditor");
+            Assert.areSame(elTd, dt.getFocusCellEl(), "Expected focus back on the cell");
+
+            UserAction.keydown(elTd, {keyCode:13});
+            Assert.isTrue(oCellEditor.isActive, "Expected Enter to show the CellEditor");
+            dt.cancelCellEditor();
+        },
+
+        testPaging: function() {
+            var dt = this.createGridInstance({paginator:new YAHOO.widget.Paginator({rowsPerPage:2})});
+
+            dt.focusCell(dt.getTrEl(1).cells[2]);
+            UserAction.keydown(dt.getFocusCellEl(), {keyCode:34});
+            Assert.areSame(2, dt.get("paginator").getCurrentPage(), "Expected PageDown to show the next page");
+            Assert.areSame(dt.getTrEl(1).cells[2], dt.getFocusCellEl(), "Expected same position on the next page");
+            Assert.areSame("5", dt.getTrEl(1).getAttribute("aria-rowindex"), "Unexpected row index on the next page");
+
+            UserAction.keydown(dt.getFocusCellEl(), {keyCode:33});
+            Assert.areSame(1, dt.get("paginator").getCurrentPage(), "Expected PageUp to show the previous page");
+            UserAction.keydown(dt.getFocusCellEl(), {keyCode:33});
+            Assert.areSame(dt.getTrEl(0).cells[2], dt.getFocusCellEl(), "Expected PageUp on the first page to move to the first row");
+        },
+
+        testGroups: function() {
+            var dt = this.createGridInstance({groupBy:"c"}),
+                allRows = dt.getTbodyEl().rows;
+
+            Assert.areSame("9", dt.getTableEl().getAttribute("aria-rowcount"), "Expected group rows counted");
+            Assert.areSame("2", allRows[0].getAttribute("aria-rowindex"), "Unexpected group row index");
+            Assert.areSame("3", allRows[1].getAttribute("aria-rowindex"), "Unexpected first row index");
+            Assert.areSame("9", allRows[7].getAttribute("aria-rowindex"), "Expected last row index after the group rows");
+        }
+    });
+    var dtGridNavigationTest = new DataTableTestCase(dtGridNavigationTemplate);
+
+    /**
+     *
+     *
+     * Tests CellEditor subclasses.
+     *
+     *
+     */
+    var dtCellEditorsTemplate = YAHOO.lang.merge(dtBaseTemplate, {
+        name: "DataTable CellEditor Tests",
+
+        createEditorInstance: function(oCellEditor) {
+            // CellEditors are destroyed with the DataTable
+            this.columns = [{key:"a",editor:oCellEditor},{key:"b"},{key:"c"}];
+            return this.createInstance();
+        },
+
+        showEditor: function(dt, oData) {
+            dt.getRecord(0).setData("a", oData);
+            dt.showCellEditor(dt.getFirstTdEl());
+            return dt.getColumn("a").editor;
+        },
+
+        testEditorTypes: function() {
+            var Editors = YAHOO.widget.DataTable.Editors,
+                dt = this.createEditorInstance(new YAHOO.widget.CellEditor("number", {min:1}));
+
+            Assert.areSame(YAHOO.widget.AutoCompleteCellEditor, Editors.autocomplete, "Unexpected autocomplete editor");
+            Assert.areSame(YAHOO.widget.ColorCellEditor, Editors.color, "Unexpected color editor");
+            Assert.areSame(YAHOO.widget.MultiSelectCellEditor, Editors.multiselect, "Unexpected multiselect editor");
+            Assert.isInstanceOf(YAHOO.widget.NumberCellEditor, dt.getColumn("a").editor, "Expected editor created by type");
+            Assert.areSame(1, dt.getColumn("a").editor.min, "Expected configs applied");
+        },
+
+        testNumber: function() {
+            var dt = this.createEditorInstance(new YAHOO.widget.NumberCellEditor({min:0,max:10,step:0.5})),
+                oCellEditor = this.showEditor(dt, 9),
+                elTextbox = oCellEditor.textbox,
+                nInvalid = 0;
+
+            Assert.areSame("9", elTextbox.value, "Unexpected textbox value");
+            UserAction.keydown(elTextbox, {keyCode:38});
+            Assert.areSame("9.5", elTextbox.value, "Expected up arrow to step up");
+            UserAction.keydown(elTextbox, {keyCode:33});
+            Assert.areSame("10", elTextbox.value, "Expected page up to stop at max");
+            UserAction.keydown(elTextbox, {keyCode:40});
+            Assert.areSame("9.5", elTextbox.value, "Expected down arrow to step down");
+            UserAction.keydown(elTextbox, {keyCode:34});
+            Assert.areSame("4.5", elTextbox.value, "Expected page down to step down ten steps");
+            elTextbox.value = "2.25";
+            UserAction.keydown(elTextbox, {keyCode:38});
+            Assert.areSame("2.75", elTextbox.value, "Expected precision of the value kept");
+            elTextbox.value = "abc";
+            UserAction.keydown(elTextbox, {keyCode:38});
+            Assert.areSame("0", elTextbox.value, "Expected spin from min when not a number");
+
+            oCellEditor.subscribe("invalidDataEvent", function() {
+                nInvalid++;
+            });
+            elTextbox.value = "11";
+            dt.saveCellEditor();
+            Assert.areSame(1, nInvalid, "Expected value above max invalid");
+            Assert.areSame(9, dt.getRecord(0).getData("a"), "Expected invalid value not saved");
+
+            elTextbox.value = "2.5";
+            dt.saveCellEditor();
+            Assert.areSame(2.5, dt.getRecord(0).getData("a"), "Expected Number saved");
+        },
+
+        testMultiSelect: function() {
+            var dt = this.createEditorInstance(new YAHOO.widget.MultiSelectCellEditor({dropdownOptions:["x","y","z"],delimiter:","})),
+                oCellEditor = this.showEditor(dt, "x,z"),
+                allOptions = oCellEditor.dropdown.options;
+
+            Assert.isTrue(oCellEditor.dropdown.multiple, "Expected multi-select");
+            Assert.areSame(5, oCellEditor.dropdown.size, "Unexpected size");
+            Assert.isTrue(allOptions[0].selected && !allOptions[1].selected && allOptions[2].selected, "Expected delimited values selected");
+
+            allOptions[0].selected = false;
+            allOptions[1].selected = true;
+            dt.saveCellEditor();
+            Assert.areSame("y,z", dt.getRecord(0).getData("a"), "Expected delimited values saved");
+
+            oCellEditor.delimiter = null;
+            this.showEditor(dt, ["x"]);
+            Assert.isTrue(allOptions[0].selected && !allOptions[1].selected && !allOptions[2].selected, "Expected array values selected");
+            allOptions[1].selected = true;
+            dt.saveCellEditor();
+            ArrayAssert.itemsAreSame(["x","y"], dt.getRecord(0).getData("a"), "Expected array values saved");
+        },
+
+        testAutoComplete: function() {
+            var oDS = new YAHOO.util.LocalDataSource([{id:1,name:"One"},{id:2,name:"Two"}], {
+                    responseSchema:{fields:["name","id"]}
+                }),
+                dt = this.createEditorInstance(new YAHOO.widget.AutoCompleteCellEditor({dataSource:oDS,labelField:"b"})),
+                oRecord = dt.getRecord(0),
+                oCellEditor;
+
+            oRecord.setData("b", "One");
+            oCellEditor = this.showEditor(dt, 1);
+            Assert.areSame("One", oCellEditor.textbox.value, "Expected label displayed");
+
+            oCellEditor.textbox.value = "Two";
+            oCellEditor.autoComplete.itemSelectEvent.fire(oCellEditor.autoComplete, null, {id:2,name:"Two"});
+            dt.saveCellEditor();
+            Assert.areSame(2, oRecord.getData("a"), "Expected id of selected item saved");
+            Assert.areSame("Two", oRecord.getData("b"), "Expected label of selected item saved");
+            Assert.areSame("Two", dt.getRecordSet().getChanges().updated[0].newData.b, "Expected label change tracked");
+
+            this.showEditor(dt, 2);
+            oCellEditor.textbox.value = "Thr";
+            dt.saveCellEditor();
+            Assert.areSame(2, oRecord.getData("a"), "Expected unmatched text not saved");
+            Assert.areSame("Two", oRecord.getData("b"), "Expected label kept");
+
+            this.showEditor(dt, 2);
+            oCellEditor.textbox.value = "One";
+            oCellEditor.autoComplete.itemSelectEvent.fire(oCellEditor.autoComplete, null, {id:1,name:"One"});
+            oCellEditor.textbox.value = "On";
+            dt.saveCellEditor();
+            Assert.areSame(2, oRecord.getData("a"), "Expected edited text of selected item not saved");
+            Assert.areSame("Two", oRecord.getData("b"), "Expected original label kept");
+
+            oCellEditor.forceSelection = false;
+            this.showEditor(dt, 2);
+            oCellEditor.textbox.value = "Three";
+            dt.saveCellEditor();
+            Assert.areSame("Three", oRecord.getData("a"), "Expected text saved");
+            Assert.areSame("Three", oRecord.getData("b"), "Expected text saved as label");
+        },
+
+        testAutoCompleteHistory: function() {
+            var oDS = new YAHOO.util.LocalDataSource([{id:1,name:"One"},{id:2,name:"Two"}], {
+                    responseSchema:{fields:["name","id"]}
+                }),
+                dt = this.createEditorInstance(new YAHOO.widget.AutoCompleteCellEditor({dataSource:oDS,labelField:"b"})),
+                oRecord = dt.getRecord(0),
+                oCellEditor;
+
+            dt.set("undoDepth", 10);
+            oRecord.setData("b", "One");
+            oCellEditor = this.showEditor(dt, 1);
+            oCellEditor.textbox.value = "Two";
+            oCellEditor.autoComplete.itemSelectEvent.fire(oCellEditor.autoComplete, null, {id:2,name:"Two"});
+            dt.saveCellEditor();
+
+            Assert.isTrue(dt.undo(), "Expected edit undone");
+            Assert.areSame(1, oRecord.getData("a"), "Expected id restored");
+            Assert.areSame("One", oRecord.getData("b"), "Expected label restored with the id");
+            Assert.isFalse(dt.canUndo(), "Expected id and label undone as a single edit");
+
+            Assert.isTrue(dt.redo(), "Expected edit redone");
+            Assert.areSame(2, oRecord.getData("a"), "Expected id saved again");
+            Assert.areSame("Two", oRecord.getData("b"), "Expected label saved again");
+        },
+
+        testAutoCompleteAsyncHistory: function() {
+            var oDS = new YAHOO.util.LocalDataSource([{id:1,name:"One"},{id:2,name:"Two"}], {
+                    responseSchema:{fields:["name","id"]}
+                }),
+                dt = this.createEditorInstance(new YAHOO.widget.AutoCompleteCellEditor({dataSource:oDS,labelField:"b",
+                    asyncSubmitter:function(fnCallback, oNewValue) {
+                        setTimeout(function() {
+                            fnCallback(true, oNewValue);
+                        }, 0);
+                    }})),
+                oRecord = dt.getRecord(0),
+                oCellEditor;
+
+            dt.set("undoDepth", 10);
+            oRecord.setData("b", "One");
+            oCellEditor = this.showEditor(dt, 1);
+            oCellEditor.textbox.value = "Two";
+            oCellEditor.autoComplete.itemSelectEvent.fire(oCellEditor.autoComplete, null, {id:2,name:"Two"});
+            dt.saveCellEditor();
+
+            this.wait(function() {
+                Assert.areSame(2, oRecord.getData("a"), "Expected id saved");
+                Assert.areSame("Two", oRecord.getData("b"), "Expected label saved");
+
+                Assert.isTrue(dt.undo(), "Expected edit undone");
+                Assert.areSame(1, oRecord.getData("a"), "Expected id restored");
+                Assert.areSame("One", oRecord.getData("b"), "Expected label restored with the id");
+                Assert.isFalse(dt.canUndo(), "Expected id and label undone as a single edit");
+            }, 100);
+        },
+
+        testColor: function() {
+            var dt = this.createEditorInstance(new YAHOO.widget.ColorCellEditor()),
+                oCellEditor = this.showEditor(dt, "#f00");
+
+            Assert.areSame("FF0000", oCellEditor.colorPicker.get("hex"), "Expected short hex color displayed");
+            oCellEditor.colorPicker.setValue([0,0,255]);
+            dt.saveCellEditor();
+            Assert.areSame("#0000FF", dt.getRecord(0).getData("a"), "Expected hex color saved");
+
+            this.showEditor(dt, "0a");
+            Assert.areSame("FFFFFF", oCellEditor.colorPicker.get("hex"), "Expected default color for invalid value");
+            dt.cancelCellEditor();
+        }
+    });
+    var dtCellEditorsTest = new DataTableTestCase(dtCellEditorsTemplate);
+
     /**
      *
      *
@@ -1977,6 +3838,20 @@
         datatablesuite.add(dtDataLoadTest);
         datatablesuite.add(dtRowMutationTest);
         datatablesuite.add(dtSortingTest);
+        datatablesuite.add(dtMultiSortTest);
+        datatablesuite.add(dtFilteringTest);
+        datatablesuite.add(dtGroupingTest);
+        datatablesuite.add(dtFooterTest);
+        datatablesuite.add(dtVirtualTest);
+        datatablesuite.add(dtExportTest);
+        datatablesuite.add(dtClipboardTest);
+        datatablesuite.add(dtColumnStateTest);
+        datatablesuite.add(dtHistoryTest);
+        datatablesuite.add(dtChangesTest);
+        datatablesuite.add(dtTreeGridTest);
+        datatablesuite.add(dtFrozenColumnsTest);
+        datatablesuite.add(dtGridNavigationTest);
+        datatablesuite.add(dtCellEditorsTest);
         datatablesuite.add(dtRowSelectionTest);
         datatablesuite.add(dtCellSelectionTest);
         datatablesuite.add(dtPaginationTest);
@@ -173,6 +173,169 @@
                 rs.updateKey(oTestRecord.getId(), "b", "yyy");
                 Assert.areSame("yyy", oTestRecord.getData("b"), "Failed to update key b of Record 0 by ID");
             //});
+        },
+
+        testFilterRecords: function() {
+            var dt = this.createInstance();
+            var rs = dt.getRecordSet();
+            rs.filterRecords(function(oRecord) {
+                return oRecord.getData("a") !== "1a";
+            });
+            Assert.areSame(3, rs.getLength(), "Expected 3 visible Records");
+            Assert.areSame(4, rs.getAllRecords().length, "Expected 4 Records in all");
+            Assert.areSame("2a", rs.getRecord(1).getData("a"), "Unexpected Record at index 1");
+
+            rs.addRecord({a:"4a",b:"4b",c:"4c"});
+            Assert.areSame(4, rs.getLength(), "Expected added Record visible");
+            Assert.areSame(5, rs.getAllRecords().length, "Expected 5 Records in all");
+
+            rs.clearFilter();
+            Assert.isFalse(rs.isFiltered(), "Expected filter cleared");
+            Assert.areSame(5, rs.getLength(), "Expected 5 visible Records");
+            Assert.areSame("1a", rs.getRecord(1).getData("a"), "Expected hidden Record restored in place");
+        },
+
+        testFilterDeleteRecord: function() {
+            var dt = this.createInstance();
+            var rs = dt.getRecordSet();
+            rs.addRecord({a:"4a",b:"4b",c:"4c"});
+            rs.filterRecords(function(oRecord) {
+                return (oRecord.getData("a") !== "1a") && (oRecord.getData("a") !== "3a");
+            });
+            rs.deleteRecord(1);
+            Assert.areSame("4a", rs.getRecord(1).getData("a"), "Unexpected Record at index 1");
+
+            rs.clearFilter();
+            var aValues = [];
+            for(var i=0; i<rs.getLength(); i++) {
+                aValues.push(rs.getRecord(i).getData("a"));
+            }
+            ArrayAssert.itemsAreSame(["0a","1a","3a","4a"], aValues, "Expected hidden Records to keep their positions");
+        },
+
+        testEvents: function() {
+            var dt = this.createInstance();
+            var rs = dt.getRecordSet();
+            var aFired = [];
+            rs.subscribe("recordValueUpdateEvent", function(oArgs) {
+                aFired.push(oArgs.key + ":" + oArgs.newData);
+            });
+            rs.subscribe("recordDeleteEvent", function(oArgs) {
+                aFired.push("delete:" + oArgs.index);
+            });
+
+            rs.updateKey(0, "b", "xxx");
+            rs.deleteRecord(1);
+            ArrayAssert.itemsAreSame(["b:xxx","delete:1"], aFired, "Expected RecordSet events");
+        },
+
+        testStableSort: function() {
+            var dt = this.createInstance();
+            var rs = dt.getRecordSet();
+            rs.updateKey(0, "b", "same");
+            rs.updateKey(2, "b", "same");
+            rs.sortRecords(function(a, b) {
+                return YAHOO.util.Sort.compare(a.getData("b"), b.getData("b"));
+            });
+            Assert.areSame("1a", rs.getRecord(0).getData("a"), "Unexpected Record at index 0");
+            Assert.areSame("3a", rs.getRecord(1).getData("a"), "Unexpected Record at index 1");
+            Assert.areSame("0a", rs.getRecord(2).getData("a"), "Expected equal Records in order");
+            Assert.areSame("2a", rs.getRecord(3).getData("a"), "Expected equal Records in order");
+        },
+
+        testSortSparseRecords: function() {
+            this.createInstance();
+            var rs = new YAHOO.widget.RecordSet([{a:3},{a:1}]);
+            rs.setRecord({a:2}, 4);
+            rs.sortRecords(function(a, b) {
+                return YAHOO.util.Sort.compare(a.getData("a"), b.getData("a"));
+            });
+            Assert.areSame(1, rs.getRecord(0).getData("a"), "Unexpected Record at index 0");
+            Assert.areSame(2, rs.getRecord(1).getData("a"), "Unexpected Record at index 1");
+            Assert.areSame(3, rs.getRecord(2).getData("a"), "Unexpected Record at index 2");
+            Assert.isUndefined(rs.getRecord(3), "Expected gaps last");
+        },
+
+        testGetChanges: function() {
+            var dt = this.createInstance();
+            var rs = dt.getRecordSet();
+            Assert.isFalse(rs.hasChanges(), "Expected loaded data not to be a change");
+
+            var oUpdated = rs.getRecord(0),
+                oDeleted = rs.getRecord(1);
+            rs.updateKey(oUpdated, "b", "xxx");
+            rs.updateKey(oUpdated, "b", "yyy");
+            rs.deleteRecord(1);
+            var oInserted = rs.addRecord({a:"4a",b:"4b",c:"4c"});
+
+            var oChanges = rs.getChanges();
+            Assert.areSame(1, oChanges.inserted.length, "Expected 1 inserted Record");
+            Assert.areSame(oInserted, oChanges.inserted[0].record, "Unexpected inserted Record");
+            Assert.areSame(1, oChanges.updated.length, "Expected 1 updated Record");
+            Assert.areSame("0b", oChanges.updated[0].oldData.b, "Expected original value");
+            Assert.areSame("yyy", oChanges.updated[0].newData.b, "Expected new value");
+            Assert.isUndefined(oChanges.updated[0].oldData.a, "Expected only changed fields");
+            Assert.areSame(1, oChanges.deleted.length, "Expected 1 deleted Record");
+            Assert.areSame(oDeleted, oChanges.deleted[0].record, "Unexpected deleted Record");
+            Assert.areSame("1a", oChanges.deleted[0].oldData.a, "Expected deleted data");
+
+            Assert.isTrue(rs.isDirty(oUpdated, "b"), "Expected changed field dirty");
+            Assert.isFalse(rs.isDirty(oUpdated, "a"), "Expected unchanged field clean");
+            Assert.isTrue(rs.isDirty(oInserted, "a"), "Expected inserted Record dirty");
+
+            rs.updateKey(oUpdated, "b", "0b");
+            Assert.isFalse(rs.isDirty(oUpdated), "Expected Record clean with original value");
+            rs.deleteRecord(rs.getRecordIndex(oInserted));
+            Assert.areSame(0, rs.getChanges().inserted.length, "Expected deleted insert dropped");
+
+            rs.commitChanges();
+            Assert.isFalse(rs.hasChanges(), "Expected changes committed");
+        },
+
+        testRejectChanges: function() {
+            var dt = this.createInstance();
+            var rs = dt.getRecordSet();
+            var aFired = [];
+            rs.subscribe("changesRejectEvent", function() {
+                aFired.push("reject");
+            });
+
+            rs.updateKey(0, "b", "xxx");
+            rs.updateRecord(3, {a:"3a",b:"3b",c:"zzz"});
+            rs.deleteRecords(1, 2);
+            rs.addRecord({a:"4a",b:"4b",c:"4c"}, 0);
+            rs.rejectChanges();
+
+            Assert.isFalse(rs.hasChanges(), "Expected no changes");
+            Assert.areSame(4, rs.getLength(), "Expected 4 Records");
+            ArrayAssert.itemsAreSame(["0a","1a","2a","3a"], [rs.getRecord(0).getData("a"),
+                    rs.getRecord(1).getData("a"), rs.getRecord(2).getData("a"),
+                    rs.getRecord(3).getData("a")], "Expected Records in place");
+            Assert.areSame("0b", rs.getRecord(0).getData("b"), "Expected original value");
+            Assert.areSame("3c", rs.getRecord(3).getData("c"), "Expected original data");
+            ArrayAssert.itemsAreSame(["reject"], aFired, "Expected changesRejectEvent");
+        },
+
+        testGetChangeset: function() {
+            var dt = this.createInstance();
+            var rs = dt.getRecordSet();
+            rs.updateKey(0, "a", "xxx");
+            rs.updateKey(0, "b", "yyy");
+            rs.deleteRecord(1);
+            rs.addRecord({a:"4a",b:"4b",c:"4c"});
+
+            var oChangeset = rs.getChangeset(["a"]);
+            Assert.areSame("4a", oChangeset.inserted[0].a, "Unexpected inserted data");
+            Assert.areSame("4c", oChangeset.inserted[0].c, "Expected all inserted data");
+            Assert.areSame("yyy", oChangeset.updated[0].b, "Expected changed field");
+            Assert.areSame("xxx", oChangeset.updated[0].a, "Expected changed key field");
+            Assert.isUndefined(oChangeset.updated[0].c, "Expected no unchanged field");
+            Assert.areSame("1a", oChangeset.deleted[0].a, "Expected key field");
+            Assert.isUndefined(oChangeset.deleted[0].b, "Expected only key fields");
+
+            oChangeset = rs.getChangeset();
+            Assert.areSame("0c", oChangeset.updated[0].c, "Expected all fields");
+            Assert.areSame("1b", oChangeset.deleted[0].b, "Expected all original fields");
         }
 
 
@@ -162,7 +162,7 @@
             'type': 'js',
             'path': 'datatable/datatable-min.js',
             'requires': ['element', 'datasource'],
-            'optional': ['calendar', 'dragdrop', 'paginator'],
+            'optional': ['autocomplete', 'calendar', 'colorpicker', 'dragdrop', 'paginator'],
             'skinnable': true
         },
 